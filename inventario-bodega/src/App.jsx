@@ -19,13 +19,43 @@ const DEFAULT_COLUMNS = [
   { key: 'sale_price', label: 'Precio Venta', required: false }
 ];
 
-// Restaurar 3 pulseras
+// Dispositivos con los que se siembra el registro la primera vez (migración v8)
 const SIMULATED_DEVICES = [
-  { id: 'PUL-001', name: 'Pulsera-001', rssi: -50, operator: '' },
-  { id: 'PUL-002', name: 'Pulsera-002', rssi: -60, operator: '' },
-  { id: 'PUL-003', name: 'Pulsera-003', rssi: -70, operator: '' }
+  { id: 'PUL-001', name: 'Pulsera-001', type: 'pulsera', rssi: -50 },
+  { id: 'PUL-002', name: 'Pulsera-002', type: 'pulsera', rssi: -60 },
+  { id: 'PUL-003', name: 'Pulsera-003', type: 'pulsera', rssi: -70 },
+  { id: 'SALES-001', name: 'Sensor de Ventas', type: 'sensor', rssi: -55 }
 ];
 
+const DEVICE_TYPES = [
+  { key: 'pulsera', label: 'Pulsera', prefix: 'PUL' },
+  { key: 'sensor', label: 'Sensor de ventas', prefix: 'SALES' }
+];
+
+const deviceTypeLabel = (key) => (DEVICE_TYPES.find(t => t.key === key) || {}).label || key || '-';
+
+// Siguiente ID libre del tipo: PUL-004, SALES-002...
+function nextDeviceId(registry, type) {
+  const prefix = (DEVICE_TYPES.find(t => t.key === type) || DEVICE_TYPES[0]).prefix;
+  const max = registry
+    .filter(d => d.id.startsWith(`${prefix}-`))
+    .reduce((m, d) => Math.max(m, Number(d.id.slice(prefix.length + 1)) || 0), 0);
+  return `${prefix}-${String(max + 1).padStart(3, '0')}`;
+}
+
+// Operador que tenía el dispositivo en el instante dado. Cada asignación rige
+// desde effective_from (null = desde siempre) hasta la siguiente; un operador
+// vacío significa que el dispositivo quedó sin asignar.
+function deviceOperatorAt(assignments, deviceId, timestamp = nowISO()) {
+  let current = null;
+  assignments.forEach(a => {
+    if (a.device_id !== deviceId) return;
+    if (a.effective_from && a.effective_from > timestamp) return;
+    if (!current || (a.effective_from || '') >= (current.effective_from || '')) current = a;
+  });
+  return current?.operator || '';
+}
+
 // Productos de muestra con precios y categorías
 const SAMPLE_PRODUCTS = [
   { sku: 'GALX-001', name: 'Galletas X', category: 'Panadería', basePrice: 2.50 },
@@ -45,1509 +75,7347 @@ const nowISO = () => new Date().toISOString();
 const formatDate = (d) => { if (!d) return '-'; try { return new Date(d).toLocaleDateString(); } catch(e){return d;} };
 const formatDateTime = (d) => { if (!d) return '-'; try { return new Date(d).toLocaleString(); } catch(e){return d;} };
 
-function checkExpiry(dateStr) {
+function checkExpiry(dateStr, thresholdDays = DEFAULT_EXPIRY_SETTINGS.default) {
   if (!dateStr) return 'normal';
-  const d = new Date(dateStr);
-  const now = new Date();
-  const diff = (d - now) / (1000 * 60 * 60 * 24);
+  const diff = daysUntil(dateStr);
   if (diff < 0) return 'expired';
-  if (diff <= 15) return 'expiring-soon';
+  if (diff <= thresholdDays) return 'expiring-soon';
   return 'normal';
 }
 
-// Minimal RSSI indicator
-function RSSIIndicator({ rssi, connected }){
-  const color = connected ? 'var(--color-success)' : 'var(--color-text-secondary)';
-  return (
-    <div style={{ fontSize: '12px', color }}>{connected ? `RSSI: ${rssi} dBm` : `RSSI: ${rssi} dBm`}</div>
-  );
+// Días (con decimales) que faltan para una fecha; negativo si ya pasó
+function daysUntil(dateStr) {
+  return (new Date(dateStr) - new Date()) / (1000 * 60 * 60 * 24);
 }
 
-// Initialize IndexedDB (simple wrapper)
-async function initDB(){
-  try {
-    const db = await openDB(DB_NAME, 1, {
-      upgrade(db) {
-        // Productos y configuración
-        if (!db.objectStoreNames.contains('products')) db.createObjectStore('products', { keyPath: 'sku' });
-        if (!db.objectStoreNames.contains('settings')) db.createObjectStore('settings', { keyPath: 'key' });
-        
-        // Unified store for inventory and sales
-        if (!db.objectStoreNames.contains('batches')) {
-          const batchStore = db.createObjectStore('batches', { keyPath: 'id', autoIncrement: true });
-          batchStore.createIndex('by_sku', 'product_sku');
-          batchStore.createIndex('by_lot', 'lot');
-          batchStore.createIndex('by_type', 'type');
-        }
+// Ventana "por vencer" por categoría y descuentos sugeridos para liquidar
+const DEFAULT_EXPIRY_SETTINGS = {
+  default: 15,
+  categories: { 'Lácteos': 5, 'Granos': 60 },
+  markdown: { week: 30, month: 15 } // % de descuento según cercanía
+};
+
+const expiryThreshold = (product, expiry = DEFAULT_EXPIRY_SETTINGS) =>
+  expiry.categories?.[product?.category] ?? expiry.default;
+
+// Grupo del tablero de vencimientos: vencido, esta semana (≤7 días) o este mes (≤30 días)
+function expiryGroup(dateStr) {
+  if (!dateStr) return null;
+  const days = daysUntil(dateStr);
+  if (days < 0) return 'expired';
+  if (days <= 7) return 'week';
+  if (days <= 30) return 'month';
+  return null;
+}
 
-        // Sales and returns stores (necesarios para registrar ventas y devoluciones)
-        if (!db.objectStoreNames.contains('sales')) {
-          const salesStore = db.createObjectStore('sales', { keyPath: 'id', autoIncrement: true });
-          salesStore.createIndex('by_sku', 'sku');
-          salesStore.createIndex('by_date', 'timestamp');
-        }
+// Precio de liquidación sugerido para un lote próximo a vencer; conserva el
+// margen mínimo de 1% sobre el costo que exige el alta de productos
+function suggestMarkdown(batch, product, expiry = DEFAULT_EXPIRY_SETTINGS) {
+  const group = expiryGroup(batch.expiry);
+  if (group !== 'week' && group !== 'month') return null;
+  const pct = expiry.markdown?.[group] ?? 0;
+  const current = Number(product?.default_sale_price || 0);
+  if (!pct || !current) return null;
+  const floor = Math.max(Number(batch.purchase_price || 0), Number(product?.default_purchase_price || 0)) * 1.01;
+  const price = Math.max(floor, current * (1 - pct / 100));
+  return { pct, price: Math.round(price * 100) / 100, current };
+}
 
-        if (!db.objectStoreNames.contains('returns')) {
-          const returnsStore = db.createObjectStore('returns', { keyPath: 'id', autoIncrement: true });
-          returnsStore.createIndex('by_sku', 'sku');
-          returnsStore.createIndex('by_date', 'timestamp');
-        }
-        
-        // Movimientos generales (ingresos, ventas, devoluciones, etc)
-        if (!db.objectStoreNames.contains('movements')) {
-          const movStore = db.createObjectStore('movements', { keyPath: 'id', autoIncrement: true });
-          movStore.createIndex('by_type', 'type');
-          movStore.createIndex('by_sku', 'sku');
-          movStore.createIndex('by_date', 'timestamp');
-        }
+// Líneas de una venta. Las ventas antiguas guardaban un solo SKU en el registro raíz.
+function getSaleLines(sale) {
+  if (!sale) return [];
+  if (Array.isArray(sale.lines)) return sale.lines;
+  if (!sale.sku) return [];
+  return [{
+    sku: sale.sku,
+    product_name: sale.product_name,
+    quantity: sale.quantity || 0,
+    sale_price: sale.sale_price || 0,
+    total: sale.total ?? (sale.quantity || 0) * (sale.sale_price || 0),
+    batches_used: sale.batches_used || []
+  }];
+}
+
+// Unidades de una línea de venta que aún se pueden devolver
+const saleLineReturnable = (line) => Math.max(0, (line.quantity || 0) - (line.returned_quantity || 0));
+
+// Reparte N unidades devueltas entre los lotes que consumió una línea de venta,
+// en proporción a lo que falta devolver de cada lote (método del resto mayor).
+// Devuelve un arreglo paralelo a batchesUsed o null si N excede lo pendiente.
+function allocateReturn(batchesUsed, quantity) {
+  const pending = batchesUsed.map(b => Math.max(0, roundQuantity((b.quantity || 0) - (b.returned_quantity || 0))));
+  const totalPending = roundQuantity(pending.reduce((sum, p) => sum + p, 0));
+  if (quantity > totalPending + 1e-9) return null;
+
+  const exact = pending.map(p => totalPending ? (p * quantity) / totalPending : 0);
+  const takes = exact.map(Math.floor);
+  let rest = roundQuantity(quantity - takes.reduce((sum, t) => sum + t, 0));
+  const order = exact.map((v, i) => ({ i, frac: v - takes[i] })).sort((a, b) => b.frac - a.frac);
+  for (const { i } of order) {
+    if (rest <= 1e-9) break;
+    const inc = roundQuantity(Math.min(1, rest, pending[i] - takes[i]));
+    if (inc <= 0) continue;
+    takes[i] = roundQuantity(takes[i] + inc);
+    rest = roundQuantity(rest - inc);
+  }
+  return takes;
+}
+
+// Devuelve unidades de una línea a sus lotes originales (o a un lote de respaldo
+// con el costo correcto si el original ya no existe o fue devuelto al proveedor).
+// Un kit devuelve a cada componente N × su cantidad por kit; los lotes restituidos
+// llevan el sku del componente. Actualiza returned_quantity en la línea y en cada batches_used.
+async function restockSaleLine(tx, line, quantity, fallback) {
+  if (!line.batches_used?.length) {
+    // Ventas antiguas sin detalle de lotes
+    line.batches_used = [{ batchId: null, quantity: line.quantity, purchase_price: 0 }];
+  }
+  const groups = saleLineIsKit(line)
+    ? line.kit_components.map(c => ({
+        sku: c.sku,
+        used: line.batches_used.filter(b => b.sku === c.sku),
+        quantity: roundQuantity(quantity * c.quantity)
+      }))
+    : [{ sku: line.sku, used: line.batches_used, quantity }];
+
+  const batchStore = tx.objectStore('batches');
+  const restocked = [];
+  for (const group of groups) {
+    const takes = allocateReturn(group.used, group.quantity);
+    if (!takes) throw new Error(`No se pueden devolver ${group.quantity} unidades de ${group.sku}`);
+
+    for (let i = 0; i < takes.length; i++) {
+      const take = takes[i];
+      if (take <= 0) continue;
+      const used = group.used[i];
+      const original = used.batchId != null ? await batchStore.get(used.batchId) : null;
+
+      if (original && original.status !== 'returned') {
+        original.quantity = roundQuantity((original.quantity || 0) + take);
+        await batchStore.put(original);
+        restocked.push({ batchId: original.id, sku: group.sku, quantity: take, purchase_price: used.purchase_price, lot: original.lot });
+      } else {
+        const batchId = await batchStore.add({
+          product_sku: group.sku,
+          lot: fallback.lot,
+          expiry: original?.expiry || null,
+          quantity: take,
+          purchase_price: used.purchase_price || 0,
+          created_at: nowISO(),
+          return_id: fallback.return_id
+        });
+        restocked.push({ batchId, sku: group.sku, quantity: take, purchase_price: used.purchase_price || 0, lot: fallback.lot });
       }
+      used.returned_quantity = (used.returned_quantity || 0) + take;
+    }
+  }
+  line.returned_quantity = (line.returned_quantity || 0) + quantity;
+  return restocked;
+}
+
+// Registra devoluciones parciales de una venta: items = [{ sku, quantity }].
+// Escribe returns, lotes y movimientos 'devolucion_venta' y guarda la venta con
+// su cantidad devuelta acumulada. Debe correr en una transacción sobre
+// sales, returns, batches y movements.
+async function registerSaleReturn(tx, sale, items, meta) {
+  const lines = getSaleLines(sale).map(l => ({ ...l, batches_used: (l.batches_used || []).map(b => ({ ...b })) }));
+
+  // Validar todo antes de escribir
+  for (const item of items) {
+    const line = lines.find(l => l.sku === item.sku);
+    if (!line) throw new Error(`La venta ${sale.id} no incluye ${item.sku}`);
+    if (item.quantity <= 0 || item.quantity > saleLineReturnable(line) + 1e-9) {
+      throw new Error(`Solo quedan ${saleLineReturnable(line)} unidades de ${line.product_name || line.sku} por devolver`);
+    }
+  }
+
+  const records = [];
+  for (const item of items) {
+    const lineIndex = lines.findIndex(l => l.sku === item.sku);
+    const line = lines[lineIndex];
+    const timestamp = nowISO();
+    const returnRecord = {
+      sku: line.sku,
+      name: line.product_name || line.sku,
+      quantity: item.quantity,
+      price: line.sale_price || 0,
+      timestamp,
+      device_id: meta.device_id,
+      operator: meta.operator,
+      original_sale_id: sale.id,
+      line_index: lineIndex,
+      reason: meta.reason || '',
+      shift_id: meta.shift_id || null,
+      status: 'completed'
+    };
+    const returnId = await tx.objectStore('returns').add(returnRecord);
+    const restocked = await restockSaleLine(tx, line, item.quantity, { lot: `DEV-${returnId}`, return_id: returnId });
+    const cost = restocked.reduce((sum, r) => sum + r.quantity * (r.purchase_price || 0), 0);
+    await tx.objectStore('returns').put({ ...returnRecord, id: returnId, cost, batches_returned: restocked });
+
+    await tx.objectStore('movements').add({
+      type: 'devolucion_venta',
+      sku: line.sku,
+      name: line.product_name || line.sku,
+      quantity: item.quantity,
+      price: line.sale_price || 0,
+      lot: restocked.map(r => r.lot).join(', '),
+      timestamp,
+      device_id: meta.device_id,
+      operator: meta.operator,
+      bodega: meta.bodega,
+      sale_id: sale.id,
+      return_id: returnId,
+      shift_id: meta.shift_id || null,
+      ...(saleLineIsKit(line) ? { kit: true } : {}),
+      batches_used: restocked
     });
-    
-    console.log('Database initialized successfully');
-    return db;
-  } catch (error) {
-    console.error('Error initializing database:', error);
-    throw error;
+    await addKitComponentMovements(tx, line, restocked, 'reingreso_kit', {
+      timestamp,
+      device_id: meta.device_id,
+      operator: meta.operator,
+      bodega: meta.bodega,
+      sale_id: sale.id,
+      return_id: returnId
+    });
+    records.push({ ...returnRecord, id: returnId, cost });
   }
+
+  sale.lines = lines;
+  sale.returned_quantity = lines.reduce((sum, l) => sum + (l.returned_quantity || 0), 0);
+  await tx.objectStore('sales').put(sale);
+  return records;
 }
 
-// Simple Toast component
-function Toast({ toasts, removeToast }){
-  // Mantener timers por toast en un ref para que nuevos toasts no cancelen timers existentes
-  const timeoutsRef = useRef({});
+// Estrategias de salida de stock al vender
+const PICKING_STRATEGIES = [
+  { key: 'fifo', label: 'FIFO · primero en entrar' },
+  { key: 'fefo', label: 'FEFO · primero en vencer' },
+  { key: 'lifo', label: 'LIFO · último en entrar' },
+  { key: 'manual', label: 'Lote manual' }
+];
 
-  useEffect(() => {
-    // Crear timers para toasts nuevos
-    toasts.forEach(toast => {
-      if (toast.autoHide === false) return;
-      if (timeoutsRef.current[toast.id]) return; // ya tiene timer
+// Configuración por defecto (settings key 'picking'): lácteos y panadería salen por vencimiento
+const DEFAULT_PICKING_SETTINGS = {
+  default: 'fifo',
+  expired: 'block', // 'block' rechaza lotes vencidos, 'warn' los vende con advertencia
+  categories: { 'Lácteos': 'fefo', 'Panadería': 'fefo' },
+  products: {}
+};
+
+// Prioridad: producto > categoría > estrategia general
+function resolvePickingStrategy(product, picking = DEFAULT_PICKING_SETTINGS) {
+  return picking?.products?.[product?.sku] || picking?.categories?.[product?.category] || picking?.default || 'fifo';
+}
 
-      const timeoutMs = 1500;
-      const t = setTimeout(() => {
-        try { removeToast(toast.id); } catch (e) { /* ignore */ }
-        delete timeoutsRef.current[toast.id];
-      }, timeoutMs);
+// Texto corto de los lotes usados por una línea: "L202510 ×3, L202511 ×1"
+const describeBatchesUsed = (batchesUsed = []) => batchesUsed.map(b => `${b.lot || `#${b.batchId}`} ×${b.quantity}`).join(', ') || '-';
+
+const pickingLabel = (key) => (PICKING_STRATEGIES.find(s => s.key === key) || PICKING_STRATEGIES[0]).label;
+
+// Elige los lotes de los que sale `quantity` de un SKU según la estrategia.
+// Con 'manual' solo se usan manualBatchIds, en ese orden. No modifica los lotes.
+// Devuelve { picks: [{ batch, take }], available, missing, usedExpired }
+function planPicking(batches, sku, quantity, strategy, { expiredPolicy = 'block', manualBatchIds = [] } = {}) {
+  let candidates = batches.filter(b => b.product_sku === sku && b.quantity > 0 && !b.lot?.startsWith('DEV-'));
+  if (expiredPolicy === 'block') candidates = candidates.filter(b => checkExpiry(b.expiry) !== 'expired');
+
+  const byCreated = (a, b) => new Date(a.created_at) - new Date(b.created_at);
+  const byExpiry = (a, b) => String(a.expiry || '9999-12-31').localeCompare(String(b.expiry || '9999-12-31')) || byCreated(a, b);
+  if (strategy === 'manual') candidates = manualBatchIds.map(id => candidates.find(b => b.id === id)).filter(Boolean);
+  else if (strategy === 'fefo') candidates.sort(byExpiry);
+  else if (strategy === 'lifo') candidates.sort((a, b) => byCreated(b, a));
+  else candidates.sort(byCreated);
+
+  const available = candidates.reduce((sum, b) => sum + (b.quantity || 0), 0);
+  const picks = [];
+  let remaining = quantity;
+  for (const batch of candidates) {
+    if (remaining <= 0) break;
+    const take = Math.min(batch.quantity, remaining);
+    picks.push({ batch, take });
+    remaining = roundQuantity(remaining - take);
+  }
+  return {
+    picks,
+    available: roundQuantity(available),
+    missing: Math.max(0, remaining),
+    usedExpired: picks.filter(p => checkExpiry(p.batch.expiry) === 'expired').map(p => p.batch)
+  };
+}
 
-      timeoutsRef.current[toast.id] = t;
-    });
+// Stock vendible de un SKU (los lotes DEV- no se venden)
+function sellableStock(batches, sku) {
+  return batches
+    .filter(b => b.product_sku === sku && b.quantity > 0 && !b.lot?.startsWith('DEV-'))
+    .reduce((sum, b) => sum + (b.quantity || 0), 0);
+}
 
-    // Limpiar timers de toasts que ya no existen
-    const currentIds = new Set(toasts.map(t => t.id));
-    Object.keys(timeoutsRef.current).forEach(id => {
-      if (!currentIds.has(Number(id))) {
-        clearTimeout(timeoutsRef.current[id]);
-        delete timeoutsRef.current[id];
-      }
+const hasReorderPoint = (product) => Number.isFinite(product?.reorder_point);
+
+// Kits (combos): productos sin stock propio armados desde una lista de materiales
+// kit_components = [{ sku, quantity }], con quantity en la unidad base del componente
+const isKit = (product) => Array.isArray(product?.kit_components) && product.kit_components.length > 0;
+
+const saleLineIsKit = (line) => (line?.kit_components || []).length > 0;
+
+// Componentes válidos: sin repetir, sin el propio kit y con cantidad positiva
+function sanitizeKitComponents(components, kitSku) {
+  const merged = [];
+  (Array.isArray(components) ? components : []).forEach(c => {
+    const quantity = roundQuantity(c.quantity);
+    if (!c.sku || c.sku === kitSku || quantity <= 0) return;
+    const existing = merged.find(m => m.sku === c.sku);
+    if (existing) existing.quantity = roundQuantity(existing.quantity + quantity);
+    else merged.push({ sku: c.sku, quantity });
+  });
+  return merged;
+}
+
+// Kits completos que alcanzan con el stock vendible de cada componente
+function kitAvailability(kit, batches, { expiredPolicy = 'block' } = {}) {
+  if (!isKit(kit)) return 0;
+  return Math.min(...kit.kit_components.map(c =>
+    Math.floor(roundQuantity(planPicking(batches, c.sku, 0, 'fifo', { expiredPolicy }).available / c.quantity))));
+}
+
+// Costo referencial del kit con el precio de compra vigente de sus componentes
+const kitCost = (kit, products) => (kit.kit_components || []).reduce((sum, c) =>
+  sum + c.quantity * (Number(products.find(p => p.sku === c.sku)?.default_purchase_price) || 0), 0);
+
+// Movimientos de cada componente de una línea de kit: 'consumo_kit' al venderlo y
+// 'reingreso_kit' al anularlo o devolverlo, para que el Kardex del componente cuadre
+async function addKitComponentMovements(tx, line, batchesUsed, type, meta) {
+  for (const component of line.kit_components || []) {
+    const used = batchesUsed.filter(b => b.sku === component.sku);
+    const quantity = roundQuantity(used.reduce((sum, b) => sum + (b.quantity || 0), 0));
+    if (quantity <= 0) continue;
+    await tx.objectStore('movements').add({
+      ...meta,
+      type,
+      sku: component.sku,
+      name: component.name || component.sku,
+      quantity,
+      price: movementUnitCost({ batches_used: used }) || 0,
+      lot: used.map(b => b.lot).filter(Boolean).join(', '),
+      kit_sku: line.sku,
+      batches_used: used
     });
+  }
+}
 
-    // On unmount limpiar todo
-    return () => {
-      Object.values(timeoutsRef.current).forEach(t => clearTimeout(t));
-      timeoutsRef.current = {};
-    };
-  }, [toasts, removeToast]);
+// Productos en o bajo su punto de reposición. Se sugiere pedir la cantidad de
+// reposición configurada, o lo que falte para volver al mínimo si es mayor.
+function buildReorderList(products, batches) {
+  return products
+    .filter(p => hasReorderPoint(p) && !isKit(p))
+    .map(product => {
+      const stock = sellableStock(batches, product.sku);
+      const lastBatch = batches
+        .filter(b => b.product_sku === product.sku && !b.lot?.startsWith('DEV-'))
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0];
+      return {
+        sku: product.sku,
+        name: product.name || product.sku,
+        category: product.category || 'Sin categoría',
+        stock,
+        reorder_point: product.reorder_point,
+        reorder_quantity: product.reorder_quantity || 0,
+        supplier_id: product.supplier_id ?? null,
+        suggested: Math.max(product.reorder_quantity || 0, product.reorder_point - stock),
+        unit_cost: Number(lastBatch?.purchase_price || 0)
+      };
+    })
+    .filter(item => item.stock <= item.reorder_point)
+    .sort((a, b) => (a.stock - a.reorder_point) - (b.stock - b.reorder_point));
+}
 
-  return (
-    <div className="toast-container" style={{ position: 'fixed', top: 16, right: 16, zIndex: 9999 }}>
-      {toasts.map(toast => (
-        <div key={toast.id} className={`toast toast--${toast.type}`} style={{ 
-          background: 'var(--color-surface)', 
-          padding: 12, 
-          marginBottom: 8, 
-          border: '1px solid var(--color-border)', 
-          borderRadius: 8, 
-          position: 'relative',
-          display: 'flex',
-          justifyContent: 'space-between',
-          alignItems: 'flex-start',
-          minWidth: '250px'
-        }}>
-          <div style={{ flex: 1 }}>
-            <div style={{ fontWeight: 'bold', marginBottom: 4 }}>{toast.title}</div>
-            <div style={{ fontSize: 13 }}>{toast.message}</div>
-          </div>
-          <button 
-            onClick={() => removeToast(toast.id)} 
-            style={{ 
-              background: 'none', 
-              border: 'none', 
-              cursor: 'pointer',
-              padding: '4px 8px',
-              fontSize: '16px',
-              color: 'var(--color-text-secondary)',
-              marginLeft: '8px'
-            }}
-          >
-            ×
-          </button>
-        </div>
-      ))}
-    </div>
-  );
+// Efecto de cada tipo de movimiento sobre el stock en el Kardex
+const KARDEX_MOVEMENT_EFFECT = {
+  ingreso_inventario: 'in',
+  devolucion_venta: 'in',
+  anulacion_venta: 'in',
+  ajuste_positivo: 'in',
+  reingreso_kit: 'in',
+  venta: 'out',
+  devolucion_inventario: 'out',
+  ajuste_negativo: 'out',
+  merma: 'out',
+  consumo_kit: 'out'
+};
+
+const KARDEX_METHODS = [
+  { key: 'average', label: 'Costo promedio ponderado' },
+  { key: 'fifo', label: 'PEPS (FIFO)' }
+];
+
+// Costo unitario "propio" de un movimiento: lotes usados si existen, si no su precio
+function movementUnitCost(mov) {
+  const used = mov.batches_used || [];
+  const qty = used.reduce((sum, b) => sum + (b.quantity || 0), 0);
+  if (qty > 0) return used.reduce((sum, b) => sum + (b.quantity || 0) * (b.purchase_price || 0), 0) / qty;
+  return null;
 }
 
-// Minimal Onboarding component (collect bodega, currency, operators and columns)
-function Onboarding({ onComplete, initialData }) {
-  const init = () => {
-    const defaults = {
-      bodega: '',
-      currency: CURRENCIES[0],
-      columns: DEFAULT_COLUMNS.map(c => c.key),
-      operators: ['', '', '']
-    };
-    if (!initialData) return defaults;
-    return {
-      bodega: initialData.bodega || defaults.bodega,
-      currency: initialData.currency || defaults.currency,
-      columns: initialData.columns || defaults.columns,
-      operators: initialData.operators || defaults.operators
-    };
+// Kardex valorizado de un SKU: movimientos en orden cronológico con entradas,
+// salidas y saldo corriente. method: 'average' (promedio ponderado) o 'fifo' (capas PEPS).
+function buildKardex(movements, sku, method = 'average') {
+  const rows = [];
+  let balanceQty = 0;
+  let balanceValue = 0;
+  let layers = []; // FIFO: [{ qty, cost }]
+
+  const ordered = movements
+    // Las ventas de kits no mueven stock propio: salen por consumo_kit de cada componente
+    .filter(m => m.sku === sku && !m.kit && KARDEX_MOVEMENT_EFFECT[m.type] && (m.quantity || 0) > 0)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp) || (a.id || 0) - (b.id || 0));
+
+  const takeFromLayers = (qty, preferredCost) => {
+    let remaining = qty;
+    let value = 0;
+    // Primero la capa con el costo exacto (p.ej. devolución de un lote al proveedor)
+    if (preferredCost != null) {
+      for (const layer of layers) {
+        if (remaining <= 0) break;
+        if (Math.abs(layer.cost - preferredCost) > 1e-9) continue;
+        const take = Math.min(layer.qty, remaining);
+        layer.qty -= take;
+        remaining -= take;
+        value += take * layer.cost;
+      }
+    }
+    for (const layer of layers) {
+      if (remaining <= 0) break;
+      const take = Math.min(layer.qty, remaining);
+      layer.qty -= take;
+      remaining -= take;
+      value += take * layer.cost;
+    }
+    layers = layers.filter(l => l.qty > 1e-9);
+    // Stock negativo (datos antiguos incompletos): valorizar al último costo conocido
+    if (remaining > 0) value += remaining * (preferredCost ?? (balanceQty > 0 ? balanceValue / balanceQty : 0));
+    return value;
   };
 
-  const [formData, setFormData] = useState(init());
+  ordered.forEach(mov => {
+    const qty = Number(mov.quantity) || 0;
+    const effect = KARDEX_MOVEMENT_EFFECT[mov.type];
+    const avgCost = balanceQty > 0 ? balanceValue / balanceQty : 0;
+    const row = {
+      id: mov.id,
+      timestamp: mov.timestamp,
+      type: mov.type,
+      document: mov.sale_id || (mov.return_id != null ? `DEV-${mov.return_id}` : '') || mov.lot || '',
+      lot: mov.lot || '',
+      operator: mov.operator || '',
+      inQty: 0, inCost: 0, inValue: 0,
+      outQty: 0, outCost: 0, outValue: 0
+    };
 
-  useEffect(() => {
-    if (initialData) {
-      setFormData(init());
+    if (effect === 'in') {
+      const ownCost = movementUnitCost(mov);
+      // Ingresos al precio de compra; devoluciones al costo con que salieron
+      const unitCost = mov.type === 'ingreso_inventario'
+        ? Number(mov.price) || 0
+        : (ownCost ?? avgCost);
+      row.inQty = qty;
+      row.inCost = unitCost;
+      row.inValue = qty * unitCost;
+      if (method === 'fifo') layers.push({ qty, cost: unitCost });
+      balanceQty += qty;
+      balanceValue += row.inValue;
+    } else {
+      // Salidas de un lote concreto se valorizan a su costo; ventas al método elegido
+      const specificCost = mov.type === 'devolucion_inventario'
+        ? Number(mov.price) || 0
+        : (mov.type === 'ajuste_negativo' || mov.type === 'merma' ? movementUnitCost(mov) : null);
+      const value = method === 'fifo' ? takeFromLayers(qty, specificCost) : qty * avgCost;
+      row.outQty = qty;
+      row.outValue = value;
+      row.outCost = qty ? value / qty : 0;
+      balanceQty -= qty;
+      balanceValue -= value;
+      if (Math.abs(balanceQty) < 1e-9) { balanceQty = 0; balanceValue = 0; }
     }
-  }, [initialData]);
 
-  const handleColumnToggle = (key) => {
-    setFormData(prev => ({ ...prev, columns: prev.columns.includes(key) ? prev.columns.filter(k=>k!==key) : [...prev.columns, key] }));
+    row.balanceQty = balanceQty;
+    row.balanceValue = balanceValue;
+    row.balanceCost = balanceQty > 0 ? balanceValue / balanceQty : 0;
+    rows.push(row);
+  });
+
+  return {
+    rows,
+    totals: {
+      inQty: rows.reduce((sum, r) => sum + r.inQty, 0),
+      inValue: rows.reduce((sum, r) => sum + r.inValue, 0),
+      outQty: rows.reduce((sum, r) => sum + r.outQty, 0),
+      outValue: rows.reduce((sum, r) => sum + r.outValue, 0),
+      balanceQty,
+      balanceValue
+    }
   };
+}
 
-  const submit = (e) => {
-    e.preventDefault();
-    // Allow proceeding even if bodega is empty: use a sensible default
-    const payload = { ...formData };
-    if (!String(payload.bodega || '').trim()) payload.bodega = 'Bodega Principal';
-    if (onComplete) onComplete(payload);
+// Fecha local 'YYYY-MM-DD' de un timestamp ISO (los movimientos se guardan en UTC)
+function localDateKey(value) {
+  const d = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(d.getTime())) return '';
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// Clasificación lógica de un movimiento para resúmenes
+function movementKind(type) {
+  const t = String(type || '').toLowerCase();
+  if (t === 'venta') return 'venta';
+  if (t.includes('ingreso')) return 'ingreso';
+  if (t.includes('devolucion') || t.includes('anulacion')) return 'devolucion';
+  return 'otro';
+}
+
+// Filtra movimientos del reporte. Fechas en hora local, ambos extremos incluidos.
+// filters: { from, to, type, operator, device, category, sku }; resolveOperator(mov) da el nombre mostrado.
+function filterMovements(movements, filters, products, resolveOperator) {
+  const term = String(filters.sku || '').trim().toLowerCase();
+  return movements.filter(mov => {
+    const day = localDateKey(mov.timestamp);
+    if (filters.from && day < filters.from) return false;
+    if (filters.to && day > filters.to) return false;
+    if (filters.type && mov.type !== filters.type) return false;
+    if (filters.operator && resolveOperator(mov) !== filters.operator) return false;
+    if (filters.device && mov.device_id !== filters.device) return false;
+    if (filters.category) {
+      const product = products.find(p => p.sku === mov.sku);
+      if ((product?.category || 'Sin categoría') !== filters.category) return false;
+    }
+    if (term && !String(mov.sku || '').toLowerCase().includes(term)) return false;
+    return true;
+  });
+}
+
+// Totales por día local: movimientos, unidades por tipo y monto vendido
+function summarizeMovementsByDay(movements) {
+  const days = {};
+  movements.forEach(mov => {
+    const day = localDateKey(mov.timestamp);
+    if (!days[day]) days[day] = { day, count: 0, ingresos: 0, ventas: 0, devoluciones: 0, otros: 0, salesAmount: 0 };
+    const qty = Number(mov.quantity) || 0;
+    const kind = movementKind(mov.type);
+    days[day].count++;
+    if (kind === 'ingreso') days[day].ingresos += qty;
+    else if (kind === 'venta') {
+      days[day].ventas += qty;
+      days[day].salesAmount += qty * (Number(mov.price) || 0);
+    } else if (kind === 'devolucion') days[day].devoluciones += qty;
+    else days[day].otros += qty;
+  });
+  return Object.values(days).sort((a, b) => a.day.localeCompare(b.day));
+}
+
+// Hojas del reporte de movimientos: detalle, resumen por operador y totales por día
+function addMovementSheets(workbook, movements, resolveOperator, title = 'Movimientos') {
+  const headerStyle = (row) => {
+    row.font = { bold: true };
+    row.fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: 'FFE0E0E0' }
+    };
   };
 
-  return (
-    <div className="onboarding-container" style={{ padding: 24 }}>
-      <div className="onboarding-card" style={{ maxWidth: 720, margin: '0 auto' }}>
-        <h2>Configuración Inicial</h2>
-        <form onSubmit={submit}>
-          <div className="form-group">
-            <label>Nombre de la bodega</label>
-            <input className="form-control" value={formData.bodega} onChange={(e)=>setFormData(prev=>({ ...prev, bodega: e.target.value }))} />
-          </div>
+  const movementsSheet = workbook.addWorksheet(title.slice(0, 31));
+  headerStyle(movementsSheet.addRow(['Timestamp', 'Tipo', 'SKU', 'Nombre', 'Cantidad', 'Precio', 'Lote', 'Operador', 'Pulsera', 'Estado']));
+
+  const operatorSummary = workbook.addWorksheet('Resumen por Operador');
+  headerStyle(operatorSummary.addRow(['Operador', 'Pulsera', 'Unidades Vendidas', 'Unidades Ingresadas', 'Unidades Devueltas']));
+
+  const operatorStats = {};
+  [...movements]
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+    .forEach(mov => {
+      const operatorName = resolveOperator(mov);
+      movementsSheet.addRow([
+        formatDateTime(mov.timestamp),
+        mov.type,
+        mov.sku,
+        mov.name,
+        mov.quantity,
+        mov.price,
+        mov.lot || '',
+        operatorName,
+        mov.device_id,
+        mov.lot?.startsWith('DEV-') || mov.lot?.startsWith('UNDO-') ? 'Devuelto' : 'Activo'
+      ]);
 
-          <div className="form-group">
-            <label>Moneda</label>
-            <select className="form-control" value={formData.currency} onChange={(e)=>setFormData(prev=>({ ...prev, currency: e.target.value }))}>
-              {CURRENCIES.map(c => <option key={c} value={c}>{c}</option>)}
-            </select>
-          </div>
+      if (!operatorStats[operatorName]) {
+        operatorStats[operatorName] = {
+          device: mov.device_id,
+          ventas: 0,        // total unidades vendidas
+          compras: 0,       // total unidades ingresadas
+          devoluciones: 0   // total unidades devueltas
+        };
+      }
+      const kind = movementKind(mov.type);
+      if (kind === 'venta') operatorStats[operatorName].ventas += (mov.quantity || 0);
+      if (kind === 'ingreso') operatorStats[operatorName].compras += (mov.quantity || 0);
+      if (kind === 'devolucion') operatorStats[operatorName].devoluciones += (mov.quantity || 0);
+    });
 
-          <div className="form-group">
-            <label>Operadores (hasta 3)</label>
-            <div style={{ display: 'flex', gap: 8 }}>
-              {formData.operators.map((op, i) => (
-                <input key={i} className="form-control" value={op} onChange={(e)=>{ const ops = [...formData.operators]; ops[i]=e.target.value; setFormData(prev=>({...prev, operators: ops})); }} placeholder={`Operador ${i+1}`} />
-              ))}
-            </div>
-          </div>
+  Object.entries(operatorStats).forEach(([operator, stats]) => {
+    operatorSummary.addRow([operator, stats.device, stats.ventas, stats.compras, stats.devoluciones]);
+  });
 
-          <div className="form-group">
-            <label>Columnas visibles</label>
-            <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
-              {DEFAULT_COLUMNS.map(col => (
-                <label key={col.key} style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
-                  <input type="checkbox" checked={formData.columns.includes(col.key)} onChange={() => handleColumnToggle(col.key)} /> {col.label}
-                </label>
-              ))}
-            </div>
-          </div>
+  const daySheet = workbook.addWorksheet('Totales por Día');
+  headerStyle(daySheet.addRow(['Fecha', 'Movimientos', 'Unidades Ingresadas', 'Unidades Vendidas', 'Unidades Devueltas', 'Otras Unidades', 'Monto Ventas']));
+  summarizeMovementsByDay(movements).forEach(d => {
+    daySheet.addRow([d.day, d.count, d.ingresos, d.ventas, d.devoluciones, d.otros, Number(d.salesAmount.toFixed(2))]);
+  });
+}
 
-          <div style={{ display: 'flex', gap: 8 }}>
-            <button className="btn btn--primary" type="submit">🚀 Comenzar</button>
-          </div>
-        </form>
-      </div>
-    </div>
-  );
+// Hojas de ventas con desglose tributario: una fila por venta y otra por línea
+function addSalesSheets(workbook, sales, title = 'Ventas') {
+  const headerStyle = (row) => {
+    row.font = { bold: true };
+    row.fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: 'FFE0E0E0' }
+    };
+  };
+  const ordered = [...sales].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+  const salesSheet = workbook.addWorksheet(title.slice(0, 31));
+  headerStyle(salesSheet.addRow(['Fecha', 'Venta', 'Comprobante', 'Cliente', 'Operador', 'Estado', 'Lista de Precios', 'Precio de Lista', 'Descuentos', 'Op. Gravada', 'Op. Exonerada', 'Op. Inafecta', 'IGV', 'Total', 'Pagos', 'Vuelto']));
+  ordered.forEach(sale => {
+    const tax = summarizeTax(getSaleLines(sale));
+    salesSheet.addRow([
+      formatDateTime(sale.timestamp),
+      sale.id,
+      sale.document_id || '-',
+      sale.customer_name || '-',
+      sale.operator || '-',
+      sale.status === 'cancelled' ? 'Anulada' : (sale.returned_quantity ? 'Con devoluciones' : 'Completada'),
+      priceListLabel(sale.price_list),
+      roundMoney(sale.gross_total ?? sale.total ?? tax.total),
+      sale.discount_total || 0,
+      tax.gravada,
+      tax.exonerada,
+      tax.inafecta,
+      tax.igv,
+      roundMoney(sale.total ?? tax.total),
+      salePayments(sale).map(p => `${paymentMethodLabel(p.method)} ${Number(p.amount || 0).toFixed(2)}`).join(' + '),
+      sale.change || 0
+    ]);
+  });
+
+  const linesSheet = workbook.addWorksheet(`Detalle ${title}`.slice(0, 31));
+  headerStyle(linesSheet.addRow(['Venta', 'SKU', 'Producto', 'Cantidad', 'Unidad', 'Presentación', 'Devuelto', 'Precio Lista', 'Descuento', 'Detalle Descuento', 'Precio Final', 'Afectación', 'Tasa IGV %', 'Base Imponible', 'IGV', 'Total']));
+  ordered.forEach(sale => {
+    getSaleLines(sale).forEach(line => {
+      const tax = lineTax(line);
+      linesSheet.addRow([
+        sale.id,
+        line.sku,
+        line.product_name || line.sku,
+        line.quantity,
+        baseUnitOf({ base_unit: line.base_unit }).label,
+        line.unit_factor && line.unit_factor !== 1 ? `${roundQuantity(line.quantity / line.unit_factor)} ${line.unit}` : '-',
+        line.returned_quantity || 0,
+        line.unit_price ?? line.sale_price,
+        line.discount_amount || 0,
+        (line.discounts || []).map(d => `${d.label}${d.reason ? ` (${d.reason})` : ''} ${d.amount.toFixed(2)}`).join('; '),
+        roundMoney(line.sale_price),
+        tax.affectation ? taxAffectationLabel(tax.affectation) : 'Sin desglose',
+        line.tax_rate ?? null,
+        tax.base,
+        tax.igv,
+        tax.total
+      ]);
+    });
+  });
 }
 
-// Device Panel component
-function DevicePanel({ devices, activeDeviceIds, selectedDevice, onToggleDevice, onDeviceChange, salesSensorConnected, onSensorConnect, onSensorDisconnect }) {
-  const hasActiveDevices = activeDeviceIds.length > 0;
+// Dimensiones del análisis de rentabilidad
+const PROFIT_DIMENSIONS = [
+  { key: 'sale', label: 'Venta' },
+  { key: 'product', label: 'Producto' },
+  { key: 'category', label: 'Categoría' },
+  { key: 'operator', label: 'Operador' },
+  { key: 'day', label: 'Día' }
+];
 
-  return (
-    <div className="panel">
-      <div style={{ marginBottom: '24px' }}>
-        <h3 style={{ marginBottom: '16px' }}>🔗 Pulseras Simuladas</h3>
-        <p style={{ marginBottom: '16px', fontSize: '13px', color: 'var(--color-text-secondary)' }}>
-          Pulseras conectadas: <strong>{activeDeviceIds.length}</strong>
-        </p>
+// Hechos de rentabilidad por línea vendida, netos de devoluciones. Las ventas
+// anuladas no cuentan. El costo sale de batches_used (costo real de cada lote).
+// revenue incluye IGV y ya descuenta promociones y descuentos (discount); el
+// margen se calcula sobre la venta sin impuesto.
+function buildProfitFacts(sales, products, { from, to } = {}) {
+  const facts = [];
+  sales
+    .filter(sale => sale && sale.status !== 'cancelled')
+    .forEach(sale => {
+      const day = localDateKey(sale.timestamp);
+      if (from && day < from) return;
+      if (to && day > to) return;
+      getSaleLines(sale).forEach(line => {
+        const product = products.find(p => p.sku === line.sku) || {};
+        const returned = line.returned_quantity || 0;
+        const netQty = (line.quantity || 0) - returned;
+        const unitPrice = line.quantity ? (line.total ?? line.quantity * (line.sale_price || 0)) / line.quantity : 0;
+        const cogs = (line.batches_used || []).reduce((sum, b) =>
+          sum + Math.max(0, (b.quantity || 0) - (b.returned_quantity || 0)) * (b.purchase_price || 0), 0);
+        const tax = lineTax(line);
+        const igv = line.quantity ? (tax.igv * netQty) / line.quantity : 0;
+        const discount = line.quantity ? ((line.discount_amount || 0) * netQty) / line.quantity : 0;
+        facts.push({
+          saleId: sale.id,
+          day,
+          sku: line.sku,
+          name: line.product_name || product.name || line.sku,
+          category: product.category || 'Sin categoría',
+          operator: sale.operator || 'Sin operador',
+          quantity: netQty,
+          returned,
+          revenue: netQty * unitPrice,
+          discount,
+          igv,
+          cogs
+        });
+      });
+    });
+  return facts;
+}
 
-        <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
-          {devices.map(dev => {
-            const isActive = activeDeviceIds.includes(dev.id);
-            const isSelected = selectedDevice?.id === dev.id;
-            return (
-              <div key={dev.id} style={{
-                border: `1px solid ${isSelected ? 'var(--color-primary)' : 'var(--color-border)'}`,
-                borderRadius: '10px',
-                padding: '12px',
-                background: isActive ? 'rgba(33,128,141,0.08)' : 'var(--color-surface)'
-              }}>
-                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
-                  <div style={{ cursor: 'pointer' }} onClick={() => onDeviceChange(dev)}>
-                    <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
-                      <div className={`device-indicator device-indicator--${isActive ? 'connected' : 'disconnected'}`}></div>
-                      <strong>{dev.name}</strong>
-                    </div>
-                    <div style={{ fontSize: '12px', color: 'var(--color-text-secondary)' }}>
-                      ID: {dev.id} • RSSI: {dev.rssi} dBm
-                    </div>
-                    <div style={{ fontSize: '12px', marginTop: '4px', color: dev.operator ? 'var(--color-success)' : 'var(--color-warning)' }}>
-                      {dev.operator ? `👤 ${dev.operator}` : '⚠️ Sin operador asignado'}
-                    </div>
-                    <div style={{ marginTop: '6px' }}>
-                      <RSSIIndicator rssi={dev.rssi} connected={isActive} />
-                    </div>
-                  </div>
-                  <button
-                    className={`btn btn--sm ${isActive ? 'btn--outline' : 'btn--primary'}`}
-                    onClick={() => onToggleDevice(dev)}
-                    disabled={!dev.operator}
-                    title={!dev.operator ? 'Asigna un operador desde la configuración inicial' : ''}
-                  >
-                    {isActive ? '🔌 Desconectar' : '🔌 Conectar'}
-                  </button>
-                </div>
-              </div>
-            );
-          })}
-        </div>
-      </div>
+// Agrupa hechos por dimensión y calcula margen bruto y margen %
+function aggregateProfit(facts, dimension) {
+  const keyOf = {
+    sale: f => f.saleId,
+    product: f => f.sku,
+    category: f => f.category,
+    operator: f => f.operator,
+    day: f => f.day
+  }[dimension];
+  const labelOf = {
+    sale: f => `${f.saleId} · ${f.day}`,
+    product: f => `${f.name} (${f.sku})`,
+    category: f => f.category,
+    operator: f => f.operator,
+    day: f => f.day
+  }[dimension];
+
+  const groups = {};
+  facts.forEach(f => {
+    const key = keyOf(f);
+    if (!groups[key]) groups[key] = { key, label: labelOf(f), quantity: 0, returned: 0, revenue: 0, discount: 0, igv: 0, cogs: 0 };
+    groups[key].quantity += f.quantity;
+    groups[key].returned += f.returned;
+    groups[key].revenue += f.revenue;
+    groups[key].discount += f.discount || 0;
+    groups[key].igv += f.igv || 0;
+    groups[key].cogs += f.cogs;
+  });
+  return Object.values(groups)
+    .map(g => {
+      const base = g.revenue - g.igv;
+      return { ...g, base, margin: base - g.cogs, marginPct: base ? ((base - g.cogs) / base) * 100 : 0 };
+    })
+    .sort((a, b) => dimension === 'day' || dimension === 'sale' ? String(b.key).localeCompare(String(a.key)) : b.margin - a.margin);
+}
 
-      {/* Panel del Sensor de Ventas */}
-      <div>
-        <h3 style={{ marginBottom: '16px' }}>📊 Sensor de Ventas</h3>
-        
-        <div style={{ marginBottom: '16px' }}>
-          <div style={{ display: 'flex', alignItems: 'center', marginBottom: '8px' }}>
-            <div className={`device-indicator device-indicator--${salesSensorConnected ? 'connected' : 'disconnected'}`}></div>
-            <strong>Sensor de Ventas</strong>
-          </div>
-          <div style={{ fontSize: '14px', color: 'var(--color-text-secondary)', marginBottom: '4px' }}>
-            ID: SALES-001
-          </div>
-          <div style={{ marginTop: '8px' }}>
-            <span className={`status ${salesSensorConnected ? 'status--success' : 'status--error'}`}>
-              {salesSensorConnected ? 'Conectado (simulado)' : 'Desconectado'}
-            </span>
-          </div>
-        </div>
-        
-        <div>
-          <button 
-            className="btn btn--primary btn--sm btn--full-width"
-            onClick={salesSensorConnected ? onSensorDisconnect : onSensorConnect}
-            disabled={!hasActiveDevices}
-            title={!hasActiveDevices ? 'Conecta al menos una pulsera primero' : ''}
-          >
-            {salesSensorConnected ? '🔌 Desconectar Sensor' : '🔌 Conectar Sensor'}
-          </button>
-          {!hasActiveDevices && (
-            <p style={{ fontSize: '12px', color: 'var(--color-warning)', marginTop: '8px' }}>
-              💡 Conecta al menos una pulsera antes de conectar el sensor
-            </p>
-          )}
-        </div>
-      </div>
-    </div>
-  );
+// Estados de una orden de compra
+const PO_STATUS = {
+  draft: { label: 'Borrador', className: 'status--info' },
+  sent: { label: 'Enviada', className: 'status--warning' },
+  partial: { label: 'Recibida parcial', className: 'status--warning' },
+  received: { label: 'Recibida', className: 'status--success' }
+};
+
+const purchaseOrderPending = (line) => Math.max(0, (line.quantity || 0) - (line.received_quantity || 0));
+
+// Estado de recepción derivado de las líneas (solo aplica a órdenes ya enviadas)
+function purchaseOrderStatus(order) {
+  const lines = order.lines || [];
+  if (lines.length > 0 && lines.every(l => purchaseOrderPending(l) === 0)) return 'received';
+  if (lines.some(l => (l.received_quantity || 0) > 0)) return 'partial';
+  return 'sent';
 }
 
-// Simulate Panel component
-function SimulatePanel({ connected, connectedDevices = [], salesSensorConnected, onProcessEvent, settings, simSinceReset, setSimSinceReset, device, batches, products = [] }) {
-  const [activeTab, setActiveTab] = useState('form');
-  const [jsonInput, setJsonInput] = useState('');
-  const [isScanning, setIsScanning] = useState(false);
-  const [continuousMode, setContinuousMode] = useState(false);
-  const [scanCount, setScanCount] = useState(0);
-  
-  const canSimulate = connected && salesSensorConnected;
-  const intervalRef = useRef(null);
-  const operatorPool = connectedDevices.length > 0 ? connectedDevices : (device ? [device] : []);
-  const primaryDevice = operatorPool[0] || device || null;
-  const defaultOperator = operatorPool[0]?.operator || device?.operator || settings?.user || '';
-  
-  const [formData, setFormData] = useState({
-    type: 'ingreso',
-    barcode: '',
-    name: '',
-    quantity: 1,
-    purchasePrice: '',
-    salePrice: '',
-    lot: '',
-    expiry: '',
-    category: '',
-    operator: defaultOperator
-  });
+// Campos de precio con historial fechado
+const PRICE_FIELDS = [
+  { key: 'default_purchase_price', label: 'Precio compra' },
+  { key: 'default_sale_price', label: 'Precio venta' },
+  { key: 'wholesale_price', label: 'Precio mayorista' }
+];
 
-  useEffect(() => {
-    if (!formData.operator && defaultOperator) {
-      setFormData(prev => ({ ...prev, operator: defaultOperator }));
-    }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [defaultOperator]);
-  
-  useEffect(() => {
-    if (continuousMode && connected) {
-      intervalRef.current = setInterval(() => {
-        handleSimulateScan();
-      }, 3000);
-    } else {
-      clearInterval(intervalRef.current);
-    }
-    
-    return () => clearInterval(intervalRef.current);
-  }, [continuousMode, connected]);
-  
-  const examplePayload = {
-    event: 'ingreso',
-    source: 'brazalete_simulado',
-    device_id: primaryDevice?.id || 'BRZ-001',
-    timestamp: nowISO(),
-    barcode: '7501031311306',
-    sku: 'GALX-001',
-    name: 'Galletas X',
-    quantity: 12,
-    purchase_price: 1.45,
-    sale_price: 2.50,
-    lot: 'L202510',
-    expiry: '2026-03-01',
-    category: 'Panadería',
-    bodega: settings?.bodega || 'Bodega Central',
-    operator: primaryDevice?.operator || settings?.user || 'Juan'
+// Origen de cada cambio guardado en price_history
+const PRICE_HISTORY_SOURCES = {
+  catalogo: 'Catálogo',
+  ingreso: 'Ingreso',
+  alta_rapida: 'Alta de producto',
+  importacion: 'Importación'
+};
+
+const pricesChanged = (before, after) =>
+  PRICE_FIELDS.some(({ key }) => Number(before?.[key] ?? 0) !== Number(after?.[key] ?? 0));
+
+// Guarda en price_history cada precio que cambió entre before y after (before
+// null = producto nuevo). La transacción debe incluir 'price_history'.
+async function recordPriceChanges(tx, before, after, meta = {}) {
+  const timestamp = nowISO();
+  for (const { key } of PRICE_FIELDS) {
+    // Precios opcionales (mayorista) que nunca se definieron no generan historial
+    if (after[key] == null && before?.[key] == null) continue;
+    const oldValue = before ? Number(before[key] ?? 0) : null;
+    const newValue = Number(after[key] ?? 0);
+    if (oldValue === newValue) continue;
+    await tx.objectStore('price_history').add({
+      sku: after.sku,
+      field: key,
+      old_value: oldValue,
+      new_value: newValue,
+      timestamp,
+      operator: meta.operator || null,
+      source: meta.source || 'catalogo'
+    });
+  }
+}
+
+// Motivos de ajuste al aprobar un conteo físico
+const ADJUSTMENT_REASONS = [
+  { key: 'conteo', label: 'Diferencia de conteo' },
+  { key: 'error_registro', label: 'Error de registro' },
+  { key: 'ingreso_no_registrado', label: 'Ingreso no registrado' },
+  { key: 'faltante', label: 'Faltante sin explicar' },
+  { key: 'danado', label: 'Producto dañado' }
+];
+
+// Diferencia de una línea de conteo contra el stock del lote al iniciar el conteo (null = sin contar)
+function countLineVariance(line) {
+  if (line.counted_quantity == null) return null;
+  return roundQuantity(line.counted_quantity - (line.system_quantity || 0));
+}
+
+// Motivos de merma (bajas de stock sin venta)
+const MERMA_REASONS = [
+  { key: 'vencido', label: 'Vencido' },
+  { key: 'danado', label: 'Dañado' },
+  { key: 'robo', label: 'Robo' },
+  { key: 'consumo_interno', label: 'Consumo interno' }
+];
+
+const mermaReasonLabel = (key) => (MERMA_REASONS.find(r => r.key === key) || {}).label || key || '-';
+
+// Resumen de mermas por motivo y por producto (cantidades y costo)
+function summarizeShrinkage(movements, { from, to } = {}) {
+  const selected = movements.filter(m => {
+    if (m.type !== 'merma') return false;
+    const day = localDateKey(m.timestamp);
+    return (!from || day >= from) && (!to || day <= to);
+  });
+  const group = (keyOf, labelOf) => {
+    const groups = {};
+    selected.forEach(m => {
+      const key = keyOf(m);
+      if (!groups[key]) groups[key] = { key, label: labelOf(m), count: 0, quantity: 0, cost: 0 };
+      groups[key].count++;
+      groups[key].quantity += Number(m.quantity) || 0;
+      groups[key].cost += Number(m.cost ?? (m.quantity || 0) * (m.price || 0)) || 0;
+    });
+    return Object.values(groups).sort((a, b) => b.cost - a.cost);
   };
-  
-  const handleProcessJSON = () => {
-    if (!connected) {
-      alert('⚠️ Debes conectar un dispositivo primero');
-      return;
-    }
-    
-    try {
-      const parsed = JSON.parse(jsonInput);
-      onProcessEvent(parsed);
-      setJsonInput('');
-    } catch (error) {
-      alert('❌ JSON inválido: ' + error.message);
-    }
+  return {
+    movements: selected,
+    byReason: group(m => m.reason, m => mermaReasonLabel(m.reason)),
+    byProduct: group(m => m.sku, m => `${m.name || m.sku} (${m.sku})`),
+    totalQuantity: selected.reduce((sum, m) => sum + (Number(m.quantity) || 0), 0),
+    totalCost: selected.reduce((sum, m) => sum + (Number(m.cost ?? (m.quantity || 0) * (m.price || 0)) || 0), 0)
   };
-  
-  const handleFormSubmit = (e) => {
-    e.preventDefault();
-    if (!connected) {
-      alert('⚠️ Debes conectar un dispositivo primero');
-      return;
-    }
+}
 
-    const purchase = parseFloat(formData.purchasePrice) || 0;
-    const sale = parseFloat(formData.salePrice) || 0;
+// Medios de pago aceptados en caja
+const PAYMENT_METHODS = [
+  { key: 'efectivo', label: 'Efectivo' },
+  { key: 'tarjeta', label: 'Tarjeta' },
+  { key: 'yape_plin', label: 'Yape/Plin' },
+  { key: 'credito', label: 'Crédito (fiado)' }
+];
 
-    if (purchase <= 0) {
-      alert('El precio de compra debe ser mayor a 0');
-      return;
-    }
+// Medios con que un cliente puede abonar a su cuenta
+const COLLECTION_METHODS = PAYMENT_METHODS.filter(m => m.key !== 'credito');
 
-    if (formData.type !== 'devolucion' && sale <= purchase) {
-      alert('El precio de venta debe ser mayor al precio de compra');
-      return;
-    }
-    
-    const payload = {
-      event: formData.type,
-      source: 'brazalete_simulado',
-      device_id: primaryDevice?.id || 'BRZ-001',
-      timestamp: nowISO(),
-      barcode: formData.barcode,
-      sku: formData.barcode || `SKU-${Date.now()}`,
-      name: formData.name,
-      quantity: parseFloat(formData.quantity) || 1,
-      purchase_price: parseFloat(formData.purchasePrice) || 0,
-      sale_price: parseFloat(formData.salePrice) || 0,
-      lot: formData.lot,
-      expiry: formData.expiry,
-      category: formData.category,
-      bodega: settings?.bodega || 'Bodega Central',
-      operator: formData.operator || primaryDevice?.operator || settings?.user,
-      allowRandomOperator: false
-    };
-    
-    onProcessEvent(payload);
-    
-    // Reset form
-    setFormData(prev => ({
-      ...prev,
-      barcode: '',
-      name: '',
-      quantity: 1,
-      purchasePrice: '',
-      salePrice: '',
-      lot: '',
-      expiry: '',
-      category: ''
-    }));
-  };
-  
-  const handleSimulateScan = async (forceType) => {
-    // Nueva versión: acepta un tipo forzado (venta, ingreso, devolucion)
-    if (!connected) {
-      alert('⚠️ Debes conectar un dispositivo primero');
-      return;
-    }
+const paymentMethodLabel = (key) => (PAYMENT_METHODS.find(m => m.key === key) || {}).label || key || '-';
 
-    setIsScanning(true);
-    setScanCount(prev => prev + 1);
+const roundMoney = (v) => Math.round((Number(v) || 0) * 100) / 100;
 
-    await new Promise(res => setTimeout(res, 800));
+// Pagos de una venta; las registradas antes de los medios de pago se cobraron en efectivo
+function salePayments(sale) {
+  if (Array.isArray(sale?.payments) && sale.payments.length > 0) return sale.payments;
+  return [{ method: 'efectivo', amount: Number(sale?.total) || 0 }];
+}
 
-    const randomProduct = SAMPLE_PRODUCTS[Math.floor(Math.random() * SAMPLE_PRODUCTS.length)];
-    // Producto elegido (se ajusta según disponibilidad/semilla)
-    let selectedProduct = randomProduct;
+// Reparte un importe (p. ej. una devolución) en proporción a los pagos de la venta
+function splitByPayment(sale, amount) {
+  const payments = salePayments(sale);
+  const paid = payments.reduce((sum, p) => sum + (Number(p.amount) || 0), 0);
+  const parts = {};
+  payments.forEach(p => {
+    const share = paid > 0 ? (Number(p.amount) || 0) / paid : 1 / payments.length;
+    parts[p.method] = (parts[p.method] || 0) + amount * share;
+  });
+  return parts;
+}
 
-    // Verificar stock usando batches recibido como prop
-    const stockByProduct = {};
-    if (batches) {
-      batches.forEach(batch => {
-        if (!batch.lot?.startsWith('DEV-') && !batch.lot?.startsWith('UNDO-')) {
-          if (!stockByProduct[batch.product_sku]) {
-            stockByProduct[batch.product_sku] = 0;
-          }
-          stockByProduct[batch.product_sku] += (batch.quantity || 0);
-        }
-      });
-    }
+// Convierte lo entregado por el cliente en pagos aplicados a la venta.
+// entries = [{ method, amount }]; un monto vacío toma lo que falta. Solo el
+// efectivo puede exceder el total y la diferencia es el vuelto.
+function settlePayments(total, entries) {
+  const due = roundMoney(total);
+  const blanks = entries.filter(e => e.amount === '' || e.amount == null);
+  if (blanks.length > 1) return { error: 'Solo un pago puede quedar sin monto' };
+  const given = entries.filter(e => !blanks.includes(e)).map(e => ({ method: e.method, amount: roundMoney(e.amount) }));
+  if (given.some(e => !(e.amount >= 0))) return { error: 'Montos de pago inválidos' };
+  if (blanks.length === 1) {
+    const rest = roundMoney(due - given.reduce((sum, e) => sum + e.amount, 0));
+    given.push({ method: blanks[0].method, amount: Math.max(0, rest) });
+  }
 
-    // Determinar el tipo de evento. Si se fuerza (p.ej. 'venta'), respetarlo.
-    let randomEvent = forceType || null;
+  const nonCash = roundMoney(given.filter(e => e.method !== 'efectivo').reduce((sum, e) => sum + e.amount, 0));
+  const cash = roundMoney(given.filter(e => e.method === 'efectivo').reduce((sum, e) => sum + e.amount, 0));
+  if (nonCash > due) return { error: 'Los pagos que no son en efectivo superan el total' };
+  if (nonCash + cash < due) return { error: `Falta cobrar ${roundMoney(due - nonCash - cash).toFixed(2)}` };
 
-    if (!randomEvent) {
-      if (typeof simSinceReset === 'number' && simSinceReset < 10) {
-        // Primeros 10 eventos -> ingresos con productos no usados
-        const unusedProducts = SAMPLE_PRODUCTS.filter(p => !(batches || []).some(b => b.product_sku === p.sku));
-        if (unusedProducts.length > 0) {
-          selectedProduct = unusedProducts[Math.floor(Math.random() * unusedProducts.length)];
-        }
-        randomEvent = 'ingreso';
-        setSimSinceReset(prev => prev + 1);
-      } else {
-        // Después de la semilla inicial, seguimos generando ingresos por defecto.
-        // Las ventas/devoluciones se simulan solo cuando el usuario lo pide.
-        randomEvent = 'ingreso';
-      }
-    }
+  const payments = [];
+  PAYMENT_METHODS.filter(m => m.key !== 'efectivo').forEach(m => {
+    const amount = roundMoney(given.filter(e => e.method === m.key).reduce((sum, e) => sum + e.amount, 0));
+    if (amount > 0) payments.push({ method: m.key, amount });
+  });
+  const cashApplied = roundMoney(due - nonCash);
+  if (cashApplied > 0) payments.push({ method: 'efectivo', amount: cashApplied, tendered: cash });
+  if (payments.length === 0) payments.push({ method: given[0]?.method || 'efectivo', amount: 0 });
+  return { payments, change: roundMoney(cash - cashApplied) };
+}
 
-    if (randomEvent === 'devolucion') {
-      // Preferir productos que tengan movimientos o lotes devueltos
-      const candidate = SAMPLE_PRODUCTS.find(p => (stockByProduct[p.sku] || 0) > 0);
-      if (candidate) selectedProduct = candidate;
+// Afectación del producto al IGV
+const TAX_AFFECTATIONS = [
+  { key: 'gravado', label: 'Gravado' },
+  { key: 'exonerado', label: 'Exonerado' },
+  { key: 'inafecto', label: 'Inafecto' }
+];
+
+// Tasa de IGV en % y si los precios de venta ya lo incluyen ('inclusive') o no ('exclusive')
+const DEFAULT_TAX_SETTINGS = { rate: 18, mode: 'inclusive' };
+
+const taxSettingsOf = (settings) => ({ ...DEFAULT_TAX_SETTINGS, ...(settings?.tax || {}) });
+const taxAffectationLabel = (key) => (TAX_AFFECTATIONS.find(t => t.key === key) || {}).label || key || '-';
+
+// Desglose de una línea a partir del precio de lista del producto. unitPrice es
+// lo que paga el cliente por unidad (con IGV); solo lo gravado lleva impuesto.
+function computeLineTax(listPrice, quantity, affectation = 'gravado', tax = DEFAULT_TAX_SETTINGS) {
+  const rate = affectation === 'gravado' ? (Number(tax.rate) || 0) / 100 : 0;
+  const unitPrice = tax.mode === 'exclusive' ? roundMoney(listPrice * (1 + rate)) : Number(listPrice) || 0;
+  return { unitPrice, ...splitLineTax(unitPrice * quantity, affectation, tax) };
+}
+
+// Base e IGV contenidos en un importe cobrado (con IGV)
+function splitLineTax(amount, affectation = 'gravado', tax = DEFAULT_TAX_SETTINGS) {
+  const rate = affectation === 'gravado' ? (Number(tax.rate) || 0) / 100 : 0;
+  const total = roundMoney(amount);
+  const base = roundMoney(total / (1 + rate));
+  return { total, base, igv: roundMoney(total - base), rate: rate * 100 };
+}
+
+// Base e IGV de una línea vendida. Las ventas anteriores al IGV no traen
+// desglose y se reportan íntegras como base, sin impuesto.
+function lineTax(line) {
+  const total = Number(line.total ?? (line.quantity || 0) * (line.sale_price || 0)) || 0;
+  if (line.igv == null) return { total, base: total, igv: 0, affectation: line.tax_affectation || null };
+  return { total, base: Number(line.base) || 0, igv: Number(line.igv) || 0, affectation: line.tax_affectation || 'gravado' };
+}
+
+// Operaciones gravadas, exoneradas e inafectas, IGV y total de un documento
+function summarizeTax(lines) {
+  const summary = { gravada: 0, exonerada: 0, inafecta: 0, igv: 0, total: 0 };
+  lines.forEach(line => {
+    const t = lineTax(line);
+    if (t.affectation === 'exonerado') summary.exonerada += t.base;
+    else if (t.affectation === 'inafecto') summary.inafecta += t.base;
+    else summary.gravada += t.base;
+    summary.igv += t.igv;
+    summary.total += t.total;
+  });
+  return Object.fromEntries(Object.entries(summary).map(([k, v]) => [k, roundMoney(v)]));
+}
+
+// Mismo resumen sin lo devuelto: cada línea pesa por su cantidad neta, como en buildProfitFacts
+function summarizeNetTax(lines) {
+  return summarizeTax(lines.map(line => {
+    const t = lineTax(line);
+    const quantity = line.quantity || 0;
+    const share = quantity > 0 ? Math.max(0, quantity - (line.returned_quantity || 0)) / quantity : 0;
+    return { total: t.total * share, base: t.base * share, igv: t.igv * share, tax_affectation: t.affectation };
+  }));
+}
+
+// Unidades de medida. El stock de lotes, ventas y movimientos se guarda siempre en
+// la unidad base del producto; las presentaciones (caja, paquete...) solo convierten
+// al registrar o mostrar. code es el código UN/ECE rec. 20 que pide SUNAT.
+const BASE_UNITS = [
+  { key: 'unidad', label: 'Unidad', short: 'u.', code: 'NIU', decimal: false },
+  { key: 'kg', label: 'Kilogramo', short: 'kg', code: 'KGM', decimal: true },
+  { key: 'litro', label: 'Litro', short: 'L', code: 'LTR', decimal: true }
+];
+
+const PACK_UNITS = [
+  { key: 'caja', label: 'Caja', code: 'BX' },
+  { key: 'paquete', label: 'Paquete', code: 'PK' },
+  { key: 'saco', label: 'Saco', code: 'BG' },
+  { key: 'docena', label: 'Docena', code: 'DZN' }
+];
+
+// Tres decimales bastan para gramos y mililitros y evitan arrastrar errores de coma flotante
+const roundQuantity = (value) => Math.round((Number(value) || 0) * 1000) / 1000;
+
+const baseUnitOf = (product) => BASE_UNITS.find(u => u.key === product?.base_unit) || BASE_UNITS[0];
+
+// Los productos por peso o volumen admiten cantidades con decimales
+const allowsDecimals = (product) => baseUnitOf(product).decimal;
+
+// Presentaciones válidas del producto: [{ unit, factor }] con factor en unidades base
+function sanitizeUnits(units) {
+  const seen = new Set();
+  return (Array.isArray(units) ? units : [])
+    .map(u => ({ unit: u.unit, factor: roundQuantity(u.factor) }))
+    .filter(u => PACK_UNITS.some(p => p.key === u.unit) && u.factor > 0 && !seen.has(u.unit) && seen.add(u.unit));
+}
+
+// Unidad base seguida de sus presentaciones, cada una con su factor de conversión
+function productUnits(product) {
+  const base = baseUnitOf(product);
+  return [
+    { key: base.key, label: base.label, short: base.short, code: base.code, factor: 1 },
+    ...sanitizeUnits(product?.units).map(u => {
+      const pack = PACK_UNITS.find(p => p.key === u.unit);
+      return { key: pack.key, label: pack.label, short: pack.label.toLowerCase(), code: pack.code, factor: u.factor };
+    })
+  ];
+}
+
+const unitOf = (product, unitKey) => productUnits(product).find(u => u.key === unitKey) || productUnits(product)[0];
+
+const toBaseQuantity = (product, quantity, unitKey) => roundQuantity((Number(quantity) || 0) * unitOf(product, unitKey).factor);
+
+// Error de una cantidad en unidad base, o null si es válida para el producto
+function quantityError(product, baseQuantity) {
+  if (!(baseQuantity > 0)) return 'La cantidad debe ser mayor a 0';
+  if (!allowsDecimals(product) && !Number.isInteger(roundQuantity(baseQuantity))) {
+    return `${product?.name || product?.sku || 'El producto'} se maneja en unidades enteras`;
+  }
+  return null;
+}
+
+// Cantidad base expresada en la unidad indicada (p. ej. "2 caja" o "1.25 kg")
+function formatQuantity(product, baseQuantity, unitKey) {
+  const unit = unitOf(product, unitKey);
+  return `${roundQuantity((Number(baseQuantity) || 0) / unit.factor)} ${unit.short}`;
+}
+
+// Stock en unidad base con su desglose en la presentación más grande (48 u. = 2 caja)
+function describeStock(product, baseQuantity) {
+  const quantity = roundQuantity(baseQuantity);
+  const base = formatQuantity(product, quantity);
+  const largest = productUnits(product).slice(1).sort((a, b) => b.factor - a.factor)[0];
+  if (!largest || quantity < largest.factor) return base;
+  const packs = Math.floor(roundQuantity(quantity / largest.factor));
+  const rest = roundQuantity(quantity - packs * largest.factor);
+  return `${base} = ${packs} ${largest.short}${rest > 0 ? ` + ${formatQuantity(product, rest)}` : ''}`;
+}
+
+// Listas de precios elegibles por venta. Sin precio mayorista se cobra el minorista.
+const PRICE_LISTS = [
+  { key: 'minorista', label: 'Minorista' },
+  { key: 'mayorista', label: 'Mayorista' }
+];
+
+const priceListLabel = (key) => (PRICE_LISTS.find(l => l.key === key) || PRICE_LISTS[0]).label;
+
+function listPriceFor(product, priceList = 'minorista') {
+  if (priceList === 'mayorista' && Number(product?.wholesale_price) > 0) return Number(product.wholesale_price);
+  return Number(product?.default_sale_price) || 0;
+}
+
+// Promociones programadas: "lleva N paga M" o % de descuento, sobre un SKU o una categoría
+const PROMOTION_TYPES = [
+  { key: 'nxm', label: 'Lleva N paga M' },
+  { key: 'percent', label: '% de descuento' }
+];
+
+// Descuento manual de línea o de ticket: porcentaje o monto (con IGV)
+const DISCOUNT_TYPES = [
+  { key: 'percent', label: '%' },
+  { key: 'amount', label: 'Monto' }
+];
+
+const promotionLabel = (promo) => (promo.type === 'nxm' ? `${promo.buy}x${promo.pay}` : `-${promo.percent}%`);
+
+// Vigente el día local de timestamp (fechas inclusive)
+function promotionActive(promo, timestamp) {
+  if (promo.active === false) return false;
+  const day = localDateKey(timestamp);
+  return (!promo.starts_on || day >= promo.starts_on) && (!promo.ends_on || day <= promo.ends_on);
+}
+
+const promotionApplies = (promo, product) => (promo.scope === 'category'
+  ? (product.category || 'Sin categoría') === promo.category
+  : promo.sku === product.sku);
+
+// Importe que descuenta una promoción sobre quantity unidades a unitPrice
+function promotionDiscount(promo, quantity, unitPrice) {
+  if (promo.type === 'nxm') {
+    const buy = Number(promo.buy) || 0;
+    const pay = Number(promo.pay) || 0;
+    if (buy <= 0 || pay < 0 || pay >= buy) return 0;
+    return Math.floor(quantity / buy) * (buy - pay) * unitPrice;
+  }
+  return quantity * unitPrice * Math.min(100, Math.max(0, Number(promo.percent) || 0)) / 100;
+}
+
+const discountAmount = (discount, amount) => {
+  const value = Number(discount?.value) || 0;
+  if (value <= 0) return 0;
+  return discount.type === 'percent' ? amount * Math.min(100, value) / 100 : value;
+};
+
+const hasManualDiscount = (discount) => (Number(discount?.value) || 0) > 0;
+
+// Precio final de cada línea: lista elegida -> mejor promoción vigente -> descuento
+// de línea -> descuento de ticket prorrateado. El IGV se calcula sobre el importe
+// final, así base, IGV y margen reflejan lo realmente cobrado.
+function priceSaleLines(lines, products, { tax = DEFAULT_TAX_SETTINGS, priceList = 'minorista', promotions = [], ticketDiscount = null, timestamp = nowISO() } = {}) {
+  const errors = [];
+  const priced = lines.map(line => {
+    const product = products.find(p => p.sku === line.sku) || { sku: line.sku };
+    const affectation = product.tax_affectation || 'gravado';
+    const listPrice = product.default_sale_price != null ? listPriceFor(product, priceList) : Number(line.price) || 0;
+    const gross = computeLineTax(listPrice, line.quantity, affectation, tax);
+    const discounts = [];
+
+    const best = promotions
+      .filter(p => promotionActive(p, timestamp) && promotionApplies(p, product))
+      .map(p => ({ promotion: p, amount: roundMoney(promotionDiscount(p, line.quantity, gross.unitPrice)) }))
+      .sort((a, b) => b.amount - a.amount)[0];
+    if (best && best.amount > 0) {
+      discounts.push({ source: 'promocion', promotion_id: best.promotion.id, label: `${best.promotion.name} (${promotionLabel(best.promotion)})`, amount: best.amount });
     }
 
-    // Generar cantidades lógicas según el evento
-    let quantity;
-    if (randomEvent === 'ingreso') {
-      if (typeof simSinceReset === 'number' && simSinceReset < 10) {
-        quantity = Math.floor(Math.random() * 91) + 30; // 30-120
-      } else {
-        quantity = Math.floor(Math.random() * 41) + 10; // 10-50
+    const afterPromo = roundMoney(gross.total - (discounts[0]?.amount || 0));
+    const manual = roundMoney(discountAmount(line.discount, afterPromo));
+    if (manual > afterPromo) errors.push(`${product.name || line.sku}: el descuento supera el importe de la línea`);
+    if (manual > 0) {
+      discounts.push({ source: 'linea', label: line.discount.type === 'percent' ? `Descuento ${line.discount.value}%` : 'Descuento', reason: line.discount.reason || '', amount: manual });
+    }
+    return { line, product, affectation, listPrice, gross, discounts, net: Math.max(0, roundMoney(afterPromo - manual)) };
+  });
+
+  // El descuento de ticket se reparte entre las líneas según su importe
+  const subtotal = roundMoney(priced.reduce((sum, p) => sum + p.net, 0));
+  const ticketAmount = roundMoney(discountAmount(ticketDiscount, subtotal));
+  if (ticketAmount > subtotal) errors.push('El descuento del ticket supera el total');
+  let pending = Math.min(ticketAmount, subtotal);
+  priced.forEach((p, i) => {
+    const share = Math.min(p.net, i === priced.length - 1 ? pending : roundMoney(subtotal > 0 ? ticketAmount * p.net / subtotal : 0));
+    if (share <= 0) return;
+    pending = roundMoney(pending - share);
+    p.net = roundMoney(p.net - share);
+    p.discounts.push({ source: 'ticket', label: 'Descuento de ticket', reason: ticketDiscount.reason || '', amount: share });
+  });
+
+  const result = priced.map(p => {
+    const taxed = splitLineTax(p.net, p.affectation, tax);
+    const quantity = Number(p.line.quantity) || 0;
+    return {
+      sku: p.line.sku,
+      quantity,
+      list_price: p.listPrice,
+      unit_price: p.gross.unitPrice,
+      gross_total: p.gross.total,
+      discounts: p.discounts,
+      discount_amount: roundMoney(p.gross.total - taxed.total),
+      // Precio efectivo por unidad: devoluciones y margen usan lo realmente cobrado
+      sale_price: quantity ? taxed.total / quantity : 0,
+      total: taxed.total,
+      base: taxed.base,
+      igv: taxed.igv,
+      tax_affectation: p.affectation,
+      tax_rate: taxed.rate
+    };
+  });
+  return {
+    lines: result,
+    gross: roundMoney(result.reduce((sum, l) => sum + l.gross_total, 0)),
+    discount: roundMoney(result.reduce((sum, l) => sum + l.discount_amount, 0)),
+    ticketDiscount: roundMoney(Math.min(ticketAmount, subtotal)),
+    total: roundMoney(result.reduce((sum, l) => sum + l.total, 0)),
+    errors
+  };
+}
+
+// Comprobantes de pago electrónicos (catálogo 01 de SUNAT)
+const DOCUMENT_TYPES = [
+  { key: 'boleta', label: 'Boleta de venta', code: '03', prefix: 'B' },
+  { key: 'factura', label: 'Factura', code: '01', prefix: 'F' }
+];
+
+// Datos del emisor y series en uso; el correlativo de cada serie vive en el store document_series
+const DEFAULT_INVOICING_SETTINGS = { ruc: '', business_name: '', address: '', boleta_series: 'B001', factura_series: 'F001' };
+
+const documentTypeOf = (key) => DOCUMENT_TYPES.find(d => d.key === key) || DOCUMENT_TYPES[0];
+const invoicingSettingsOf = (settings) => ({ ...DEFAULT_INVOICING_SETTINGS, ...(settings?.invoicing || {}) });
+const isValidSeries = (series, type) => new RegExp(`^${documentTypeOf(type).prefix}[A-Z0-9]{3}$`).test(String(series || ''));
+const formatDocumentId = (series, number) => `${series}-${String(number).padStart(8, '0')}`;
+const currencyCode = (currency) => (currency === '$' ? 'USD' : 'PEN');
+
+// Tipo de documento de identidad (catálogo 06): DNI de 8 dígitos o RUC de 11
+function customerIdType(docNumber) {
+  const value = String(docNumber || '').trim();
+  if (/^\d{8}$/.test(value)) return { code: '1', label: 'DNI' };
+  if (/^\d{11}$/.test(value)) return { code: '6', label: 'RUC' };
+  return value ? null : { code: '0', label: 'Sin documento' };
+}
+
+// Valida el comprobante pedido al cobrar. Devuelve el mensaje de error o null.
+function validateDocumentRequest(request) {
+  const type = documentTypeOf(request?.type);
+  const docNumber = String(request?.customer?.doc_number || '').trim();
+  const name = String(request?.customer?.name || '').trim();
+  if (type.key === 'factura') {
+    if (!/^\d{11}$/.test(docNumber)) return 'La factura requiere el RUC del cliente (11 dígitos)';
+    if (!name) return 'La factura requiere la razón social del cliente';
+    return null;
+  }
+  if (docNumber && !customerIdType(docNumber)) return 'El documento del cliente debe ser DNI (8 dígitos) o RUC (11 dígitos)';
+  return null;
+}
+
+const WORDS_SMALL = ['CERO', 'UNO', 'DOS', 'TRES', 'CUATRO', 'CINCO', 'SEIS', 'SIETE', 'OCHO', 'NUEVE', 'DIEZ',
+  'ONCE', 'DOCE', 'TRECE', 'CATORCE', 'QUINCE', 'DIECISÉIS', 'DIECISIETE', 'DIECIOCHO', 'DIECINUEVE', 'VEINTE',
+  'VEINTIUNO', 'VEINTIDÓS', 'VEINTITRÉS', 'VEINTICUATRO', 'VEINTICINCO', 'VEINTISÉIS', 'VEINTISIETE', 'VEINTIOCHO', 'VEINTINUEVE'];
+const WORDS_TENS = ['', '', '', 'TREINTA', 'CUARENTA', 'CINCUENTA', 'SESENTA', 'SETENTA', 'OCHENTA', 'NOVENTA'];
+const WORDS_HUNDREDS = ['', 'CIENTO', 'DOSCIENTOS', 'TRESCIENTOS', 'CUATROCIENTOS', 'QUINIENTOS', 'SEISCIENTOS', 'SETECIENTOS', 'OCHOCIENTOS', 'NOVECIENTOS'];
+
+// Entero en letras (español), p. ej. 21500 -> VEINTIÚN MIL QUINIENTOS
+function numberToWords(n) {
+  const apocope = (words) => words.replace(/VEINTIUNO$/, 'VEINTIÚN').replace(/UNO$/, 'UN');
+  if (n < 30) return WORDS_SMALL[n];
+  if (n < 100) return WORDS_TENS[Math.floor(n / 10)] + (n % 10 ? ` Y ${WORDS_SMALL[n % 10]}` : '');
+  if (n === 100) return 'CIEN';
+  if (n < 1000) return WORDS_HUNDREDS[Math.floor(n / 100)] + (n % 100 ? ` ${numberToWords(n % 100)}` : '');
+  if (n < 1000000) {
+    const thousands = Math.floor(n / 1000);
+    return (thousands === 1 ? 'MIL' : `${apocope(numberToWords(thousands))} MIL`) + (n % 1000 ? ` ${numberToWords(n % 1000)}` : '');
+  }
+  const millions = Math.floor(n / 1000000);
+  return (millions === 1 ? 'UN MILLÓN' : `${apocope(numberToWords(millions))} MILLONES`) + (n % 1000000 ? ` ${numberToWords(n % 1000000)}` : '');
+}
+
+// Leyenda de monto en letras (código 1000) que exige el comprobante impreso y el XML
+function amountInWords(amount, currency) {
+  const cents = Math.round((Number(amount) || 0) * 100);
+  const name = currencyCode(currency) === 'USD' ? 'DÓLARES AMERICANOS' : 'SOLES';
+  return `SON ${numberToWords(Math.floor(cents / 100))} Y ${String(cents % 100).padStart(2, '0')}/100 ${name}`;
+}
+
+// Tributo y código de afectación (catálogos 05 y 07) por tipo de operación
+const UBL_TAX_SCHEMES = {
+  gravado: { id: '1000', name: 'IGV', code: 'VAT', category: 'S', reason: '10' },
+  exonerado: { id: '9997', name: 'EXO', code: 'VAT', category: 'E', reason: '20' },
+  inafecto: { id: '9998', name: 'INA', code: 'FRE', category: 'O', reason: '30' }
+};
+
+// Plazo de la cuota única de una factura al crédito (el fiado se cobra en el primer tramo de antigüedad)
+const CREDIT_TERM_DAYS = 30;
+
+const xmlEscape = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+
+// XML UBL 2.1 (Invoice) de una boleta o factura, sin firmar: el emisor debe
+// firmarlo con su propio certificado digital antes de enviarlo (el OSE/SUNAT
+// solo lo valida), por eso ExtensionContent queda vacío para esa firma.
+function buildUblXml(doc, sale, settings) {
+  const invoicing = invoicingSettingsOf(settings);
+  const type = documentTypeOf(doc.type);
+  const cur = `currencyID="${doc.currency}"`;
+  const amount = (v) => Number(v || 0).toFixed(2);
+  const issued = new Date(doc.issued_at);
+  const customerId = customerIdType(doc.customer?.doc_number) || { code: '0' };
+  // Forma de pago: lo fiado se declara como Credito con una cuota al vencimiento del plazo
+  const creditAmount = salePayments(sale).filter(p => p.method === 'credito').reduce((sum, p) => sum + (p.amount || 0), 0);
+  const dueDate = new Date(issued);
+  dueDate.setDate(dueDate.getDate() + CREDIT_TERM_DAYS);
+  const taxTotals = {
+    gravado: { base: doc.totals.gravada, igv: doc.totals.igv },
+    exonerado: { base: doc.totals.exonerada, igv: 0 },
+    inafecto: { base: doc.totals.inafecta, igv: 0 }
+  };
+  // A nivel de línea se indican además la tasa y el código de afectación
+  const taxCategory = (affectation, indent, line = null) => {
+    const scheme = UBL_TAX_SCHEMES[affectation];
+    return [
+      `${indent}<cac:TaxCategory>`,
+      ...(line ? [
+        `${indent}  <cbc:Percent>${affectation === 'gravado' ? amount(line.tax_rate) : '0.00'}</cbc:Percent>`,
+        `${indent}  <cbc:TaxExemptionReasonCode>${scheme.reason}</cbc:TaxExemptionReasonCode>`
+      ] : []),
+      `${indent}  <cac:TaxScheme>`,
+      `${indent}    <cbc:ID>${scheme.id}</cbc:ID>`,
+      `${indent}    <cbc:Name>${scheme.name}</cbc:Name>`,
+      `${indent}    <cbc:TaxTypeCode>${scheme.code}</cbc:TaxTypeCode>`,
+      `${indent}  </cac:TaxScheme>`,
+      `${indent}</cac:TaxCategory>`
+    ];
+  };
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<Invoice xmlns="urn:oasis:names:specification:ubl:schema:xsd:Invoice-2"',
+    '  xmlns:cac="urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2"',
+    '  xmlns:cbc="urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2"',
+    '  xmlns:ds="http://www.w3.org/2000/09/xmldsig#"',
+    '  xmlns:ext="urn:oasis:names:specification:ubl:schema:xsd:CommonExtensionComponents-2">',
+    '  <ext:UBLExtensions>',
+    '    <ext:UBLExtension>',
+    '      <ext:ExtensionContent/>',
+    '    </ext:UBLExtension>',
+    '  </ext:UBLExtensions>',
+    '  <cbc:UBLVersionID>2.1</cbc:UBLVersionID>',
+    '  <cbc:CustomizationID>2.0</cbc:CustomizationID>',
+    `  <cbc:ID>${xmlEscape(doc.id)}</cbc:ID>`,
+    `  <cbc:IssueDate>${localDateKey(issued)}</cbc:IssueDate>`,
+    `  <cbc:IssueTime>${issued.toTimeString().slice(0, 8)}</cbc:IssueTime>`,
+    `  <cbc:InvoiceTypeCode listID="0101">${type.code}</cbc:InvoiceTypeCode>`,
+    `  <cbc:Note languageLocaleID="1000">${xmlEscape(amountInWords(doc.totals.total, settings?.currency))}</cbc:Note>`,
+    `  <cbc:DocumentCurrencyCode>${doc.currency}</cbc:DocumentCurrencyCode>`,
+    `  <cbc:LineCountNumeric>${getSaleLines(sale).length}</cbc:LineCountNumeric>`,
+    '  <cac:Signature>',
+    `    <cbc:ID>${xmlEscape(invoicing.ruc)}</cbc:ID>`,
+    '    <cac:SignatoryParty>',
+    '      <cac:PartyIdentification>',
+    `        <cbc:ID>${xmlEscape(invoicing.ruc)}</cbc:ID>`,
+    '      </cac:PartyIdentification>',
+    '      <cac:PartyName>',
+    `        <cbc:Name>${xmlEscape(invoicing.business_name || settings?.bodega)}</cbc:Name>`,
+    '      </cac:PartyName>',
+    '    </cac:SignatoryParty>',
+    '    <cac:DigitalSignatureAttachment>',
+    '      <cac:ExternalReference>',
+    '        <cbc:URI>#SignatureSP</cbc:URI>',
+    '      </cac:ExternalReference>',
+    '    </cac:DigitalSignatureAttachment>',
+    '  </cac:Signature>',
+    '  <cac:AccountingSupplierParty>',
+    '    <cac:Party>',
+    '      <cac:PartyIdentification>',
+    `        <cbc:ID schemeID="6">${xmlEscape(invoicing.ruc)}</cbc:ID>`,
+    '      </cac:PartyIdentification>',
+    '      <cac:PartyName>',
+    `        <cbc:Name>${xmlEscape(settings?.bodega)}</cbc:Name>`,
+    '      </cac:PartyName>',
+    '      <cac:PartyLegalEntity>',
+    `        <cbc:RegistrationName>${xmlEscape(invoicing.business_name || settings?.bodega)}</cbc:RegistrationName>`,
+    '        <cac:RegistrationAddress>',
+    '          <cbc:AddressTypeCode>0000</cbc:AddressTypeCode>',
+    '          <cac:AddressLine>',
+    `            <cbc:Line>${xmlEscape(invoicing.address)}</cbc:Line>`,
+    '          </cac:AddressLine>',
+    '        </cac:RegistrationAddress>',
+    '      </cac:PartyLegalEntity>',
+    '    </cac:Party>',
+    '  </cac:AccountingSupplierParty>',
+    '  <cac:AccountingCustomerParty>',
+    '    <cac:Party>',
+    '      <cac:PartyIdentification>',
+    `        <cbc:ID schemeID="${customerId.code}">${xmlEscape(doc.customer?.doc_number || '-')}</cbc:ID>`,
+    '      </cac:PartyIdentification>',
+    '      <cac:PartyLegalEntity>',
+    `        <cbc:RegistrationName>${xmlEscape(doc.customer?.name || 'CLIENTES VARIOS')}</cbc:RegistrationName>`,
+    '      </cac:PartyLegalEntity>',
+    '    </cac:Party>',
+    '  </cac:AccountingCustomerParty>',
+    ...(type.key === 'factura' && creditAmount > 0 ? [
+      '  <cac:PaymentTerms>',
+      '    <cbc:ID>FormaPago</cbc:ID>',
+      '    <cbc:PaymentMeansID>Credito</cbc:PaymentMeansID>',
+      `    <cbc:Amount ${cur}>${amount(creditAmount)}</cbc:Amount>`,
+      '  </cac:PaymentTerms>',
+      '  <cac:PaymentTerms>',
+      '    <cbc:ID>FormaPago</cbc:ID>',
+      '    <cbc:PaymentMeansID>Cuota001</cbc:PaymentMeansID>',
+      `    <cbc:Amount ${cur}>${amount(creditAmount)}</cbc:Amount>`,
+      `    <cbc:PaymentDueDate>${localDateKey(dueDate)}</cbc:PaymentDueDate>`,
+      '  </cac:PaymentTerms>'
+    ] : []),
+    ...(type.key === 'factura' && !(creditAmount > 0) ? [
+      '  <cac:PaymentTerms>',
+      '    <cbc:ID>FormaPago</cbc:ID>',
+      '    <cbc:PaymentMeansID>Contado</cbc:PaymentMeansID>',
+      '  </cac:PaymentTerms>'
+    ] : []),
+    '  <cac:TaxTotal>',
+    `    <cbc:TaxAmount ${cur}>${amount(doc.totals.igv)}</cbc:TaxAmount>`,
+    ...Object.entries(taxTotals)
+      .filter(([affectation, t]) => affectation === 'gravado' || t.base > 0)
+      .flatMap(([affectation, t]) => [
+        '    <cac:TaxSubtotal>',
+        `      <cbc:TaxableAmount ${cur}>${amount(t.base)}</cbc:TaxableAmount>`,
+        `      <cbc:TaxAmount ${cur}>${amount(t.igv)}</cbc:TaxAmount>`,
+        ...taxCategory(affectation, '      '),
+        '    </cac:TaxSubtotal>'
+      ]),
+    '  </cac:TaxTotal>',
+    '  <cac:LegalMonetaryTotal>',
+    `    <cbc:LineExtensionAmount ${cur}>${amount(doc.totals.gravada + doc.totals.exonerada + doc.totals.inafecta)}</cbc:LineExtensionAmount>`,
+    `    <cbc:TaxInclusiveAmount ${cur}>${amount(doc.totals.total)}</cbc:TaxInclusiveAmount>`,
+    `    <cbc:PayableAmount ${cur}>${amount(doc.totals.total)}</cbc:PayableAmount>`,
+    '  </cac:LegalMonetaryTotal>',
+    ...getSaleLines(sale).flatMap((line, i) => {
+      const t = lineTax(line);
+      const affectation = t.affectation || 'gravado';
+      const quantity = Number(line.quantity) || 0;
+      return [
+        '  <cac:InvoiceLine>',
+        `    <cbc:ID>${i + 1}</cbc:ID>`,
+        `    <cbc:InvoicedQuantity unitCode="${baseUnitOf({ base_unit: line.base_unit }).code}">${quantity}</cbc:InvoicedQuantity>`,
+        `    <cbc:LineExtensionAmount ${cur}>${amount(t.base)}</cbc:LineExtensionAmount>`,
+        '    <cac:PricingReference>',
+        '      <cac:AlternativeConditionPrice>',
+        `        <cbc:PriceAmount ${cur}>${amount(line.sale_price)}</cbc:PriceAmount>`,
+        '        <cbc:PriceTypeCode>01</cbc:PriceTypeCode>',
+        '      </cac:AlternativeConditionPrice>',
+        '    </cac:PricingReference>',
+        '    <cac:TaxTotal>',
+        `      <cbc:TaxAmount ${cur}>${amount(t.igv)}</cbc:TaxAmount>`,
+        '      <cac:TaxSubtotal>',
+        `        <cbc:TaxableAmount ${cur}>${amount(t.base)}</cbc:TaxableAmount>`,
+        `        <cbc:TaxAmount ${cur}>${amount(t.igv)}</cbc:TaxAmount>`,
+        ...taxCategory(affectation, '        ', line),
+        '      </cac:TaxSubtotal>',
+        '    </cac:TaxTotal>',
+        '    <cac:Item>',
+        `      <cbc:Description>${xmlEscape(line.product_name || line.sku)}</cbc:Description>`,
+        '      <cac:SellersItemIdentification>',
+        `        <cbc:ID>${xmlEscape(line.sku)}</cbc:ID>`,
+        '      </cac:SellersItemIdentification>',
+        '    </cac:Item>',
+        '    <cac:Price>',
+        `      <cbc:PriceAmount ${cur}>${quantity ? (t.base / quantity).toFixed(6) : '0.000000'}</cbc:PriceAmount>`,
+        '    </cac:Price>',
+        '  </cac:InvoiceLine>'
+      ];
+    }),
+    '</Invoice>'
+  ];
+  return xml.join('\n');
+}
+
+// Asigna el siguiente correlativo de la serie y guarda el comprobante con su XML.
+// Corre dentro de la transacción de la venta (stores document_series y documents),
+// así una venta rechazada no consume número.
+async function issueDocument(tx, sale, request, settings) {
+  const type = documentTypeOf(request?.type);
+  const invoicing = invoicingSettingsOf(settings);
+  const series = invoicing[`${type.key}_series`] || DEFAULT_INVOICING_SETTINGS[`${type.key}_series`];
+  const seriesStore = tx.objectStore('document_series');
+  const documentStore = tx.objectStore('documents');
+
+  const current = await seriesStore.get(series) || { series, type: type.key, last_number: 0 };
+  // Un respaldo restaurado puede traer un correlativo atrasado: nunca repetir un número
+  let number = current.last_number + 1;
+  while (await documentStore.get(formatDocumentId(series, number))) number++;
+  await seriesStore.put({ ...current, last_number: number, updated_at: nowISO() });
+
+  const docNumber = String(request?.customer?.doc_number || '').trim();
+  const doc = {
+    id: formatDocumentId(series, number),
+    type: type.key,
+    series,
+    number,
+    sale_id: sale.id,
+    issued_at: sale.timestamp,
+    customer: docNumber || request?.customer?.name
+      ? { doc_number: docNumber, name: String(request?.customer?.name || '').trim() }
+      : null,
+    currency: currencyCode(settings?.currency),
+    totals: summarizeTax(getSaleLines(sale)),
+    issuer_ruc: invoicing.ruc,
+    operator: sale.operator,
+    status: 'emitido',
+    created_at: nowISO()
+  };
+  doc.xml = buildUblXml(doc, sale, settings);
+  await documentStore.add(doc);
+  return doc;
+}
+
+// Movimientos de caja que se acumulan en un turno
+const SHIFT_MOVEMENT_TYPES = ['venta', 'anulacion_venta', 'devolucion_venta'];
+
+// Totales de un turno a partir de sus movimientos y efectivo esperado en caja.
+// Anulaciones y devoluciones salen por los mismos medios con que se cobró la venta;
+// los abonos de clientes (collections) entran por el medio con que se pagaron.
+function summarizeShift(shift, movements, sales = [], collections = []) {
+  const selected = movements.filter(m => m.shift_id === shift.id && SHIFT_MOVEMENT_TYPES.includes(m.type));
+  const received = collections.filter(c => c.shift_id === shift.id);
+  const salesById = new Map(sales.map(s => [s.id, s]));
+  const methods = Object.fromEntries(PAYMENT_METHODS.map(m => [m.key, { sales: 0, refunds: 0, collections: 0 }]));
+  selected.forEach(m => {
+    const value = (Number(m.quantity) || 0) * (Number(m.price) || 0);
+    const sale = salesById.get(m.sale_id);
+    const parts = sale ? splitByPayment(sale, value) : { efectivo: value };
+    Object.entries(parts).forEach(([method, amount]) => {
+      if (!methods[method]) methods[method] = { sales: 0, refunds: 0, collections: 0 };
+      methods[method][m.type === 'venta' ? 'sales' : 'refunds'] += amount;
+    });
+  });
+  received.forEach(c => {
+    if (!methods[c.method]) methods[c.method] = { sales: 0, refunds: 0, collections: 0 };
+    methods[c.method].collections += Number(c.amount) || 0;
+  });
+  const byType = (type) => selected.filter(m => m.type === type);
+  const amount = (type) => byType(type).reduce((sum, m) => sum + (Number(m.quantity) || 0) * (Number(m.price) || 0), 0);
+  const documents = (type, key) => new Set(byType(type).map(m => m[key])).size;
+  const salesTotal = amount('venta');
+  const cancellationsTotal = amount('anulacion_venta');
+  const returnsTotal = amount('devolucion_venta');
+  return {
+    movements: selected,
+    salesCount: documents('venta', 'sale_id'),
+    salesTotal,
+    cancellationsCount: documents('anulacion_venta', 'sale_id'),
+    cancellationsTotal,
+    returnsCount: documents('devolucion_venta', 'return_id'),
+    returnsTotal,
+    collectionsCount: received.length,
+    collectionsTotal: received.reduce((sum, c) => sum + (Number(c.amount) || 0), 0),
+    byMethod: Object.entries(methods).map(([method, t]) => ({ method, label: paymentMethodLabel(method), ...t, net: t.sales - t.refunds + t.collections })),
+    expectedCash: (Number(shift.opening_cash) || 0) + methods.efectivo.sales - methods.efectivo.refunds + methods.efectivo.collections
+  };
+}
+
+// Antigüedad de la deuda por ventas al crédito, en días desde la venta
+const AGING_BUCKETS = [
+  { key: 'd30', label: '0-30 días', max: 30 },
+  { key: 'd60', label: '31-60 días', max: 60 },
+  { key: 'd90', label: '61-90 días', max: 90 },
+  { key: 'over90', label: 'Más de 90 días', max: Infinity }
+];
+
+// Estado de cuenta de un cliente. Cada venta al crédito es un cargo, neto de lo
+// anulado o devuelto por ese medio; los abonos cancelan primero la deuda más antigua.
+function customerAccount(customerId, sales, movements, payments, asOf = new Date()) {
+  const refundTypes = ['anulacion_venta', 'devolucion_venta'];
+  const charges = sales
+    .filter(s => s.customer_id === customerId)
+    .map(sale => {
+      const amount = salePayments(sale).filter(p => p.method === 'credito').reduce((sum, p) => sum + (Number(p.amount) || 0), 0);
+      if (amount <= 0) return null;
+      const refunds = movements
+        .filter(m => m.sale_id === sale.id && refundTypes.includes(m.type))
+        .map(m => ({ timestamp: m.timestamp, amount: splitByPayment(sale, (Number(m.quantity) || 0) * (Number(m.price) || 0)).credito || 0 }));
+      const refunded = refunds.reduce((sum, r) => sum + r.amount, 0);
+      return { sale_id: sale.id, document_id: sale.document_id || null, timestamp: sale.timestamp, amount: roundMoney(amount), refunds, refunded: roundMoney(refunded), due: roundMoney(amount - refunded) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const received = payments
+    .filter(p => p.customer_id === customerId)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  let available = received.reduce((sum, p) => sum + (Number(p.amount) || 0), 0);
+  charges.forEach(c => {
+    const applied = Math.min(c.due, available);
+    available -= applied;
+    c.pending = roundMoney(c.due - applied);
+  });
+
+  const aging = Object.fromEntries(AGING_BUCKETS.map(b => [b.key, 0]));
+  charges.filter(c => c.pending > 0).forEach(c => {
+    const days = Math.floor((asOf - new Date(c.timestamp)) / 86400000);
+    const bucket = AGING_BUCKETS.find(b => days <= b.max);
+    aging[bucket.key] = roundMoney(aging[bucket.key] + c.pending);
+  });
+
+  // Movimientos en orden cronológico con saldo acumulado
+  let running = 0;
+  const entries = [
+    ...charges.map(c => ({ timestamp: c.timestamp, type: 'cargo', reference: c.document_id || c.sale_id, amount: c.amount })),
+    ...charges.flatMap(c => c.refunds.map(r => ({ timestamp: r.timestamp, type: 'devolucion', reference: c.document_id || c.sale_id, amount: -r.amount }))),
+    ...received.map(p => ({ timestamp: p.timestamp, type: 'abono', reference: `${paymentMethodLabel(p.method)}${p.note ? ` · ${p.note}` : ''}`, amount: -(Number(p.amount) || 0) }))
+  ]
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .map(e => {
+      running += e.amount;
+      return { ...e, balance: roundMoney(running) };
+    });
+
+  const balance = roundMoney(charges.reduce((sum, c) => sum + c.due, 0) - received.reduce((sum, p) => sum + (Number(p.amount) || 0), 0));
+  return { charges, payments: received, entries, balance, aging };
+}
+
+// Crédito disponible: sin límite registrado el cliente no tiene fiado
+const availableCredit = (customer, balance) => roundMoney((Number(customer?.credit_limit) || 0) - Math.max(0, balance));
+
+// Roles de operador y permisos que otorgan. El administrador puede todo.
+const OPERATOR_ROLES = [
+  { key: 'administrador', label: 'Administrador' },
+  { key: 'cajero', label: 'Cajero' },
+  { key: 'almacenero', label: 'Almacenero' }
+];
+
+const PERMISSIONS = {
+  anular_venta: { label: 'anular ventas', roles: ['administrador'] },
+  aplicar_descuento: { label: 'aplicar descuentos manuales', roles: ['administrador'] },
+  devolver_venta: { label: 'registrar devoluciones de clientes', roles: ['administrador', 'cajero'] },
+  devolver_compra: { label: 'devolver mercadería al proveedor', roles: ['administrador', 'almacenero'] },
+  editar_precios: { label: 'editar precios', roles: ['administrador'] },
+  reconfigurar: { label: 'reconfigurar la bodega', roles: ['administrador'] },
+  reset_bd: { label: 'resetear la base de datos', roles: ['administrador'] },
+  restaurar_respaldo: { label: 'restaurar respaldos', roles: ['administrador'] },
+  registrar_merma: { label: 'dar de baja mercadería', roles: ['administrador', 'almacenero'] },
+  aprobar_conteo: { label: 'aprobar conteos de inventario', roles: ['administrador'] },
+  fusionar_productos: { label: 'fusionar productos', roles: ['administrador'] },
+  gestionar_operadores: { label: 'gestionar operadores', roles: ['administrador'] },
+  gestionar_dispositivos: { label: 'gestionar dispositivos', roles: ['administrador'] },
+  gestionar_credito: { label: 'asignar límites de crédito', roles: ['administrador'] },
+  cerrar_turno_ajeno: { label: 'cerrar turnos de otros operadores', roles: ['administrador'] }
+};
+
+const operatorRoleLabel = (key) => (OPERATOR_ROLES.find(r => r.key === key) || {}).label || key || '-';
+
+function hasPermission(operator, permission) {
+  if (!operator || operator.active === false) return false;
+  return (PERMISSIONS[permission]?.roles || []).includes(operator.role);
+}
+
+// El PIN nunca se guarda en claro: SHA-256 de sal aleatoria + PIN
+async function hashPin(pin, salt) {
+  return computeChecksum(`${salt}:${pin}`);
+}
+
+function newPinSalt() {
+  return Array.from(crypto.getRandomValues(new Uint8Array(16))).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+const isValidPin = (pin) => /^\d{4,6}$/.test(String(pin || ''));
+
+// Minimal RSSI indicator
+function RSSIIndicator({ rssi, connected }){
+  const color = connected ? 'var(--color-success)' : 'var(--color-text-secondary)';
+  return (
+    <div style={{ fontSize: '12px', color }}>{connected ? `RSSI: ${rssi} dBm` : `RSSI: ${rssi} dBm`}</div>
+  );
+}
+
+// Versión actual del esquema. Subirla junto con un nuevo paso en MIGRATIONS.
+const DB_VERSION = 12;
+
+// Migraciones numeradas del esquema. Cada paso corre dentro de la transacción
+// de upgrade. idb no espera la promesa de upgrade, así que initDB captura el
+// error de cualquier paso y aborta la transacción él mismo: la BD queda en la
+// versión anterior con sus datos intactos y openDB rechaza con ese error.
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Esquema inicial: productos, lotes, ventas, devoluciones y movimientos',
+    migrate(db) {
+      // Productos y configuración
+      if (!db.objectStoreNames.contains('products')) db.createObjectStore('products', { keyPath: 'sku' });
+      if (!db.objectStoreNames.contains('settings')) db.createObjectStore('settings', { keyPath: 'key' });
+
+      // Unified store for inventory and sales
+      if (!db.objectStoreNames.contains('batches')) {
+        const batchStore = db.createObjectStore('batches', { keyPath: 'id', autoIncrement: true });
+        batchStore.createIndex('by_sku', 'product_sku');
+        batchStore.createIndex('by_lot', 'lot');
+        batchStore.createIndex('by_type', 'type');
       }
-    } else if (randomEvent === 'venta') {
-      // Para ventas: exigir sensor y elegir producto con stock
-      if (!salesSensorConnected) {
-        alert('⚠️ Debes conectar el sensor de ventas');
-        setIsScanning(false);
-        return;
+
+      // Sales and returns stores (necesarios para registrar ventas y devoluciones)
+      if (!db.objectStoreNames.contains('sales')) {
+        const salesStore = db.createObjectStore('sales', { keyPath: 'id', autoIncrement: true });
+        salesStore.createIndex('by_sku', 'sku');
+        salesStore.createIndex('by_date', 'timestamp');
       }
-      const inventoryEntries = Object.entries(stockByProduct).filter(([_, qty]) => qty > 0);
-      if (inventoryEntries.length === 0) {
-        alert('No hay stock disponible para vender. Primero registra ingresos.');
-        setIsScanning(false);
-        return;
+
+      if (!db.objectStoreNames.contains('returns')) {
+        const returnsStore = db.createObjectStore('returns', { keyPath: 'id', autoIncrement: true });
+        returnsStore.createIndex('by_sku', 'sku');
+        returnsStore.createIndex('by_date', 'timestamp');
       }
-      const [sku, availableQty] = inventoryEntries[Math.floor(Math.random() * inventoryEntries.length)];
-      const productInfo = products.find(p => p.sku === sku) || SAMPLE_PRODUCTS.find(p => p.sku === sku) || { sku, name: sku, category: 'General', basePrice: 5 };
-      selectedProduct = {
-        ...productInfo,
-        sku,
-        name: productInfo.name || sku,
-        category: productInfo.category || 'General',
-        basePrice: productInfo.basePrice || productInfo.default_purchase_price || 5
-      };
-      const maxQty = Math.max(1, availableQty || 1);
-      const r = Math.random();
-      if (r < 0.85) {
-        quantity = Math.min(Math.floor(Math.random() * 5) + 1, maxQty); // 1-5
-      } else {
-        quantity = Math.min(Math.floor(Math.random() * 6) + 5, maxQty); // 5-10
+
+      // Movimientos generales (ingresos, ventas, devoluciones, etc)
+      if (!db.objectStoreNames.contains('movements')) {
+        const movStore = db.createObjectStore('movements', { keyPath: 'id', autoIncrement: true });
+        movStore.createIndex('by_type', 'type');
+        movStore.createIndex('by_sku', 'sku');
+        movStore.createIndex('by_date', 'timestamp');
       }
-    } else {
-      // devolucion: 1-5 unidades
-      quantity = Math.floor(Math.random() * 5) + 1;
     }
+  },
+  {
+    version: 2,
+    description: 'Índices por fecha de lote y estado de venta; completar created_at y status faltantes',
+    async migrate(db, tx) {
+      const batchStore = tx.objectStore('batches');
+      if (!batchStore.indexNames.contains('by_created')) batchStore.createIndex('by_created', 'created_at');
+      const salesStore = tx.objectStore('sales');
+      if (!salesStore.indexNames.contains('by_status')) salesStore.createIndex('by_status', 'status');
+
+      // Lotes antiguos sin created_at rompen el orden FIFO: usar la fecha de la migración
+      const migratedAt = nowISO();
+      let cursor = await batchStore.openCursor();
+      while (cursor) {
+        if (!cursor.value.created_at) await cursor.update({ ...cursor.value, created_at: migratedAt });
+        cursor = await cursor.continue();
+      }
 
-    // Precios basados en el producto
-    const basePrice = selectedProduct.basePrice || parseFloat((Math.random() * 15 + 5).toFixed(2));
-    const purchase_price = randomEvent === 'ingreso' ? basePrice : basePrice * 0.75;
-    const saleReference = selectedProduct.default_sale_price || (selectedProduct.basePrice ? selectedProduct.basePrice * 1.2 : null);
-    const normalizedSaleRef = saleReference != null ? Number(saleReference) : null;
-    const sale_price = normalizedSaleRef && !Number.isNaN(normalizedSaleRef)
-      ? Number(normalizedSaleRef.toFixed(2))
-      : parseFloat((basePrice * (1.3 + Math.random() * 0.4)).toFixed(2));
+      cursor = await salesStore.openCursor();
+      while (cursor) {
+        if (!cursor.value.status) await cursor.update({ ...cursor.value, status: 'completed' });
+        cursor = await cursor.continue();
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'Ventas con varias líneas: índice multiEntry por SKU de cada línea',
+    async migrate(db, tx) {
+      const salesStore = tx.objectStore('sales');
+      if (!salesStore.indexNames.contains('by_skus')) salesStore.createIndex('by_skus', 'skus', { multiEntry: true });
 
-    const simulatedPayload = {
-      event: randomEvent,
-      source: 'brazalete_simulado',
-      device_id: primaryDevice?.id || 'BRZ-001',
-      timestamp: nowISO(),
-      barcode: `750${Math.floor(Math.random() * 1000000000)}`,
-      sku: selectedProduct.sku,
-      name: selectedProduct.name,
-      quantity: quantity,
-      purchase_price: purchase_price,
-      sale_price: sale_price,
-      lot: `L${new Date().getFullYear()}${String(Math.floor(Math.random() * 99) + 1).padStart(2, '0')}`,
-      expiry: new Date(Date.now() + Math.random() * 365 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-      category: selectedProduct.category,
-      bodega: settings?.bodega || 'Bodega Central',
-      operator: primaryDevice?.operator || settings?.user || 'Juan',
-      autoAssignDevice: true
-    };
+      let cursor = await salesStore.openCursor();
+      while (cursor) {
+        if (!cursor.value.skus) await cursor.update({ ...cursor.value, skus: getSaleLines(cursor.value).map(l => l.sku) });
+        cursor = await cursor.continue();
+      }
+    }
+  },
+  {
+    version: 4,
+    description: 'Proveedores y órdenes de compra; lotes por orden de compra',
+    migrate(db, tx) {
+      if (!db.objectStoreNames.contains('suppliers')) {
+        const supplierStore = db.createObjectStore('suppliers', { keyPath: 'id', autoIncrement: true });
+        supplierStore.createIndex('by_name', 'name');
+      }
+      if (!db.objectStoreNames.contains('purchase_orders')) {
+        const poStore = db.createObjectStore('purchase_orders', { keyPath: 'id' });
+        poStore.createIndex('by_status', 'status');
+        poStore.createIndex('by_supplier', 'supplier_id');
+      }
+      const batchStore = tx.objectStore('batches');
+      if (!batchStore.indexNames.contains('by_po')) batchStore.createIndex('by_po', 'po_id');
+    }
+  },
+  {
+    version: 5,
+    description: 'Historial de precios por producto',
+    migrate(db) {
+      if (!db.objectStoreNames.contains('price_history')) {
+        const historyStore = db.createObjectStore('price_history', { keyPath: 'id', autoIncrement: true });
+        historyStore.createIndex('by_sku', 'sku');
+        historyStore.createIndex('by_date', 'timestamp');
+      }
+    }
+  },
+  {
+    version: 6,
+    description: 'Conteos físicos de inventario',
+    migrate(db) {
+      if (!db.objectStoreNames.contains('stock_counts')) {
+        const countStore = db.createObjectStore('stock_counts', { keyPath: 'id' });
+        countStore.createIndex('by_status', 'status');
+        countStore.createIndex('by_date', 'created_at');
+      }
+    }
+  },
+  {
+    version: 7,
+    description: 'Cuentas de operador con PIN y rol',
+    migrate(db) {
+      if (!db.objectStoreNames.contains('operators')) {
+        const operatorStore = db.createObjectStore('operators', { keyPath: 'id', autoIncrement: true });
+        operatorStore.createIndex('by_name', 'name');
+      }
+    }
+  },
+  {
+    version: 8,
+    description: 'Registro de dispositivos y asignaciones de operador con vigencia',
+    async migrate(db, tx) {
+      if (!db.objectStoreNames.contains('devices')) {
+        const deviceStore = db.createObjectStore('devices', { keyPath: 'id' });
+        deviceStore.createIndex('by_type', 'type');
+      }
+      if (!db.objectStoreNames.contains('device_assignments')) {
+        const assignmentStore = db.createObjectStore('device_assignments', { keyPath: 'id', autoIncrement: true });
+        assignmentStore.createIndex('by_device', 'device_id');
+        assignmentStore.createIndex('by_date', 'effective_from');
+      }
 
-    // Procesar evento (onProcessEvent viene de props)
-    if (typeof onProcessEvent === 'function') {
-      try {
-        await onProcessEvent(simulatedPayload);
-      } catch (e) {
-        console.error('simulate error', e);
+      // Sembrar las pulseras fijas de versiones anteriores con los operadores
+      // del onboarding, vigentes desde siempre para no cambiar el historial
+      const deviceStore = tx.objectStore('devices');
+      if ((await deviceStore.count()) > 0) return;
+      const created_at = nowISO();
+      for (const device of SIMULATED_DEVICES) {
+        await deviceStore.put({ ...device, status: 'active', created_at });
+      }
+      const onboarding = await tx.objectStore('settings').get('onboarding');
+      const ops = onboarding?.value?.operators || [];
+      const bands = SIMULATED_DEVICES.filter(d => d.type === 'pulsera');
+      for (let i = 0; i < bands.length; i++) {
+        const operator = String(ops[i] || '').trim();
+        if (!operator) continue;
+        await tx.objectStore('device_assignments').add({
+          device_id: bands[i].id,
+          operator,
+          operator_id: null,
+          effective_from: null,
+          created_at,
+          assigned_by: 'migración'
+        });
+      }
+    }
+  },
+  {
+    version: 9,
+    description: 'Turnos de caja por operador y dispositivo',
+    migrate(db) {
+      if (!db.objectStoreNames.contains('shifts')) {
+        const shiftStore = db.createObjectStore('shifts', { keyPath: 'id' });
+        shiftStore.createIndex('by_status', 'status');
+        shiftStore.createIndex('by_operator', 'operator_id');
+        shiftStore.createIndex('by_date', 'opened_at');
+      }
+    }
+  },
+  {
+    version: 10,
+    description: 'Comprobantes electrónicos con series correlativas',
+    migrate(db) {
+      if (!db.objectStoreNames.contains('document_series')) db.createObjectStore('document_series', { keyPath: 'series' });
+      if (!db.objectStoreNames.contains('documents')) {
+        const documentStore = db.createObjectStore('documents', { keyPath: 'id' });
+        documentStore.createIndex('by_sale', 'sale_id');
+        documentStore.createIndex('by_type', 'type');
+        documentStore.createIndex('by_date', 'issued_at');
+      }
+    }
+  },
+  {
+    version: 11,
+    description: 'Clientes, ventas al crédito y abonos',
+    migrate(db, tx) {
+      if (!db.objectStoreNames.contains('customers')) {
+        const customerStore = db.createObjectStore('customers', { keyPath: 'id', autoIncrement: true });
+        customerStore.createIndex('by_doc', 'doc_number');
+        customerStore.createIndex('by_name', 'name');
+      }
+      if (!db.objectStoreNames.contains('customer_payments')) {
+        const paymentStore = db.createObjectStore('customer_payments', { keyPath: 'id', autoIncrement: true });
+        paymentStore.createIndex('by_customer', 'customer_id');
+        paymentStore.createIndex('by_date', 'timestamp');
+      }
+      const salesStore = tx.objectStore('sales');
+      if (!salesStore.indexNames.contains('by_customer')) salesStore.createIndex('by_customer', 'customer_id');
+    }
+  },
+  {
+    version: 12,
+    description: 'Promociones programadas',
+    migrate(db) {
+      if (!db.objectStoreNames.contains('promotions')) {
+        const promotionStore = db.createObjectStore('promotions', { keyPath: 'id', autoIncrement: true });
+        promotionStore.createIndex('by_start', 'starts_on');
       }
-    } else {
-      console.warn('onProcessEvent no es una función');
     }
+  }
+];
 
-    setIsScanning(false);
+// Initialize IndexedDB running pending migrations in order.
+// onProgress recibe { step, total, version, description } por cada paso aplicado.
+async function initDB(onProgress){
+  // Error del paso que falló: openDB solo rechaza con un AbortError genérico
+  let migrationError = null;
+  try {
+    const db = await openDB(DB_NAME, DB_VERSION, {
+      async upgrade(db, oldVersion, newVersion, tx) {
+        let current = null;
+        try {
+          const pending = MIGRATIONS.filter(m => m.version > oldVersion && m.version <= newVersion);
+          const applied = [];
+          for (let i = 0; i < pending.length; i++) {
+            const step = pending[i];
+            current = step;
+            if (onProgress) onProgress({ step: i + 1, total: pending.length, version: step.version, description: step.description });
+            await step.migrate(db, tx);
+            applied.push({ version: step.version, description: step.description, applied_at: nowISO() });
+          }
+          current = null;
+
+          // Bitácora de migraciones dentro de settings (misma transacción)
+          const settingsStore = tx.objectStore('settings');
+          const previous = await settingsStore.get('schema');
+          await settingsStore.put({
+            key: 'schema',
+            value: {
+              version: newVersion,
+              history: [...(previous?.value?.history || []), ...applied]
+            }
+          });
+        } catch (error) {
+          migrationError = new Error(current
+            ? `Falló la migración a v${current.version} (${current.description}): ${error.message}`
+            : `Falló la migración del esquema: ${error.message}`);
+          try {
+            tx.abort();
+          } catch (abortError) {
+            // La transacción ya terminó: el error se reporta igual tras openDB
+            console.warn('No se pudo abortar la migración:', abortError);
+          }
+        }
+      },
+      blocked() {
+        console.warn('La actualización de la BD está bloqueada por otra pestaña abierta');
+        if (onProgress) onProgress({ blocked: true });
+      }
+    });
+    
+    if (migrationError) {
+      db.close();
+      throw migrationError;
+    }
+    console.log('Database initialized successfully');
+    return db;
+  } catch (error) {
+    console.error('Error initializing database:', migrationError || error);
+    throw migrationError || error;
+  }
+}
+
+const BACKUP_FORMAT = 'inventario-bodega-backup';
+// Claves de settings que pertenecen al esquema local y nunca se restauran
+const BACKUP_SKIPPED_SETTINGS = ['schema'];
+// Stores que se comparan en el resumen previo a restaurar. renumber indica cómo
+// se generan sus ids en cada equipo, de modo que en otro equipo el mismo id puede
+// ser otro registro: 'number' (autoincremental) o 'suffix' (SALE-<hora>, se le
+// agrega -R1, -R2... si choca).
+const BACKUP_SUMMARY_STORES = [
+  { name: 'products', label: 'Productos' },
+  { name: 'batches', label: 'Lotes', renumber: 'number' },
+  { name: 'sales', label: 'Ventas', renumber: 'suffix' },
+  { name: 'returns', label: 'Devoluciones', renumber: 'number' },
+  { name: 'movements', label: 'Movimientos', renumber: 'number' },
+  { name: 'suppliers', label: 'Proveedores', renumber: 'number' },
+  { name: 'purchase_orders', label: 'Órdenes de compra' },
+  { name: 'price_history', label: 'Historial de precios', renumber: 'number' },
+  { name: 'stock_counts', label: 'Conteos físicos' },
+  { name: 'operators', label: 'Operadores', renumber: 'number' },
+  { name: 'devices', label: 'Dispositivos' },
+  { name: 'device_assignments', label: 'Asignaciones de dispositivos', renumber: 'number' },
+  { name: 'shifts', label: 'Turnos de caja' },
+  { name: 'document_series', label: 'Series de comprobantes' },
+  { name: 'documents', label: 'Comprobantes' },
+  { name: 'customers', label: 'Clientes', renumber: 'number' },
+  { name: 'customer_payments', label: 'Abonos de clientes', renumber: 'number' },
+  { name: 'promotions', label: 'Promociones', renumber: 'number' }
+];
+
+// Campos que apuntan a ids autoincrementales, para reescribirlos al renumerar en una fusión
+const BACKUP_ID_REFERENCES = {
+  sale_id: 'sales',
+  original_sale_id: 'sales',
+  batchId: 'batches',
+  batch_id: 'batches',
+  batch_ids: 'batches',
+  original_batch_id: 'batches',
+  return_id: 'returns',
+  supplier_id: 'suppliers',
+  operator_id: 'operators',
+  customer_id: 'customers',
+  promotion_id: 'promotions'
+};
+
+// Mismo id y misma fecha de creación: es el mismo registro (p. ej. un respaldo de este
+// equipo), aunque haya cambiado después. Sin fecha se compara el contenido completo.
+function sameBackupRecord(local, incoming) {
+  const createdAt = (record) => record.created_at || record.timestamp || null;
+  if (createdAt(local) || createdAt(incoming)) return createdAt(local) === createdAt(incoming);
+  return JSON.stringify(local) === JSON.stringify(incoming);
+}
+
+// Copia de un registro del respaldo con sus referencias apuntando a los ids renumerados
+function remapBackupIds(value, idMaps) {
+  if (Array.isArray(value)) return value.map(v => remapBackupIds(v, idMaps));
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([field, v]) => {
+    const ids = idMaps[BACKUP_ID_REFERENCES[field]];
+    if (!ids) return [field, remapBackupIds(v, idMaps)];
+    return [field, Array.isArray(v) ? v.map(id => ids.get(id) ?? id) : (ids.get(v) ?? v)];
+  }));
+}
+
+async function computeChecksum(text){
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Serializa todos los stores con versión de esquema y checksum SHA-256 de los datos
+async function buildBackup(db){
+  const stores = {};
+  for (const name of Array.from(db.objectStoreNames)) {
+    stores[name] = await db.getAll(name);
+  }
+  return {
+    format: BACKUP_FORMAT,
+    db_name: DB_NAME,
+    schema_version: db.version,
+    created_at: nowISO(),
+    stores,
+    checksum: await computeChecksum(JSON.stringify(stores))
   };
-  
+}
+
+// Valida un respaldo ya parseado. Devuelve { errors, warnings } en español para la UI.
+async function validateBackup(backup){
+  const errors = [];
+  const warnings = [];
+
+  if (!backup || backup.format !== BACKUP_FORMAT) {
+    errors.push('El archivo no es un respaldo de Inventario Bodega');
+    return { errors, warnings };
+  }
+  if (typeof backup.schema_version !== 'number') {
+    errors.push('El respaldo no indica versión de esquema');
+  } else if (backup.schema_version > DB_VERSION) {
+    errors.push(`El respaldo es de una versión más nueva (v${backup.schema_version}) que esta aplicación (v${DB_VERSION})`);
+  } else if (backup.schema_version < DB_VERSION) {
+    warnings.push(`El respaldo es de la versión v${backup.schema_version}; los registros se restaurarán tal como están`);
+  }
+  if (!backup.stores || typeof backup.stores !== 'object') {
+    errors.push('El respaldo no contiene datos');
+    return { errors, warnings };
+  }
+  Object.entries(backup.stores).forEach(([name, records]) => {
+    if (!Array.isArray(records)) errors.push(`El store "${name}" no contiene una lista de registros`);
+  });
+  const checksum = await computeChecksum(JSON.stringify(backup.stores));
+  if (checksum !== backup.checksum) {
+    errors.push('La suma de verificación no coincide: el archivo está dañado o fue modificado');
+  }
+  return { errors, warnings };
+}
+
+// Lee todos los stores tal como están, sin correr migraciones (abre sin versión).
+// Se usa para exportar un respaldo de emergencia cuando initDB falla.
+async function readDatabaseSnapshot(){
+  const db = await openDB(DB_NAME);
+  try {
+    return await buildBackup(db);
+  } finally {
+    db.close();
+  }
+}
+
+// Simple Toast component
+function Toast({ toasts, removeToast }){
+  // Mantener timers por toast en un ref para que nuevos toasts no cancelen timers existentes
+  const timeoutsRef = useRef({});
+
+  useEffect(() => {
+    // Crear timers para toasts nuevos
+    toasts.forEach(toast => {
+      if (toast.autoHide === false) return;
+      if (timeoutsRef.current[toast.id]) return; // ya tiene timer
+
+      const timeoutMs = 1500;
+      const t = setTimeout(() => {
+        try { removeToast(toast.id); } catch (e) { /* ignore */ }
+        delete timeoutsRef.current[toast.id];
+      }, timeoutMs);
+
+      timeoutsRef.current[toast.id] = t;
+    });
+
+    // Limpiar timers de toasts que ya no existen
+    const currentIds = new Set(toasts.map(t => t.id));
+    Object.keys(timeoutsRef.current).forEach(id => {
+      if (!currentIds.has(Number(id))) {
+        clearTimeout(timeoutsRef.current[id]);
+        delete timeoutsRef.current[id];
+      }
+    });
+
+    // On unmount limpiar todo
+    return () => {
+      Object.values(timeoutsRef.current).forEach(t => clearTimeout(t));
+      timeoutsRef.current = {};
+    };
+  }, [toasts, removeToast]);
+
   return (
-    <div className="panel">
-      <h3 style={{ marginBottom: '16px' }}>⚡ Panel de Simulación</h3>
-      
-      <div className="tabs">
-        <button 
-          className={`tab ${activeTab === 'form' ? 'tab--active' : ''}`}
-          onClick={() => setActiveTab('form')}
-        >
-          📝 Registro Manual
-        </button>
-        <button 
-          className={`tab ${activeTab === 'auto' ? 'tab--active' : ''}`}
-          onClick={() => setActiveTab('auto')}
-        >
-          🤖 Simulación Automática
-        </button>
-      </div>
-      
-      {activeTab === 'form' && (
-        <form onSubmit={handleFormSubmit}>
-          <div className="form-group">
-            <label className="form-label">Tipo de Evento</label>
-            <select
-              className="form-control"
-              value={formData.type}
-              onChange={(e) => setFormData(prev => ({ ...prev, type: e.target.value }))}
-            >
-              <option value="ingreso">📦 Ingreso</option>
-              <option value="venta">💰 Venta</option>
-              <option value="devolucion">🔄 Devolución</option>
-            </select>
+    <div className="toast-container" style={{ position: 'fixed', top: 16, right: 16, zIndex: 9999 }}>
+      {toasts.map(toast => (
+        <div key={toast.id} className={`toast toast--${toast.type}`} style={{ 
+          background: 'var(--color-surface)', 
+          padding: 12, 
+          marginBottom: 8, 
+          border: '1px solid var(--color-border)', 
+          borderRadius: 8, 
+          position: 'relative',
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'flex-start',
+          minWidth: '250px'
+        }}>
+          <div style={{ flex: 1 }}>
+            <div style={{ fontWeight: 'bold', marginBottom: 4 }}>{toast.title}</div>
+            <div style={{ fontSize: 13 }}>{toast.message}</div>
           </div>
-          
+          <button 
+            onClick={() => removeToast(toast.id)} 
+            style={{ 
+              background: 'none', 
+              border: 'none', 
+              cursor: 'pointer',
+              padding: '4px 8px',
+              fontSize: '16px',
+              color: 'var(--color-text-secondary)',
+              marginLeft: '8px'
+            }}
+          >
+            ×
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Minimal Onboarding component (collect bodega, currency, operators and columns)
+function Onboarding({ onComplete, initialData }) {
+  const init = () => {
+    const defaults = {
+      bodega: '',
+      currency: CURRENCIES[0],
+      columns: DEFAULT_COLUMNS.map(c => c.key),
+      operators: [''],
+      tax: { ...DEFAULT_TAX_SETTINGS },
+      invoicing: { ...DEFAULT_INVOICING_SETTINGS }
+    };
+    if (!initialData) return defaults;
+    return {
+      bodega: initialData.bodega || defaults.bodega,
+      currency: initialData.currency || defaults.currency,
+      columns: initialData.columns || defaults.columns,
+      operators: initialData.operators?.length ? initialData.operators : defaults.operators,
+      tax: taxSettingsOf(initialData),
+      invoicing: invoicingSettingsOf(initialData)
+    };
+  };
+
+  const [formData, setFormData] = useState(init());
+
+  useEffect(() => {
+    if (initialData) {
+      setFormData(init());
+    }
+  }, [initialData]);
+
+  const setInvoicing = (field, value) => setFormData(prev => ({ ...prev, invoicing: { ...prev.invoicing, [field]: value } }));
+
+  const handleColumnToggle = (key) => {
+    setFormData(prev => ({ ...prev, columns: prev.columns.includes(key) ? prev.columns.filter(k=>k!==key) : [...prev.columns, key] }));
+  };
+
+  const submit = (e) => {
+    e.preventDefault();
+    // Allow proceeding even if bodega is empty: use a sensible default
+    const payload = { ...formData };
+    if (!String(payload.bodega || '').trim()) payload.bodega = 'Bodega Principal';
+    if (payload.tax.rate === '' || !(Number(payload.tax.rate) >= 0)) payload.tax = { ...payload.tax, rate: DEFAULT_TAX_SETTINGS.rate };
+    payload.invoicing = {
+      ...payload.invoicing,
+      ruc: payload.invoicing.ruc.trim(),
+      boleta_series: payload.invoicing.boleta_series.trim().toUpperCase(),
+      factura_series: payload.invoicing.factura_series.trim().toUpperCase()
+    };
+    if (payload.invoicing.ruc && !/^\d{11}$/.test(payload.invoicing.ruc)) {
+      alert('El RUC debe tener 11 dígitos');
+      return;
+    }
+    if (!isValidSeries(payload.invoicing.boleta_series, 'boleta') || !isValidSeries(payload.invoicing.factura_series, 'factura')) {
+      alert('Las series deben tener 4 caracteres: B001 para boletas y F001 para facturas, por ejemplo');
+      return;
+    }
+    if (onComplete) onComplete(payload);
+  };
+
+  return (
+    <div className="onboarding-container" style={{ padding: 24 }}>
+      <div className="onboarding-card" style={{ maxWidth: 720, margin: '0 auto' }}>
+        <h2>Configuración Inicial</h2>
+        <form onSubmit={submit}>
           <div className="form-group">
-            <label className="form-label">Código de Barras/SKU</label>
-            <input
-              className="form-control"
-              type="text"
-              value={formData.barcode}
-              onChange={(e) => setFormData(prev => ({ ...prev, barcode: e.target.value }))}
-              placeholder="750103131..."
-            />
+            <label>Nombre de la bodega</label>
+            <input className="form-control" value={formData.bodega} onChange={(e)=>setFormData(prev=>({ ...prev, bodega: e.target.value }))} />
           </div>
-          
+
           <div className="form-group">
-            <label className="form-label">Nombre del Producto</label>
-            <input
-              className="form-control"
-              type="text"
-              value={formData.name}
-              onChange={(e) => setFormData(prev => ({ ...prev, name: e.target.value }))}
-              placeholder="Ej: Galletas X"
-            />
+            <label>Moneda</label>
+            <select className="form-control" value={formData.currency} onChange={(e)=>setFormData(prev=>({ ...prev, currency: e.target.value }))}>
+              {CURRENCIES.map(c => <option key={c} value={c}>{c}</option>)}
+            </select>
           </div>
-          
+
           <div className="form-group">
-            <label className="form-label">Cantidad</label>
-            <input
-              className="form-control"
-              type="number"
-              min="1"
-              value={formData.quantity}
-              onChange={(e) => setFormData(prev => ({ ...prev, quantity: e.target.value }))}
-            />
+            <label>IGV</label>
+            <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+              <input className="form-control" type="number" min="0" max="100" step="0.01" value={formData.tax.rate} onChange={(e) => setFormData(prev => ({ ...prev, tax: { ...prev.tax, rate: e.target.value === '' ? '' : Number(e.target.value) } }))} style={{ width: 100 }} />
+              <span>%</span>
+              <select className="form-control" value={formData.tax.mode} onChange={(e) => setFormData(prev => ({ ...prev, tax: { ...prev.tax, mode: e.target.value } }))}>
+                <option value="inclusive">Los precios de venta incluyen IGV</option>
+                <option value="exclusive">Los precios de venta no incluyen IGV (se suma al cobrar)</option>
+              </select>
+            </div>
           </div>
-          
-          {(formData.type === 'ingreso' || formData.type === 'devolucion') && (
-            <div className="form-group">
-              <label className="form-label">Precio Compra</label>
-              <input
-                className="form-control"
-                type="number"
-                step="0.01"
-                value={formData.purchasePrice}
-                onChange={(e) => setFormData(prev => ({ ...prev, purchasePrice: e.target.value }))}
-                placeholder="0.00"
-              />
+
+          <div className="form-group">
+            <label>Comprobantes electrónicos</label>
+            <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+              <input className="form-control" placeholder="RUC" value={formData.invoicing.ruc} onChange={(e) => setInvoicing('ruc', e.target.value)} style={{ width: 140 }} />
+              <input className="form-control" placeholder="Razón social" value={formData.invoicing.business_name} onChange={(e) => setInvoicing('business_name', e.target.value)} style={{ flex: 1, minWidth: 200 }} />
             </div>
-          )}
-          
-          {formData.type !== 'devolucion' && (
-            <div className="form-group">
-              <label className="form-label">Precio Venta</label>
-              <input
-                className="form-control"
-                type="number"
-                step="0.01"
-                value={formData.salePrice}
-                onChange={(e) => setFormData(prev => ({ ...prev, salePrice: e.target.value }))}
-                placeholder="0.00"
-              />
+            <input className="form-control" placeholder="Dirección fiscal" value={formData.invoicing.address} onChange={(e) => setInvoicing('address', e.target.value)} style={{ marginTop: 8 }} />
+            <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginTop: 8 }}>
+              <span>Serie boleta</span>
+              <input className="form-control" value={formData.invoicing.boleta_series} onChange={(e) => setInvoicing('boleta_series', e.target.value)} style={{ width: 80 }} />
+              <span>Serie factura</span>
+              <input className="form-control" value={formData.invoicing.factura_series} onChange={(e) => setInvoicing('factura_series', e.target.value)} style={{ width: 80 }} />
             </div>
-          )}
-          
-          <div className="form-group">
-            <label className="form-label">Lote (Opcional)</label>
-            <input
-              className="form-control"
-              type="text"
-              value={formData.lot}
-              onChange={(e) => setFormData(prev => ({ ...prev, lot: e.target.value }))}
-              placeholder="L202510"
-            />
+            <p style={{ fontSize: '12px', color: 'var(--color-text-secondary)', marginTop: 4 }}>
+              El correlativo de cada serie se guarda en la base de datos; una serie nueva empieza en 1.
+            </p>
           </div>
-          
+
           <div className="form-group">
-            <label className="form-label">Fecha Caducidad (Opcional)</label>
-            <input
-              className="form-control"
-              type="date"
-              value={formData.expiry}
-              onChange={(e) => setFormData(prev => ({ ...prev, expiry: e.target.value }))}
-            />
+            <label>Operadores (uno por pulsera)</label>
+            <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+              {formData.operators.map((op, i) => (
+                <input key={i} className="form-control" value={op} onChange={(e)=>{ const ops = [...formData.operators]; ops[i]=e.target.value; setFormData(prev=>({...prev, operators: ops})); }} placeholder={`Operador ${i+1}`} style={{ width: 200 }} />
+              ))}
+              <button className="btn btn--outline btn--sm" type="button" onClick={() => setFormData(prev => ({ ...prev, operators: [...prev.operators, ''] }))}>
+                ➕ Agregar operador
+              </button>
+            </div>
+            <p style={{ fontSize: '12px', color: 'var(--color-text-secondary)', marginTop: 4 }}>
+              Se registra una pulsera por operador. Luego puedes reasignarlas desde 📟 Dispositivos.
+            </p>
           </div>
-          
+
           <div className="form-group">
-            <label className="form-label">Categoría (Opcional)</label>
-            <input
-              className="form-control"
-              type="text"
-              value={formData.category}
-              onChange={(e) => setFormData(prev => ({ ...prev, category: e.target.value }))}
-              placeholder="Panadería, Lácteos, etc."
-            />
-          </div>
-          
-          <div className="form-group">
-            <label className="form-label">Operador</label>
-            <input
-              className="form-control"
-              type="text"
-              value={formData.operator}
-              onChange={(e) => setFormData(prev => ({ ...prev, operator: e.target.value }))}
-            />
-          </div>
-          
-          <button 
-            type="submit" 
-            className="btn btn--primary btn--full-width"
-            disabled={!connected}
-          >
-            📋 Registrar Evento
-          </button>
-        </form>
-      )}
-      
-      {activeTab === 'auto' && (
-        <div>
-          <div style={{ textAlign: 'center', marginBottom: '16px' }}>
-            {isScanning && (
-              <div style={{ marginBottom: '12px' }}>
-                <div style={{ fontSize: '24px' }}>📡</div>
-                <div>Escaneando...</div>
-              </div>
-            )}
+            <label>Columnas visibles</label>
+            <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+              {DEFAULT_COLUMNS.map(col => (
+                <label key={col.key} style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                  <input type="checkbox" checked={formData.columns.includes(col.key)} onChange={() => handleColumnToggle(col.key)} /> {col.label}
+                </label>
+              ))}
+            </div>
           </div>
-          
-          <button 
-            className="btn btn--primary btn--full-width btn--lg"
-            onClick={() => handleSimulateScan('ingreso')}
-            disabled={!connected || isScanning}
-            style={{ marginBottom: '12px' }}
-          >
-            {isScanning ? '⏳ Escaneando...' : '🔍 Simular Scan'}
-          </button>
-          
-          <button
-            className="btn btn--secondary btn--full-width btn--lg"
-            onClick={async () => {
-              if (!connected || !salesSensorConnected) return;
-              await handleSimulateScan('venta');
-            }}
-            disabled={!connected || isScanning || !salesSensorConnected}
-            style={{ marginBottom: '12px' }}
-          >
-            🏷️ Simular 1 Venta
-          </button>
 
-          {/* Botón de devoluciones automáticas removido por solicitud */}
-          
-          <div style={{ marginBottom: '16px' }}>
-            <label style={{ display: 'flex', alignItems: 'center', cursor: 'pointer' }}>
-              <input
-                type="checkbox"
-                checked={continuousMode}
-                onChange={(e) => setContinuousMode(e.target.checked)}
-                disabled={!connected}
-                style={{ marginRight: '8px' }}
-              />
-              🔄 Modo Continuo (cada 3 segundos)
-            </label>
-          </div>
-          
-          <div className="stat-card">
-            <div className="stat-value">{scanCount}</div>
-            <div className="stat-label">Eventos Simulados</div>
+          <div style={{ display: 'flex', gap: 8 }}>
+            <button className="btn btn--primary" type="submit">🚀 Comenzar</button>
           </div>
-        </div>
-      )}
+        </form>
+      </div>
     </div>
   );
 }
 
-// Event Feed component
-function EventFeed({ events, onUndoSale }) {
+// Inicio de sesión con PIN. Sin cuentas registradas pide crear el primer administrador.
+function OperatorLogin({ operators, settings, onLogin, onCreateAdmin }) {
+  const activeOperators = operators.filter(o => o.active !== false);
+  const bootstrap = activeOperators.length === 0;
+  const [operatorId, setOperatorId] = useState('');
+  const [name, setName] = useState(() => (settings?.operators || []).find(op => String(op || '').trim()) || '');
+  const [pin, setPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+
+  // Si el elegido ya no existe (p. ej. tras restaurar) se toma el primero
+  const selectedId = activeOperators.some(o => String(o.id) === String(operatorId)) ? operatorId : (activeOperators[0]?.id ?? '');
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (bootstrap) {
+      if (!name.trim()) return alert('Ingresa el nombre del administrador');
+      if (!isValidPin(pin)) return alert('El PIN debe tener de 4 a 6 dígitos');
+      if (pin !== confirmPin) return alert('Los PIN no coinciden');
+      await onCreateAdmin({ name: name.trim(), role: 'administrador', pin });
+    } else {
+      const ok = await onLogin(Number(selectedId), pin);
+      if (!ok) setPin('');
+    }
+  };
+
   return (
-    <div className="panel">
-      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
-        <h3>📡 Feed de Eventos</h3>
-        <span className="status status--info">Últimos {events.length}</span>
-      </div>
-      
-      <div className="event-feed">
-        {events.length === 0 ? (
-          <div className="empty-state">
-            <div style={{ fontSize: '48px', marginBottom: '16px' }}>📡</div>
-            <p>No hay eventos aún</p>
-            <p style={{ fontSize: '14px', color: 'var(--color-text-secondary)' }}>
-              Los eventos procesados aparecerán aquí en tiempo real
-            </p>
-          </div>
-        ) : (
-          events.map(event => (
-            <div key={event.id} className="event-item">
-              <div className="event-header">
-                <span className={`event-type event-type--${event.type}`}>
-                  {event.type === 'ingreso' ? '📦' : event.type === 'venta' ? '💰' : '🔄'} {event.type.toUpperCase()}
-                </span>
-                <span className="event-timestamp">
-                  {formatDateTime(event.timestamp)}
-                </span>
+    <div className="onboarding-container" style={{ padding: 24 }}>
+      <div className="onboarding-card" style={{ maxWidth: 420, margin: '0 auto' }}>
+        <h2>🔐 {settings?.bodega || 'Bodega'}</h2>
+        <form onSubmit={submit}>
+          {bootstrap ? (
+            <>
+              <p style={{ color: 'var(--color-text-secondary)' }}>Crea la cuenta de administrador para empezar. Luego podrás registrar cajeros y almaceneros.</p>
+              <div className="form-group">
+                <label>Nombre</label>
+                <input className="form-control" value={name} onChange={(e) => setName(e.target.value)} />
               </div>
-              <div style={{ fontSize: '14px', marginBottom: '4px' }}>
-                <strong>{event.sku}</strong> - {event.name}
+              <div className="form-group">
+                <label>PIN (4 a 6 dígitos)</label>
+                <input className="form-control" type="password" inputMode="numeric" maxLength={6} value={pin} onChange={(e) => setPin(e.target.value.replace(/\D/g, ''))} />
               </div>
-              <div style={{ fontSize: '12px', color: 'var(--color-text-secondary)' }}>
-                Cantidad: {event.quantity} • Operador: {event.operator} • Dispositivo: {event.device_id}
+              <div className="form-group">
+                <label>Confirmar PIN</label>
+                <input className="form-control" type="password" inputMode="numeric" maxLength={6} value={confirmPin} onChange={(e) => setConfirmPin(e.target.value.replace(/\D/g, ''))} />
               </div>
-              {event.type === 'venta' && (
-                <button 
-                  className="btn btn--sm btn--outline"
-                  onClick={() => onUndoSale(event)}
-                  style={{ marginTop: '8px', fontSize: '11px' }}
-                >
-                  ↩️ Deshacer venta
-                </button>
-              )}
-            </div>
-          ))
-        )}
+              <button className="btn btn--primary" type="submit">👤 Crear administrador</button>
+            </>
+          ) : (
+            <>
+              <div className="form-group">
+                <label>Operador</label>
+                <select className="form-control" value={selectedId} onChange={(e) => setOperatorId(e.target.value)}>
+                  {activeOperators.map(o => <option key={o.id} value={o.id}>{o.name} — {operatorRoleLabel(o.role)}</option>)}
+                </select>
+              </div>
+              <div className="form-group">
+                <label>PIN</label>
+                <input className="form-control" type="password" inputMode="numeric" maxLength={6} autoFocus value={pin} onChange={(e) => setPin(e.target.value.replace(/\D/g, ''))} />
+              </div>
+              <button className="btn btn--primary" type="submit" disabled={!pin}>🔓 Ingresar</button>
+            </>
+          )}
+        </form>
       </div>
     </div>
   );
 }
 
-// Small form to add products quickly
-function AddProductForm({ onAdd }) {
-  const [form, setForm] = useState({ sku: '', name: '', category: '', quantity: 0, purchase_price: '', sale_price: '', lot: '', expiry: '' });
+// Gestión de cuentas de operador (solo administradores)
+function OperatorsPanel({ operators, currentOperator, onSave, onClose }) {
+  const emptyForm = { id: null, name: '', role: 'cajero', pin: '', active: true };
+  const [form, setForm] = useState(emptyForm);
 
-  const submit = (e) => {
+  const edit = (operator) => setForm({ id: operator.id, name: operator.name, role: operator.role, pin: '', active: operator.active !== false });
+
+  const submit = async (e) => {
     e.preventDefault();
-    if (!form.sku.trim() || !form.name.trim()) {
-      alert('SKU y Nombre son requeridos');
-      return;
-    }
-    // Validate prices: purchase should typically be <= sale
-    const purchase = Number(form.purchase_price || 0);
-    const sale = Number(form.sale_price || 0);
-    if (purchase > 0 && sale > 0 && purchase >= sale) {
-      const swap = confirm('El precio de compra es mayor que el precio de venta. ¿Deseas intercambiarlos (compra <-> venta)?');
-      if (swap) {
-        const swapped = { ...form, purchase_price: String(sale), sale_price: String(purchase) };
-        if (onAdd) onAdd(swapped);
-        setForm({ sku: '', name: '', category: '', quantity: 0, purchase_price: '', sale_price: '', lot: '', expiry: '' });
-        return;
-      } else {
-        // proceed but warn
-        alert('Error: El precio de compra debe ser menor que el precio de venta.'); return;
-      }
-    }
-    if (onAdd) onAdd(form);
-    setForm({ sku: '', name: '', category: '', quantity: 0, purchase_price: '', sale_price: '', lot: '', expiry: '' });
+    if (!form.name.trim()) return alert('Ingresa el nombre del operador');
+    if (form.id == null && !isValidPin(form.pin)) return alert('El PIN debe tener de 4 a 6 dígitos');
+    if (form.pin && !isValidPin(form.pin)) return alert('El PIN debe tener de 4 a 6 dígitos');
+    const ok = await onSave({ ...form, name: form.name.trim() });
+    if (ok) setForm(emptyForm);
   };
 
   return (
-    <form onSubmit={submit} style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap' }}>
-      <input className="form-control" placeholder="SKU" value={form.sku} onChange={(e) => setForm(prev => ({ ...prev, sku: e.target.value }))} style={{ width: '120px' }} />
-      <input className="form-control" placeholder="Nombre" value={form.name} onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))} style={{ width: '180px' }} />
-      <input className="form-control" placeholder="Categoría" value={form.category} onChange={(e) => setForm(prev => ({ ...prev, category: e.target.value }))} style={{ width: '140px' }} />
-      <input className="form-control" type="number" min="0" placeholder="Cantidad" value={form.quantity} onChange={(e) => setForm(prev => ({ ...prev, quantity: e.target.value }))} style={{ width: '100px' }} />
-      <input className="form-control" type="number" step="0.01" placeholder="Precio compra" value={form.purchase_price} onChange={(e) => setForm(prev => ({ ...prev, purchase_price: e.target.value }))} style={{ width: '120px' }} />
-      <input className="form-control" type="number" step="0.01" placeholder="Precio venta" value={form.sale_price} onChange={(e) => setForm(prev => ({ ...prev, sale_price: e.target.value }))} style={{ width: '120px' }} />
-      <button className="btn btn--primary btn--sm" type="submit">Agregar</button>
-    </form>
+    <div style={{ marginBottom: '16px', padding: '12px', background: 'var(--color-bg-1)', borderRadius: '8px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+        <h4 style={{ margin: 0 }}>👥 Operadores</h4>
+        <button className="btn btn--outline btn--sm" onClick={onClose}>✕ Cerrar</button>
+      </div>
+
+      <div className="table-container" style={{ border: '1px solid var(--color-border)', borderRadius: 8, overflow: 'auto', maxHeight: 280, marginBottom: 12 }}>
+        <table className="inventory-table" style={{ width: '100%', borderCollapse: 'separate', borderSpacing: 0 }}>
+          <thead style={{ position: 'sticky', top: 0, background: 'var(--color-surface)' }}>
+            <tr>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Nombre</th>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Rol</th>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Estado</th>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Último ingreso</th>
+              <th style={{ padding: '8px 12px' }}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {operators.map(o => (
+              <tr key={o.id} style={{ opacity: o.active === false ? 0.5 : 1 }}>
+                <td style={{ padding: '8px 12px' }}>{o.name}{o.id === currentOperator?.id ? ' (tú)' : ''}</td>
+                <td style={{ padding: '8px 12px' }}>{operatorRoleLabel(o.role)}</td>
+                <td style={{ padding: '8px 12px' }}>{o.active === false ? 'Inactivo' : 'Activo'}</td>
+                <td style={{ padding: '8px 12px' }}>{o.last_login ? new Date(o.last_login).toLocaleString() : '-'}</td>
+                <td style={{ padding: '8px 12px', textAlign: 'right' }}>
+                  <button className="btn btn--outline btn--sm" onClick={() => edit(o)}>✏️ Editar</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <h5 style={{ margin: '0 0 8px 0' }}>{form.id == null ? 'Nuevo operador' : `Editar ${form.name}`}</h5>
+      <form onSubmit={submit} style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+        <input className="form-control" placeholder="Nombre" value={form.name} onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))} style={{ width: 180 }} />
+        <select className="form-control" value={form.role} onChange={(e) => setForm(prev => ({ ...prev, role: e.target.value }))} style={{ width: 160 }}>
+          {OPERATOR_ROLES.map(r => <option key={r.key} value={r.key}>{r.label}</option>)}
+        </select>
+        <input className="form-control" type="password" inputMode="numeric" maxLength={6} placeholder={form.id == null ? 'PIN' : 'Nuevo PIN (opcional)'} value={form.pin} onChange={(e) => setForm(prev => ({ ...prev, pin: e.target.value.replace(/\D/g, '') }))} style={{ width: 170 }} />
+        {form.id != null && (
+          <label style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+            <input type="checkbox" checked={form.active} onChange={(e) => setForm(prev => ({ ...prev, active: e.target.checked }))} /> Activo
+          </label>
+        )}
+        <button className="btn btn--primary btn--sm" type="submit">💾 Guardar</button>
+        {form.id != null && <button className="btn btn--outline btn--sm" type="button" onClick={() => setForm(emptyForm)}>Cancelar</button>}
+      </form>
+    </div>
   );
 }
 
-// Inventory Table component
-function InventoryTable({ batches, products, movements, sales, settings, onRefresh, onExport, onDailyReport, onAddProduct, onReturn }){
-  const [searchTerm, setSearchTerm] = useState('');
-  // sectionMode controla la sección principal: 'ventas' o 'inventario'
-  // Mostrar solo inventario en esta tabla; Ventas tiene su vista dedicada
-  const sectionMode = 'inventario';
-  const [viewMode, setViewMode] = useState('ingresos'); // Valores posibles:
-  // Inventario: 'ingresos', 'devoluciones_compra', 'stock'
-  // Ventas: 'registro_ventas', 'devoluciones_venta', 'historial'
+// Device Panel component
+function DevicePanel({ devices, activeDeviceIds, selectedDevice, onToggleDevice, onDeviceChange, salesSensors = [], activeSensorId, onSensorConnect, onSensorDisconnect }) {
+  const hasActiveDevices = activeDeviceIds.length > 0;
+  const salesSensorConnected = salesSensors.some(s => s.id === activeSensorId);
+  const [sensorId, setSensorId] = useState('');
+  const sensor = salesSensors.find(s => s.id === (salesSensorConnected ? activeSensorId : sensorId)) || salesSensors[0] || null;
 
-  const [sortField, setSortField] = useState('sku');
-  const [sortDir, setSortDir] = useState('asc');
-  const [selectedSKU, setSelectedSKU] = useState(null);
-  
-  const visibleColumns = DEFAULT_COLUMNS.filter(col => 
-    settings?.columns?.includes(col.key) || col.required
-  );
-  
-  // Primero filtramos por sección (inventario o ventas)
-  const sectionBatches = batches.filter(batch => {
-    if (sectionMode === 'inventario') {
-      // Para inventario: mostrar solo ingresos normales y devoluciones de compras
-      return !batch.lot?.startsWith('DEV-') && !batch.lot?.startsWith('UNDO-');
-    } else {
-      // Para ventas: mostrar solo ventas y sus devoluciones
-      return batch.lot?.startsWith('DEV-SALE-') || batch.lot?.startsWith('UNDO-');
-    }
-  });
+  return (
+    <div className="panel">
+      <div style={{ marginBottom: '24px' }}>
+        <h3 style={{ marginBottom: '16px' }}>🔗 Pulseras Simuladas</h3>
+        <p style={{ marginBottom: '16px', fontSize: '13px', color: 'var(--color-text-secondary)' }}>
+          Pulseras conectadas: <strong>{activeDeviceIds.length}</strong>
+        </p>
 
-  // Luego filtramos por término de búsqueda
-  const filteredBatches = sectionBatches.filter(batch => {
-    if (!searchTerm) return true;
-    const product = products.find(p => p.sku === batch.product_sku) || {};
-    const searchLower = searchTerm.toLowerCase();
-    return (
-      batch.product_sku.toLowerCase().includes(searchLower) ||
-      (product.name || '').toLowerCase().includes(searchLower) ||
-      (batch.lot || '').toLowerCase().includes(searchLower)
-    );
-  });
-  
-  // Sort batches
-  const sortedBatches = [...filteredBatches].sort((a, b) => {
-    const productA = products.find(p => p.sku === a.product_sku) || {};
-    const productB = products.find(p => p.sku === b.product_sku) || {};
-    
-    let valA, valB;
-    
-    switch (sortField) {
-      case 'sku':
-        valA = a.product_sku;
-        valB = b.product_sku;
-        break;
-      case 'name':
-        valA = productA.name || '';
-        valB = productB.name || '';
-        break;
-      case 'quantity':
-        valA = a.quantity || 0;
-        valB = b.quantity || 0;
-        break;
-      case 'expiry':
-        valA = a.expiry || '9999-12-31';
-        valB = b.expiry || '9999-12-31';
-        break;
-      default:
-        valA = a[sortField] || '';
-        valB = b[sortField] || '';
-    }
-    
-    if (typeof valA === 'number' && typeof valB === 'number') {
-      return sortDir === 'asc' ? valA - valB : valB - valA;
-    }
-    
-    const comparison = String(valA).localeCompare(String(valB));
-    return sortDir === 'asc' ? comparison : -comparison;
-  });
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+          {devices.map(dev => {
+            const isActive = activeDeviceIds.includes(dev.id);
+            const isSelected = selectedDevice?.id === dev.id;
+            return (
+              <div key={dev.id} style={{
+                border: `1px solid ${isSelected ? 'var(--color-primary)' : 'var(--color-border)'}`,
+                borderRadius: '10px',
+                padding: '12px',
+                background: isActive ? 'rgba(33,128,141,0.08)' : 'var(--color-surface)'
+              }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+                  <div style={{ cursor: 'pointer' }} onClick={() => onDeviceChange(dev)}>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                      <div className={`device-indicator device-indicator--${isActive ? 'connected' : 'disconnected'}`}></div>
+                      <strong>{dev.name}</strong>
+                    </div>
+                    <div style={{ fontSize: '12px', color: 'var(--color-text-secondary)' }}>
+                      ID: {dev.id} • RSSI: {dev.rssi} dBm
+                    </div>
+                    <div style={{ fontSize: '12px', marginTop: '4px', color: dev.operator ? 'var(--color-success)' : 'var(--color-warning)' }}>
+                      {dev.operator ? `👤 ${dev.operator}` : '⚠️ Sin operador asignado'}
+                    </div>
+                    <div style={{ marginTop: '6px' }}>
+                      <RSSIIndicator rssi={dev.rssi} connected={isActive} />
+                    </div>
+                  </div>
+                  <button
+                    className={`btn btn--sm ${isActive ? 'btn--outline' : 'btn--primary'}`}
+                    onClick={() => onToggleDevice(dev)}
+                    disabled={!dev.operator}
+                    title={!dev.operator ? 'Asigna un operador desde 📟 Dispositivos' : ''}
+                  >
+                    {isActive ? '🔌 Desconectar' : '🔌 Conectar'}
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
 
-  // If user selected 'products' view, aggregate batches per product to show one row per product
-  const perProductRows = (() => {
-    const map = {};
-    filteredBatches.forEach(b => {
-      if (!map[b.product_sku]) {
-        map[b.product_sku] = {
-          product_sku: b.product_sku,
-          quantity: 0,
-          totalValue: 0,
-          avgPurchase: 0,
-          expiry: null
-        };
-      }
-      map[b.product_sku].quantity += Number(b.quantity || 0);
-      map[b.product_sku].totalValue += (Number(b.quantity || 0) * Number(b.purchase_price || 0));
-      if (!map[b.product_sku].expiry && b.expiry) map[b.product_sku].expiry = b.expiry;
-    });
-    return Object.values(map).map(item => ({
-      product_sku: item.product_sku,
-      quantity: item.quantity,
-      purchase_price: item.quantity ? (item.totalValue / item.quantity) : 0,
-      expiry: item.expiry
-    }));
-  })();
-  
-  const handleSort = (field) => {
-    if (sortField === field) {
-      setSortDir(sortDir === 'asc' ? 'desc' : 'asc');
-    } else {
-      setSortField(field);
-      setSortDir('asc');
+      {/* Panel del Sensor de Ventas */}
+      <div>
+        <h3 style={{ marginBottom: '16px' }}>📊 Sensor de Ventas</h3>
+        
+        <div style={{ marginBottom: '16px' }}>
+          {salesSensors.length > 1 && !salesSensorConnected && (
+            <select className="form-control" value={sensor?.id || ''} onChange={(e) => setSensorId(e.target.value)} style={{ marginBottom: '8px' }}>
+              {salesSensors.map(s => <option key={s.id} value={s.id}>{s.name} ({s.id})</option>)}
+            </select>
+          )}
+          <div style={{ display: 'flex', alignItems: 'center', marginBottom: '8px' }}>
+            <div className={`device-indicator device-indicator--${salesSensorConnected ? 'connected' : 'disconnected'}`}></div>
+            <strong>{sensor?.name || 'Sensor de Ventas'}</strong>
+          </div>
+          <div style={{ fontSize: '14px', color: 'var(--color-text-secondary)', marginBottom: '4px' }}>
+            ID: {sensor?.id || 'sin sensor registrado'}
+          </div>
+          <div style={{ marginTop: '8px' }}>
+            <span className={`status ${salesSensorConnected ? 'status--success' : 'status--error'}`}>
+              {salesSensorConnected ? 'Conectado (simulado)' : 'Desconectado'}
+            </span>
+          </div>
+        </div>
+        
+        <div>
+          <button 
+            className="btn btn--primary btn--sm btn--full-width"
+            onClick={salesSensorConnected ? onSensorDisconnect : () => onSensorConnect(sensor)}
+            disabled={!hasActiveDevices || !sensor}
+            title={!hasActiveDevices ? 'Conecta al menos una pulsera primero' : ''}
+          >
+            {salesSensorConnected ? '🔌 Desconectar Sensor' : '🔌 Conectar Sensor'}
+          </button>
+          {!hasActiveDevices && (
+            <p style={{ fontSize: '12px', color: 'var(--color-warning)', marginTop: '8px' }}>
+              💡 Conecta al menos una pulsera antes de conectar el sensor
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Registro de pulseras y sensores: alta, renombre, baja y asignación de operadores con vigencia
+function DeviceManager({ registry, assignments, operators, onSave, onRetire, onAssign }) {
+  const emptyForm = { id: null, name: '', type: 'pulsera' };
+  const [form, setForm] = useState(emptyForm);
+  const [showRetired, setShowRetired] = useState(false);
+  const [historyId, setHistoryId] = useState(null);
+  const [assignment, setAssignment] = useState({ device_id: '', operator: '', effective_from: '' });
+
+  const visible = registry
+    .filter(d => showRetired || d.status !== 'retired')
+    .sort((a, b) => a.type.localeCompare(b.type) || a.id.localeCompare(b.id));
+  const bands = registry.filter(d => d.type === 'pulsera' && d.status !== 'retired');
+  const history = assignments
+    .filter(a => a.device_id === historyId)
+    .sort((a, b) => (b.effective_from || '').localeCompare(a.effective_from || '') || b.id - a.id);
+  const operatorNames = operators.filter(o => o.active !== false).map(o => o.name);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) return alert('Ingresa un nombre para el dispositivo');
+    const ok = await onSave({ ...form, name: form.name.trim() });
+    if (ok) setForm(emptyForm);
+  };
+
+  const submitAssignment = async (e) => {
+    e.preventDefault();
+    const deviceId = assignment.device_id || bands[0]?.id;
+    if (!deviceId) return alert('No hay pulseras activas');
+    const effectiveFrom = assignment.effective_from ? new Date(assignment.effective_from).toISOString() : nowISO();
+    const ok = await onAssign(deviceId, assignment.operator.trim(), effectiveFrom);
+    if (ok) {
+      setAssignment({ device_id: deviceId, operator: '', effective_from: '' });
+      setHistoryId(deviceId);
     }
   };
-  
-  // Calcular totales solo para los lotes filtrados por sección
-  const totalItems = filteredBatches.reduce((sum, batch) => sum + (batch.quantity || 0), 0);
-  const totalValue = filteredBatches.reduce((sum, batch) => 
-    sum + ((batch.quantity || 0) * (batch.purchase_price || 0)), 0
-  );
-  // Calculate potential profit: (sale_price - purchase_price) * quantity
-  const totalProfit = batches.reduce((sum, batch) => {
-    const product = products.find(p => p.sku === batch.product_sku) || {};
-    const sale = Number(product.default_sale_price || 0);
-    const purchase = Number(batch.purchase_price || 0);
-    const qty = Number(batch.quantity || 0);
-    const profitPerUnit = sale - purchase;
-    return sum + (profitPerUnit * qty);
-  }, 0);
 
-  // Resumen por producto (inventario actual)
-  const productSummary = (() => {
-    const map = {};
-    batches.forEach(b => {
-      const lot = String(b.lot || '');
-      if (b.quantity > 0 && !lot.startsWith('DEV-') && !lot.startsWith('UNDO-')) {
-        if (!map[b.product_sku]) {
-          const p = products.find(pp => pp.sku === b.product_sku) || {};
-          map[b.product_sku] = { sku: b.product_sku, name: p.name || b.product_sku, category: p.category || '-', totalQty: 0, totalValue: 0 };
-        }
-        map[b.product_sku].totalQty += (b.quantity || 0);
-        map[b.product_sku].totalValue += (b.quantity || 0) * (b.purchase_price || 0);
-      }
-    });
-    return Object.values(map).sort((a, b) => b.totalQty - a.totalQty);
-  })();
-  
   return (
     <div>
-      {/* Add product quick form */}
       <div style={{ marginBottom: '16px', padding: '12px', background: 'var(--color-bg-1)', borderRadius: '8px' }}>
-        <h4 style={{ margin: '0 0 8px 0' }}>➕ Agregar producto rápido</h4>
-        <AddProductForm onAdd={onAddProduct} />
+        <h4 style={{ margin: '0 0 8px 0' }}>{form.id ? `✏️ Renombrar ${form.id}` : '➕ Registrar dispositivo'}</h4>
+        <form onSubmit={submit} style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap' }}>
+          <select className="form-control" value={form.type} disabled={!!form.id} onChange={(e) => setForm(prev => ({ ...prev, type: e.target.value }))} style={{ width: 180 }}>
+            {DEVICE_TYPES.map(t => <option key={t.key} value={t.key}>{t.label}</option>)}
+          </select>
+          <input className="form-control" placeholder="Nombre" value={form.name} onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))} style={{ width: 200 }} />
+          <button className="btn btn--primary btn--sm" type="submit">💾 Guardar</button>
+          {form.id && <button className="btn btn--outline btn--sm" type="button" onClick={() => setForm(emptyForm)}>Cancelar</button>}
+        </form>
       </div>
-      {/* Stats: inventario + ventas */}
-      <div className="stats-grid">
-        <div className="stat-card">
-          <div className="stat-value">{products.length}</div>
-          <div className="stat-label">Productos</div>
-        </div>
-        <div className="stat-card">
-          <div className="stat-value">{batches.filter(b => b.quantity > 0).length}</div>
-          <div className="stat-label">Lotes Activos</div>
-        </div>
-        <div className="stat-card">
-          <div className="stat-value">{settings?.currency || 'S/'}{totalProfit.toFixed(2)}</div>
-          <div className="stat-label">Ganancia potencial</div>
-        </div>
-        <div className="stat-card">
-          <div className="stat-value">{settings?.currency || 'S/'}{totalValue.toFixed(2)}</div>
-          <div className="stat-label">Valor Inventario</div>
-        </div>
-        {/* Producto más/menos vendido */}
-        {(() => {
-          const completedSales = (sales || []).filter(sale => sale && sale.status !== 'cancelled');
-          const totals = {};
-          completedSales.forEach(sale => {
-            if (!sale?.sku) return;
-            totals[sale.sku] = (totals[sale.sku] || 0) + (sale.quantity || 0);
-          });
-          const entries = Object.entries(totals).sort((a, b) => b[1] - a[1]);
-          if (entries.length === 0) return null;
-          const most = entries[0];
-          const least = entries.length > 1 ? entries[entries.length - 1] : entries[0];
 
-          return (
-            <>
-              <div className="stat-card">
-                <div className="stat-value">{`${products.find(p=>p.sku===most[0])?.name || most[0]} (${most[1]})`}</div>
-                <div className="stat-label">Producto más vendido</div>
-              </div>
-              <div className="stat-card">
-                <div className="stat-value">{`${products.find(p=>p.sku===least[0])?.name || least[0]} (${least[1]})`}</div>
-                <div className="stat-label">Producto menos vendido</div>
-              </div>
-            </>
-          );
-        })()}
-      </div>
-      
-      {/* Toolbar */}
-      <div className="toolbar">
-        <input
-          className="form-control search-input"
-          type="text"
-          placeholder="🔍 Buscar por SKU, nombre o lote..."
-          value={searchTerm}
-          onChange={(e) => setSearchTerm(e.target.value)}
-          style={{ width: '260px', padding: '8px', fontSize: '14px' }}
-        />
-        
-        <select
-          className="form-control"
-          value={viewMode}
-          onChange={(e) => setViewMode(e.target.value)}
-        >
-          <option value="batches">📋 Por Lotes</option>
-          <option value="products">📊 Por Productos</option>
-        </select>
-        
-        <button className="btn btn--outline btn--sm" onClick={onRefresh}>
-          🔄 Refrescar
-        </button>
-        <button className="btn btn--secondary btn--sm" onClick={onExport}>
-          📊 Exportar XLSX
-        </button>
-        <button className="btn btn--primary btn--sm" onClick={onDailyReport}>
-          📈 Reporte Diario
-        </button>
-      </div>
-      
-      {/* Leyenda de colores */}
       <div style={{ marginBottom: '16px', padding: '12px', background: 'var(--color-bg-1)', borderRadius: '8px' }}>
-        <h4 style={{ marginBottom: '8px' }}>Leyenda de Estados:</h4>
-        <div style={{ display: 'flex', gap: '16px', fontSize: '14px' }}>
-          <div>⚫ Normal: Producto activo</div>
-          <div style={{ color: '#ffd700' }}>🟡 Por vencerse (15 días)</div>
-          <div style={{ color: 'red' }}>🔴 Vencido</div>
-          <div style={{ opacity: 0.5 }}>⚪ Devuelto</div>
-        </div>
+        <h4 style={{ margin: '0 0 8px 0' }}>👤 Asignar operador a pulsera</h4>
+        <form onSubmit={submitAssignment} style={{ display: 'flex', gap: '8px', alignItems: 'flex-end', flexWrap: 'wrap' }}>
+          <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+            Pulsera
+            <select className="form-control" value={assignment.device_id || bands[0]?.id || ''} onChange={(e) => setAssignment(prev => ({ ...prev, device_id: e.target.value }))} style={{ width: 200 }}>
+              {bands.map(d => <option key={d.id} value={d.id}>{d.name} ({d.id})</option>)}
+            </select>
+          </label>
+          <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+            Operador (vacío = sin asignar)
+            <input className="form-control" list="device-operator-names" value={assignment.operator} onChange={(e) => setAssignment(prev => ({ ...prev, operator: e.target.value }))} style={{ width: 200 }} />
+            <datalist id="device-operator-names">
+              {operatorNames.map(name => <option key={name} value={name} />)}
+            </datalist>
+          </label>
+          <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+            Vigente desde (vacío = ahora)
+            <input className="form-control" type="datetime-local" value={assignment.effective_from} onChange={(e) => setAssignment(prev => ({ ...prev, effective_from: e.target.value }))} />
+          </label>
+          <button className="btn btn--primary btn--sm" type="submit" disabled={bands.length === 0}>✅ Asignar</button>
+        </form>
       </div>
 
-      {/* Resumen por Producto (KPI) */}
-      <div style={{ marginBottom: '16px', padding: '12px', background: 'var(--color-bg-1)', borderRadius: '8px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+        <h3 style={{ margin: 0 }}>📟 Dispositivos</h3>
+        <label style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 13 }}>
+          <input type="checkbox" checked={showRetired} onChange={(e) => setShowRetired(e.target.checked)} /> Mostrar retirados
+        </label>
+      </div>
+      <div className="table-container" style={{ border: '1px solid var(--color-border)', borderRadius: 8, overflow: 'auto', marginBottom: 16 }}>
+        <table className="inventory-table" style={{ width: '100%', borderCollapse: 'separate', borderSpacing: 0 }}>
+          <thead style={{ background: 'var(--color-surface)' }}>
+            <tr>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>ID</th>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Nombre</th>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Tipo</th>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Operador actual</th>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Estado</th>
+              <th style={{ padding: '8px 12px' }}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map(d => {
+              const retired = d.status === 'retired';
+              const operator = d.type === 'pulsera' ? deviceOperatorAt(assignments, d.id) : '';
+              return (
+                <tr key={d.id} style={{ opacity: retired ? 0.5 : 1, background: historyId === d.id ? 'var(--color-bg-1)' : undefined }}>
+                  <td style={{ padding: '8px 12px' }}>{d.id}</td>
+                  <td style={{ padding: '8px 12px' }}>{d.name}</td>
+                  <td style={{ padding: '8px 12px' }}>{deviceTypeLabel(d.type)}</td>
+                  <td style={{ padding: '8px 12px' }}>{d.type === 'pulsera' ? (operator || <span style={{ color: 'var(--color-warning)' }}>Sin operador</span>) : '-'}</td>
+                  <td style={{ padding: '8px 12px' }}>{retired ? `Retirado ${d.retired_at ? new Date(d.retired_at).toLocaleDateString() : ''}` : 'Activo'}</td>
+                  <td style={{ padding: '8px 12px', textAlign: 'right', whiteSpace: 'nowrap' }}>
+                    {d.type === 'pulsera' && (
+                      <button className="btn btn--outline btn--sm" onClick={() => setHistoryId(historyId === d.id ? null : d.id)}>🕒 Historial</button>
+                    )}
+                    {!retired && (
+                      <button className="btn btn--outline btn--sm" style={{ marginLeft: 4 }} onClick={() => setForm({ id: d.id, name: d.name, type: d.type })}>✏️ Renombrar</button>
+                    )}
+                    <button className="btn btn--outline btn--sm" style={{ marginLeft: 4 }} onClick={() => onRetire(d.id, !retired)}>
+                      {retired ? '♻️ Reactivar' : '📦 Retirar'}
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {historyId && (
+        <div>
+          <h4 style={{ margin: '0 0 8px 0' }}>🕒 Asignaciones de {historyId}</h4>
+          {history.length === 0 ? (
+            <div style={{ color: 'var(--color-text-secondary)' }}>Esta pulsera nunca tuvo operador asignado</div>
+          ) : (
+            <div className="table-container" style={{ border: '1px solid var(--color-border)', borderRadius: 8, overflow: 'auto' }}>
+              <table className="inventory-table" style={{ width: '100%', borderCollapse: 'separate', borderSpacing: 0 }}>
+                <thead style={{ background: 'var(--color-surface)' }}>
+                  <tr>
+                    <th style={{ textAlign: 'left', padding: '8px 12px' }}>Vigente desde</th>
+                    <th style={{ textAlign: 'left', padding: '8px 12px' }}>Operador</th>
+                    <th style={{ textAlign: 'left', padding: '8px 12px' }}>Registrado por</th>
+                    <th style={{ textAlign: 'left', padding: '8px 12px' }}>Registrado el</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {history.map(a => (
+                    <tr key={a.id}>
+                      <td style={{ padding: '8px 12px' }}>{a.effective_from ? new Date(a.effective_from).toLocaleString() : 'Desde el inicio'}</td>
+                      <td style={{ padding: '8px 12px' }}>{a.operator || <em>Sin asignar</em>}</td>
+                      <td style={{ padding: '8px 12px' }}>{a.assigned_by || '-'}</td>
+                      <td style={{ padding: '8px 12px' }}>{a.created_at ? new Date(a.created_at).toLocaleString() : '-'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Simulate Panel component
+function SimulatePanel({ connected, connectedDevices = [], salesSensorConnected, onProcessEvent, onCheckout, pickingSettings, settings, simSinceReset, setSimSinceReset, device, batches, products = [], customers = [], customerBalance, promotions = [], canDiscount = false }) {
+  const [activeTab, setActiveTab] = useState('form');
+  const [jsonInput, setJsonInput] = useState('');
+  const [isScanning, setIsScanning] = useState(false);
+  const [continuousMode, setContinuousMode] = useState(false);
+  const [scanCount, setScanCount] = useState(0);
+  
+  const canSimulate = connected && salesSensorConnected;
+  const intervalRef = useRef(null);
+  // Los productos archivados no participan en la simulación
+  const archivedSkus = new Set(products.filter(p => p.archived).map(p => p.sku));
+  const samplePool = SAMPLE_PRODUCTS.filter(p => !archivedSkus.has(p.sku) && !isKit(products.find(pp => pp.sku === p.sku)));
+  const operatorPool = connectedDevices.length > 0 ? connectedDevices : (device ? [device] : []);
+  const primaryDevice = operatorPool[0] || device || null;
+  const defaultOperator = operatorPool[0]?.operator || device?.operator || settings?.user || '';
+  
+  const [formData, setFormData] = useState({
+    type: 'ingreso',
+    barcode: '',
+    name: '',
+    quantity: 1,
+    unit: '',
+    purchasePrice: '',
+    salePrice: '',
+    lot: '',
+    expiry: '',
+    category: '',
+    operator: defaultOperator
+  });
+  // Presentaciones del producto ya registrado con ese código
+  const formProduct = products.find(p => p.sku === formData.barcode) || null;
+
+  useEffect(() => {
+    if (!formData.operator && defaultOperator) {
+      setFormData(prev => ({ ...prev, operator: defaultOperator }));
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [defaultOperator]);
+  
+  useEffect(() => {
+    if (continuousMode && connected) {
+      intervalRef.current = setInterval(() => {
+        handleSimulateScan();
+      }, 3000);
+    } else {
+      clearInterval(intervalRef.current);
+    }
+    
+    return () => clearInterval(intervalRef.current);
+  }, [continuousMode, connected]);
+  
+  const examplePayload = {
+    event: 'ingreso',
+    source: 'brazalete_simulado',
+    device_id: primaryDevice?.id || 'BRZ-001',
+    timestamp: nowISO(),
+    barcode: '7501031311306',
+    sku: 'GALX-001',
+    name: 'Galletas X',
+    quantity: 12,
+    purchase_price: 1.45,
+    sale_price: 2.50,
+    lot: 'L202510',
+    expiry: '2026-03-01',
+    category: 'Panadería',
+    bodega: settings?.bodega || 'Bodega Central',
+    operator: primaryDevice?.operator || settings?.user || 'Juan'
+  };
+  
+  const handleProcessJSON = () => {
+    if (!connected) {
+      alert('⚠️ Debes conectar un dispositivo primero');
+      return;
+    }
+    
+    try {
+      const parsed = JSON.parse(jsonInput);
+      onProcessEvent(parsed);
+      setJsonInput('');
+    } catch (error) {
+      alert('❌ JSON inválido: ' + error.message);
+    }
+  };
+  
+  const handleFormSubmit = (e) => {
+    e.preventDefault();
+    if (!connected) {
+      alert('⚠️ Debes conectar un dispositivo primero');
+      return;
+    }
+
+    const purchase = parseFloat(formData.purchasePrice) || 0;
+    const sale = parseFloat(formData.salePrice) || 0;
+
+    if (purchase <= 0) {
+      alert('El precio de compra debe ser mayor a 0');
+      return;
+    }
+
+    if (formData.type !== 'devolucion' && sale <= purchase) {
+      alert('El precio de venta debe ser mayor al precio de compra');
+      return;
+    }
+    
+    const payload = {
+      event: formData.type,
+      source: 'brazalete_simulado',
+      device_id: primaryDevice?.id || 'BRZ-001',
+      timestamp: nowISO(),
+      barcode: formData.barcode,
+      sku: formData.barcode || `SKU-${Date.now()}`,
+      name: formData.name,
+      quantity: parseFloat(formData.quantity) || 1,
+      unit: formData.unit || undefined,
+      purchase_price: parseFloat(formData.purchasePrice) || 0,
+      sale_price: parseFloat(formData.salePrice) || 0,
+      lot: formData.lot,
+      expiry: formData.expiry,
+      category: formData.category,
+      bodega: settings?.bodega || 'Bodega Central',
+      operator: formData.operator || primaryDevice?.operator || settings?.user,
+      allowRandomOperator: false
+    };
+    
+    onProcessEvent(payload);
+    
+    // Reset form
+    setFormData(prev => ({
+      ...prev,
+      barcode: '',
+      name: '',
+      quantity: 1,
+      unit: '',
+      purchasePrice: '',
+      salePrice: '',
+      lot: '',
+      expiry: '',
+      category: ''
+    }));
+  };
+  
+  const handleSimulateScan = async (forceType) => {
+    // Nueva versión: acepta un tipo forzado (venta, ingreso, devolucion)
+    if (!connected) {
+      alert('⚠️ Debes conectar un dispositivo primero');
+      return;
+    }
+
+    setIsScanning(true);
+    setScanCount(prev => prev + 1);
+
+    await new Promise(res => setTimeout(res, 800));
+
+    const randomProduct = samplePool[Math.floor(Math.random() * samplePool.length)] || SAMPLE_PRODUCTS[0];
+    // Producto elegido (se ajusta según disponibilidad/semilla)
+    let selectedProduct = randomProduct;
+
+    // Verificar stock usando batches recibido como prop
+    const stockByProduct = {};
+    if (batches) {
+      batches.forEach(batch => {
+        if (!batch.lot?.startsWith('DEV-') && !batch.lot?.startsWith('UNDO-') && !archivedSkus.has(batch.product_sku)) {
+          if (!stockByProduct[batch.product_sku]) {
+            stockByProduct[batch.product_sku] = 0;
+          }
+          stockByProduct[batch.product_sku] += (batch.quantity || 0);
+        }
+      });
+    }
+
+    // Determinar el tipo de evento. Si se fuerza (p.ej. 'venta'), respetarlo.
+    let randomEvent = forceType || null;
+
+    if (!randomEvent) {
+      if (typeof simSinceReset === 'number' && simSinceReset < 10) {
+        // Primeros 10 eventos -> ingresos con productos no usados
+        const unusedProducts = samplePool.filter(p => !(batches || []).some(b => b.product_sku === p.sku));
+        if (unusedProducts.length > 0) {
+          selectedProduct = unusedProducts[Math.floor(Math.random() * unusedProducts.length)];
+        }
+        randomEvent = 'ingreso';
+        setSimSinceReset(prev => prev + 1);
+      } else {
+        // Después de la semilla inicial, seguimos generando ingresos por defecto.
+        // Las ventas/devoluciones se simulan solo cuando el usuario lo pide.
+        randomEvent = 'ingreso';
+      }
+    }
+
+    if (randomEvent === 'devolucion') {
+      // Preferir productos que tengan movimientos o lotes devueltos
+      const candidate = samplePool.find(p => (stockByProduct[p.sku] || 0) > 0);
+      if (candidate) selectedProduct = candidate;
+    }
+
+    // Generar cantidades lógicas según el evento
+    let quantity;
+    if (randomEvent === 'ingreso') {
+      if (typeof simSinceReset === 'number' && simSinceReset < 10) {
+        quantity = Math.floor(Math.random() * 91) + 30; // 30-120
+      } else {
+        quantity = Math.floor(Math.random() * 41) + 10; // 10-50
+      }
+    } else if (randomEvent === 'venta') {
+      // Para ventas: exigir sensor y elegir producto con stock
+      if (!salesSensorConnected) {
+        alert('⚠️ Debes conectar el sensor de ventas');
+        setIsScanning(false);
+        return;
+      }
+      const inventoryEntries = Object.entries(stockByProduct).filter(([_, qty]) => qty > 0);
+      if (inventoryEntries.length === 0) {
+        alert('No hay stock disponible para vender. Primero registra ingresos.');
+        setIsScanning(false);
+        return;
+      }
+      const [sku, availableQty] = inventoryEntries[Math.floor(Math.random() * inventoryEntries.length)];
+      const productInfo = products.find(p => p.sku === sku) || SAMPLE_PRODUCTS.find(p => p.sku === sku) || { sku, name: sku, category: 'General', basePrice: 5 };
+      selectedProduct = {
+        ...productInfo,
+        sku,
+        name: productInfo.name || sku,
+        category: productInfo.category || 'General',
+        basePrice: productInfo.basePrice || productInfo.default_purchase_price || 5
+      };
+      const maxQty = Math.max(1, availableQty || 1);
+      const r = Math.random();
+      if (r < 0.85) {
+        quantity = Math.min(Math.floor(Math.random() * 5) + 1, maxQty); // 1-5
+      } else {
+        quantity = Math.min(Math.floor(Math.random() * 6) + 5, maxQty); // 5-10
+      }
+    } else {
+      // devolucion: 1-5 unidades
+      quantity = Math.floor(Math.random() * 5) + 1;
+    }
+
+    // Precios basados en el producto
+    const basePrice = selectedProduct.basePrice || parseFloat((Math.random() * 15 + 5).toFixed(2));
+    const purchase_price = randomEvent === 'ingreso' ? basePrice : basePrice * 0.75;
+    const saleReference = selectedProduct.default_sale_price || (selectedProduct.basePrice ? selectedProduct.basePrice * 1.2 : null);
+    const normalizedSaleRef = saleReference != null ? Number(saleReference) : null;
+    const sale_price = normalizedSaleRef && !Number.isNaN(normalizedSaleRef)
+      ? Number(normalizedSaleRef.toFixed(2))
+      : parseFloat((basePrice * (1.3 + Math.random() * 0.4)).toFixed(2));
+
+    const simulatedPayload = {
+      event: randomEvent,
+      source: 'brazalete_simulado',
+      device_id: primaryDevice?.id || 'BRZ-001',
+      timestamp: nowISO(),
+      barcode: `750${Math.floor(Math.random() * 1000000000)}`,
+      sku: selectedProduct.sku,
+      name: selectedProduct.name,
+      quantity: quantity,
+      purchase_price: purchase_price,
+      sale_price: sale_price,
+      lot: `L${new Date().getFullYear()}${String(Math.floor(Math.random() * 99) + 1).padStart(2, '0')}`,
+      expiry: new Date(Date.now() + Math.random() * 365 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+      category: selectedProduct.category,
+      bodega: settings?.bodega || 'Bodega Central',
+      operator: primaryDevice?.operator || settings?.user || 'Juan',
+      autoAssignDevice: true
+    };
+
+    // Procesar evento (onProcessEvent viene de props)
+    if (typeof onProcessEvent === 'function') {
+      try {
+        await onProcessEvent(simulatedPayload);
+      } catch (e) {
+        console.error('simulate error', e);
+      }
+    } else {
+      console.warn('onProcessEvent no es una función');
+    }
+
+    setIsScanning(false);
+  };
+  
+  return (
+    <div className="panel">
+      <h3 style={{ marginBottom: '16px' }}>⚡ Panel de Simulación</h3>
+      
+      <div className="tabs">
+        <button 
+          className={`tab ${activeTab === 'form' ? 'tab--active' : ''}`}
+          onClick={() => setActiveTab('form')}
+        >
+          📝 Registro Manual
+        </button>
+        <button 
+          className={`tab ${activeTab === 'auto' ? 'tab--active' : ''}`}
+          onClick={() => setActiveTab('auto')}
+        >
+          🤖 Simulación Automática
+        </button>
+        <button 
+          className={`tab ${activeTab === 'cart' ? 'tab--active' : ''}`}
+          onClick={() => setActiveTab('cart')}
+        >
+          🛒 Carrito
+        </button>
+      </div>
+
+      {activeTab === 'cart' && (
+        <CartPanel
+          products={products}
+          batches={batches}
+          settings={settings}
+          pickingSettings={pickingSettings}
+          canSell={connected && salesSensorConnected}
+          customers={customers}
+          customerBalance={customerBalance}
+          promotions={promotions}
+          canDiscount={canDiscount}
+          onCheckout={onCheckout}
+        />
+      )}
+      
+      {activeTab === 'form' && (
+        <form onSubmit={handleFormSubmit}>
+          <div className="form-group">
+            <label className="form-label">Tipo de Evento</label>
+            <select
+              className="form-control"
+              value={formData.type}
+              onChange={(e) => setFormData(prev => ({ ...prev, type: e.target.value }))}
+            >
+              <option value="ingreso">📦 Ingreso</option>
+              <option value="venta">💰 Venta</option>
+              <option value="devolucion">🔄 Devolución</option>
+            </select>
+          </div>
+          
+          <div className="form-group">
+            <label className="form-label">Código de Barras/SKU</label>
+            <input
+              className="form-control"
+              type="text"
+              value={formData.barcode}
+              onChange={(e) => setFormData(prev => ({ ...prev, barcode: e.target.value }))}
+              placeholder="750103131..."
+            />
+          </div>
+          
+          <div className="form-group">
+            <label className="form-label">Nombre del Producto</label>
+            <input
+              className="form-control"
+              type="text"
+              value={formData.name}
+              onChange={(e) => setFormData(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="Ej: Galletas X"
+            />
+          </div>
+          
+          <div className="form-group">
+            <label className="form-label">Cantidad</label>
+            <div style={{ display: 'flex', gap: 8 }}>
+              <input
+                className="form-control"
+                type="number"
+                min="0"
+                step={allowsDecimals(formProduct) ? '0.001' : 'any'}
+                value={formData.quantity}
+                onChange={(e) => setFormData(prev => ({ ...prev, quantity: e.target.value }))}
+              />
+              {formProduct && productUnits(formProduct).length > 1 && (
+                <select
+                  className="form-control"
+                  value={formData.unit || baseUnitOf(formProduct).key}
+                  onChange={(e) => setFormData(prev => ({ ...prev, unit: e.target.value }))}
+                  style={{ width: 150 }}
+                >
+                  {productUnits(formProduct).map(u => <option key={u.key} value={u.key}>{u.label}{u.factor !== 1 ? ` ×${u.factor}` : ''}</option>)}
+                </select>
+              )}
+            </div>
+            {formProduct && unitOf(formProduct, formData.unit).factor !== 1 && (
+              <div style={{ fontSize: 12, color: 'var(--color-text-secondary)', marginTop: 4 }}>
+                = {formatQuantity(formProduct, toBaseQuantity(formProduct, formData.quantity, formData.unit))} · precios por {unitOf(formProduct, formData.unit).short}
+              </div>
+            )}
+          </div>
+          
+          {(formData.type === 'ingreso' || formData.type === 'devolucion') && (
+            <div className="form-group">
+              <label className="form-label">Precio Compra</label>
+              <input
+                className="form-control"
+                type="number"
+                step="0.01"
+                value={formData.purchasePrice}
+                onChange={(e) => setFormData(prev => ({ ...prev, purchasePrice: e.target.value }))}
+                placeholder="0.00"
+              />
+            </div>
+          )}
+          
+          {formData.type !== 'devolucion' && (
+            <div className="form-group">
+              <label className="form-label">Precio Venta</label>
+              <input
+                className="form-control"
+                type="number"
+                step="0.01"
+                value={formData.salePrice}
+                onChange={(e) => setFormData(prev => ({ ...prev, salePrice: e.target.value }))}
+                placeholder="0.00"
+              />
+            </div>
+          )}
+          
+          <div className="form-group">
+            <label className="form-label">Lote (Opcional)</label>
+            <input
+              className="form-control"
+              type="text"
+              value={formData.lot}
+              onChange={(e) => setFormData(prev => ({ ...prev, lot: e.target.value }))}
+              placeholder="L202510"
+            />
+          </div>
+          
+          <div className="form-group">
+            <label className="form-label">Fecha Caducidad (Opcional)</label>
+            <input
+              className="form-control"
+              type="date"
+              value={formData.expiry}
+              onChange={(e) => setFormData(prev => ({ ...prev, expiry: e.target.value }))}
+            />
+          </div>
+          
+          <div className="form-group">
+            <label className="form-label">Categoría (Opcional)</label>
+            <input
+              className="form-control"
+              type="text"
+              value={formData.category}
+              onChange={(e) => setFormData(prev => ({ ...prev, category: e.target.value }))}
+              placeholder="Panadería, Lácteos, etc."
+            />
+          </div>
+          
+          <div className="form-group">
+            <label className="form-label">Operador</label>
+            <input
+              className="form-control"
+              type="text"
+              value={formData.operator}
+              onChange={(e) => setFormData(prev => ({ ...prev, operator: e.target.value }))}
+            />
+          </div>
+          
+          <button 
+            type="submit" 
+            className="btn btn--primary btn--full-width"
+            disabled={!connected}
+          >
+            📋 Registrar Evento
+          </button>
+        </form>
+      )}
+      
+      {activeTab === 'auto' && (
+        <div>
+          <div style={{ textAlign: 'center', marginBottom: '16px' }}>
+            {isScanning && (
+              <div style={{ marginBottom: '12px' }}>
+                <div style={{ fontSize: '24px' }}>📡</div>
+                <div>Escaneando...</div>
+              </div>
+            )}
+          </div>
+          
+          <button 
+            className="btn btn--primary btn--full-width btn--lg"
+            onClick={() => handleSimulateScan('ingreso')}
+            disabled={!connected || isScanning}
+            style={{ marginBottom: '12px' }}
+          >
+            {isScanning ? '⏳ Escaneando...' : '🔍 Simular Scan'}
+          </button>
+          
+          <button
+            className="btn btn--secondary btn--full-width btn--lg"
+            onClick={async () => {
+              if (!connected || !salesSensorConnected) return;
+              await handleSimulateScan('venta');
+            }}
+            disabled={!connected || isScanning || !salesSensorConnected}
+            style={{ marginBottom: '12px' }}
+          >
+            🏷️ Simular 1 Venta
+          </button>
+
+          {/* Botón de devoluciones automáticas removido por solicitud */}
+          
+          <div style={{ marginBottom: '16px' }}>
+            <label style={{ display: 'flex', alignItems: 'center', cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={continuousMode}
+                onChange={(e) => setContinuousMode(e.target.checked)}
+                disabled={!connected}
+                style={{ marginRight: '8px' }}
+              />
+              🔄 Modo Continuo (cada 3 segundos)
+            </label>
+          </div>
+          
+          <div className="stat-card">
+            <div className="stat-value">{scanCount}</div>
+            <div className="stat-label">Eventos Simulados</div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Cart panel: arma una venta con varias líneas y la cobra en un solo documento
+function CartPanel({ products, batches = [], settings, pickingSettings = DEFAULT_PICKING_SETTINGS, canSell, customers = [], customerBalance, promotions = [], canDiscount = false, onCheckout }) {
+  const [lines, setLines] = useState([]);
+  const [sku, setSku] = useState('');
+  const [batchId, setBatchId] = useState('');
+  const [quantity, setQuantity] = useState(1);
+  const [unit, setUnit] = useState('');
+  const [processing, setProcessing] = useState(false);
+  const [payments, setPayments] = useState([{ method: 'efectivo', amount: '' }]);
+  const [docRequest, setDocRequest] = useState({ type: 'boleta', customer: { doc_number: '', name: '' } });
+  const [customerId, setCustomerId] = useState('');
+  const [priceList, setPriceList] = useState('minorista');
+  const [ticketDiscount, setTicketDiscount] = useState({ type: 'percent', value: '', reason: '' });
+  const [discountKey, setDiscountKey] = useState(null);
+  const currency = settings?.currency || 'S/';
+  const expiredPolicy = pickingSettings.expired || 'block';
+
+  // Mismo criterio que la venta: lotes con stock salvo devoluciones DEV- (y vencidos si se bloquean)
+  const sellableBatches = batches.filter(b =>
+    b.quantity > 0 && !b.lot?.startsWith('DEV-') && (expiredPolicy !== 'block' || checkExpiry(b.expiry) !== 'expired')
+  );
+  const stockBySku = {};
+  sellableBatches.forEach(b => {
+    stockBySku[b.product_sku] = (stockBySku[b.product_sku] || 0) + b.quantity;
+  });
+  // Un kit se vende mientras alcancen sus componentes
+  products.filter(isKit).forEach(p => {
+    stockBySku[p.sku] = kitAvailability(p, batches, { expiredPolicy });
+  });
+  const sellable = products.filter(p => !p.archived && (stockBySku[p.sku] || 0) > 0);
+  const selectedProduct = products.find(p => p.sku === sku);
+  const selectedStrategy = selectedProduct && !isKit(selectedProduct) ? resolvePickingStrategy(selectedProduct, pickingSettings) : null;
+  const selectedLots = sellableBatches.filter(b => b.product_sku === sku);
+
+  const addLine = (e) => {
+    e.preventDefault();
+    if (!selectedProduct) return;
+    // El carrito guarda la cantidad en unidad base y recuerda la presentación elegida
+    const selectedUnit = unitOf(selectedProduct, unit);
+    const qty = toBaseQuantity(selectedProduct, parseFloat(quantity) || 0, selectedUnit.key);
+    const invalidQuantity = quantityError(selectedProduct, qty);
+    if (invalidQuantity) {
+      alert(invalidQuantity);
+      return;
+    }
+    const manualId = selectedStrategy === 'manual' ? Number(batchId) : null;
+    if (selectedStrategy === 'manual' && !manualId) {
+      alert('Selecciona el lote del que sale este producto');
+      return;
+    }
+    const lineKey = manualId ? `${sku}#${manualId}` : sku;
+    const inCart = lines.filter(l => l.sku === sku).reduce((sum, l) => sum + l.quantity, 0);
+    const limit = manualId ? (selectedLots.find(b => b.id === manualId)?.quantity || 0) : (stockBySku[sku] || 0);
+    const inCartForLimit = manualId ? (lines.find(l => l.key === lineKey)?.quantity || 0) : inCart;
+    if (roundQuantity(inCartForLimit + qty) > limit) {
+      alert(`Stock insuficiente: hay ${describeStock(selectedProduct, limit)} disponibles de ${selectedProduct.name}`);
+      return;
+    }
+    if (manualId && lines.some(l => l.sku === sku && l.key !== lineKey)) {
+      alert('Este producto ya está en el carrito con otro lote; quítalo primero');
+      return;
+    }
+    setLines(prev => prev.some(l => l.key === lineKey)
+      ? prev.map(l => l.key === lineKey
+        ? { ...l, quantity: roundQuantity(l.quantity + qty), unit: l.unit === selectedUnit.key ? l.unit : baseUnitOf(selectedProduct).key }
+        : l)
+      : [...prev, {
+          key: lineKey,
+          sku,
+          name: selectedProduct.name,
+          quantity: qty,
+          unit: selectedUnit.key,
+          price: Number(selectedProduct.default_sale_price || 0),
+          ...(manualId ? { strategy: 'manual', batch_ids: [manualId] } : {})
+        }]);
+    setQuantity(1);
+    setUnit('');
+    setBatchId('');
+  };
+
+  const removeLine = (lineKey) => setLines(prev => prev.filter(l => l.key !== lineKey));
+  const setLineDiscount = (lineKey, field, value) => setLines(prev => prev.map(l => (l.key === lineKey
+    ? { ...l, discount: { type: 'percent', value: '', reason: '', ...l.discount, [field]: value } }
+    : l)));
+
+  // Mismo cálculo que la venta: lista de precios, promociones vigentes y descuentos
+  const tax = taxSettingsOf(settings);
+  const pricing = priceSaleLines(lines, products, { tax, priceList, promotions, ticketDiscount, timestamp: nowISO() });
+  const taxSummary = summarizeTax(pricing.lines);
+  const total = taxSummary.total;
+  const manualDiscounts = [...lines.map(l => l.discount), ticketDiscount].filter(hasManualDiscount);
+  const discountError = pricing.errors[0]
+    || (manualDiscounts.length > 0 && !canDiscount ? 'Tu rol no puede aplicar descuentos manuales' : null)
+    || (manualDiscounts.some(d => !String(d.reason || '').trim()) ? 'Indica el motivo del descuento' : null);
+  const settlement = settlePayments(total, payments);
+  const setPayment = (index, field, value) => setPayments(prev => prev.map((p, i) => (i === index ? { ...p, [field]: value } : p)));
+  const setCustomer = (field, value) => setDocRequest(prev => ({ ...prev, customer: { ...prev.customer, [field]: value } }));
+  const documentError = validateDocumentRequest(docRequest);
+
+  // Cliente registrado: completa el comprobante y habilita el fiado hasta su límite
+  const activeCustomers = customers.filter(c => c.active !== false);
+  const customer = activeCustomers.find(c => String(c.id) === String(customerId)) || null;
+  const creditAvailable = customer ? availableCredit(customer, customerBalance(customer.id)) : 0;
+  const creditUsed = settlement.error ? 0 : settlement.payments.filter(p => p.method === 'credito').reduce((sum, p) => sum + p.amount, 0);
+  const creditError = creditUsed > 0 && (!customer
+    ? 'Elige el cliente para vender al crédito'
+    : creditUsed > creditAvailable + 0.005 ? `Crédito disponible: ${currency}${creditAvailable.toFixed(2)}` : null);
+  const selectCustomer = (id) => {
+    setCustomerId(id);
+    const selected = activeCustomers.find(c => String(c.id) === String(id));
+    setDocRequest(prev => ({
+      ...prev,
+      customer: selected ? { doc_number: selected.doc_number || '', name: selected.name } : { doc_number: '', name: '' }
+    }));
+  };
+
+  // Vista previa de los lotes que saldrán en cada línea
+  const previewFor = (line) => {
+    const product = products.find(p => p.sku === line.sku);
+    if (isKit(product)) {
+      // Cada componente sale con su propia estrategia (FIFO/FEFO/LIFO)
+      const plans = product.kit_components.map(c => {
+        const configured = resolvePickingStrategy(products.find(p => p.sku === c.sku), pickingSettings);
+        return planPicking(batches, c.sku, roundQuantity(line.quantity * c.quantity), configured === 'manual' ? 'fifo' : configured, { expiredPolicy });
+      });
+      return { strategy: 'kit', plan: { picks: plans.flatMap(pl => pl.picks), usedExpired: plans.flatMap(pl => pl.usedExpired) } };
+    }
+    const strategy = line.strategy || resolvePickingStrategy(product, pickingSettings);
+    const plan = planPicking(batches, line.sku, line.quantity, strategy, { expiredPolicy, manualBatchIds: line.batch_ids || [] });
+    return { strategy, plan };
+  };
+
+  const checkout = async () => {
+    if (lines.length === 0) return;
+    const summary = lines.map(l => {
+      const { plan } = previewFor(l);
+      return `${l.name} ×${formatQuantity(products.find(p => p.sku === l.sku), l.quantity, l.unit)}: ${plan.picks.map(p => `${p.batch.lot} ×${p.take}`).join(', ')}`;
+    }).join('\n');
+    const paid = settlement.payments.map(p => `${paymentMethodLabel(p.method)} ${currency}${p.amount.toFixed(2)}`).join(' + ');
+    const discounted = pricing.discount > 0 ? `\nDescuentos: ${currency}${pricing.discount.toFixed(2)} (precio ${priceListLabel(priceList).toLowerCase()} ${currency}${pricing.gross.toFixed(2)})` : '';
+    const change = settlement.change > 0 ? `\nVuelto: ${currency}${settlement.change.toFixed(2)}` : '';
+    const buyer = docRequest.customer.doc_number ? `\nCliente: ${docRequest.customer.name || ''} (${docRequest.customer.doc_number})` : '';
+    if (!confirm(`Confirmar ${documentTypeOf(docRequest.type).label.toLowerCase()} por ${currency}${total.toFixed(2)}${discounted}${buyer}\nPago: ${paid}${change}\n\nLotes:\n${summary}`)) return;
+    setProcessing(true);
+    const ok = await onCheckout(lines, payments, docRequest, customer ? customer.id : null, {
+      price_list: priceList,
+      ticket_discount: hasManualDiscount(ticketDiscount) ? ticketDiscount : null
+    });
+    setProcessing(false);
+    if (ok) {
+      setLines([]);
+      setTicketDiscount({ type: 'percent', value: '', reason: '' });
+      setDiscountKey(null);
+      setPayments([{ method: 'efectivo', amount: '' }]);
+      setDocRequest({ type: 'boleta', customer: { doc_number: '', name: '' } });
+      setCustomerId('');
+    }
+  };
+
+  return (
+    <div>
+      <form onSubmit={addLine} style={{ display: 'flex', gap: 8, marginBottom: 12, flexWrap: 'wrap' }}>
+        <select className="form-control" value={sku} onChange={(e) => { setSku(e.target.value); setBatchId(''); setUnit(''); }}>
+          <option value="">Selecciona producto...</option>
+          {sellable.map(p => (
+            <option key={p.sku} value={p.sku}>{p.name} ({formatQuantity(p, stockBySku[p.sku])} disp.)</option>
+          ))}
+        </select>
+        {selectedStrategy === 'manual' && (
+          <select className="form-control" value={batchId} onChange={(e) => setBatchId(e.target.value)}>
+            <option value="">Lote...</option>
+            {selectedLots.map(b => (
+              <option key={b.id} value={b.id}>{b.lot} · {b.quantity} u.{b.expiry ? ` · vence ${formatDate(b.expiry)}` : ''}</option>
+            ))}
+          </select>
+        )}
+        <input className="form-control" type="number" min="0" step={allowsDecimals(selectedProduct) ? '0.001' : '1'} value={quantity} onChange={(e) => setQuantity(e.target.value)} style={{ width: 80 }} />
+        {selectedProduct && productUnits(selectedProduct).length > 1 && (
+          <select className="form-control" value={unit || baseUnitOf(selectedProduct).key} onChange={(e) => setUnit(e.target.value)} style={{ width: 130 }}>
+            {productUnits(selectedProduct).map(u => <option key={u.key} value={u.key}>{u.label}{u.factor !== 1 ? ` ×${u.factor}` : ''}</option>)}
+          </select>
+        )}
+        <button className="btn btn--secondary btn--sm" type="submit" disabled={!sku}>➕</button>
+        <select className="form-control" value={priceList} onChange={(e) => setPriceList(e.target.value)} style={{ width: 130 }} title="Lista de precios de esta venta">
+          {PRICE_LISTS.map(l => <option key={l.key} value={l.key}>{l.label}</option>)}
+        </select>
+      </form>
+      {selectedStrategy && (
+        <div style={{ fontSize: 12, color: 'var(--color-text-secondary)', marginTop: -8, marginBottom: 12 }}>
+          Salida: {pickingLabel(selectedStrategy)}
+        </div>
+      )}
+      {isKit(selectedProduct) && (
+        <div style={{ fontSize: 12, color: 'var(--color-text-secondary)', marginTop: -8, marginBottom: 12 }}>
+          🧺 Kit: {selectedProduct.kit_components.map(c => `${products.find(p => p.sku === c.sku)?.name || c.sku} ×${c.quantity}`).join(' + ')}
+        </div>
+      )}
+
+      {lines.length === 0 ? (
+        <div className="empty-state" style={{ padding: 16 }}>
+          <p>El carrito está vacío</p>
+        </div>
+      ) : (
+        <div style={{ marginBottom: 12 }}>
+          {lines.map((l, i) => {
+            const { strategy, plan } = previewFor(l);
+            const priced = pricing.lines[i];
+            const product = products.find(p => p.sku === l.sku);
+            return (
+              <div key={l.key} className="event-item">
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                  <div>
+                    <strong>{l.name}</strong>
+                    <div style={{ fontSize: 12, color: 'var(--color-text-secondary)' }}>
+                      {formatQuantity(product, l.quantity, l.unit)}
+                      {unitOf(product, l.unit).factor !== 1 && ` (${formatQuantity(product, l.quantity)})`}
+                      {' '}× {currency}{priced.unit_price.toFixed(2)}
+                      {priced.discounts.map(d => <div key={d.source} style={{ color: 'var(--color-success)' }}>{d.label}: -{currency}{d.amount.toFixed(2)}</div>)}
+                    </div>
+                    <div style={{ fontSize: 11, color: plan.usedExpired.length ? 'red' : 'var(--color-text-secondary)' }}>
+                      {strategy.toUpperCase()}: {plan.picks.map(p => `${strategy === 'kit' ? `${p.batch.product_sku} ` : ''}${p.batch.lot} ×${p.take}${p.batch.expiry ? ` (vence ${formatDate(p.batch.expiry)})` : ''}`).join(', ') || 'sin lotes'}
+                    </div>
+                  </div>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                    {priced.discount_amount > 0 && <s style={{ fontSize: 12, color: 'var(--color-text-secondary)' }}>{currency}{priced.gross_total.toFixed(2)}</s>}
+                    <strong>{currency}{priced.total.toFixed(2)}</strong>
+                    {canDiscount && (
+                      <button className="btn btn--outline btn--sm" onClick={() => setDiscountKey(discountKey === l.key ? null : l.key)} title="Descuento de línea">🏷️</button>
+                    )}
+                    <button className="btn btn--outline btn--sm" onClick={() => removeLine(l.key)} title="Quitar línea">✕</button>
+                  </div>
+                </div>
+                {discountKey === l.key && (
+                  <div style={{ display: 'flex', gap: 6, marginTop: 6 }}>
+                    <select className="form-control" value={l.discount?.type || 'percent'} onChange={(e) => setLineDiscount(l.key, 'type', e.target.value)} style={{ width: 80 }}>
+                      {DISCOUNT_TYPES.map(t => <option key={t.key} value={t.key}>{t.label}</option>)}
+                    </select>
+                    <input className="form-control" type="number" min="0" step="0.01" placeholder="Valor" value={l.discount?.value || ''} onChange={(e) => setLineDiscount(l.key, 'value', e.target.value)} style={{ width: 90 }} />
+                    <input className="form-control" placeholder="Motivo" value={l.discount?.reason || ''} onChange={(e) => setLineDiscount(l.key, 'reason', e.target.value)} style={{ flex: 1 }} />
+                  </div>
+                )}
+              </div>
+            );
+          })}
+          {canDiscount && (
+            <div style={{ display: 'flex', gap: 6, paddingTop: 8, alignItems: 'center' }}>
+              <span style={{ fontSize: 13, whiteSpace: 'nowrap' }}>Dscto. ticket</span>
+              <select className="form-control" value={ticketDiscount.type} onChange={(e) => setTicketDiscount(prev => ({ ...prev, type: e.target.value }))} style={{ width: 80 }}>
+                {DISCOUNT_TYPES.map(t => <option key={t.key} value={t.key}>{t.label}</option>)}
+              </select>
+              <input className="form-control" type="number" min="0" step="0.01" placeholder="Valor" value={ticketDiscount.value} onChange={(e) => setTicketDiscount(prev => ({ ...prev, value: e.target.value }))} style={{ width: 90 }} />
+              <input className="form-control" placeholder="Motivo" value={ticketDiscount.reason} onChange={(e) => setTicketDiscount(prev => ({ ...prev, reason: e.target.value }))} style={{ flex: 1 }} />
+            </div>
+          )}
+          {discountError && <div style={{ color: 'red', fontSize: 12, marginTop: 4 }}>{discountError}</div>}
+          {pricing.discount > 0 && (
+            <div style={{ display: 'flex', justifyContent: 'space-between', paddingTop: 8, fontSize: 13 }}>
+              <span>Subtotal {priceListLabel(priceList).toLowerCase()} {currency}{pricing.gross.toFixed(2)}</span>
+              <span style={{ color: 'var(--color-success)' }}>Descuentos -{currency}{pricing.discount.toFixed(2)}</span>
+            </div>
+          )}
+          <div style={{ display: 'flex', justifyContent: 'space-between', paddingTop: 8, fontSize: 12, color: 'var(--color-text-secondary)' }}>
+            <span>Op. gravada {currency}{taxSummary.gravada.toFixed(2)}{taxSummary.exonerada ? ` · Exonerada ${currency}${taxSummary.exonerada.toFixed(2)}` : ''}{taxSummary.inafecta ? ` · Inafecta ${currency}${taxSummary.inafecta.toFixed(2)}` : ''}</span>
+            <span>IGV ({tax.rate}%) {currency}{taxSummary.igv.toFixed(2)}</span>
+          </div>
+          <div style={{ display: 'flex', justifyContent: 'space-between', padding: '8px 0', fontSize: 16 }}>
+            <span>Total</span>
+            <strong>{currency}{total.toFixed(2)}</strong>
+          </div>
+
+          {payments.map((p, i) => (
+            <div key={i} style={{ display: 'flex', gap: 8, marginBottom: 6 }}>
+              <select className="form-control" value={p.method} onChange={(e) => setPayment(i, 'method', e.target.value)}>
+                {PAYMENT_METHODS.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+              </select>
+              <input
+                className="form-control"
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder={p.method === 'efectivo' ? 'Recibido (vacío = exacto)' : 'Monto (vacío = resto)'}
+                value={p.amount}
+                onChange={(e) => setPayment(i, 'amount', e.target.value)}
+              />
+              {payments.length > 1 && (
+                <button className="btn btn--outline btn--sm" onClick={() => setPayments(prev => prev.filter((_, j) => j !== i))} title="Quitar pago">✕</button>
+              )}
+            </div>
+          ))}
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: 13 }}>
+            <button className="btn btn--outline btn--sm" onClick={() => setPayments(prev => [...prev, { method: 'tarjeta', amount: '' }])}>
+              ➕ Pago mixto
+            </button>
+            {settlement.error
+              ? <span style={{ color: 'red' }}>{settlement.error}</span>
+              : settlement.change > 0 && <strong>Vuelto: {currency}{settlement.change.toFixed(2)}</strong>}
+          </div>
+
+          <div style={{ display: 'flex', gap: 8, marginTop: 12, alignItems: 'center' }}>
+            <select className="form-control" value={customerId} onChange={(e) => selectCustomer(e.target.value)}>
+              <option value="">Cliente sin registrar</option>
+              {activeCustomers.map(c => <option key={c.id} value={c.id}>{c.name}{c.doc_number ? ` (${c.doc_number})` : ''}</option>)}
+            </select>
+            {customer && (
+              <span style={{ fontSize: 12, whiteSpace: 'nowrap', color: 'var(--color-text-secondary)' }}>
+                Crédito disp. {currency}{creditAvailable.toFixed(2)}
+              </span>
+            )}
+          </div>
+          {creditError && <div style={{ color: 'red', fontSize: 12, marginTop: 4 }}>{creditError}</div>}
+
+          <div style={{ display: 'flex', gap: 8, marginTop: 8, flexWrap: 'wrap' }}>
+            <select className="form-control" value={docRequest.type} onChange={(e) => setDocRequest(prev => ({ ...prev, type: e.target.value }))} style={{ width: 160 }}>
+              {DOCUMENT_TYPES.map(d => <option key={d.key} value={d.key}>{d.label}</option>)}
+            </select>
+            <input
+              className="form-control"
+              placeholder={docRequest.type === 'factura' ? 'RUC del cliente' : 'DNI/RUC (opcional)'}
+              value={docRequest.customer.doc_number}
+              onChange={(e) => setCustomer('doc_number', e.target.value.trim())}
+              style={{ width: 150 }}
+            />
+            <input
+              className="form-control"
+              placeholder={docRequest.type === 'factura' ? 'Razón social' : 'Nombre (opcional)'}
+              value={docRequest.customer.name}
+              onChange={(e) => setCustomer('name', e.target.value)}
+              style={{ flex: 1, minWidth: 140 }}
+            />
+          </div>
+          {documentError && (
+            <div style={{ color: 'red', fontSize: 12, marginTop: 4 }}>{documentError}</div>
+          )}
+        </div>
+      )}
+
+      <button
+        className="btn btn--primary btn--full-width"
+        onClick={checkout}
+        disabled={!canSell || processing || lines.length === 0 || !!settlement.error || !!documentError || !!creditError || !!discountError}
+        title={!canSell ? 'Conecta una pulsera y el sensor de ventas' : ''}
+      >
+        {processing ? '⏳ Procesando...' : `💳 Cobrar ${currency}${total.toFixed(2)}`}
+      </button>
+    </div>
+  );
+}
+
+// Event Feed component
+function EventFeed({ events, onUndoSale }) {
+  return (
+    <div className="panel">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+        <h3>📡 Feed de Eventos</h3>
+        <span className="status status--info">Últimos {events.length}</span>
+      </div>
+      
+      <div className="event-feed">
+        {events.length === 0 ? (
+          <div className="empty-state">
+            <div style={{ fontSize: '48px', marginBottom: '16px' }}>📡</div>
+            <p>No hay eventos aún</p>
+            <p style={{ fontSize: '14px', color: 'var(--color-text-secondary)' }}>
+              Los eventos procesados aparecerán aquí en tiempo real
+            </p>
+          </div>
+        ) : (
+          events.map(event => (
+            <div key={event.id} className="event-item">
+              <div className="event-header">
+                <span className={`event-type event-type--${event.type}`}>
+                  {event.type === 'ingreso' ? '📦' : event.type === 'venta' ? '💰' : '🔄'} {event.type.toUpperCase()}
+                </span>
+                <span className="event-timestamp">
+                  {formatDateTime(event.timestamp)}
+                </span>
+              </div>
+              <div style={{ fontSize: '14px', marginBottom: '4px' }}>
+                <strong>{event.sku}</strong> - {event.name}
+              </div>
+              <div style={{ fontSize: '12px', color: 'var(--color-text-secondary)' }}>
+                Cantidad: {event.quantity} • Operador: {event.operator} • Dispositivo: {event.device_id}
+              </div>
+              {event.type === 'venta' && (
+                <button 
+                  className="btn btn--sm btn--outline"
+                  onClick={() => onUndoSale(event)}
+                  style={{ marginTop: '8px', fontSize: '11px' }}
+                >
+                  ↩️ Deshacer venta
+                </button>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Small form to add products quickly
+function AddProductForm({ onAdd }) {
+  const [form, setForm] = useState({ sku: '', name: '', category: '', quantity: 0, purchase_price: '', sale_price: '', lot: '', expiry: '', tax_affectation: 'gravado', base_unit: 'unidad' });
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!form.sku.trim() || !form.name.trim()) {
+      alert('SKU y Nombre son requeridos');
+      return;
+    }
+    // Validate prices: purchase should typically be <= sale
+    const purchase = Number(form.purchase_price || 0);
+    const sale = Number(form.sale_price || 0);
+    if (purchase > 0 && sale > 0 && purchase >= sale) {
+      const swap = confirm('El precio de compra es mayor que el precio de venta. ¿Deseas intercambiarlos (compra <-> venta)?');
+      if (swap) {
+        const swapped = { ...form, purchase_price: String(sale), sale_price: String(purchase) };
+        if (onAdd) onAdd(swapped);
+        setForm({ sku: '', name: '', category: '', quantity: 0, purchase_price: '', sale_price: '', lot: '', expiry: '', tax_affectation: 'gravado', base_unit: 'unidad' });
+        return;
+      } else {
+        // proceed but warn
+        alert('Error: El precio de compra debe ser menor que el precio de venta.'); return;
+      }
+    }
+    if (onAdd) onAdd(form);
+    setForm({ sku: '', name: '', category: '', quantity: 0, purchase_price: '', sale_price: '', lot: '', expiry: '', tax_affectation: 'gravado', base_unit: 'unidad' });
+  };
+
+  return (
+    <form onSubmit={submit} style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap' }}>
+      <input className="form-control" placeholder="SKU" value={form.sku} onChange={(e) => setForm(prev => ({ ...prev, sku: e.target.value }))} style={{ width: '120px' }} />
+      <input className="form-control" placeholder="Nombre" value={form.name} onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))} style={{ width: '180px' }} />
+      <input className="form-control" placeholder="Categoría" value={form.category} onChange={(e) => setForm(prev => ({ ...prev, category: e.target.value }))} style={{ width: '140px' }} />
+      <input className="form-control" type="number" min="0" step="any" placeholder="Cantidad" value={form.quantity} onChange={(e) => setForm(prev => ({ ...prev, quantity: e.target.value }))} style={{ width: '100px' }} />
+      <select className="form-control" value={form.base_unit} onChange={(e) => setForm(prev => ({ ...prev, base_unit: e.target.value }))} style={{ width: '120px' }} title="Unidad base (stock y precios)">
+        {BASE_UNITS.map(u => <option key={u.key} value={u.key}>{u.label}</option>)}
+      </select>
+      <input className="form-control" type="number" step="0.01" placeholder="Precio compra" value={form.purchase_price} onChange={(e) => setForm(prev => ({ ...prev, purchase_price: e.target.value }))} style={{ width: '120px' }} />
+      <input className="form-control" type="number" step="0.01" placeholder="Precio venta" value={form.sale_price} onChange={(e) => setForm(prev => ({ ...prev, sale_price: e.target.value }))} style={{ width: '120px' }} />
+      <select className="form-control" value={form.tax_affectation} onChange={(e) => setForm(prev => ({ ...prev, tax_affectation: e.target.value }))} style={{ width: '130px' }} title="Afectación IGV">
+        {TAX_AFFECTATIONS.map(t => <option key={t.key} value={t.key}>{t.label}</option>)}
+      </select>
+      <button className="btn btn--primary btn--sm" type="submit">Agregar</button>
+    </form>
+  );
+}
+
+// Encabezados alternativos aceptados al importar (normalizados: minúsculas, sin tildes)
+const IMPORT_HEADER_ALIASES = {
+  sku: ['codigo', 'cod', 'codigo de barras', 'barcode'],
+  name: ['producto', 'descripcion'],
+  category: ['familia'],
+  lot: ['nro lote'],
+  expiry: ['fecha caducidad', 'vencimiento', 'fecha vencimiento'],
+  quantity: ['stock', 'unidades'],
+  purchase_price: ['costo', 'precio de compra'],
+  sale_price: ['precio de venta', 'pvp']
+};
+
+const normalizeHeader = (h) => String(h || '').trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[_\s]+/g, ' ');
+
+// Sugiere la columna de DEFAULT_COLUMNS que corresponde a cada encabezado del archivo
+function guessImportMapping(headers) {
+  return headers.map(header => {
+    const norm = normalizeHeader(header);
+    const col = DEFAULT_COLUMNS.find(c =>
+      normalizeHeader(c.key) === norm ||
+      normalizeHeader(c.label) === norm ||
+      (IMPORT_HEADER_ALIASES[c.key] || []).includes(norm)
+    );
+    return col ? col.key : '';
+  });
+}
+
+// Valor plano de una celda de ExcelJS (fórmulas, texto enriquecido, hipervínculos)
+function cellToValue(value) {
+  if (value == null) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if ('result' in value) return cellToValue(value.result);
+    if (Array.isArray(value.richText)) return value.richText.map(t => t.text).join('');
+    if ('text' in value) return value.text;
+    return '';
+  }
+  return value;
+}
+
+// CSV simple con comillas; detecta ';' o ',' como separador
+function parseCSV(text) {
+  const clean = text.replace(/^\uFEFF/, '');
+  const firstLine = clean.split(/\r?\n/)[0] || '';
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < clean.length; i++) {
+    const ch = clean[i];
+    if (inQuotes) {
+      if (ch === '"' && clean[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else field += ch;
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && clean[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(v => String(v).trim() !== ''));
+}
+
+// Lee un archivo XLSX (primera hoja) o CSV y devuelve { headers, rows } con filas como arreglos
+async function parseSpreadsheet(file) {
+  let matrix;
+  if (/\.csv$/i.test(file.name)) {
+    matrix = parseCSV(await file.text());
+  } else {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await file.arrayBuffer());
+    const sheet = workbook.worksheets[0];
+    if (!sheet) throw new Error('El archivo no tiene hojas');
+    matrix = [];
+    sheet.eachRow({ includeEmpty: false }, (row) => {
+      // row.values es 1-indexado
+      matrix.push(row.values.slice(1).map(cellToValue));
+    });
+  }
+  if (matrix.length === 0) throw new Error('El archivo está vacío');
+  const [headers, ...rows] = matrix;
+  return { headers: headers.map(h => String(h ?? '').trim()), rows };
+}
+
+// Devuelve 'YYYY-MM-DD', null si está vacío o undefined si la fecha no es válida
+function normalizeImportDate(value) {
+  if (value == null || value === '') return null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? undefined : value.toISOString().split('T')[0];
+  const str = String(value).trim();
+  let y, m, d;
+  let match = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) [, y, m, d] = match;
+  else {
+    match = str.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+    if (!match) return undefined;
+    [, d, m, y] = match;
+  }
+  const date = new Date(Date.UTC(Number(y), Number(m) - 1, Number(d)));
+  if (date.getUTCFullYear() !== Number(y) || date.getUTCMonth() !== Number(m) - 1 || date.getUTCDate() !== Number(d)) return undefined;
+  return date.toISOString().split('T')[0];
+}
+
+const parseImportNumber = (value) => {
+  if (value === '' || value == null) return null;
+  const n = typeof value === 'number' ? value : Number(String(value).trim().replace(',', '.'));
+  return Number.isNaN(n) ? undefined : n;
+};
+
+// Convierte filas crudas en registros y les asigna errores por fila.
+// Reglas: requeridos de DEFAULT_COLUMNS, venta > compra (como handleAddProduct),
+// fechas válidas y SKU/lote sin duplicar en el archivo ni en el inventario.
+// La cantidad va en la unidad base del producto (enteros salvo kg/litro).
+function validateImportRows(rows, mapping, products, batches) {
+  const existingLots = new Set(batches.map(b => `${b.product_sku}::${b.lot}`));
+  const seenLots = new Set();
+
+  return rows.map((raw, idx) => {
+    const record = {};
+    mapping.forEach((key, col) => {
+      if (key) record[key] = cellToValue(raw[col]);
+    });
+    const errors = [];
+
+    const sku = String(record.sku ?? '').trim();
+    const existing = products.find(p => p.sku === sku);
+    const name = String(record.name ?? '').trim() || existing?.name || '';
+    if (!sku) errors.push('SKU requerido');
+    if (!name) errors.push('Nombre requerido');
+    if (isKit(existing)) errors.push('Es un kit: su stock sale de sus componentes');
+
+    const quantity = parseImportNumber(record.quantity);
+    if (quantity === null) errors.push('Cantidad requerida');
+    else if (quantity === undefined || quantity <= 0) errors.push('Cantidad inválida');
+    else {
+      const invalidQuantity = quantityError(existing || { sku, name }, quantity);
+      if (invalidQuantity) errors.push(invalidQuantity);
+    }
+
+    const purchaseInput = parseImportNumber(record.purchase_price);
+    const saleInput = parseImportNumber(record.sale_price);
+    if (purchaseInput === undefined) errors.push('Precio compra inválido');
+    if (saleInput === undefined) errors.push('Precio venta inválido');
+    const purchase = purchaseInput ?? existing?.default_purchase_price ?? 0;
+    const sale = saleInput ?? existing?.default_sale_price ?? 0;
+    if (purchaseInput !== undefined && saleInput !== undefined) {
+      if (purchase <= 0) errors.push('Precio compra debe ser mayor a 0');
+      else if (sale <= purchase) errors.push('Precio venta debe ser mayor que precio compra');
+    }
+
+    const expiry = normalizeImportDate(record.expiry);
+    if (expiry === undefined) errors.push(`Fecha inválida: ${record.expiry}`);
+
+    const lot = String(record.lot ?? '').trim();
+    if (sku && lot) {
+      const lotKey = `${sku}::${lot}`;
+      if (seenLots.has(lotKey)) errors.push('SKU/lote duplicado en el archivo');
+      else if (existingLots.has(lotKey)) errors.push('SKU/lote ya existe en inventario');
+      seenLots.add(lotKey);
+    }
+
+    return {
+      rowNumber: idx + 2, // fila 1 = encabezados
+      sku,
+      name,
+      category: String(record.category ?? '').trim() || existing?.category || '',
+      lot,
+      expiry: expiry || null,
+      quantity: roundQuantity(quantity),
+      purchase_price: purchase,
+      sale_price: sale,
+      isNewProduct: !existing,
+      errors
+    };
+  });
+}
+
+// Import panel: preview + validation before committing products and batches
+function ImportPanel({ products, batches, settings, onImport, onClose }) {
+  const [fileName, setFileName] = useState('');
+  const [parsed, setParsed] = useState(null);
+  const [mapping, setMapping] = useState([]);
+  const [parseError, setParseError] = useState(null);
+  const [importing, setImporting] = useState(false);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setFileName(file.name);
+    setParsed(null);
+    setParseError(null);
+    try {
+      const result = await parseSpreadsheet(file);
+      setParsed(result);
+      setMapping(guessImportMapping(result.headers));
+    } catch (error) {
+      console.error('Import parse error:', error);
+      setParseError(error.message || String(error));
+    }
+  };
+
+  const preview = parsed ? validateImportRows(parsed.rows, mapping, products, batches) : [];
+  const validRows = preview.filter(r => r.errors.length === 0);
+  const missingRequired = DEFAULT_COLUMNS.filter(c => c.required && !mapping.includes(c.key));
+  const currency = settings?.currency || 'S/';
+
+  const submit = async () => {
+    if (validRows.length === 0) return;
+    if (!confirm(`Se importarán ${validRows.length} filas válidas${preview.length > validRows.length ? ` (${preview.length - validRows.length} con errores se omitirán)` : ''}. ¿Continuar?`)) return;
+    setImporting(true);
+    const ok = await onImport(validRows, fileName);
+    setImporting(false);
+    if (ok) onClose();
+  };
+
+  return (
+    <div style={{ marginBottom: '16px', padding: '12px', background: 'var(--color-bg-1)', borderRadius: '8px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+        <h4 style={{ margin: 0 }}>📥 Importar productos y stock (XLSX/CSV)</h4>
+        <button className="btn btn--outline btn--sm" onClick={onClose}>✕ Cerrar</button>
+      </div>
+      <input type="file" accept=".xlsx,.csv" className="form-control" onChange={handleFile} style={{ maxWidth: 420 }} />
+      {parseError && (
+        <div className="status status--error" style={{ display: 'block', marginTop: 8 }}>❌ {parseError}</div>
+      )}
+
+      {parsed && (
+        <div style={{ marginTop: '12px' }}>
+          <div style={{ fontSize: 13, marginBottom: 8 }}>
+            <strong>{fileName}</strong> · {parsed.rows.length} filas · Columnas:
+          </div>
+          <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', marginBottom: 8 }}>
+            {parsed.headers.map((header, col) => (
+              <label key={`${header}-${col}`} style={{ display: 'flex', flexDirection: 'column', fontSize: 12 }}>
+                {header || `(columna ${col + 1})`}
+                <select
+                  className="form-control"
+                  value={mapping[col] || ''}
+                  onChange={(e) => setMapping(prev => prev.map((k, i) => i === col ? e.target.value : k))}
+                >
+                  <option value="">— Ignorar —</option>
+                  {DEFAULT_COLUMNS.map(c => <option key={c.key} value={c.key}>{c.label}</option>)}
+                </select>
+              </label>
+            ))}
+          </div>
+          {missingRequired.length > 0 && (
+            <div className="status status--warning" style={{ display: 'block', marginBottom: 8 }}>
+              ⚠️ Faltan columnas requeridas: {missingRequired.map(c => c.label).join(', ')}
+            </div>
+          )}
+
+          <div className="table-container" style={{ border: '1px solid var(--color-border)', borderRadius: 8, overflow: 'auto', maxHeight: 360 }}>
+            <table className="inventory-table" style={{ width: '100%', borderCollapse: 'separate', borderSpacing: 0 }}>
+              <thead style={{ position: 'sticky', top: 0, background: 'var(--color-surface)' }}>
+                <tr>
+                  <th style={{ textAlign: 'right', padding: '8px 12px' }}>Fila</th>
+                  <th style={{ textAlign: 'left', padding: '8px 12px' }}>SKU</th>
+                  <th style={{ textAlign: 'left', padding: '8px 12px' }}>Nombre</th>
+                  <th style={{ textAlign: 'left', padding: '8px 12px' }}>Lote</th>
+                  <th style={{ textAlign: 'left', padding: '8px 12px' }}>Caducidad</th>
+                  <th style={{ textAlign: 'right', padding: '8px 12px' }}>Cantidad</th>
+                  <th style={{ textAlign: 'right', padding: '8px 12px' }}>Compra</th>
+                  <th style={{ textAlign: 'right', padding: '8px 12px' }}>Venta</th>
+                  <th style={{ textAlign: 'left', padding: '8px 12px' }}>Estado</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.map(row => {
+                  const hasErrors = row.errors.length > 0;
+                  return (
+                    <tr key={row.rowNumber} style={{ color: hasErrors ? 'red' : 'inherit' }}>
+                      <td style={{ padding: '8px 12px', textAlign: 'right' }}>{row.rowNumber}</td>
+                      <td style={{ padding: '8px 12px' }}>{row.sku || '-'}{row.isNewProduct && row.sku && <span style={{ fontSize: 11 }}> (nuevo)</span>}</td>
+                      <td style={{ padding: '8px 12px' }}>{row.name || '-'}</td>
+                      <td style={{ padding: '8px 12px' }}>{row.lot || '-'}</td>
+                      <td style={{ padding: '8px 12px' }}>{row.expiry ? formatDate(row.expiry) : '-'}</td>
+                      <td style={{ padding: '8px 12px', textAlign: 'right' }}>{row.quantity}</td>
+                      <td style={{ padding: '8px 12px', textAlign: 'right' }}>{currency}{Number(row.purchase_price || 0).toFixed(2)}</td>
+                      <td style={{ padding: '8px 12px', textAlign: 'right' }}>{currency}{Number(row.sale_price || 0).toFixed(2)}</td>
+                      <td style={{ padding: '8px 12px' }}>{hasErrors ? `❌ ${row.errors.join('; ')}` : '✅ OK'}</td>
+                    </tr>
+                  );
+                })}
+                {preview.length === 0 && (
+                  <tr><td colSpan="9" style={{ padding: 16, textAlign: 'center', color: 'var(--color-text-secondary)' }}>El archivo no tiene filas de datos</td></tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginTop: 12 }}>
+            <button className="btn btn--primary btn--sm" onClick={submit} disabled={importing || validRows.length === 0 || missingRequired.length > 0}>
+              {importing ? '⏳ Importando...' : `📥 Importar ${validRows.length} filas válidas`}
+            </button>
+            <span style={{ fontSize: 13, color: 'var(--color-text-secondary)' }}>
+              {preview.length - validRows.length} filas con errores
+            </span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Picking strategy settings: general, por categoría y por producto
+function PickingSettingsPanel({ products, pickingSettings, onSave, onClose }) {
+  const [draft, setDraft] = useState(pickingSettings);
+  const [overrideSku, setOverrideSku] = useState('');
+  const categories = [...new Set([...products.map(p => p.category || 'Sin categoría'), ...Object.keys(draft.categories || {})])].sort();
+
+  const setCategory = (category, value) => {
+    setDraft(prev => {
+      const next = { ...(prev.categories || {}) };
+      if (value) next[category] = value; else delete next[category];
+      return { ...prev, categories: next };
+    });
+  };
+
+  const setProduct = (sku, value) => {
+    setDraft(prev => {
+      const next = { ...(prev.products || {}) };
+      if (value) next[sku] = value; else delete next[sku];
+      return { ...prev, products: next };
+    });
+  };
+
+  return (
+    <div style={{ marginBottom: '16px', padding: '12px', background: 'var(--color-bg-1)', borderRadius: '8px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+        <h4 style={{ margin: 0 }}>⚙️ Estrategia de salida de stock</h4>
+        <button className="btn btn--outline btn--sm" onClick={onClose}>✕ Cerrar</button>
+      </div>
+
+      <div style={{ display: 'flex', gap: 16, flexWrap: 'wrap', marginBottom: 12 }}>
+        <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+          Estrategia general
+          <select className="form-control" value={draft.default} onChange={(e) => setDraft(prev => ({ ...prev, default: e.target.value }))}>
+            {PICKING_STRATEGIES.filter(st => st.key !== 'manual').map(st => <option key={st.key} value={st.key}>{st.label}</option>)}
+          </select>
+        </label>
+        <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+          Lotes vencidos
+          <select className="form-control" value={draft.expired} onChange={(e) => setDraft(prev => ({ ...prev, expired: e.target.value }))}>
+            <option value="block">Rechazar (no se venden)</option>
+            <option value="warn">Vender con advertencia</option>
+          </select>
+        </label>
+      </div>
+
+      <h5 style={{ margin: '0 0 8px 0' }}>Por categoría</h5>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))', gap: 8, marginBottom: 12 }}>
+        {categories.map(category => (
+          <label key={category} style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+            {category}
+            <select className="form-control" value={draft.categories?.[category] || ''} onChange={(e) => setCategory(category, e.target.value)}>
+              <option value="">Heredar general</option>
+              {PICKING_STRATEGIES.map(st => <option key={st.key} value={st.key}>{st.label}</option>)}
+            </select>
+          </label>
+        ))}
+      </div>
+
+      <h5 style={{ margin: '0 0 8px 0' }}>Por producto</h5>
+      <div style={{ display: 'flex', gap: 8, marginBottom: 8 }}>
+        <select className="form-control" value={overrideSku} onChange={(e) => setOverrideSku(e.target.value)} style={{ maxWidth: 320 }}>
+          <option value="">Selecciona producto...</option>
+          {products.filter(p => !draft.products?.[p.sku]).map(p => <option key={p.sku} value={p.sku}>{p.name} ({p.sku})</option>)}
+        </select>
+        <button className="btn btn--secondary btn--sm" disabled={!overrideSku} onClick={() => { setProduct(overrideSku, draft.default || 'fifo'); setOverrideSku(''); }}>
+          ➕ Agregar excepción
+        </button>
+      </div>
+      {Object.entries(draft.products || {}).map(([sku, value]) => (
+        <div key={sku} style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 4 }}>
+          <span style={{ minWidth: 220 }}>{(products.find(p => p.sku === sku) || {}).name || sku} ({sku})</span>
+          <select className="form-control" value={value} onChange={(e) => setProduct(sku, e.target.value)} style={{ maxWidth: 240 }}>
+            {PICKING_STRATEGIES.map(st => <option key={st.key} value={st.key}>{st.label}</option>)}
+          </select>
+          <button className="btn btn--outline btn--sm" onClick={() => setProduct(sku, '')}>✕</button>
+        </div>
+      ))}
+
+      <button className="btn btn--primary btn--sm" onClick={() => onSave(draft)} style={{ marginTop: 8 }}>
+        💾 Guardar estrategia
+      </button>
+    </div>
+  );
+}
+
+// Reorder panel: productos por reponer y configuración de mínimos por SKU
+function ReorderPanel({ products, batches, settings, onSave, onExport, onClose }) {
+  const [draft, setDraft] = useState(() => Object.fromEntries(products.map(p => [p.sku, {
+    reorder_point: hasReorderPoint(p) ? String(p.reorder_point) : '',
+    reorder_quantity: p.reorder_quantity ? String(p.reorder_quantity) : ''
+  }])));
+  const [filter, setFilter] = useState('');
+  const currency = settings?.currency || 'S/';
+  const reorderList = buildReorderList(products, batches);
+
+  const setField = (sku, field, value) => {
+    setDraft(prev => ({ ...prev, [sku]: { ...(prev[sku] || {}), [field]: value } }));
+  };
+
+  const save = () => {
+    const toNumber = (value) => (value === '' || value == null ? null : Number(value));
+    const updates = products
+      .filter(p => toNumber(draft[p.sku]?.reorder_point) !== (hasReorderPoint(p) ? p.reorder_point : null) ||
+        toNumber(draft[p.sku]?.reorder_quantity) !== (p.reorder_quantity ?? null))
+      .map(p => ({
+        sku: p.sku,
+        reorder_point: toNumber(draft[p.sku]?.reorder_point),
+        reorder_quantity: toNumber(draft[p.sku]?.reorder_quantity)
+      }));
+    const invalid = updates.filter(u => (u.reorder_point !== null && !(u.reorder_point >= 0)) || (u.reorder_quantity !== null && !(u.reorder_quantity >= 0)));
+    if (invalid.length > 0) {
+      alert(`Valores inválidos para: ${invalid.map(u => u.sku).join(', ')}`);
+      return;
+    }
+    onSave(updates);
+  };
+
+  const visibleProducts = products.filter(p => {
+    if (!filter) return true;
+    const q = filter.toLowerCase();
+    return p.sku.toLowerCase().includes(q) || (p.name || '').toLowerCase().includes(q);
+  });
+
+  return (
+    <div style={{ marginBottom: '16px', padding: '12px', background: 'var(--color-bg-1)', borderRadius: '8px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+        <h4 style={{ margin: 0 }}>🔔 Productos por reponer</h4>
+        <div style={{ display: 'flex', gap: 8 }}>
+          <button className="btn btn--primary btn--sm" onClick={onExport} disabled={reorderList.length === 0}>
+            📊 Exportar orden de compra (borrador)
+          </button>
+          <button className="btn btn--outline btn--sm" onClick={onClose}>✕ Cerrar</button>
+        </div>
+      </div>
+
+      {reorderList.length === 0 ? (
+        <div style={{ color: 'var(--color-text-secondary)', marginBottom: 12 }}>Ningún producto está en su punto de reposición</div>
+      ) : (
+        <div className="table-container" style={{ border: '1px solid var(--color-border)', borderRadius: 8, overflow: 'auto', maxHeight: 280, marginBottom: 12 }}>
+          <table className="inventory-table" style={{ width: '100%', borderCollapse: 'separate', borderSpacing: 0 }}>
+            <thead style={{ position: 'sticky', top: 0, background: 'var(--color-surface)' }}>
+              <tr>
+                <th style={{ textAlign: 'left', padding: '8px 12px' }}>Producto</th>
+                <th style={{ textAlign: 'right', padding: '8px 12px' }}>Stock</th>
+                <th style={{ textAlign: 'right', padding: '8px 12px' }}>Mínimo</th>
+                <th style={{ textAlign: 'right', padding: '8px 12px' }}>A pedir</th>
+                <th style={{ textAlign: 'right', padding: '8px 12px' }}>Costo ref.</th>
+                <th style={{ textAlign: 'right', padding: '8px 12px' }}>Subtotal</th>
+              </tr>
+            </thead>
+            <tbody>
+              {reorderList.map(item => (
+                <tr key={item.sku}>
+                  <td style={{ padding: '8px 12px' }}>{item.name} ({item.sku})</td>
+                  <td style={{ padding: '8px 12px', textAlign: 'right', color: item.stock === 0 ? 'red' : '#b58900' }}>{item.stock}</td>
+                  <td style={{ padding: '8px 12px', textAlign: 'right' }}>{item.reorder_point}</td>
+                  <td style={{ padding: '8px 12px', textAlign: 'right' }}><strong>{item.suggested}</strong></td>
+                  <td style={{ padding: '8px 12px', textAlign: 'right' }}>{currency}{item.unit_cost.toFixed(2)}</td>
+                  <td style={{ padding: '8px 12px', textAlign: 'right' }}>{currency}{(item.suggested * item.unit_cost).toFixed(2)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <h5 style={{ margin: '0 0 8px 0' }}>Punto y cantidad de reposición por SKU</h5>
+      <input
+        className="form-control"
+        type="text"
+        placeholder="🔍 Filtrar productos..."
+        value={filter}
+        onChange={(e) => setFilter(e.target.value)}
+        style={{ maxWidth: 260, marginBottom: 8 }}
+      />
+      <div style={{ maxHeight: 280, overflow: 'auto' }}>
+        {visibleProducts.map(p => (
+          <div key={p.sku} style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 4 }}>
+            <span style={{ minWidth: 220 }}>{p.name} ({p.sku})</span>
+            <input className="form-control" type="number" min="0" placeholder="Mínimo" value={draft[p.sku]?.reorder_point ?? ''} onChange={(e) => setField(p.sku, 'reorder_point', e.target.value)} style={{ width: 100 }} />
+            <input className="form-control" type="number" min="0" placeholder="Pedir" value={draft[p.sku]?.reorder_quantity ?? ''} onChange={(e) => setField(p.sku, 'reorder_quantity', e.target.value)} style={{ width: 100 }} />
+          </div>
+        ))}
+      </div>
+
+      <button className="btn btn--primary btn--sm" onClick={save} style={{ marginTop: 8 }}>
+        💾 Guardar mínimos
+      </button>
+    </div>
+  );
+}
+
+// Write-off panel: baja de unidades de uno o varios lotes con un motivo
+function WriteOffPanel({ batches, products, settings, defaultReason = 'danado', onSubmit, onClose }) {
+  const [quantities, setQuantities] = useState(() => Object.fromEntries(batches.map(b => [b.id, String(b.quantity || 0)])));
+  const [reason, setReason] = useState(defaultReason);
+  const [note, setNote] = useState('');
+  const currency = settings?.currency || 'S/';
+
+  const items = batches
+    .map(b => ({ batch: b, quantity: Number(quantities[b.id]) || 0 }))
+    .filter(i => i.quantity > 0);
+  const totalCost = items.reduce((sum, i) => sum + i.quantity * (i.batch.purchase_price || 0), 0);
+
+  const submit = async () => {
+    const over = items.find(i => i.quantity > (i.batch.quantity || 0));
+    if (over) {
+      alert(`El lote ${over.batch.lot} solo tiene ${over.batch.quantity} unidades`);
+      return;
+    }
+    if (items.length === 0) {
+      alert('Indica al menos una cantidad');
+      return;
+    }
+    if (!confirm(`¿Dar de baja ${items.reduce((sum, i) => sum + i.quantity, 0)} unidades por "${mermaReasonLabel(reason)}"? Costo: ${currency}${totalCost.toFixed(2)}`)) return;
+    const ok = await onSubmit(items.map(i => ({ batch_id: i.batch.id, quantity: i.quantity })), reason, note.trim());
+    if (ok) onClose();
+  };
+
+  return (
+    <div style={{ marginBottom: '16px', padding: '12px', background: 'var(--color-bg-1)', borderRadius: '8px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+        <h4 style={{ margin: 0 }}>🗑️ Registrar merma ({batches.length} lote{batches.length === 1 ? '' : 's'})</h4>
+        <button className="btn btn--outline btn--sm" onClick={onClose}>✕ Cerrar</button>
+      </div>
+      <div style={{ maxHeight: 240, overflow: 'auto', marginBottom: 8 }}>
+        {batches.map(b => {
+          const product = products.find(p => p.sku === b.product_sku) || {};
+          return (
+            <div key={b.id} style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 4 }}>
+              <span style={{ minWidth: 260 }}>{product.name || b.product_sku} · {b.lot}{b.expiry ? ` · vence ${formatDate(b.expiry)}` : ''}</span>
+              <input className="form-control" type="number" min="0" max={b.quantity} step="any" value={quantities[b.id]} onChange={(e) => setQuantities(prev => ({ ...prev, [b.id]: e.target.value }))} style={{ width: 90 }} />
+              <span style={{ fontSize: 13, color: 'var(--color-text-secondary)' }}>de {b.quantity}</span>
+            </div>
+          );
+        })}
+      </div>
+      <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+        <select className="form-control" value={reason} onChange={(e) => setReason(e.target.value)} style={{ maxWidth: 200 }}>
+          {MERMA_REASONS.map(r => <option key={r.key} value={r.key}>{r.label}</option>)}
+        </select>
+        <input className="form-control" placeholder="Observación (opcional)" value={note} onChange={(e) => setNote(e.target.value)} style={{ width: 260 }} />
+        <strong>Costo: {currency}{totalCost.toFixed(2)}</strong>
+        <button className="btn btn--primary btn--sm" onClick={submit}>🗑️ Dar de baja</button>
+      </div>
+    </div>
+  );
+}
+
+// Inventory Table component
+function InventoryTable({ batches, products, movements, sales, settings, pickingSettings, onRefresh, onExport, onDailyReport, onAddProduct, onReturn, onImport, onSavePicking, onSaveReorder, onExportReorder, onWriteOff, expirySettings = DEFAULT_EXPIRY_SETTINGS }){
+  const [searchTerm, setSearchTerm] = useState('');
+  const [showImport, setShowImport] = useState(false);
+  const [showPicking, setShowPicking] = useState(false);
+  const [showReorder, setShowReorder] = useState(false);
+  const [writeOff, setWriteOff] = useState(null); // { batches, reason }
+  // sectionMode controla la sección principal: 'ventas' o 'inventario'
+  // Mostrar solo inventario en esta tabla; Ventas tiene su vista dedicada
+  const sectionMode = 'inventario';
+  const [viewMode, setViewMode] = useState('ingresos'); // Valores posibles:
+  // Inventario: 'ingresos', 'devoluciones_compra', 'stock'
+  // Ventas: 'registro_ventas', 'devoluciones_venta', 'historial'
+
+  const [sortField, setSortField] = useState('sku');
+  const [sortDir, setSortDir] = useState('asc');
+  const [selectedSKU, setSelectedSKU] = useState(null);
+  const [displayUnit, setDisplayUnit] = useState(''); // presentación en que se ve el stock del SKU elegido
+  
+  const visibleColumns = DEFAULT_COLUMNS.filter(col => 
+    settings?.columns?.includes(col.key) || col.required
+  );
+  
+  // Primero filtramos por sección (inventario o ventas)
+  const sectionBatches = batches.filter(batch => {
+    if (sectionMode === 'inventario') {
+      // Para inventario: mostrar solo ingresos normales y devoluciones de compras
+      return !batch.lot?.startsWith('DEV-') && !batch.lot?.startsWith('UNDO-');
+    } else {
+      // Para ventas: mostrar solo ventas y sus devoluciones
+      return batch.lot?.startsWith('DEV-SALE-') || batch.lot?.startsWith('UNDO-');
+    }
+  });
+
+  // Luego filtramos por término de búsqueda
+  const filteredBatches = sectionBatches.filter(batch => {
+    if (!searchTerm) return true;
+    const product = products.find(p => p.sku === batch.product_sku) || {};
+    const searchLower = searchTerm.toLowerCase();
+    return (
+      batch.product_sku.toLowerCase().includes(searchLower) ||
+      (product.name || '').toLowerCase().includes(searchLower) ||
+      (batch.lot || '').toLowerCase().includes(searchLower)
+    );
+  });
+  
+  // Sort batches
+  const sortedBatches = [...filteredBatches].sort((a, b) => {
+    const productA = products.find(p => p.sku === a.product_sku) || {};
+    const productB = products.find(p => p.sku === b.product_sku) || {};
+    
+    let valA, valB;
+    
+    switch (sortField) {
+      case 'sku':
+        valA = a.product_sku;
+        valB = b.product_sku;
+        break;
+      case 'name':
+        valA = productA.name || '';
+        valB = productB.name || '';
+        break;
+      case 'quantity':
+        valA = a.quantity || 0;
+        valB = b.quantity || 0;
+        break;
+      case 'expiry':
+        valA = a.expiry || '9999-12-31';
+        valB = b.expiry || '9999-12-31';
+        break;
+      default:
+        valA = a[sortField] || '';
+        valB = b[sortField] || '';
+    }
+    
+    if (typeof valA === 'number' && typeof valB === 'number') {
+      return sortDir === 'asc' ? valA - valB : valB - valA;
+    }
+    
+    const comparison = String(valA).localeCompare(String(valB));
+    return sortDir === 'asc' ? comparison : -comparison;
+  });
+
+  // If user selected 'products' view, aggregate batches per product to show one row per product
+  const perProductRows = (() => {
+    const map = {};
+    filteredBatches.forEach(b => {
+      if (!map[b.product_sku]) {
+        map[b.product_sku] = {
+          product_sku: b.product_sku,
+          quantity: 0,
+          totalValue: 0,
+          avgPurchase: 0,
+          expiry: null
+        };
+      }
+      map[b.product_sku].quantity += Number(b.quantity || 0);
+      map[b.product_sku].totalValue += (Number(b.quantity || 0) * Number(b.purchase_price || 0));
+      if (!map[b.product_sku].expiry && b.expiry) map[b.product_sku].expiry = b.expiry;
+    });
+    return Object.values(map).map(item => ({
+      product_sku: item.product_sku,
+      quantity: item.quantity,
+      purchase_price: item.quantity ? (item.totalValue / item.quantity) : 0,
+      expiry: item.expiry
+    }));
+  })();
+  
+  const handleSort = (field) => {
+    if (sortField === field) {
+      setSortDir(sortDir === 'asc' ? 'desc' : 'asc');
+    } else {
+      setSortField(field);
+      setSortDir('asc');
+    }
+  };
+  
+  // Calcular totales solo para los lotes filtrados por sección
+  const totalItems = filteredBatches.reduce((sum, batch) => sum + (batch.quantity || 0), 0);
+  const totalValue = filteredBatches.reduce((sum, batch) => 
+    sum + ((batch.quantity || 0) * (batch.purchase_price || 0)), 0
+  );
+  // Calculate potential profit: (sale_price - purchase_price) * quantity
+  const totalProfit = batches.reduce((sum, batch) => {
+    const product = products.find(p => p.sku === batch.product_sku) || {};
+    const sale = Number(product.default_sale_price || 0);
+    const purchase = Number(batch.purchase_price || 0);
+    const qty = Number(batch.quantity || 0);
+    const profitPerUnit = sale - purchase;
+    return sum + (profitPerUnit * qty);
+  }, 0);
+
+  // Resumen por producto (inventario actual)
+  const productSummary = (() => {
+    const map = {};
+    batches.forEach(b => {
+      const lot = String(b.lot || '');
+      if (b.quantity > 0 && !lot.startsWith('DEV-') && !lot.startsWith('UNDO-')) {
+        if (!map[b.product_sku]) {
+          const p = products.find(pp => pp.sku === b.product_sku) || {};
+          map[b.product_sku] = { sku: b.product_sku, name: p.name || b.product_sku, category: p.category || '-', totalQty: 0, totalValue: 0 };
+        }
+        map[b.product_sku].totalQty += (b.quantity || 0);
+        map[b.product_sku].totalValue += (b.quantity || 0) * (b.purchase_price || 0);
+      }
+    });
+    // Los productos agotados con mínimo configurado también se muestran
+    products.filter(p => hasReorderPoint(p) && !isKit(p)).forEach(p => {
+      if (!map[p.sku]) map[p.sku] = { sku: p.sku, name: p.name || p.sku, category: p.category || '-', totalQty: 0, totalValue: 0 };
+    });
+    // Los kits no tienen lotes: su disponibilidad sale del stock de sus componentes
+    products.filter(p => isKit(p) && !p.archived).forEach(p => {
+      map[p.sku] = { sku: p.sku, name: p.name || p.sku, category: p.category || '-', totalQty: kitAvailability(p, batches, { expiredPolicy: pickingSettings?.expired || 'block' }), totalValue: 0, kit: true };
+    });
+    return Object.values(map)
+      .map(card => {
+        const p = products.find(pp => pp.sku === card.sku);
+        const stock = card.kit ? card.totalQty : sellableStock(batches, card.sku);
+        return { ...card, low: hasReorderPoint(p) ? stock <= p.reorder_point : card.kit && stock === 0 };
+      })
+      .sort((a, b) => b.totalQty - a.totalQty);
+  })();
+  const reorderCount = buildReorderList(products, batches).length;
+  const expiredBatches = batches.filter(b => b.quantity > 0 && !String(b.lot || '').startsWith('DEV-') && checkExpiry(b.expiry) === 'expired');
+  
+  return (
+    <div>
+      {/* Add product quick form */}
+      <div style={{ marginBottom: '16px', padding: '12px', background: 'var(--color-bg-1)', borderRadius: '8px' }}>
+        <h4 style={{ margin: '0 0 8px 0' }}>➕ Agregar producto rápido</h4>
+        <AddProductForm onAdd={onAddProduct} />
+      </div>
+      {showImport && (
+        <ImportPanel
+          products={products}
+          batches={batches}
+          settings={settings}
+          onImport={onImport}
+          onClose={() => setShowImport(false)}
+        />
+      )}
+      {writeOff && (
+        <WriteOffPanel
+          key={writeOff.batches.map(b => b.id).join('-')}
+          batches={writeOff.batches}
+          products={products}
+          settings={settings}
+          defaultReason={writeOff.reason}
+          onSubmit={onWriteOff}
+          onClose={() => setWriteOff(null)}
+        />
+      )}
+      {showReorder && (
+        <ReorderPanel
+          products={products}
+          batches={batches}
+          settings={settings}
+          onSave={async (updates) => { await onSaveReorder(updates); setShowReorder(false); }}
+          onExport={onExportReorder}
+          onClose={() => setShowReorder(false)}
+        />
+      )}
+      {showPicking && (
+        <PickingSettingsPanel
+          products={products}
+          pickingSettings={pickingSettings}
+          onSave={async (value) => { await onSavePicking(value); setShowPicking(false); }}
+          onClose={() => setShowPicking(false)}
+        />
+      )}
+      {/* Stats: inventario + ventas */}
+      <div className="stats-grid">
+        <div className="stat-card">
+          <div className="stat-value">{products.length}</div>
+          <div className="stat-label">Productos</div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-value">{batches.filter(b => b.quantity > 0).length}</div>
+          <div className="stat-label">Lotes Activos</div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-value">{settings?.currency || 'S/'}{totalProfit.toFixed(2)}</div>
+          <div className="stat-label">Ganancia potencial</div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-value">{settings?.currency || 'S/'}{totalValue.toFixed(2)}</div>
+          <div className="stat-label">Valor Inventario</div>
+        </div>
+        <div className="stat-card" onClick={() => setShowReorder(true)} style={{ cursor: 'pointer' }}>
+          <div className="stat-value" style={{ color: reorderCount > 0 ? '#b58900' : 'inherit' }}>{reorderCount > 0 ? `⚠️ ${reorderCount}` : 0}</div>
+          <div className="stat-label">Por reponer</div>
+        </div>
+        {/* Producto más/menos vendido */}
+        {(() => {
+          const completedSales = (sales || []).filter(sale => sale && sale.status !== 'cancelled');
+          const totals = {};
+          completedSales.flatMap(getSaleLines).forEach(line => {
+            totals[line.sku] = (totals[line.sku] || 0) + (line.quantity || 0);
+          });
+          const entries = Object.entries(totals).sort((a, b) => b[1] - a[1]);
+          if (entries.length === 0) return null;
+          const most = entries[0];
+          const least = entries.length > 1 ? entries[entries.length - 1] : entries[0];
+
+          return (
+            <>
+              <div className="stat-card">
+                <div className="stat-value">{`${products.find(p=>p.sku===most[0])?.name || most[0]} (${most[1]})`}</div>
+                <div className="stat-label">Producto más vendido</div>
+              </div>
+              <div className="stat-card">
+                <div className="stat-value">{`${products.find(p=>p.sku===least[0])?.name || least[0]} (${least[1]})`}</div>
+                <div className="stat-label">Producto menos vendido</div>
+              </div>
+            </>
+          );
+        })()}
+      </div>
+      
+      {/* Toolbar */}
+      <div className="toolbar">
+        <input
+          className="form-control search-input"
+          type="text"
+          placeholder="🔍 Buscar por SKU, nombre o lote..."
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          style={{ width: '260px', padding: '8px', fontSize: '14px' }}
+        />
+        
+        <select
+          className="form-control"
+          value={viewMode}
+          onChange={(e) => setViewMode(e.target.value)}
+        >
+          <option value="batches">📋 Por Lotes</option>
+          <option value="products">📊 Por Productos</option>
+        </select>
+        
+        <button className="btn btn--outline btn--sm" onClick={onRefresh}>
+          🔄 Refrescar
+        </button>
+        <button className="btn btn--secondary btn--sm" onClick={onExport}>
+          📊 Exportar XLSX
+        </button>
+        <button className="btn btn--secondary btn--sm" onClick={() => setShowImport(prev => !prev)}>
+          📥 Importar XLSX/CSV
+        </button>
+        <button className="btn btn--outline btn--sm" onClick={() => setShowPicking(prev => !prev)}>
+          ⚙️ Estrategia de salida
+        </button>
+        <button className="btn btn--outline btn--sm" onClick={() => setWriteOff({ batches: expiredBatches, reason: 'vencido' })} disabled={expiredBatches.length === 0}>
+          🗑️ Mermar vencidos{expiredBatches.length > 0 ? ` (${expiredBatches.length})` : ''}
+        </button>
+        <button className="btn btn--outline btn--sm" onClick={() => setShowReorder(prev => !prev)}>
+          🔔 Por reponer{reorderCount > 0 ? ` (${reorderCount})` : ''}
+        </button>
+        <button className="btn btn--primary btn--sm" onClick={onDailyReport}>
+          📈 Reporte Diario
+        </button>
+      </div>
+      
+      {/* Leyenda de colores */}
+      <div style={{ marginBottom: '16px', padding: '12px', background: 'var(--color-bg-1)', borderRadius: '8px' }}>
+        <h4 style={{ marginBottom: '8px' }}>Leyenda de Estados:</h4>
+        <div style={{ display: 'flex', gap: '16px', fontSize: '14px' }}>
+          <div>⚫ Normal: Producto activo</div>
+          <div style={{ color: '#ffd700' }}>
+            🟡 Por vencerse ({expirySettings.default} días{Object.keys(expirySettings.categories || {}).length > 0
+              ? `; ${Object.entries(expirySettings.categories).map(([c, d]) => `${c}: ${d}`).join(', ')}`
+              : ''})
+          </div>
+          <div style={{ color: 'red' }}>🔴 Vencido</div>
+          <div style={{ opacity: 0.5 }}>⚪ Devuelto</div>
+        </div>
+      </div>
+
+      {/* Resumen por Producto (KPI) */}
+      <div style={{ marginBottom: '16px', padding: '12px', background: 'var(--color-bg-1)', borderRadius: '8px' }}>
         <h4 style={{ marginTop: 0, marginBottom: '8px' }}>📦 Resumen por Producto</h4>
         <div style={{ display: 'flex', gap: '12px', alignItems: 'center', marginBottom: '8px', flexWrap: 'wrap' }}>
           <div className="stat-card">
             <div className="stat-value">{productSummary.length}</div>
             <div className="stat-label">SKUs con stock</div>
           </div>
-          <div className="stat-card">
-            <div className="stat-value">{totalItems}</div>
-            <div className="stat-label">Unidades en stock</div>
+          <div className="stat-card">
+            <div className="stat-value">{totalItems}</div>
+            <div className="stat-label">Unidades en stock</div>
+          </div>
+          <div className="stat-card">
+            <div className="stat-value">{(settings?.currency || 'S/')}{totalValue.toFixed(2)}</div>
+            <div className="stat-label">Valor total</div>
+          </div>
+        </div>
+
+        {productSummary.length === 0 ? (
+          <div style={{ color: 'var(--color-text-secondary)' }}>No hay stock cargado todavía</div>
+        ) : (
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))', gap: '8px' }}>
+            {productSummary.map(card => (
+              <button key={card.sku} className={`btn ${selectedSKU === card.sku ? 'btn--primary' : 'btn--outline'}`} onClick={() => { setSelectedSKU(card.sku); setDisplayUnit(''); }} style={{ justifyContent: 'space-between' }}>
+                <span style={{ textAlign: 'left' }}>
+                  <div style={{ fontWeight: 600 }}>{card.name}</div>
+                  <div style={{ fontSize: 12, opacity: 0.8 }}>{card.sku} · {card.category}{card.kit ? ' · 🧺 Kit' : ''}</div>
+                  {card.low && <div style={{ fontSize: 12, color: '#b58900' }}>{card.kit ? '⚠️ Sin componentes suficientes' : '⚠️ Por reponer'}</div>}
+                </span>
+                <span style={{ fontWeight: 700, color: card.low ? '#b58900' : 'inherit' }}>{formatQuantity(products.find(pp => pp.sku === card.sku), card.totalQty)}</span>
+              </button>
+            ))}
+          </div>
+        )}
+
+        {selectedSKU && (
+          <div style={{ marginTop: '12px', paddingTop: '12px', borderTop: '1px solid var(--color-border)' }}>
+            {(() => {
+              const p = products.find(pp => pp.sku === selectedSKU) || { name: selectedSKU };
+              if (isKit(p)) {
+                return (
+                  <div>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline' }}>
+                      <h5 style={{ margin: 0 }}>🧺 {p.name} ({selectedSKU})</h5>
+                      <div style={{ fontSize: 12, color: 'var(--color-text-secondary)' }}>Categoría: {p.category || '-'}</div>
+                    </div>
+                    <div style={{ display: 'flex', gap: '12px', margin: '8px 0' }}>
+                      <div className="stat-card"><div className="stat-value">{kitAvailability(p, batches, { expiredPolicy: pickingSettings?.expired || 'block' })}</div><div className="stat-label">Kits disponibles</div></div>
+                      <div className="stat-card"><div className="stat-value">{(settings?.currency || 'S/')}{kitCost(p, products).toFixed(2)}</div><div className="stat-label">Costo referencial</div></div>
+                    </div>
+                    <table className="inventory-table" style={{ width: '100%' }}>
+                      <thead>
+                        <tr>
+                          <th style={{ textAlign: 'left', padding: '8px 12px' }}>Componente</th>
+                          <th style={{ textAlign: 'right', padding: '8px 12px' }}>Por kit</th>
+                          <th style={{ textAlign: 'right', padding: '8px 12px' }}>Stock vendible</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {p.kit_components.map(c => {
+                          const component = products.find(pp => pp.sku === c.sku) || { sku: c.sku, name: c.sku };
+                          const available = planPicking(batches, c.sku, 0, 'fifo', { expiredPolicy: pickingSettings?.expired || 'block' }).available;
+                          return (
+                            <tr key={c.sku}>
+                              <td style={{ padding: '8px 12px' }}>{component.name} ({c.sku})</td>
+                              <td style={{ padding: '8px 12px', textAlign: 'right' }}>{formatQuantity(component, c.quantity)}</td>
+                              <td style={{ padding: '8px 12px', textAlign: 'right', color: available < c.quantity ? '#b58900' : 'inherit' }}>{describeStock(component, available)}</td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                );
+              }
+              const selBatches = batches.filter(b => b.product_sku === selectedSKU && b.quantity > 0 && !String(b.lot || '').startsWith('DEV-') && !String(b.lot || '').startsWith('UNDO-'));
+              const totalSel = selBatches.reduce((s, b) => s + (b.quantity || 0), 0);
+              const valueSel = selBatches.reduce((s, b) => s + (b.quantity || 0) * (b.purchase_price || 0), 0);
+              return (
+                <div>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline' }}>
+                    <h5 style={{ margin: 0 }}>{p.name} ({selectedSKU})</h5>
+                    <div style={{ fontSize: 12, color: 'var(--color-text-secondary)' }}>Categoría: {p.category || '-'}</div>
+                  </div>
+                  <div style={{ display: 'flex', gap: '12px', margin: '8px 0' }}>
+                    <div className="stat-card">
+                      <div className="stat-value">{formatQuantity(p, totalSel, displayUnit)}</div>
+                      <div className="stat-label">
+                        {productUnits(p).length > 1 ? (
+                          <select className="form-control" value={unitOf(p, displayUnit).key} onChange={(e) => setDisplayUnit(e.target.value)} style={{ padding: '2px 4px', fontSize: 12 }}>
+                            {productUnits(p).map(u => <option key={u.key} value={u.key}>Ver en {u.label.toLowerCase()}{u.factor !== 1 ? ` (×${u.factor})` : ''}</option>)}
+                          </select>
+                        ) : 'Stock'}
+                      </div>
+                    </div>
+                    <div className="stat-card"><div className="stat-value">{(settings?.currency || 'S/')}{valueSel.toFixed(2)}</div><div className="stat-label">Valor</div></div>
+                  </div>
+                  <div className="table-container" style={{ border: '1px solid var(--color-border)', borderRadius: 8, overflow: 'auto', maxHeight: 320 }}>
+                    <table className="inventory-table" style={{ width: '100%', borderCollapse: 'separate', borderSpacing: 0 }}>
+                      <thead style={{ position: 'sticky', top: 0, background: 'var(--color-surface)' }}>
+                        <tr>
+                          <th style={{ textAlign: 'left', padding: '8px 12px' }}>Lote</th>
+                          <th style={{ textAlign: 'left', padding: '8px 12px' }}>Caducidad</th>
+                          <th style={{ textAlign: 'left', padding: '8px 12px' }}>Estado</th>
+                          <th style={{ textAlign: 'right', padding: '8px 12px' }}>Cantidad</th>
+                          <th style={{ textAlign: 'right', padding: '8px 12px' }}>Precio Compra / {unitOf(p, displayUnit).short}</th>
+                          <th style={{ textAlign: 'right', padding: '8px 12px' }}>Valor</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {selBatches.map(b => {
+                          const status = checkExpiry(b.expiry, expiryThreshold(p, expirySettings));
+                          const color = status === 'expired' ? 'red' : status === 'expiring-soon' ? '#b58900' : 'inherit';
+                          return (
+                            <tr key={b.id}>
+                              <td style={{ padding: '8px 12px' }}>{b.lot || '-'}</td>
+                              <td style={{ padding: '8px 12px' }}>{b.expiry ? formatDate(b.expiry) : '-'}</td>
+                              <td style={{ padding: '8px 12px', color }}>{status === 'expired' ? 'Vencido' : status === 'expiring-soon' ? 'Por vencer' : 'Normal'}</td>
+                              <td style={{ padding: '8px 12px', textAlign: 'right' }}>{formatQuantity(p, b.quantity, displayUnit)}</td>
+                              <td style={{ padding: '8px 12px', textAlign: 'right' }}>{(settings?.currency || 'S/')}{((b.purchase_price || 0) * unitOf(p, displayUnit).factor).toFixed(2)}</td>
+                              <td style={{ padding: '8px 12px', textAlign: 'right' }}>{(settings?.currency || 'S/')}{(((b.quantity || 0) * (b.purchase_price || 0))).toFixed(2)}</td>
+                            </tr>
+                          );
+                        })}
+                        {selBatches.length === 0 && (
+                          <tr><td colSpan="6" style={{ padding: 16, textAlign: 'center', color: 'var(--color-text-secondary)' }}>Sin lotes activos</td></tr>
+                        )}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              );
+            })()}
+          </div>
+        )}
+      </div>
+
+      {/* La tabla de inventario solo muestra inventario; ventas tiene su propia vista */}
+
+      {/* Table */}
+      <div className="table-container" style={{ 
+        border: '1px solid var(--color-border)', 
+        borderRadius: '8px',
+        overflow: 'auto',
+        maxHeight: '600px',
+        boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+      }}>
+        <table className="inventory-table" style={{
+          borderCollapse: 'separate',
+          borderSpacing: 0,
+          width: '100%',
+          background: 'var(--color-surface)',
+          '& td, & th': {
+            border: '1px solid var(--color-border)',
+            padding: '8px 12px',
+            whiteSpace: 'nowrap',
+            overflow: 'hidden',
+            textOverflow: 'ellipsis',
+            maxWidth: '200px'
+          },
+          '& th': {
+            fontWeight: 'bold',
+            textAlign: 'left',
+            borderBottom: '2px solid var(--color-border)'
+          }
+        }}>
+          <thead style={{ 
+            position: 'sticky', 
+            top: 0, 
+            background: 'var(--color-bg-1)', 
+            zIndex: 1,
+            boxShadow: '0 1px 2px rgba(0,0,0,0.1)'
+          }}>
+            <tr>
+              {visibleColumns.map(column => (
+                <th 
+                  key={column.key}
+                  onClick={() => handleSort(column.key)}
+                  style={{ cursor: 'pointer', userSelect: 'none' }}
+                >
+                  {column.label}
+                  {sortField === column.key && (
+                    <span style={{ marginLeft: '4px' }}>
+                      {sortDir === 'asc' ? '↑' : '↓'}
+                    </span>
+                  )}
+                </th>
+              ))}
+              <th>Valor Total</th>
+              <th>Acciones</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sortedBatches.length === 0 ? (
+              <tr>
+                <td colSpan={visibleColumns.length + 2} style={{ textAlign: 'center', padding: '32px' }}>
+                  <div className="empty-state">
+                    <div style={{ fontSize: '48px', marginBottom: '16px' }}>📦</div>
+                    <p>No hay inventario disponible</p>
+                    <p style={{ fontSize: '14px', color: 'var(--color-text-secondary)' }}>
+                      {searchTerm ? 'Intenta con otros términos de búsqueda' : 'Agrega productos usando el panel de simulación'}
+                    </p>
+                  </div>
+                </td>
+              </tr>
+            ) : (
+              sortedBatches.map(batch => {
+                const product = products.find(p => p.sku === batch.product_sku) || {};
+                const isZeroStock = (Number(batch.quantity) || 0) === 0;
+                const expiryStatus = checkExpiry(batch.expiry, expiryThreshold(product, expirySettings));
+                const isReturned = batch.lot?.startsWith('DEV-') || batch.lot?.startsWith('UNDO-');
+                const rowStyle = {
+                  color: expiryStatus === 'expired' ? 'red' : 
+                         expiryStatus === 'expiring-soon' ? '#ffd700' : 'inherit',
+                  opacity: isReturned ? 0.5 : 1
+                };
+
+                // Filtrar por sección únicamente
+                // if sectionMode === 'inventario' -> ocultar lotes que son devoluciones (DEV-, UNDO-)
+                // if sectionMode === 'ventas' -> mostrar sólo lotes relacionados a ventas/devoluciones (DEV-SALE-, UNDO-)
+                if (sectionMode === 'inventario') {
+                  if (batch.lot?.startsWith('DEV-') || batch.lot?.startsWith('UNDO-')) {
+                    return null;
+                  }
+                } else { // ventas
+                  if (!batch.lot?.startsWith('DEV-SALE-') && !batch.lot?.startsWith('UNDO-')) {
+                    return null;
+                  }
+                }
+
+                // Build cells in the same order as visibleColumns to keep headers aligned
+                const cells = visibleColumns.map(col => {
+                  switch (col.key) {
+                    case 'sku':
+                      return (
+                        <td key={`sku-${batch.id}`} style={rowStyle}><strong>{batch.product_sku || '-'}</strong></td>
+                      );
+                    case 'name':
+                      return (
+                        <td key={`name-${batch.id}`} style={rowStyle}>{product.name || '-'}</td>
+                      );
+                    case 'category':
+                      return (
+                        <td key={`category-${batch.id}`} style={rowStyle}>{product.category || '-'}</td>
+                      );
+                    case 'lot':
+                      return (
+                        <td key={`lot-${batch.id}`} style={rowStyle}>{batch.lot || '-'}</td>
+                      );
+                    case 'expiry':
+                      return (
+                        <td key={`expiry-${batch.id}`} style={rowStyle}>
+                          {formatDate(batch.expiry)}
+                          {expiryStatus === 'expiring-soon' && ' ⚠️'}
+                          {expiryStatus === 'expired' && ' ❌'}
+                        </td>
+                      );
+                    case 'quantity':
+                      return (
+                        <td key={`quantity-${batch.id}`} style={rowStyle}>
+                          <strong>{Number(batch.quantity || 0).toLocaleString()}</strong>
+                        </td>
+                      );
+                    case 'purchase_price':
+                      return (
+                        <td key={`purchase_price-${batch.id}`} style={rowStyle}>
+                          {settings?.currency || 'S/'}{Number(batch.purchase_price || 0).toFixed(2)}
+                        </td>
+                      );
+                    case 'sale_price':
+                      return (
+                        <td key={`sale_price-${batch.id}`} style={rowStyle}>
+                          {settings?.currency || 'S/'}{Number(product.default_sale_price || 0).toFixed(2)}
+                        </td>
+                      );
+                    default:
+                      return (<td key={`${col.key}-${batch.id}`} style={rowStyle}>-</td>);
+                  }
+                });
+
+                const rowTotal = (Number(batch.quantity || 0) * Number(batch.purchase_price || 0));
+
+                return (
+                  <tr key={batch.id} className={isZeroStock ? 'inventory-table--zero-stock' : ''}>
+                    {cells}
+                    <td style={rowStyle}>
+                      <strong>
+                        {settings?.currency || 'S/'}{rowTotal.toFixed(2)}
+                      </strong>
+                    </td>
+                    <td>
+                      {!isReturned && !batch.lot?.startsWith('INIT-') && (
+                        <button 
+                          className="btn btn--outline btn--sm"
+                          onClick={() => onReturn(batch, sectionMode)}
+                          title="Devolver producto"
+                          style={{ width: '100%' }}
+                        >
+                          {viewMode === 'ventas' ? '🔄 Devolver venta' : '↩️ Devolver compra'}
+                        </button>
+                      )}
+                      {!isReturned && batch.quantity > 0 && (
+                        <button
+                          className="btn btn--outline btn--sm"
+                          onClick={() => setWriteOff({ batches: [batch], reason: checkExpiry(batch.expiry) === 'expired' ? 'vencido' : 'danado' })}
+                          title="Dar de baja (merma)"
+                          style={{ width: '100%', marginTop: 4 }}
+                        >
+                          🗑️ Merma
+                        </button>
+                      )}
+                      {isReturned && (
+                        <span style={{ 
+                          fontSize: '12px', 
+                          color: 'var(--color-text-secondary)',
+                          fontStyle: 'italic' 
+                        }}>
+                          Devuelto
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+      
+      {/* Summary */}
+      {sortedBatches.length > 0 && (
+        <div style={{ marginTop: '16px', padding: '12px', background: 'var(--color-bg-1)', borderRadius: '8px' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '14px' }}>
+            <span>
+              <strong>Total mostrado:</strong> {sortedBatches.length} lotes
+            </span>
+            <span>
+              <strong>Valor total:</strong> {settings?.currency || 'S/'}
+              {sortedBatches.reduce((sum, batch) => 
+                sum + ((batch.quantity || 0) * (batch.purchase_price || 0)), 0
+              ).toFixed(2)}
+            </span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Catalog view: edición de productos, archivo, fusión de SKUs e historial de precios
+function CatalogView({ products, batches, suppliers, priceHistory, settings, onUpdate, onArchive, onMerge }) {
+  const [searchTerm, setSearchTerm] = useState('');
+  const [showArchived, setShowArchived] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [historySku, setHistorySku] = useState(null);
+  const [historyField, setHistoryField] = useState('');
+  const [merge, setMerge] = useState({ source: '', target: '' });
+  const currency = settings?.currency || 'S/';
+  const money = (v) => `${currency}${Number(v || 0).toFixed(2)}`;
+
+  const stockOf = (sku) => batches
+    .filter(b => b.product_sku === sku && b.quantity > 0 && !b.lot?.startsWith('DEV-'))
+    .reduce((sum, b) => sum + (b.quantity || 0), 0);
+
+  const visible = products
+    .filter(p => showArchived || !p.archived)
+    .filter(p => {
+      if (!searchTerm) return true;
+      const q = searchTerm.toLowerCase();
+      return p.sku.toLowerCase().includes(q) || (p.name || '').toLowerCase().includes(q) || (p.category || '').toLowerCase().includes(q);
+    })
+    .sort((a, b) => (a.name || a.sku).localeCompare(b.name || b.sku));
+
+  const startEdit = (p) => setEditing({
+    sku: p.sku,
+    name: p.name || '',
+    category: p.category || '',
+    default_purchase_price: String(p.default_purchase_price ?? ''),
+    default_sale_price: String(p.default_sale_price ?? ''),
+    wholesale_price: p.wholesale_price != null ? String(p.wholesale_price) : '',
+    supplier_id: p.supplier_id ?? '',
+    tax_affectation: p.tax_affectation || 'gravado',
+    reorder_point: hasReorderPoint(p) ? String(p.reorder_point) : '',
+    reorder_quantity: p.reorder_quantity ? String(p.reorder_quantity) : '',
+    base_unit: baseUnitOf(p).key,
+    units: sanitizeUnits(p.units).map(u => ({ unit: u.unit, factor: String(u.factor) })),
+    kit_components: (p.kit_components || []).map(c => ({ sku: c.sku, quantity: String(c.quantity) }))
+  });
+
+  const setPackUnit = (index, field, value) => setEditing(prev => ({
+    ...prev,
+    units: prev.units.map((u, i) => (i === index ? { ...u, [field]: value } : u))
+  }));
+
+  const setKitComponent = (index, field, value) => setEditing(prev => ({
+    ...prev,
+    kit_components: prev.kit_components.map((c, i) => (i === index ? { ...c, [field]: value } : c))
+  }));
+  // Un kit se arma solo con productos simples activos
+  const componentOptions = editing ? products.filter(p => p.sku !== editing.sku && !p.archived && !isKit(p)) : [];
+  const editingKit = editing ? { kit_components: sanitizeKitComponents(editing.kit_components, editing.sku) } : null;
+
+  const submitEdit = async (e) => {
+    e.preventDefault();
+    if (!editing.name.trim()) {
+      alert('El nombre es requerido');
+      return;
+    }
+    const ok = await onUpdate(editing.sku, {
+      name: editing.name.trim(),
+      category: editing.category.trim() || 'Sin categoría',
+      default_purchase_price: Number(editing.default_purchase_price) || 0,
+      default_sale_price: Number(editing.default_sale_price) || 0,
+      wholesale_price: editing.wholesale_price === '' ? null : Number(editing.wholesale_price),
+      supplier_id: editing.supplier_id === '' ? null : Number(editing.supplier_id),
+      tax_affectation: editing.tax_affectation,
+      reorder_point: editing.reorder_point === '' ? null : Number(editing.reorder_point),
+      reorder_quantity: editing.reorder_quantity === '' ? null : Number(editing.reorder_quantity),
+      base_unit: editing.base_unit,
+      units: sanitizeUnits(editing.units),
+      kit_components: sanitizeKitComponents(editing.kit_components, editing.sku)
+    });
+    if (ok) setEditing(null);
+  };
+
+  const submitMerge = async () => {
+    const source = products.find(p => p.sku === merge.source);
+    const target = products.find(p => p.sku === merge.target);
+    if (!source || !target) return;
+    if (!confirm(`¿Fusionar ${source.name} (${source.sku}) en ${target.name} (${target.sku})?\n\nTodo el stock e historial pasará a ${target.sku} y ${source.sku} quedará como alias. No se puede deshacer.`)) return;
+    if (await onMerge(source.sku, target.sku)) setMerge({ source: '', target: '' });
+  };
+
+  const history = historySku
+    ? priceHistory
+      .filter(h => h.sku === historySku && (!historyField || h.field === historyField))
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+    : [];
+  const historyCount = (sku) => priceHistory.filter(h => h.sku === sku).length;
+  const toggleHistory = (sku) => {
+    setHistorySku(historySku === sku ? null : sku);
+    setHistoryField('');
+  };
+
+  return (
+    <div>
+      {editing && (
+        <div style={{ marginBottom: '16px', padding: '12px', background: 'var(--color-bg-1)', borderRadius: '8px' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+            <h4 style={{ margin: 0 }}>✏️ Editar {editing.sku}</h4>
+            <button className="btn btn--outline btn--sm" onClick={() => setEditing(null)}>✕ Cerrar</button>
+          </div>
+          <form onSubmit={submitEdit} style={{ display: 'flex', gap: '8px', alignItems: 'flex-end', flexWrap: 'wrap' }}>
+            <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+              Nombre
+              <input className="form-control" value={editing.name} onChange={(e) => setEditing(prev => ({ ...prev, name: e.target.value }))} style={{ width: 200 }} />
+            </label>
+            <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+              Categoría
+              <input className="form-control" value={editing.category} onChange={(e) => setEditing(prev => ({ ...prev, category: e.target.value }))} style={{ width: 150 }} />
+            </label>
+            <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+              Precio compra
+              <input className="form-control" type="number" step="0.01" min="0" value={editing.default_purchase_price} onChange={(e) => setEditing(prev => ({ ...prev, default_purchase_price: e.target.value }))} style={{ width: 110 }} />
+            </label>
+            <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+              Precio venta
+              <input className="form-control" type="number" step="0.01" min="0" value={editing.default_sale_price} onChange={(e) => setEditing(prev => ({ ...prev, default_sale_price: e.target.value }))} style={{ width: 110 }} />
+            </label>
+            <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+              Precio mayorista
+              <input className="form-control" type="number" step="0.01" min="0" placeholder="= minorista" value={editing.wholesale_price} onChange={(e) => setEditing(prev => ({ ...prev, wholesale_price: e.target.value }))} style={{ width: 110 }} />
+            </label>
+            <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+              Proveedor
+              <select className="form-control" value={editing.supplier_id} onChange={(e) => setEditing(prev => ({ ...prev, supplier_id: e.target.value }))} style={{ width: 180 }}>
+                <option value="">Sin proveedor</option>
+                {suppliers.map(sp => <option key={sp.id} value={sp.id}>{sp.name}</option>)}
+              </select>
+            </label>
+            <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+              IGV
+              <select className="form-control" value={editing.tax_affectation} onChange={(e) => setEditing(prev => ({ ...prev, tax_affectation: e.target.value }))} style={{ width: 130 }}>
+                {TAX_AFFECTATIONS.map(t => <option key={t.key} value={t.key}>{t.label}</option>)}
+              </select>
+            </label>
+            <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+              Mínimo
+              <input className="form-control" type="number" min="0" value={editing.reorder_point} onChange={(e) => setEditing(prev => ({ ...prev, reorder_point: e.target.value }))} style={{ width: 90 }} />
+            </label>
+            <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+              Pedir
+              <input className="form-control" type="number" min="0" value={editing.reorder_quantity} onChange={(e) => setEditing(prev => ({ ...prev, reorder_quantity: e.target.value }))} style={{ width: 90 }} />
+            </label>
+            <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+              Unidad base
+              <select
+                className="form-control"
+                value={editing.base_unit}
+                onChange={(e) => setEditing(prev => ({ ...prev, base_unit: e.target.value }))}
+                disabled={stockOf(editing.sku) > 0}
+                title={stockOf(editing.sku) > 0 ? 'No se puede cambiar con stock en almacén' : ''}
+                style={{ width: 130 }}
+              >
+                {BASE_UNITS.map(u => <option key={u.key} value={u.key}>{u.label}</option>)}
+              </select>
+            </label>
+            <div style={{ display: 'flex', flexDirection: 'column', fontSize: 13, gap: 4 }}>
+              Presentaciones
+              {editing.units.map((u, i) => (
+                <div key={i} style={{ display: 'flex', gap: 4, alignItems: 'center' }}>
+                  <select className="form-control" value={u.unit} onChange={(e) => setPackUnit(i, 'unit', e.target.value)} style={{ width: 110 }}>
+                    {PACK_UNITS.map(pu => <option key={pu.key} value={pu.key}>{pu.label}</option>)}
+                  </select>
+                  <span>=</span>
+                  <input className="form-control" type="number" min="0" step="any" value={u.factor} onChange={(e) => setPackUnit(i, 'factor', e.target.value)} style={{ width: 80 }} />
+                  <span>{baseUnitOf(editing).short}</span>
+                  <button className="btn btn--outline btn--sm" type="button" onClick={() => setEditing(prev => ({ ...prev, units: prev.units.filter((_, j) => j !== i) }))}>✕</button>
+                </div>
+              ))}
+              <button
+                className="btn btn--outline btn--sm"
+                type="button"
+                onClick={() => setEditing(prev => ({ ...prev, units: [...prev.units, { unit: (PACK_UNITS.find(pu => !prev.units.some(u => u.unit === pu.key)) || PACK_UNITS[0]).key, factor: '' }] }))}
+              >
+                ➕ Presentación
+              </button>
+            </div>
+            <div style={{ display: 'flex', flexDirection: 'column', fontSize: 13, gap: 4 }}>
+              Componentes del kit
+              {editing.kit_components.map((c, i) => (
+                <div key={i} style={{ display: 'flex', gap: 4, alignItems: 'center' }}>
+                  <select className="form-control" value={c.sku} onChange={(e) => setKitComponent(i, 'sku', e.target.value)} style={{ width: 180 }}>
+                    <option value="">Producto...</option>
+                    {componentOptions.map(p => <option key={p.sku} value={p.sku}>{p.name} ({p.sku})</option>)}
+                  </select>
+                  <span>×</span>
+                  <input className="form-control" type="number" min="0" step="any" value={c.quantity} onChange={(e) => setKitComponent(i, 'quantity', e.target.value)} style={{ width: 80 }} />
+                  <span>{baseUnitOf(products.find(p => p.sku === c.sku)).short}</span>
+                  <button className="btn btn--outline btn--sm" type="button" onClick={() => setEditing(prev => ({ ...prev, kit_components: prev.kit_components.filter((_, j) => j !== i) }))}>✕</button>
+                </div>
+              ))}
+              <button
+                className="btn btn--outline btn--sm"
+                type="button"
+                onClick={() => setEditing(prev => ({ ...prev, kit_components: [...prev.kit_components, { sku: '', quantity: '1' }] }))}
+              >
+                ➕ Componente
+              </button>
+              {isKit(editingKit) && (
+                <span style={{ fontSize: 12, color: 'var(--color-text-secondary)' }}>Costo de componentes: {money(kitCost(editingKit, products))}</span>
+              )}
+            </div>
+            <button className="btn btn--primary btn--sm" type="submit">💾 Guardar</button>
+          </form>
+        </div>
+      )}
+
+      <div style={{ marginBottom: '16px', padding: '12px', background: 'var(--color-bg-1)', borderRadius: '8px' }}>
+        <h4 style={{ margin: '0 0 8px 0' }}>🔀 Fusionar SKUs duplicados</h4>
+        <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+          <select className="form-control" value={merge.source} onChange={(e) => setMerge(prev => ({ ...prev, source: e.target.value }))} style={{ maxWidth: 280 }}>
+            <option value="">Duplicado (se elimina)...</option>
+            {products.map(p => <option key={p.sku} value={p.sku}>{p.name} ({p.sku})</option>)}
+          </select>
+          <span>→</span>
+          <select className="form-control" value={merge.target} onChange={(e) => setMerge(prev => ({ ...prev, target: e.target.value }))} style={{ maxWidth: 280 }}>
+            <option value="">Se conserva...</option>
+            {products.filter(p => p.sku !== merge.source).map(p => <option key={p.sku} value={p.sku}>{p.name} ({p.sku})</option>)}
+          </select>
+          <button className="btn btn--secondary btn--sm" disabled={!merge.source || !merge.target || merge.source === merge.target} onClick={submitMerge}>
+            🔀 Fusionar
+          </button>
+        </div>
+      </div>
+
+      <div className="toolbar">
+        <input
+          className="form-control search-input"
+          type="text"
+          placeholder="🔍 Buscar por SKU, nombre o categoría..."
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          style={{ width: '260px', padding: '8px', fontSize: '14px' }}
+        />
+        <label style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 14 }}>
+          <input type="checkbox" checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} />
+          Mostrar archivados
+        </label>
+        <span className="status status--info">{visible.length} productos</span>
+      </div>
+
+      <div className="table-container" style={{ border: '1px solid var(--color-border)', borderRadius: 8, overflow: 'auto', maxHeight: 600 }}>
+        <table className="inventory-table" style={{ width: '100%', borderCollapse: 'separate', borderSpacing: 0 }}>
+          <thead style={{ position: 'sticky', top: 0, background: 'var(--color-surface)' }}>
+            <tr>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>SKU</th>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Nombre</th>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Categoría</th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Precio Compra</th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Precio Venta</th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Mayorista</th>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>IGV</th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Stock</th>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Estado</th>
+              <th style={{ padding: '8px 12px' }}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {visible.length === 0 ? (
+              <tr><td colSpan="10" style={{ padding: 24, textAlign: 'center', color: 'var(--color-text-secondary)' }}>No hay productos</td></tr>
+            ) : visible.map(p => (
+              <React.Fragment key={p.sku}>
+                <tr style={{ opacity: p.archived ? 0.5 : 1 }}>
+                  <td style={{ padding: '8px 12px' }}>
+                    {p.sku}
+                    {(p.merged_skus || []).length > 0 && <div style={{ fontSize: 12, opacity: 0.7 }}>alias: {p.merged_skus.join(', ')}</div>}
+                  </td>
+                  <td style={{ padding: '8px 12px' }}>{p.name}</td>
+                  <td style={{ padding: '8px 12px' }}>{p.category || '-'}</td>
+                  <td style={{ padding: '8px 12px', textAlign: 'right' }}>{money(p.default_purchase_price)}</td>
+                  <td style={{ padding: '8px 12px', textAlign: 'right' }}>{money(p.default_sale_price)}</td>
+                  <td style={{ padding: '8px 12px', textAlign: 'right' }}>{p.wholesale_price != null ? money(p.wholesale_price) : '-'}</td>
+                  <td style={{ padding: '8px 12px' }}>{taxAffectationLabel(p.tax_affectation || 'gravado')}</td>
+                  <td style={{ padding: '8px 12px', textAlign: 'right' }}>
+                    {isKit(p) ? `🧺 Kit · ${kitAvailability(p, batches)} disp.` : describeStock(p, stockOf(p.sku))}
+                  </td>
+                  <td style={{ padding: '8px 12px' }}>
+                    <span className={`status ${p.archived ? 'status--warning' : 'status--success'}`}>{p.archived ? 'Archivado' : 'Activo'}</span>
+                  </td>
+                  <td style={{ padding: '8px 12px', whiteSpace: 'nowrap' }}>
+                    <button className="btn btn--outline btn--sm" onClick={() => startEdit(p)}>✏️ Editar</button>
+                    <button className="btn btn--outline btn--sm" onClick={() => toggleHistory(p.sku)} style={{ marginLeft: 4 }}>🕑 Precios ({historyCount(p.sku)})</button>
+                    <button className="btn btn--outline btn--sm" onClick={() => onArchive(p.sku, !p.archived)} style={{ marginLeft: 4 }}>
+                      {p.archived ? '♻️ Reactivar' : '🗄️ Archivar'}
+                    </button>
+                  </td>
+                </tr>
+                {historySku === p.sku && (
+                  <tr>
+                    <td colSpan="10" style={{ padding: '8px 12px', background: 'var(--color-bg-1)' }}>
+                      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 }}>
+                        <strong>🕑 Historial de precios de {p.name}</strong>
+                        <select className="form-control" value={historyField} onChange={(e) => setHistoryField(e.target.value)} style={{ width: 180 }}>
+                          <option value="">Todos los precios</option>
+                          {PRICE_FIELDS.map(f => <option key={f.key} value={f.key}>{f.label}</option>)}
+                        </select>
+                      </div>
+                      {history.length === 0 ? (
+                        <div style={{ color: 'var(--color-text-secondary)' }}>Sin cambios de precio registrados</div>
+                      ) : (
+                        <table className="inventory-table" style={{ width: '100%' }}>
+                          <thead>
+                            <tr>
+                              <th style={{ textAlign: 'left', padding: '6px 12px' }}>Fecha</th>
+                              <th style={{ textAlign: 'left', padding: '6px 12px' }}>Precio</th>
+                              <th style={{ textAlign: 'right', padding: '6px 12px' }}>Anterior</th>
+                              <th style={{ textAlign: 'right', padding: '6px 12px' }}>Nuevo</th>
+                              <th style={{ textAlign: 'right', padding: '6px 12px' }}>Variación</th>
+                              <th style={{ textAlign: 'left', padding: '6px 12px' }}>Operador</th>
+                              <th style={{ textAlign: 'left', padding: '6px 12px' }}>Origen</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {history.map(h => {
+                              const change = h.old_value ? ((h.new_value - h.old_value) / h.old_value) * 100 : null;
+                              return (
+                                <tr key={h.id}>
+                                  <td style={{ padding: '6px 12px' }}>{formatDateTime(h.timestamp)}</td>
+                                  <td style={{ padding: '6px 12px' }}>{(PRICE_FIELDS.find(f => f.key === h.field) || {}).label || h.field}</td>
+                                  <td style={{ padding: '6px 12px', textAlign: 'right' }}>{h.old_value == null ? 'inicial' : money(h.old_value)}</td>
+                                  <td style={{ padding: '6px 12px', textAlign: 'right' }}><strong>{money(h.new_value)}</strong></td>
+                                  <td style={{ padding: '6px 12px', textAlign: 'right', color: change > 0 ? 'var(--color-error)' : change < 0 ? 'var(--color-success)' : 'inherit' }}>
+                                    {change == null ? '-' : `${change > 0 ? '+' : ''}${change.toFixed(1)}%`}
+                                  </td>
+                                  <td style={{ padding: '6px 12px' }}>{h.operator || '-'}</td>
+                                  <td style={{ padding: '6px 12px' }}>{PRICE_HISTORY_SOURCES[h.source] || h.source || '-'}</td>
+                                </tr>
+                              );
+                            })}
+                          </tbody>
+                        </table>
+                      )}
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// Promociones programadas: 3x2 o % de descuento sobre un producto o una categoría entre dos fechas
+function PromotionsPanel({ promotions, products, onSave }) {
+  const emptyForm = { id: null, name: '', type: 'nxm', buy: '3', pay: '2', percent: '10', scope: 'sku', sku: '', category: '', starts_on: localDateKey(nowISO()), ends_on: '' };
+  const [form, setForm] = useState(emptyForm);
+  const today = localDateKey(nowISO());
+  const categories = [...new Set(products.map(p => p.category || 'Sin categoría'))].sort();
+  const activeProducts = products.filter(p => !p.archived);
+
+  const edit = (promo) => setForm({
+    id: promo.id,
+    name: promo.name,
+    type: promo.type,
+    buy: String(promo.buy ?? '3'),
+    pay: String(promo.pay ?? '2'),
+    percent: String(promo.percent ?? '10'),
+    scope: promo.scope,
+    sku: promo.sku || '',
+    category: promo.category || '',
+    starts_on: promo.starts_on || '',
+    ends_on: promo.ends_on || ''
+  });
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (await onSave(form)) setForm(emptyForm);
+  };
+
+  const statusOf = (promo) => {
+    if (promo.active === false) return { label: 'Desactivada', className: 'status--warning' };
+    if (promo.ends_on && promo.ends_on < today) return { label: 'Finalizada', className: 'status--warning' };
+    if (promo.starts_on && promo.starts_on > today) return { label: 'Programada', className: 'status--info' };
+    return { label: 'Vigente', className: 'status--success' };
+  };
+
+  const sorted = [...promotions].sort((a, b) => (b.starts_on || '').localeCompare(a.starts_on || ''));
+
+  return (
+    <div style={{ marginTop: '16px', padding: '12px', background: 'var(--color-bg-1)', borderRadius: '8px' }}>
+      <h4 style={{ margin: '0 0 8px 0' }}>🏷️ Promociones</h4>
+      <form onSubmit={submit} style={{ display: 'flex', gap: '8px', alignItems: 'flex-end', flexWrap: 'wrap', marginBottom: 12 }}>
+        <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+          Nombre
+          <input className="form-control" value={form.name} onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))} placeholder="Ej. Semana láctea" style={{ width: 180 }} />
+        </label>
+        <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+          Tipo
+          <select className="form-control" value={form.type} onChange={(e) => setForm(prev => ({ ...prev, type: e.target.value }))} style={{ width: 150 }}>
+            {PROMOTION_TYPES.map(t => <option key={t.key} value={t.key}>{t.label}</option>)}
+          </select>
+        </label>
+        {form.type === 'nxm' ? (
+          <>
+            <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+              Lleva
+              <input className="form-control" type="number" min="2" step="1" value={form.buy} onChange={(e) => setForm(prev => ({ ...prev, buy: e.target.value }))} style={{ width: 70 }} />
+            </label>
+            <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+              Paga
+              <input className="form-control" type="number" min="1" step="1" value={form.pay} onChange={(e) => setForm(prev => ({ ...prev, pay: e.target.value }))} style={{ width: 70 }} />
+            </label>
+          </>
+        ) : (
+          <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+            % dscto.
+            <input className="form-control" type="number" min="1" max="100" step="0.5" value={form.percent} onChange={(e) => setForm(prev => ({ ...prev, percent: e.target.value }))} style={{ width: 80 }} />
+          </label>
+        )}
+        <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+          Aplica a
+          <select className="form-control" value={form.scope} onChange={(e) => setForm(prev => ({ ...prev, scope: e.target.value }))} style={{ width: 120 }}>
+            <option value="sku">Producto</option>
+            <option value="category">Categoría</option>
+          </select>
+        </label>
+        {form.scope === 'sku' ? (
+          <select className="form-control" value={form.sku} onChange={(e) => setForm(prev => ({ ...prev, sku: e.target.value }))} style={{ width: 220 }}>
+            <option value="">Producto...</option>
+            {activeProducts.map(p => <option key={p.sku} value={p.sku}>{p.name} ({p.sku})</option>)}
+          </select>
+        ) : (
+          <select className="form-control" value={form.category} onChange={(e) => setForm(prev => ({ ...prev, category: e.target.value }))} style={{ width: 180 }}>
+            <option value="">Categoría...</option>
+            {categories.map(c => <option key={c} value={c}>{c}</option>)}
+          </select>
+        )}
+        <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+          Desde
+          <input className="form-control" type="date" value={form.starts_on} onChange={(e) => setForm(prev => ({ ...prev, starts_on: e.target.value }))} />
+        </label>
+        <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+          Hasta
+          <input className="form-control" type="date" value={form.ends_on} onChange={(e) => setForm(prev => ({ ...prev, ends_on: e.target.value }))} />
+        </label>
+        <button className="btn btn--primary btn--sm" type="submit">💾 {form.id != null ? 'Actualizar' : 'Crear'}</button>
+        {form.id != null && <button className="btn btn--outline btn--sm" type="button" onClick={() => setForm(emptyForm)}>Cancelar</button>}
+      </form>
+
+      {sorted.length === 0 ? (
+        <div style={{ color: 'var(--color-text-secondary)', fontSize: 13 }}>No hay promociones registradas</div>
+      ) : (
+        <table className="inventory-table" style={{ width: '100%', borderCollapse: 'separate', borderSpacing: 0 }}>
+          <thead>
+            <tr>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Promoción</th>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Oferta</th>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Aplica a</th>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Vigencia</th>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Estado</th>
+              <th style={{ padding: '8px 12px' }}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {sorted.map(promo => {
+              const status = statusOf(promo);
+              const product = products.find(p => p.sku === promo.sku);
+              return (
+                <tr key={promo.id}>
+                  <td style={{ padding: '8px 12px' }}>{promo.name}</td>
+                  <td style={{ padding: '8px 12px' }}>{promotionLabel(promo)}</td>
+                  <td style={{ padding: '8px 12px' }}>{promo.scope === 'category' ? `Categoría ${promo.category}` : (product?.name || promo.sku)}</td>
+                  <td style={{ padding: '8px 12px' }}>{promo.starts_on || '…'} → {promo.ends_on || 'sin fin'}</td>
+                  <td style={{ padding: '8px 12px' }}><span className={`status ${status.className}`}>{status.label}</span></td>
+                  <td style={{ padding: '8px 12px', whiteSpace: 'nowrap' }}>
+                    <button className="btn btn--outline btn--sm" onClick={() => edit(promo)}>✏️ Editar</button>
+                    <button className="btn btn--outline btn--sm" onClick={() => onSave({ ...promo, active: promo.active === false })} style={{ marginLeft: 4 }}>
+                      {promo.active === false ? '♻️ Activar' : '⏸️ Desactivar'}
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+// Stock count view: conteo físico por categoría o lista de SKUs, con diferencias y ajustes
+function StockCountView({ counts, products, batches, settings, connected, operatorName = 'Usuario', onCreate, onSave, onApprove, onDiscard, onExport }) {
+  const [scope, setScope] = useState({ type: 'category', category: '', skus: [] });
+  const [addSku, setAddSku] = useState('');
+  const [activeId, setActiveId] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [scanInput, setScanInput] = useState('');
+  const currency = settings?.currency || 'S/';
+  const money = (v) => `${currency}${Number(v || 0).toFixed(2)}`;
+  const categories = [...new Set(products.map(p => p.category || 'Sin categoría'))].sort();
+  const active = counts.find(c => c.id === activeId) || null;
+  const editable = active?.status === 'open';
+  const lines = draft || active?.lines || [];
+
+  const open = (count) => {
+    setActiveId(count.id);
+    setDraft(count.status === 'open' ? (count.lines || []).map(l => ({ ...l })) : null);
+  };
+
+  const create = async () => {
+    const id = await onCreate(scope);
+    if (id) {
+      setActiveId(id);
+      setDraft(null);
+      setScope({ type: 'category', category: '', skus: [] });
+    }
+  };
+
+  // Recién creado o abierto sin cambios, el borrador parte de las líneas guardadas
+  const setCounted = (index, value, by = operatorName) => {
+    setDraft(prev => (prev || active?.lines || []).map((l, i) => (i === index
+      ? { ...l, counted_quantity: value === '' || value == null ? null : Number(value), counted_by: by, counted_at: nowISO() }
+      : l)));
+  };
+
+  // Lectura con la pulsera: lote exacto o SKU (suma 1 al primer lote del SKU)
+  const scan = (e) => {
+    e.preventDefault();
+    if (!connected) {
+      alert('⚠️ Conecta la pulsera para escanear');
+      return;
+    }
+    const code = scanInput.trim();
+    if (!code) return;
+    let index = lines.findIndex(l => l.lot === code);
+    if (index < 0) index = lines.findIndex(l => l.sku === code);
+    if (index < 0) {
+      alert(`${code} no pertenece a este conteo`);
+      return;
+    }
+    setCounted(index, (lines[index].counted_quantity || 0) + 1, operatorName);
+    setScanInput('');
+  };
+
+  // Simula la lectura de un lote pendiente completo (con alguna diferencia ocasional)
+  const simulateScan = () => {
+    if (!connected) {
+      alert('⚠️ Conecta la pulsera para escanear');
+      return;
+    }
+    const pending = lines.map((l, i) => ({ l, i })).filter(({ l }) => l.counted_quantity == null);
+    if (pending.length === 0) {
+      alert('Todos los lotes ya fueron contados');
+      return;
+    }
+    const { l, i } = pending[Math.floor(Math.random() * pending.length)];
+    const drift = Math.random() < 0.2 ? Math.floor(Math.random() * 5) - 2 : 0;
+    setCounted(i, Math.max(0, l.system_quantity + drift), operatorName);
+  };
+
+  const approve = async () => {
+    const pending = lines.filter(l => l.counted_quantity == null).length;
+    if (pending > 0) {
+      alert(`Faltan ${pending} lotes por contar`);
+      return;
+    }
+    const withVariance = lines.filter(l => countLineVariance(l) !== 0).length;
+    if (!confirm(`¿Aprobar el conteo ${active.id}?\n\nSe registrarán ajustes en ${withVariance} lote(s). No se puede deshacer.`)) return;
+    if (await onApprove(active.id, lines)) setDraft(null);
+  };
+
+  const counted = lines.filter(l => l.counted_quantity != null).length;
+  const varianceLines = lines.map(l => ({ line: l, variance: countLineVariance(l) }));
+  const varianceValue = varianceLines.reduce((sum, { line, variance }) => sum + (variance || 0) * (line.purchase_price || 0), 0);
+  const sortedCounts = [...counts].sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+  const statusLabel = { open: 'En curso', approved: 'Aprobado', discarded: 'Descartado' };
+  const statusClass = { open: 'status--warning', approved: 'status--success', discarded: 'status--info' };
+
+  return (
+    <div>
+      <div style={{ marginBottom: '16px', padding: '12px', background: 'var(--color-bg-1)', borderRadius: '8px' }}>
+        <h4 style={{ margin: '0 0 8px 0' }}>🧮 Nuevo conteo físico</h4>
+        <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+          <select className="form-control" value={scope.type} onChange={(e) => setScope({ type: e.target.value, category: '', skus: [] })} style={{ maxWidth: 180 }}>
+            <option value="category">Por categoría</option>
+            <option value="skus">Lista de SKUs</option>
+          </select>
+          {scope.type === 'category' ? (
+            <select className="form-control" value={scope.category} onChange={(e) => setScope(prev => ({ ...prev, category: e.target.value }))} style={{ maxWidth: 220 }}>
+              <option value="">Categoría...</option>
+              {categories.map(c => <option key={c} value={c}>{c}</option>)}
+            </select>
+          ) : (
+            <>
+              <select className="form-control" value={addSku} onChange={(e) => setAddSku(e.target.value)} style={{ maxWidth: 280 }}>
+                <option value="">Producto...</option>
+                {products.filter(p => !scope.skus.includes(p.sku)).map(p => <option key={p.sku} value={p.sku}>{p.name} ({p.sku})</option>)}
+              </select>
+              <button className="btn btn--secondary btn--sm" disabled={!addSku} onClick={() => { setScope(prev => ({ ...prev, skus: [...prev.skus, addSku] })); setAddSku(''); }}>➕</button>
+              {scope.skus.map(sku => (
+                <span key={sku} className="status status--info">
+                  {sku} <button className="btn btn--outline btn--sm" onClick={() => setScope(prev => ({ ...prev, skus: prev.skus.filter(x => x !== sku) }))}>✕</button>
+                </span>
+              ))}
+            </>
+          )}
+          <button className="btn btn--primary btn--sm" disabled={scope.type === 'category' ? !scope.category : scope.skus.length === 0} onClick={create}>
+            ▶️ Iniciar conteo
+          </button>
+        </div>
+      </div>
+
+      {active && (
+        <div style={{ marginBottom: '16px', padding: '12px', background: 'var(--color-bg-1)', borderRadius: '8px' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px', flexWrap: 'wrap', gap: 8 }}>
+            <h4 style={{ margin: 0 }}>
+              {active.id} · {active.scope.type === 'category' ? active.scope.category : active.scope.skus.join(', ')}{' '}
+              <span className={`status ${statusClass[active.status]}`}>{statusLabel[active.status]}</span>
+            </h4>
+            <div style={{ display: 'flex', gap: 8 }}>
+              <button className="btn btn--secondary btn--sm" onClick={() => onExport(active.id)}>📊 Exportar XLSX</button>
+              <button className="btn btn--outline btn--sm" onClick={() => { setActiveId(null); setDraft(null); }}>✕ Cerrar</button>
+            </div>
+          </div>
+
+          <div className="stats-grid">
+            <div className="stat-card"><div className="stat-value">{counted}/{lines.length}</div><div className="stat-label">Lotes contados</div></div>
+            <div className="stat-card"><div className="stat-value">{varianceLines.filter(v => v.variance).length}</div><div className="stat-label">Con diferencia</div></div>
+            <div className="stat-card"><div className="stat-value" style={{ color: varianceValue < 0 ? 'red' : 'inherit' }}>{money(varianceValue)}</div><div className="stat-label">Valor diferencia</div></div>
+          </div>
+
+          {editable && (
+            <div className="toolbar">
+              <form onSubmit={scan} style={{ display: 'flex', gap: 8 }}>
+                <input className="form-control" placeholder="📡 Escanear SKU o lote..." value={scanInput} onChange={(e) => setScanInput(e.target.value)} style={{ width: 220 }} disabled={!connected} />
+                <button className="btn btn--outline btn--sm" type="submit" disabled={!connected}>+1</button>
+              </form>
+              <button className="btn btn--outline btn--sm" onClick={simulateScan} disabled={!connected}>📡 Simular lectura</button>
+              {!connected && <span style={{ color: 'var(--color-text-secondary)' }}>Conecta la pulsera para escanear</span>}
+              <button className="btn btn--secondary btn--sm" onClick={() => onSave(active.id, lines)}>💾 Guardar avance</button>
+              <button className="btn btn--primary btn--sm" onClick={approve}>✅ Aprobar y ajustar</button>
+              <button className="btn btn--outline btn--sm" onClick={() => { if (confirm('¿Descartar este conteo? No se registrarán ajustes.')) { onDiscard(active.id); setDraft(null); } }}>🗑️ Descartar</button>
+            </div>
+          )}
+
+          <div className="table-container" style={{ border: '1px solid var(--color-border)', borderRadius: 8, overflow: 'auto', maxHeight: 480 }}>
+            <table className="inventory-table" style={{ width: '100%', borderCollapse: 'separate', borderSpacing: 0 }}>
+              <thead style={{ position: 'sticky', top: 0, background: 'var(--color-surface)' }}>
+                <tr>
+                  <th style={{ textAlign: 'left', padding: '8px 12px' }}>Producto</th>
+                  <th style={{ textAlign: 'left', padding: '8px 12px' }}>Lote</th>
+                  <th style={{ textAlign: 'left', padding: '8px 12px' }}>Caducidad</th>
+                  <th style={{ textAlign: 'right', padding: '8px 12px' }}>Sistema</th>
+                  <th style={{ textAlign: 'right', padding: '8px 12px' }}>Contado</th>
+                  <th style={{ textAlign: 'right', padding: '8px 12px' }}>Diferencia</th>
+                  <th style={{ textAlign: 'left', padding: '8px 12px' }}>Motivo</th>
+                </tr>
+              </thead>
+              <tbody>
+                {varianceLines.map(({ line, variance }, index) => {
+                  const batch = batches.find(b => b.id === line.batch_id);
+                  // Conteos aprobados antes de ajustar contra la foto inicial guardan el stock de la aprobación
+                  const systemQty = active.status === 'approved' && line.adjusted_to == null ? line.adjusted_from ?? line.system_quantity : line.system_quantity;
+                  const movedSince = editable && batch && roundQuantity(batch.quantity || 0) !== roundQuantity(line.system_quantity);
+                  const shownVariance = active.status === 'approved' ? line.variance : variance;
+                  return (
+                    <tr key={line.batch_id}>
+                      <td style={{ padding: '8px 12px' }}>{line.name} ({line.sku})</td>
+                      <td style={{ padding: '8px 12px' }}>{line.lot}</td>
+                      <td style={{ padding: '8px 12px' }}>{line.expiry ? formatDate(line.expiry) : '-'}</td>
+                      <td style={{ padding: '8px 12px', textAlign: 'right' }}>
+                        {systemQty}
+                        {movedSince && <div style={{ fontSize: 11, color: 'var(--color-text-secondary)' }} title="Ventas o ingresos desde que empezó el conteo: el ajuste se aplica sobre la diferencia">hoy {batch.quantity}</div>}
+                      </td>
+                      <td style={{ padding: '8px 12px', textAlign: 'right' }}>
+                        {editable ? (
+                          <input className="form-control" type="number" min="0" step="any" value={line.counted_quantity ?? ''} onChange={(e) => setCounted(index, e.target.value)} style={{ width: 90, textAlign: 'right' }} />
+                        ) : (line.counted_quantity ?? '-')}
+                      </td>
+                      <td style={{ padding: '8px 12px', textAlign: 'right', color: shownVariance < 0 ? 'red' : shownVariance > 0 ? 'var(--color-success)' : 'inherit' }}>
+                        {shownVariance == null ? '-' : shownVariance > 0 ? `+${shownVariance}` : shownVariance}
+                      </td>
+                      <td style={{ padding: '8px 12px' }}>
+                        {editable && variance ? (
+                          <select className="form-control" value={line.reason || 'conteo'} onChange={(e) => setDraft(prev => (prev || active.lines).map((l, i) => (i === index ? { ...l, reason: e.target.value } : l)))}>
+                            {ADJUSTMENT_REASONS.map(r => <option key={r.key} value={r.key}>{r.label}</option>)}
+                          </select>
+                        ) : (shownVariance ? (ADJUSTMENT_REASONS.find(r => r.key === line.reason) || ADJUSTMENT_REASONS[0]).label : '-')}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      <div className="table-container" style={{ border: '1px solid var(--color-border)', borderRadius: 8, overflow: 'auto', maxHeight: 400 }}>
+        <table className="inventory-table" style={{ width: '100%', borderCollapse: 'separate', borderSpacing: 0 }}>
+          <thead style={{ position: 'sticky', top: 0, background: 'var(--color-surface)' }}>
+            <tr>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Conteo</th>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Fecha</th>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Alcance</th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Lotes</th>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Operador</th>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Estado</th>
+              <th style={{ padding: '8px 12px' }}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {sortedCounts.length === 0 ? (
+              <tr><td colSpan="7" style={{ padding: 24, textAlign: 'center', color: 'var(--color-text-secondary)' }}>No hay conteos registrados</td></tr>
+            ) : sortedCounts.map(count => (
+              <tr key={count.id}>
+                <td style={{ padding: '8px 12px' }}>{count.id}</td>
+                <td style={{ padding: '8px 12px' }}>{formatDateTime(count.created_at)}</td>
+                <td style={{ padding: '8px 12px' }}>{count.scope.type === 'category' ? count.scope.category : `${count.scope.skus.length} SKUs`}</td>
+                <td style={{ padding: '8px 12px', textAlign: 'right' }}>{(count.lines || []).length}</td>
+                <td style={{ padding: '8px 12px' }}>{count.operator}</td>
+                <td style={{ padding: '8px 12px' }}><span className={`status ${statusClass[count.status]}`}>{statusLabel[count.status]}</span></td>
+                <td style={{ padding: '8px 12px' }}>
+                  <button className="btn btn--outline btn--sm" onClick={() => open(count)}>{count.status === 'open' ? '▶️ Continuar' : '👁️ Ver'}</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// Expiry dashboard: lotes vencidos / esta semana / este mes, valor en riesgo y liquidación
+function ExpiryDashboard({ batches, products, settings, expirySettings, onSaveSettings, onApplyPrice, onWriteOff }) {
+  const [showConfig, setShowConfig] = useState(false);
+  const [draft, setDraft] = useState(expirySettings);
+  const [group, setGroup] = useState('week');
+  const currency = settings?.currency || 'S/';
+  const money = (v) => `${currency}${Number(v || 0).toFixed(2)}`;
+  const categories = [...new Set([...products.map(p => p.category || 'Sin categoría'), ...Object.keys(draft.categories || {})])].sort();
+
+  const groups = [
+    { key: 'expired', label: '🔴 Vencidos', color: 'red' },
+    { key: 'week', label: '🟠 Vencen esta semana', color: '#d35400' },
+    { key: 'month', label: '🟡 Vencen este mes', color: '#b58900' }
+  ];
+
+  const rows = batches
+    .filter(b => b.quantity > 0 && !String(b.lot || '').startsWith('DEV-') && b.expiry)
+    .map(b => {
+      const product = products.find(p => p.sku === b.product_sku) || {};
+      return {
+        batch: b,
+        product,
+        group: expiryGroup(b.expiry),
+        days: Math.floor(daysUntil(b.expiry)),
+        cost: (b.quantity || 0) * (b.purchase_price || 0),
+        retail: (b.quantity || 0) * Number(product.default_sale_price || 0),
+        markdown: suggestMarkdown(b, product, expirySettings)
+      };
+    })
+    .filter(r => r.group)
+    .sort((a, b) => String(a.batch.expiry).localeCompare(String(b.batch.expiry)));
+
+  const totals = Object.fromEntries(groups.map(g => {
+    const inGroup = rows.filter(r => r.group === g.key);
+    return [g.key, {
+      lots: inGroup.length,
+      units: inGroup.reduce((sum, r) => sum + (r.batch.quantity || 0), 0),
+      cost: inGroup.reduce((sum, r) => sum + r.cost, 0),
+      retail: inGroup.reduce((sum, r) => sum + r.retail, 0)
+    }];
+  }));
+  const visible = rows.filter(r => r.group === group);
+
+  const setCategoryDays = (category, value) => {
+    setDraft(prev => {
+      const next = { ...(prev.categories || {}) };
+      if (value === '') delete next[category]; else next[category] = Number(value);
+      return { ...prev, categories: next };
+    });
+  };
+
+  return (
+    <div>
+      <div className="toolbar">
+        <button className="btn btn--outline btn--sm" onClick={() => { setDraft(expirySettings); setShowConfig(prev => !prev); }}>
+          ⚙️ Umbrales de vencimiento
+        </button>
+      </div>
+
+      {showConfig && (
+        <div style={{ marginBottom: '16px', padding: '12px', background: 'var(--color-bg-1)', borderRadius: '8px' }}>
+          <h4 style={{ margin: '0 0 8px 0' }}>⚙️ Días de alerta "por vencer"</h4>
+          <div style={{ display: 'flex', gap: 16, flexWrap: 'wrap', marginBottom: 12 }}>
+            <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+              General (días)
+              <input className="form-control" type="number" min="0" value={draft.default} onChange={(e) => setDraft(prev => ({ ...prev, default: Number(e.target.value) || 0 }))} style={{ width: 100 }} />
+            </label>
+            <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+              Liquidar esta semana (% dscto.)
+              <input className="form-control" type="number" min="0" max="100" value={draft.markdown?.week ?? 0} onChange={(e) => setDraft(prev => ({ ...prev, markdown: { ...prev.markdown, week: Number(e.target.value) || 0 } }))} style={{ width: 100 }} />
+            </label>
+            <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+              Liquidar este mes (% dscto.)
+              <input className="form-control" type="number" min="0" max="100" value={draft.markdown?.month ?? 0} onChange={(e) => setDraft(prev => ({ ...prev, markdown: { ...prev.markdown, month: Number(e.target.value) || 0 } }))} style={{ width: 100 }} />
+            </label>
+          </div>
+          <h5 style={{ margin: '0 0 8px 0' }}>Por categoría (vacío = general)</h5>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(180px, 1fr))', gap: 8, marginBottom: 12 }}>
+            {categories.map(category => (
+              <label key={category} style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+                {category}
+                <input className="form-control" type="number" min="0" placeholder={String(draft.default)} value={draft.categories?.[category] ?? ''} onChange={(e) => setCategoryDays(category, e.target.value)} />
+              </label>
+            ))}
+          </div>
+          <button className="btn btn--primary btn--sm" onClick={async () => { await onSaveSettings(draft); setShowConfig(false); }}>
+            💾 Guardar umbrales
+          </button>
+        </div>
+      )}
+
+      <div className="stats-grid">
+        {groups.map(g => (
+          <div key={g.key} className="stat-card" onClick={() => setGroup(g.key)} style={{ cursor: 'pointer', outline: group === g.key ? '2px solid var(--color-primary)' : 'none' }}>
+            <div className="stat-value" style={{ color: g.color }}>{money(totals[g.key].cost)}</div>
+            <div className="stat-label">{g.label}</div>
+            <div style={{ fontSize: 12, color: 'var(--color-text-secondary)' }}>
+              {totals[g.key].lots} lotes · {totals[g.key].units} u. · PVP {money(totals[g.key].retail)}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="table-container" style={{ border: '1px solid var(--color-border)', borderRadius: 8, overflow: 'auto', maxHeight: 520 }}>
+        <table className="inventory-table" style={{ width: '100%', borderCollapse: 'separate', borderSpacing: 0 }}>
+          <thead style={{ position: 'sticky', top: 0, background: 'var(--color-surface)' }}>
+            <tr>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Producto</th>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Lote</th>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Caducidad</th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Días</th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Unidades</th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Valor costo</th>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Liquidar</th>
+              <th style={{ padding: '8px 12px' }}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {visible.length === 0 ? (
+              <tr><td colSpan="8" style={{ padding: 24, textAlign: 'center', color: 'var(--color-text-secondary)' }}>No hay lotes en este grupo</td></tr>
+            ) : visible.map(({ batch, product, days, cost, markdown }) => (
+              <tr key={batch.id}>
+                <td style={{ padding: '8px 12px' }}>{product.name || batch.product_sku} ({batch.product_sku})</td>
+                <td style={{ padding: '8px 12px' }}>{batch.lot}</td>
+                <td style={{ padding: '8px 12px' }}>{formatDate(batch.expiry)}</td>
+                <td style={{ padding: '8px 12px', textAlign: 'right' }}>{days}</td>
+                <td style={{ padding: '8px 12px', textAlign: 'right' }}>{batch.quantity}</td>
+                <td style={{ padding: '8px 12px', textAlign: 'right' }}>{money(cost)}</td>
+                <td style={{ padding: '8px 12px' }}>
+                  {markdown ? (
+                    <span>
+                      {money(markdown.current)} → <strong>{money(markdown.price)}</strong> (-{markdown.pct}%)
+                      <button
+                        className="btn btn--outline btn--sm"
+                        style={{ marginLeft: 6 }}
+                        disabled={markdown.price >= markdown.current}
+                        onClick={() => {
+                          if (confirm(`¿Cambiar el precio de venta de ${product.name} a ${money(markdown.price)}? Se aplica a todo el producto.`)) {
+                            onApplyPrice(batch.product_sku, markdown.price);
+                          }
+                        }}
+                      >
+                        🏷️ Aplicar
+                      </button>
+                    </span>
+                  ) : '-'}
+                </td>
+                <td style={{ padding: '8px 12px' }}>
+                  {batch.status !== 'returned' && (
+                    <button className="btn btn--outline btn--sm" onClick={() => onWriteOff([{ batch_id: batch.id, quantity: batch.quantity }], 'vencido')} disabled={days >= 0}>
+                      🗑️ Merma
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// Turnos de caja: apertura con fondo inicial, resumen en vivo y cierre con arqueo
+function ShiftView({ shifts, activeShift, movements, sales, customerPayments = [], settings, currentOperator, device, onOpen, onClose, onExport }) {
+  const [openingCash, setOpeningCash] = useState('');
+  const [countedCash, setCountedCash] = useState('');
+  const [note, setNote] = useState('');
+  const currency = settings?.currency || 'S/';
+  const money = (v) => `${currency}${Number(v || 0).toFixed(2)}`;
+  const summary = activeShift ? summarizeShift(activeShift, movements, sales, customerPayments) : null;
+  const difference = countedCash === '' || !summary ? null : Number(countedCash) - summary.expectedCash;
+  const othersOpen = shifts.filter(s => s.status === 'open' && s.id !== activeShift?.id);
+  const closed = shifts.filter(s => s.status === 'closed').sort((a, b) => (b.closed_at || '').localeCompare(a.closed_at || ''));
+  const differenceColor = (v) => (Math.abs(v) < 0.005 ? 'var(--color-success)' : v < 0 ? 'red' : '#b58900');
+
+  const open = async (e) => {
+    e.preventDefault();
+    const amount = Number(openingCash);
+    if (openingCash === '' || !(amount >= 0)) return alert('Ingresa el fondo inicial de caja');
+    if (await onOpen(amount)) setOpeningCash('');
+  };
+
+  const close = async (e) => {
+    e.preventDefault();
+    const amount = Number(countedCash);
+    if (countedCash === '' || !(amount >= 0)) return alert('Ingresa el efectivo contado');
+    if (!confirm(`¿Cerrar el turno con ${money(amount)} contados (diferencia ${money(difference)})?`)) return;
+    if (await onClose(activeShift.id, amount, note)) {
+      setCountedCash('');
+      setNote('');
+    }
+  };
+
+  return (
+    <div>
+      {activeShift ? (
+        <div style={{ marginBottom: '16px', padding: '12px', background: 'var(--color-bg-1)', borderRadius: '8px' }}>
+          <h4 style={{ margin: '0 0 8px 0' }}>💵 Turno {activeShift.id} · {activeShift.operator} · {activeShift.device_id || 'sin dispositivo'}</h4>
+          <div style={{ fontSize: 13, color: 'var(--color-text-secondary)', marginBottom: 8 }}>Abierto el {formatDateTime(activeShift.opened_at)}</div>
+          <div className="stats-grid">
+            <div className="stat-card"><div className="stat-value">{money(activeShift.opening_cash)}</div><div className="stat-label">Fondo inicial</div></div>
+            <div className="stat-card"><div className="stat-value">{money(summary.salesTotal)}</div><div className="stat-label">Ventas ({summary.salesCount})</div></div>
+            <div className="stat-card"><div className="stat-value">{money(summary.cancellationsTotal)}</div><div className="stat-label">Anulaciones ({summary.cancellationsCount})</div></div>
+            <div className="stat-card"><div className="stat-value">{money(summary.returnsTotal)}</div><div className="stat-label">Devoluciones ({summary.returnsCount})</div></div>
+            <div className="stat-card"><div className="stat-value">{money(summary.collectionsTotal)}</div><div className="stat-label">Abonos de clientes ({summary.collectionsCount})</div></div>
+            <div className="stat-card"><div className="stat-value">{money(summary.expectedCash)}</div><div className="stat-label">Efectivo esperado</div></div>
+          </div>
+          <div style={{ display: 'flex', gap: 16, fontSize: 13, marginBottom: 12, flexWrap: 'wrap' }}>
+            {summary.byMethod.map(m => (
+              <span key={m.method}>{m.label}: <strong>{money(m.net)}</strong>{m.refunds > 0 ? ` (cobrado ${money(m.sales)}, devuelto ${money(m.refunds)})` : ''}{m.collections > 0 ? ` (abonos ${money(m.collections)})` : ''}</span>
+            ))}
+          </div>
+          <form onSubmit={close} style={{ display: 'flex', gap: '8px', alignItems: 'flex-end', flexWrap: 'wrap' }}>
+            <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+              Efectivo contado
+              <input className="form-control" type="number" min="0" step="0.01" value={countedCash} onChange={(e) => setCountedCash(e.target.value)} style={{ width: 140 }} />
+            </label>
+            <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+              Observación
+              <input className="form-control" value={note} onChange={(e) => setNote(e.target.value)} style={{ width: 240 }} />
+            </label>
+            {difference !== null && (
+              <span style={{ fontWeight: 'bold', color: differenceColor(difference), paddingBottom: 8 }}>Diferencia: {money(difference)}</span>
+            )}
+            <button className="btn btn--primary btn--sm" type="submit">🔒 Cerrar turno</button>
+          </form>
+        </div>
+      ) : (
+        <div style={{ marginBottom: '16px', padding: '12px', background: 'var(--color-bg-1)', borderRadius: '8px' }}>
+          <h4 style={{ margin: '0 0 8px 0' }}>💵 Abrir turno</h4>
+          <div style={{ fontSize: 13, color: 'var(--color-text-secondary)', marginBottom: 8 }}>
+            {currentOperator?.name} · {device ? `${device.name} (${device.id})` : 'sin pulsera seleccionada'}. Las ventas sin turno abierto no entran a ningún cierre de caja.
+          </div>
+          <form onSubmit={open} style={{ display: 'flex', gap: '8px', alignItems: 'flex-end' }}>
+            <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+              Fondo inicial
+              <input className="form-control" type="number" min="0" step="0.01" value={openingCash} onChange={(e) => setOpeningCash(e.target.value)} style={{ width: 140 }} />
+            </label>
+            <button className="btn btn--primary btn--sm" type="submit">🔓 Abrir turno</button>
+          </form>
+        </div>
+      )}
+
+      {othersOpen.length > 0 && (
+        <div style={{ marginBottom: 16 }}>
+          <h4 style={{ margin: '0 0 8px 0' }}>Otros turnos abiertos</h4>
+          {othersOpen.map(s => {
+            const other = summarizeShift(s, movements, sales, customerPayments);
+            return (
+              <div key={s.id} style={{ display: 'flex', gap: 12, alignItems: 'center', marginBottom: 4, fontSize: 14 }}>
+                <span>{s.operator} · {s.device_id || '-'} · desde {formatDateTime(s.opened_at)} · esperado {money(other.expectedCash)}</span>
+                <button className="btn btn--outline btn--sm" onClick={() => {
+                  const counted = prompt(`Efectivo contado en el turno de ${s.operator}`, other.expectedCash.toFixed(2));
+                  if (counted !== null && Number(counted) >= 0) onClose(s.id, Number(counted), 'Cerrado por administrador');
+                }}>🔒 Cerrar</button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <h3 style={{ margin: '0 0 8px 0' }}>🧾 Cierres de caja</h3>
+      <div className="table-container" style={{ border: '1px solid var(--color-border)', borderRadius: 8, overflow: 'auto' }}>
+        <table className="inventory-table" style={{ width: '100%', borderCollapse: 'separate', borderSpacing: 0 }}>
+          <thead style={{ background: 'var(--color-surface)' }}>
+            <tr>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Turno</th>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Operador</th>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Apertura</th>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Cierre</th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Esperado</th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Contado</th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Diferencia</th>
+              <th style={{ padding: '8px 12px' }}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {closed.length === 0 ? (
+              <tr><td colSpan="8" style={{ padding: 16, textAlign: 'center', color: 'var(--color-text-secondary)' }}>Aún no hay turnos cerrados</td></tr>
+            ) : closed.map(s => (
+              <tr key={s.id}>
+                <td style={{ padding: '8px 12px' }}>{s.id}</td>
+                <td style={{ padding: '8px 12px' }}>{s.operator} · {s.device_id || '-'}</td>
+                <td style={{ padding: '8px 12px' }}>{formatDateTime(s.opened_at)}</td>
+                <td style={{ padding: '8px 12px' }}>{formatDateTime(s.closed_at)}</td>
+                <td style={{ padding: '8px 12px', textAlign: 'right' }}>{money(s.expected_cash)}</td>
+                <td style={{ padding: '8px 12px', textAlign: 'right' }}>{money(s.counted_cash)}</td>
+                <td style={{ padding: '8px 12px', textAlign: 'right', fontWeight: 'bold', color: differenceColor(s.difference) }}>{money(s.difference)}</td>
+                <td style={{ padding: '8px 12px', textAlign: 'right' }}>
+                  <button className="btn btn--outline btn--sm" onClick={() => onExport(s)}>📊 XLSX</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// Kardex view: tarjeta de existencias valorizada por SKU
+function KardexView({ products, movements, settings, onExport }) {
+  const [sku, setSku] = useState(products[0]?.sku || '');
+  const [method, setMethod] = useState('average');
+  const currency = settings?.currency || 'S/';
+  const product = products.find(p => p.sku === sku);
+  const { rows, totals } = sku ? buildKardex(movements, sku, method) : { rows: [], totals: null };
+  const money = (v) => `${currency}${Number(v || 0).toFixed(2)}`;
+  const cell = { padding: '6px 10px', textAlign: 'right', whiteSpace: 'nowrap' };
+
+  return (
+    <div>
+      <div className="toolbar">
+        <select className="form-control" value={sku} onChange={(e) => setSku(e.target.value)} style={{ maxWidth: 320 }}>
+          <option value="">Selecciona producto...</option>
+          {products.map(p => <option key={p.sku} value={p.sku}>{p.name} ({p.sku})</option>)}
+        </select>
+        <select className="form-control" value={method} onChange={(e) => setMethod(e.target.value)}>
+          {KARDEX_METHODS.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+        </select>
+        <button className="btn btn--primary btn--sm" onClick={() => onExport(sku, method)} disabled={!sku}>
+          📊 Exportar Kardex
+        </button>
+      </div>
+
+      {product && totals && (
+        <div className="stats-grid">
+          <div className="stat-card"><div className="stat-value">{totals.inQty}</div><div className="stat-label">Entradas</div></div>
+          <div className="stat-card"><div className="stat-value">{totals.outQty}</div><div className="stat-label">Salidas</div></div>
+          <div className="stat-card"><div className="stat-value">{totals.balanceQty}</div><div className="stat-label">Saldo</div></div>
+          <div className="stat-card"><div className="stat-value">{money(totals.balanceValue)}</div><div className="stat-label">Valor saldo</div></div>
+        </div>
+      )}
+
+      <div className="table-container" style={{ border: '1px solid var(--color-border)', borderRadius: 8, overflow: 'auto', maxHeight: 600 }}>
+        <table className="inventory-table" style={{ width: '100%', borderCollapse: 'separate', borderSpacing: 0, fontSize: 13 }}>
+          <thead style={{ position: 'sticky', top: 0, background: 'var(--color-surface)' }}>
+            <tr>
+              <th rowSpan="2" style={{ textAlign: 'left', padding: '6px 10px' }}>Fecha</th>
+              <th rowSpan="2" style={{ textAlign: 'left', padding: '6px 10px' }}>Tipo</th>
+              <th rowSpan="2" style={{ textAlign: 'left', padding: '6px 10px' }}>Documento</th>
+              <th colSpan="3" style={{ textAlign: 'center', padding: '6px 10px' }}>Entradas</th>
+              <th colSpan="3" style={{ textAlign: 'center', padding: '6px 10px' }}>Salidas</th>
+              <th colSpan="3" style={{ textAlign: 'center', padding: '6px 10px' }}>Saldo</th>
+            </tr>
+            <tr>
+              {['Cant.', 'C. Unit.', 'Total', 'Cant.', 'C. Unit.', 'Total', 'Cant.', 'C. Unit.', 'Valor'].map((h, i) => (
+                <th key={i} style={cell}>{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.length === 0 ? (
+              <tr>
+                <td colSpan="12" style={{ padding: 24, textAlign: 'center', color: 'var(--color-text-secondary)' }}>
+                  {sku ? 'Sin movimientos para este producto' : 'Selecciona un producto'}
+                </td>
+              </tr>
+            ) : rows.map((r, i) => (
+              <tr key={r.id ?? i}>
+                <td style={{ padding: '6px 10px', whiteSpace: 'nowrap' }}>{formatDateTime(r.timestamp)}</td>
+                <td style={{ padding: '6px 10px' }}>{r.type}</td>
+                <td style={{ padding: '6px 10px' }}>{r.document}</td>
+                <td style={cell}>{r.inQty || ''}</td>
+                <td style={cell}>{r.inQty ? money(r.inCost) : ''}</td>
+                <td style={cell}>{r.inQty ? money(r.inValue) : ''}</td>
+                <td style={cell}>{r.outQty || ''}</td>
+                <td style={cell}>{r.outQty ? money(r.outCost) : ''}</td>
+                <td style={cell}>{r.outQty ? money(r.outValue) : ''}</td>
+                <td style={cell}><strong>{r.balanceQty}</strong></td>
+                <td style={cell}>{money(r.balanceCost)}</td>
+                <td style={cell}><strong>{money(r.balanceValue)}</strong></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// Sales Table component
+// Ticket imprimible de una venta: representación impresa del comprobante o,
+// para ventas anteriores a los comprobantes, un ticket simple con el id de venta.
+function ReceiptModal({ sale, doc, settings, onDownloadXml, onClose }) {
+  if (!sale) return null;
+  const currency = settings?.currency || 'S/';
+  const invoicing = invoicingSettingsOf(settings);
+  const lines = getSaleLines(sale);
+  const totals = doc?.totals || summarizeTax(lines);
+  const money = (v) => currency + Number(v || 0).toFixed(2);
+  const title = doc ? `${documentTypeOf(doc.type).label.toUpperCase()} ELECTRÓNICA` : 'TICKET DE VENTA';
+  const row = { display: 'flex', justifyContent: 'space-between', gap: 8 };
+  const rule = { borderTop: '1px dashed #000', margin: '6px 0' };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: 'rgba(0,0,0,0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 9000
+    }}>
+      <div style={{ background: 'var(--color-surface)', padding: 16, borderRadius: 8, maxHeight: '90vh', overflow: 'auto' }}>
+        <div className="receipt-print" style={{
+          width: 300,
+          background: '#fff',
+          color: '#000',
+          padding: 12,
+          fontFamily: 'monospace',
+          fontSize: 12
+        }}>
+          <div style={{ textAlign: 'center' }}>
+            <div style={{ fontSize: 14, fontWeight: 'bold' }}>{settings?.bodega || 'Bodega Principal'}</div>
+            {invoicing.business_name && <div>{invoicing.business_name}</div>}
+            {invoicing.ruc && <div>RUC {invoicing.ruc}</div>}
+            {invoicing.address && <div>{invoicing.address}</div>}
+            <div style={rule} />
+            <div style={{ fontWeight: 'bold' }}>{title}</div>
+            <div>{doc ? doc.id : sale.id}</div>
+          </div>
+          <div style={rule} />
+          <div>Fecha: {formatDateTime(sale.timestamp)}</div>
+          <div>Operador: {sale.operator || '-'}</div>
+          {doc?.customer && (
+            <div>
+              Cliente: {doc.customer.name || '-'}
+              {doc.customer.doc_number && ` · ${customerIdType(doc.customer.doc_number)?.label || 'Doc.'} ${doc.customer.doc_number}`}
+            </div>
+          )}
+          <div style={rule} />
+          {lines.map(l => (
+            <div key={l.sku} style={{ marginBottom: 4 }}>
+              <div>{l.product_name || l.sku}{lineTax(l).affectation && lineTax(l).affectation !== 'gravado' ? ` (${taxAffectationLabel(lineTax(l).affectation)})` : ''}</div>
+              {saleLineIsKit(l) && (
+                <div>&nbsp;&nbsp;{l.kit_components.map(c => `${c.name} ×${c.quantity}`).join(' + ')}</div>
+              )}
+              <div style={row}>
+                <span>{formatQuantity({ base_unit: l.base_unit }, l.quantity)} × {money(l.unit_price ?? l.sale_price)}</span>
+                <span>{money(l.gross_total ?? lineTax(l).total)}</span>
+              </div>
+              {(l.discounts || []).filter(d => d.source !== 'ticket').map(d => (
+                <div key={d.source} style={row}>
+                  <span>&nbsp;&nbsp;{d.label}{d.reason ? ` · ${d.reason}` : ''}</span>
+                  <span>-{money(d.amount)}</span>
+                </div>
+              ))}
+            </div>
+          ))}
+          <div style={rule} />
+          {sale.ticket_discount && (
+            <div style={row}>
+              <span>Dscto. ticket{sale.ticket_discount.reason ? ` · ${sale.ticket_discount.reason}` : ''}</span>
+              <span>-{money(sale.ticket_discount.amount)}</span>
+            </div>
+          )}
+          {sale.discount_total > 0 && <div style={row}><span>Total descuentos</span><span>-{money(sale.discount_total)}</span></div>}
+          {sale.price_list === 'mayorista' && <div>Precios: lista mayorista</div>}
+          {totals.gravada > 0 && <div style={row}><span>Op. gravada</span><span>{money(totals.gravada)}</span></div>}
+          {totals.exonerada > 0 && <div style={row}><span>Op. exonerada</span><span>{money(totals.exonerada)}</span></div>}
+          {totals.inafecta > 0 && <div style={row}><span>Op. inafecta</span><span>{money(totals.inafecta)}</span></div>}
+          <div style={row}><span>IGV{sale.tax_rate != null ? ` (${sale.tax_rate}%)` : ''}</span><span>{money(totals.igv)}</span></div>
+          <div style={{ ...row, fontSize: 14, fontWeight: 'bold' }}><span>TOTAL</span><span>{money(sale.total ?? totals.total)}</span></div>
+          <div style={{ marginTop: 4 }}>{amountInWords(sale.total ?? totals.total, currency)}</div>
+          <div style={rule} />
+          {salePayments(sale).map(p => (
+            <div key={p.method} style={row}>
+              <span>{paymentMethodLabel(p.method)}</span>
+              <span>{money(p.tendered ?? p.amount)}</span>
+            </div>
+          ))}
+          {sale.change > 0 && <div style={row}><span>Vuelto</span><span>{money(sale.change)}</span></div>}
+          {sale.status === 'cancelled' && <div style={{ textAlign: 'center', fontWeight: 'bold', marginTop: 6 }}>*** VENTA ANULADA ***</div>}
+          {doc?.status === 'anulado' && (
+            <div style={{ textAlign: 'center', fontSize: 11 }}>
+              Comprobante anulado el {formatDateTime(doc.voided_at)}{doc.void_reason ? ` · ${doc.void_reason}` : ''}
+            </div>
+          )}
+          <div style={rule} />
+          <div style={{ textAlign: 'center', fontSize: 11 }}>
+            {doc ? `Representación impresa de la ${documentTypeOf(doc.type).label.toLowerCase()} electrónica` : 'Documento sin valor tributario'}
+          </div>
+          <div style={{ textAlign: 'center', fontSize: 11 }}>¡Gracias por su compra!</div>
+        </div>
+
+        <div style={{ display: 'flex', gap: 8, marginTop: 12, justifyContent: 'flex-end' }}>
+          <button className="btn btn--primary btn--sm" onClick={() => window.print()}>🖨️ Imprimir</button>
+          {doc && doc.status !== 'anulado' && <button className="btn btn--outline btn--sm" onClick={() => onDownloadXml(doc)}>📄 XML UBL</button>}
+          <button className="btn btn--outline btn--sm" onClick={onClose}>Cerrar</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function SalesTable({ sales, products, settings, onUndoSale, onReturnSale, onExport, onShowReceipt, isExporting }) {
+  const [search, setSearch] = useState('');
+  const [methodFilter, setMethodFilter] = useState('');
+  const [returningId, setReturningId] = useState(null);
+  const [returnQty, setReturnQty] = useState({});
+  const [returnReason, setReturnReason] = useState('');
+
+  const openReturn = (saleId) => {
+    setReturningId(prev => prev === saleId ? null : saleId);
+    setReturnQty({});
+    setReturnReason('');
+  };
+
+  const submitReturn = async (sale) => {
+    const items = getSaleLines(sale)
+      .map(l => ({ sku: l.sku, quantity: parseFloat(returnQty[l.sku]) || 0 }))
+      .filter(i => i.quantity > 0);
+    if (items.length === 0) {
+      alert('Indica cuántas unidades se devuelven');
+      return;
+    }
+    const ok = await onReturnSale(sale.id, items, returnReason);
+    if (ok) setReturningId(null);
+  };
+
+  const filtered = (sales || [])
+    .filter(s => s && s.status !== 'cancelled')
+    .filter(s => !methodFilter || salePayments(s).some(p => p.method === methodFilter))
+    .filter(s => {
+      if (!search) return true;
+      const haystack = getSaleLines(s)
+        .flatMap(l => [l.sku, l.product_name, (products.find(p => p.sku === l.sku) || {}).name])
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+      return haystack.includes(search.toLowerCase());
+    })
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 12 }}>
+        <input
+          className="form-control"
+          placeholder="Buscar por SKU o nombre"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          style={{ maxWidth: 360 }}
+        />
+        <select className="form-control" value={methodFilter} onChange={(e) => setMethodFilter(e.target.value)} style={{ maxWidth: 200 }}>
+          <option value="">Todos los medios de pago</option>
+          {PAYMENT_METHODS.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+        </select>
+        <span className="status status--info">{filtered.length} ventas</span>
+        <button
+          className="btn btn--outline btn--sm"
+          onClick={() => onExport(filtered)}
+          disabled={isExporting || filtered.length === 0}
+          style={{ marginLeft: 'auto' }}
+        >
+          📊 Exportar XLSX
+        </button>
+      </div>
+
+      <div className="table-container" style={{
+        border: '1px solid var(--color-border)',
+        borderRadius: 8,
+        overflow: 'auto',
+        maxHeight: 600,
+        boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+      }}>
+        <table className="inventory-table" style={{ width: '100%', borderCollapse: 'separate', borderSpacing: 0 }}>
+          <thead style={{ position: 'sticky', top: 0, background: 'var(--color-surface)', zIndex: 1 }}>
+            <tr>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Fecha</th>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Comprobante</th>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>SKU</th>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Producto</th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Cantidad</th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Devuelto</th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Precio</th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Base</th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>IGV</th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Total</th>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Pago</th>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Operador</th>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Acciones</th>
+            </tr>
+          </thead>
+          <tbody>
+            {filtered.length === 0 ? (
+              <tr>
+                <td colSpan="13" style={{ padding: 24, textAlign: 'center', color: 'var(--color-text-secondary)' }}>
+                  No hay ventas para mostrar
+                </td>
+              </tr>
+            ) : (
+              filtered.map(sale => {
+                const lines = getSaleLines(sale);
+                const lineName = (l) => l.product_name || (products.find(p => p.sku === l.sku) || {}).name || '-';
+                const lineProduct = (l) => products.find(p => p.sku === l.sku) || { sku: l.sku, base_unit: l.base_unit };
+                const units = lines.reduce((sum, l) => sum + (l.quantity || 0), 0);
+                const saleTax = summarizeTax(lines);
+                const saleTotal = sale.total ?? saleTax.total;
+                const returnable = lines.reduce((sum, l) => sum + saleLineReturnable(l), 0);
+                return (
+                  <React.Fragment key={sale.id}>
+                  <tr>
+                    <td style={{ padding: '8px 12px' }}>{formatDateTime(sale.timestamp)}</td>
+                    <td style={{ padding: '8px 12px' }}>{sale.document_id || '-'}</td>
+                    <td style={{ padding: '8px 12px' }}>{lines.map(l => <div key={l.sku}>{l.sku}</div>)}</td>
+                    <td style={{ padding: '8px 12px' }}>
+                      {lines.map(l => (
+                        <div key={l.sku} title={saleLineIsKit(l) ? l.kit_components.map(c => `${c.name} ×${c.quantity}`).join(' + ') : undefined}>
+                          {saleLineIsKit(l) ? '🧺 ' : ''}{lineName(l)}
+                        </div>
+                      ))}
+                    </td>
+                    <td style={{ padding: '8px 12px', textAlign: 'right' }}>
+                      {lines.map(l => (
+                        <div key={l.sku}>
+                          {formatQuantity(lineProduct(l), l.quantity, l.unit)}
+                          {unitOf(lineProduct(l), l.unit).factor !== 1 && <span style={{ fontSize: 12, color: 'var(--color-text-secondary)' }}> ({formatQuantity(lineProduct(l), l.quantity)})</span>}
+                        </div>
+                      ))}
+                      {lines.length > 1 && <div style={{ borderTop: '1px solid var(--color-border)' }}><strong>{roundQuantity(units)}</strong></div>}
+                    </td>
+                    <td style={{ padding: '8px 12px', textAlign: 'right' }}>{lines.map(l => <div key={l.sku}>{l.returned_quantity || 0}</div>)}</td>
+                    <td style={{ padding: '8px 12px', textAlign: 'right' }}>
+                      {lines.map(l => (
+                        <div key={l.sku} title={(l.discounts || []).map(d => `${d.label}${d.reason ? ` (${d.reason})` : ''}`).join('; ')}>
+                          {l.discount_amount > 0 && <s style={{ fontSize: 12, color: 'var(--color-text-secondary)', marginRight: 4 }}>{(settings?.currency || 'S/') + Number(l.unit_price || 0).toFixed(2)}</s>}
+                          {(settings?.currency || 'S/') + Number(l.sale_price || 0).toFixed(2)}
+                        </div>
+                      ))}
+                    </td>
+                    <td style={{ padding: '8px 12px', textAlign: 'right' }}>{(settings?.currency || 'S/') + (saleTax.gravada + saleTax.exonerada + saleTax.inafecta).toFixed(2)}</td>
+                    <td style={{ padding: '8px 12px', textAlign: 'right' }}>{(settings?.currency || 'S/') + saleTax.igv.toFixed(2)}</td>
+                    <td style={{ padding: '8px 12px', textAlign: 'right' }}>
+                      {(settings?.currency || 'S/') + Number(saleTotal || 0).toFixed(2)}
+                      {sale.discount_total > 0 && (
+                        <div style={{ fontSize: 12, color: 'var(--color-text-secondary)' }}>Dscto. {(settings?.currency || 'S/') + sale.discount_total.toFixed(2)}</div>
+                      )}
+                      {sale.price_list === 'mayorista' && <div style={{ fontSize: 12, color: 'var(--color-text-secondary)' }}>Mayorista</div>}
+                    </td>
+                    <td style={{ padding: '8px 12px' }}>
+                      {salePayments(sale).map(p => (
+                        <div key={p.method}>{paymentMethodLabel(p.method)} {(settings?.currency || 'S/') + Number(p.amount || 0).toFixed(2)}</div>
+                      ))}
+                      {sale.change > 0 && (
+                        <div style={{ fontSize: 12, color: 'var(--color-text-secondary)' }}>Vuelto {(settings?.currency || 'S/') + sale.change.toFixed(2)}</div>
+                      )}
+                      {sale.customer_name && (
+                        <div style={{ fontSize: 12, color: 'var(--color-text-secondary)' }}>👤 {sale.customer_name}</div>
+                      )}
+                    </td>
+                    <td style={{ padding: '8px 12px' }}>{sale.operator || '-'}</td>
+                    <td style={{ padding: '8px 12px' }}>
+                      <button
+                        className="btn btn--outline btn--sm"
+                        onClick={() => onUndoSale({ id: sale.id, sale_id: sale.id })}
+                        title={lines.length > 1 ? 'Anula todas las líneas de la venta' : ''}
+                        disabled={returnable <= 0}
+                      >
+                        ↩️ Deshacer venta
+                      </button>
+                      <button
+                        className="btn btn--outline btn--sm"
+                        onClick={() => openReturn(sale.id)}
+                        disabled={returnable <= 0}
+                        style={{ marginLeft: 4 }}
+                      >
+                        🔄 Devolver
+                      </button>
+                      <button
+                        className="btn btn--outline btn--sm"
+                        onClick={() => onShowReceipt(sale.id)}
+                        style={{ marginLeft: 4 }}
+                      >
+                        🧾 Ticket
+                      </button>
+                    </td>
+                  </tr>
+                  {returningId === sale.id && (
+                    <tr>
+                      <td colSpan="13" style={{ padding: '8px 12px', background: 'var(--color-bg-1)' }}>
+                        <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap', alignItems: 'flex-end' }}>
+                          {lines.map(l => (
+                            <label key={l.sku} style={{ display: 'flex', flexDirection: 'column', fontSize: 12 }}>
+                              {lineName(l)} (máx. {formatQuantity(lineProduct(l), saleLineReturnable(l))})
+                              <input
+                                className="form-control"
+                                type="number"
+                                min="0"
+                                step={allowsDecimals(lineProduct(l)) ? '0.001' : '1'}
+                                max={saleLineReturnable(l)}
+                                disabled={saleLineReturnable(l) <= 0}
+                                value={returnQty[l.sku] ?? ''}
+                                onChange={(e) => setReturnQty(prev => ({ ...prev, [l.sku]: e.target.value }))}
+                                style={{ width: 120 }}
+                              />
+                            </label>
+                          ))}
+                          <label style={{ display: 'flex', flexDirection: 'column', fontSize: 12 }}>
+                            Motivo
+                            <input className="form-control" value={returnReason} onChange={(e) => setReturnReason(e.target.value)} placeholder="Opcional" />
+                          </label>
+                          <button className="btn btn--primary btn--sm" onClick={() => submitReturn(sale)}>Confirmar devolución</button>
+                          <button className="btn btn--outline btn--sm" onClick={() => setReturningId(null)}>Cancelar</button>
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                  </React.Fragment>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// Report builder: movimientos por rango de fechas locales y filtros
+function ReportBuilder({ movements, products, settings, resolveOperator, onExport }) {
+  const today = localDateKey(new Date());
+  const [filters, setFilters] = useState({ from: today, to: today, type: '', operator: '', device: '', category: '', sku: '' });
+  const currency = settings?.currency || 'S/';
+  const setFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+
+  const types = [...new Set(movements.map(m => m.type).filter(Boolean))].sort();
+  const operators = [...new Set(movements.map(resolveOperator).filter(Boolean))].sort();
+  const devices = [...new Set(movements.map(m => m.device_id).filter(Boolean))].sort();
+  const categories = [...new Set(products.map(p => p.category || 'Sin categoría'))].sort();
+
+  const selected = filterMovements(movements, filters, products, resolveOperator);
+  const byDay = summarizeMovementsByDay(selected);
+  const invalidRange = filters.from && filters.to && filters.from > filters.to;
+
+  const field = { display: 'flex', flexDirection: 'column', fontSize: 13 };
+
+  return (
+    <div>
+      <div className="panel" style={{ marginBottom: 16 }}>
+        <h3 style={{ marginBottom: 12 }}>📈 Reporte de movimientos</h3>
+        <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap', alignItems: 'flex-end' }}>
+          <label style={field}>
+            Desde
+            <input className="form-control" type="date" value={filters.from} onChange={(e) => setFilter('from', e.target.value)} />
+          </label>
+          <label style={field}>
+            Hasta
+            <input className="form-control" type="date" value={filters.to} onChange={(e) => setFilter('to', e.target.value)} />
+          </label>
+          <label style={field}>
+            Tipo
+            <select className="form-control" value={filters.type} onChange={(e) => setFilter('type', e.target.value)}>
+              <option value="">Todos</option>
+              {types.map(t => <option key={t} value={t}>{t}</option>)}
+            </select>
+          </label>
+          <label style={field}>
+            Operador
+            <select className="form-control" value={filters.operator} onChange={(e) => setFilter('operator', e.target.value)}>
+              <option value="">Todos</option>
+              {operators.map(o => <option key={o} value={o}>{o}</option>)}
+            </select>
+          </label>
+          <label style={field}>
+            Dispositivo
+            <select className="form-control" value={filters.device} onChange={(e) => setFilter('device', e.target.value)}>
+              <option value="">Todos</option>
+              {devices.map(d => <option key={d} value={d}>{d}</option>)}
+            </select>
+          </label>
+          <label style={field}>
+            Categoría
+            <select className="form-control" value={filters.category} onChange={(e) => setFilter('category', e.target.value)}>
+              <option value="">Todas</option>
+              {categories.map(c => <option key={c} value={c}>{c}</option>)}
+            </select>
+          </label>
+          <label style={field}>
+            SKU
+            <input className="form-control" value={filters.sku} onChange={(e) => setFilter('sku', e.target.value)} placeholder="Contiene..." style={{ width: 140 }} />
+          </label>
+          <button className="btn btn--primary btn--sm" onClick={() => onExport(filters)} disabled={invalidRange || selected.length === 0}>
+            📊 Exportar XLSX
+          </button>
+        </div>
+        {invalidRange && (
+          <div className="status status--error" style={{ display: 'block', marginTop: 8 }}>La fecha inicial es posterior a la final</div>
+        )}
+      </div>
+
+      <div className="stats-grid">
+        <div className="stat-card"><div className="stat-value">{selected.length}</div><div className="stat-label">Movimientos</div></div>
+        <div className="stat-card"><div className="stat-value">{byDay.reduce((s, d) => s + d.ingresos, 0)}</div><div className="stat-label">Unidades ingresadas</div></div>
+        <div className="stat-card"><div className="stat-value">{byDay.reduce((s, d) => s + d.ventas, 0)}</div><div className="stat-label">Unidades vendidas</div></div>
+        <div className="stat-card"><div className="stat-value">{byDay.reduce((s, d) => s + d.devoluciones, 0)}</div><div className="stat-label">Unidades devueltas</div></div>
+      </div>
+
+      <div className="table-container" style={{ border: '1px solid var(--color-border)', borderRadius: 8, overflow: 'auto', maxHeight: 480 }}>
+        <table className="inventory-table" style={{ width: '100%', borderCollapse: 'separate', borderSpacing: 0 }}>
+          <thead style={{ position: 'sticky', top: 0, background: 'var(--color-surface)' }}>
+            <tr>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Fecha</th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Movimientos</th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Ingresos</th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Ventas</th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Devoluciones</th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Monto Ventas</th>
+            </tr>
+          </thead>
+          <tbody>
+            {byDay.length === 0 ? (
+              <tr><td colSpan="6" style={{ padding: 24, textAlign: 'center', color: 'var(--color-text-secondary)' }}>No hay movimientos en el rango seleccionado</td></tr>
+            ) : byDay.map(d => (
+              <tr key={d.day}>
+                <td style={{ padding: '8px 12px' }}>{formatDate(`${d.day}T00:00:00`)}</td>
+                <td style={{ padding: '8px 12px', textAlign: 'right' }}>{d.count}</td>
+                <td style={{ padding: '8px 12px', textAlign: 'right' }}>{d.ingresos}</td>
+                <td style={{ padding: '8px 12px', textAlign: 'right' }}>{d.ventas}</td>
+                <td style={{ padding: '8px 12px', textAlign: 'right' }}>{d.devoluciones}</td>
+                <td style={{ padding: '8px 12px', textAlign: 'right' }}>{currency}{d.salesAmount.toFixed(2)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// Profitability view: ingresos, costo de ventas y margen bruto realizados
+function ProfitabilityView({ sales, products, settings, onExport }) {
+  const today = localDateKey(new Date());
+  const monthStart = `${today.slice(0, 8)}01`;
+  const [range, setRange] = useState({ from: monthStart, to: today });
+  const [dimension, setDimension] = useState('product');
+  const currency = settings?.currency || 'S/';
+  const money = (v) => `${currency}${Number(v || 0).toFixed(2)}`;
+
+  const facts = buildProfitFacts(sales, products, range);
+  const rows = aggregateProfit(facts, dimension);
+  const revenue = facts.reduce((sum, f) => sum + f.revenue, 0);
+  const igv = facts.reduce((sum, f) => sum + (f.igv || 0), 0);
+  const base = revenue - igv;
+  const cogs = facts.reduce((sum, f) => sum + f.cogs, 0);
+  const discount = facts.reduce((sum, f) => sum + (f.discount || 0), 0);
+  const margin = base - cogs;
+
+  return (
+    <div>
+      <div className="toolbar">
+        <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+          Desde
+          <input className="form-control" type="date" value={range.from} onChange={(e) => setRange(prev => ({ ...prev, from: e.target.value }))} />
+        </label>
+        <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+          Hasta
+          <input className="form-control" type="date" value={range.to} onChange={(e) => setRange(prev => ({ ...prev, to: e.target.value }))} />
+        </label>
+        <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+          Agrupar por
+          <select className="form-control" value={dimension} onChange={(e) => setDimension(e.target.value)}>
+            {PROFIT_DIMENSIONS.map(d => <option key={d.key} value={d.key}>{d.label}</option>)}
+          </select>
+        </label>
+        <button className="btn btn--primary btn--sm" onClick={() => onExport(range)} disabled={facts.length === 0}>
+          📊 Exportar XLSX
+        </button>
+      </div>
+
+      <div className="stats-grid">
+        <div className="stat-card"><div className="stat-value">{money(revenue)}</div><div className="stat-label">Ventas con IGV</div></div>
+        <div className="stat-card"><div className="stat-value">{money(discount)}</div><div className="stat-label">Descuentos otorgados</div></div>
+        <div className="stat-card"><div className="stat-value">{money(igv)}</div><div className="stat-label">IGV</div></div>
+        <div className="stat-card"><div className="stat-value">{money(base)}</div><div className="stat-label">Ventas netas (base)</div></div>
+        <div className="stat-card"><div className="stat-value">{money(cogs)}</div><div className="stat-label">Costo de ventas</div></div>
+        <div className="stat-card"><div className="stat-value">{money(margin)}</div><div className="stat-label">Margen bruto</div></div>
+        <div className="stat-card"><div className="stat-value">{base ? ((margin / base) * 100).toFixed(1) : '0.0'}%</div><div className="stat-label">Margen %</div></div>
+      </div>
+
+      <div className="table-container" style={{ border: '1px solid var(--color-border)', borderRadius: 8, overflow: 'auto', maxHeight: 480 }}>
+        <table className="inventory-table" style={{ width: '100%', borderCollapse: 'separate', borderSpacing: 0 }}>
+          <thead style={{ position: 'sticky', top: 0, background: 'var(--color-surface)' }}>
+            <tr>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}>{(PROFIT_DIMENSIONS.find(d => d.key === dimension) || {}).label}</th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Unidades</th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Devueltas</th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Ventas</th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Descuentos</th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>IGV</th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Base</th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Costo</th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Margen</th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Margen %</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.length === 0 ? (
+              <tr><td colSpan="10" style={{ padding: 24, textAlign: 'center', color: 'var(--color-text-secondary)' }}>No hay ventas en el rango seleccionado</td></tr>
+            ) : rows.map(r => (
+              <tr key={r.key}>
+                <td style={{ padding: '8px 12px' }}>{r.label}</td>
+                <td style={{ padding: '8px 12px', textAlign: 'right' }}>{r.quantity}</td>
+                <td style={{ padding: '8px 12px', textAlign: 'right' }}>{r.returned}</td>
+                <td style={{ padding: '8px 12px', textAlign: 'right' }}>{money(r.revenue)}</td>
+                <td style={{ padding: '8px 12px', textAlign: 'right' }}>{money(r.discount)}</td>
+                <td style={{ padding: '8px 12px', textAlign: 'right' }}>{money(r.igv)}</td>
+                <td style={{ padding: '8px 12px', textAlign: 'right' }}>{money(r.base)}</td>
+                <td style={{ padding: '8px 12px', textAlign: 'right' }}>{money(r.cogs)}</td>
+                <td style={{ padding: '8px 12px', textAlign: 'right', color: r.margin < 0 ? 'red' : 'inherit' }}><strong>{money(r.margin)}</strong></td>
+                <td style={{ padding: '8px 12px', textAlign: 'right' }}>{r.marginPct.toFixed(1)}%</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// Shrinkage report: mermas por periodo, motivo y producto
+function ShrinkageReport({ movements, settings, onExport }) {
+  const today = localDateKey(new Date());
+  const [range, setRange] = useState({ from: `${today.slice(0, 8)}01`, to: today });
+  const currency = settings?.currency || 'S/';
+  const money = (v) => `${currency}${Number(v || 0).toFixed(2)}`;
+  const summary = summarizeShrinkage(movements, range);
+
+  const groupTable = (title, rows) => (
+    <div style={{ flex: 1, minWidth: 280 }}>
+      <h5 style={{ margin: '0 0 8px 0' }}>{title}</h5>
+      <div className="table-container" style={{ border: '1px solid var(--color-border)', borderRadius: 8, overflow: 'auto', maxHeight: 360 }}>
+        <table className="inventory-table" style={{ width: '100%', borderCollapse: 'separate', borderSpacing: 0 }}>
+          <thead style={{ position: 'sticky', top: 0, background: 'var(--color-surface)' }}>
+            <tr>
+              <th style={{ textAlign: 'left', padding: '8px 12px' }}></th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Registros</th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Unidades</th>
+              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Costo</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.length === 0 ? (
+              <tr><td colSpan="4" style={{ padding: 16, textAlign: 'center', color: 'var(--color-text-secondary)' }}>Sin mermas en el periodo</td></tr>
+            ) : rows.map(r => (
+              <tr key={r.key}>
+                <td style={{ padding: '8px 12px' }}>{r.label}</td>
+                <td style={{ padding: '8px 12px', textAlign: 'right' }}>{r.count}</td>
+                <td style={{ padding: '8px 12px', textAlign: 'right' }}>{r.quantity}</td>
+                <td style={{ padding: '8px 12px', textAlign: 'right' }}>{money(r.cost)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+
+  return (
+    <div>
+      <div className="toolbar">
+        <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+          Desde
+          <input className="form-control" type="date" value={range.from} onChange={(e) => setRange(prev => ({ ...prev, from: e.target.value }))} />
+        </label>
+        <label style={{ display: 'flex', flexDirection: 'column', fontSize: 13 }}>
+          Hasta
+          <input className="form-control" type="date" value={range.to} onChange={(e) => setRange(prev => ({ ...prev, to: e.target.value }))} />
+        </label>
+        <button className="btn btn--primary btn--sm" onClick={() => onExport(range)} disabled={summary.movements.length === 0}>
+          📊 Exportar XLSX
+        </button>
+      </div>
+
+      <div className="stats-grid">
+        <div className="stat-card"><div className="stat-value">{summary.movements.length}</div><div className="stat-label">Registros de merma</div></div>
+        <div className="stat-card"><div className="stat-value">{summary.totalQuantity}</div><div className="stat-label">Unidades dadas de baja</div></div>
+        <div className="stat-card"><div className="stat-value">{money(summary.totalCost)}</div><div className="stat-label">Costo de mermas</div></div>
+      </div>
+
+      <div style={{ display: 'flex', gap: 16, flexWrap: 'wrap' }}>
+        {groupTable('Por motivo', summary.byReason)}
+        {groupTable('Por producto', summary.byProduct)}
+      </div>
+    </div>
+  );
+}
+
+// Reports view: agrupa los reportes en pestañas
+function ReportsView({ movements, products, sales, settings, resolveOperator, onExportMovements, onExportProfit, onExportShrinkage }) {
+  const [tab, setTab] = useState('movements');
+
+  return (
+    <div>
+      <div className="tabs">
+        <button className={`tab ${tab === 'movements' ? 'tab--active' : ''}`} onClick={() => setTab('movements')}>
+          📈 Movimientos
+        </button>
+        <button className={`tab ${tab === 'profit' ? 'tab--active' : ''}`} onClick={() => setTab('profit')}>
+          💹 Rentabilidad
+        </button>
+        <button className={`tab ${tab === 'shrinkage' ? 'tab--active' : ''}`} onClick={() => setTab('shrinkage')}>
+          🗑️ Mermas
+        </button>
+      </div>
+
+      {tab === 'movements' && (
+        <ReportBuilder
+          movements={movements}
+          products={products}
+          settings={settings}
+          resolveOperator={resolveOperator}
+          onExport={onExportMovements}
+        />
+      )}
+      {tab === 'profit' && (
+        <ProfitabilityView
+          sales={sales}
+          products={products}
+          settings={settings}
+          onExport={onExportProfit}
+        />
+      )}
+      {tab === 'shrinkage' && (
+        <ShrinkageReport
+          movements={movements}
+          settings={settings}
+          onExport={onExportShrinkage}
+        />
+      )}
+    </div>
+  );
+}
+
+// Purchasing view: proveedores y órdenes de compra (borrador → enviada → recibida)
+function PurchasingView({ suppliers, purchaseOrders, products, batches, settings, onSaveSupplier, onSaveOrder, onSendOrder, onReceiveOrder }) {
+  const [tab, setTab] = useState('orders');
+  const emptySupplier = { name: '', ruc: '', contact: '', phone: '', email: '' };
+  const [supplierForm, setSupplierForm] = useState(emptySupplier);
+  const [orderForm, setOrderForm] = useState(null);
+  const [receiving, setReceiving] = useState(null);
+  const currency = settings?.currency || 'S/';
+  const money = (v) => `${currency}${Number(v || 0).toFixed(2)}`;
+  const supplierName = (id) => (suppliers.find(sp => sp.id === id) || {}).name || '-';
+
+  const lastCost = (sku) => {
+    const last = batches
+      .filter(b => b.product_sku === sku && !b.lot?.startsWith('DEV-'))
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0];
+    const product = products.find(p => p.sku === sku) || {};
+    return Number(last?.purchase_price ?? product.default_purchase_price ?? 0);
+  };
+
+  const submitSupplier = async (e) => {
+    e.preventDefault();
+    if (!supplierForm.name.trim()) {
+      alert('El nombre del proveedor es requerido');
+      return;
+    }
+    await onSaveSupplier({ ...supplierForm, name: supplierForm.name.trim() });
+    setSupplierForm(emptySupplier);
+  };
+
+  const newOrder = () => setOrderForm({ supplier_id: suppliers[0]?.id ?? '', notes: '', lines: [], addSku: '' });
+
+  const setOrderLine = (index, field, value) => {
+    setOrderForm(prev => ({ ...prev, lines: prev.lines.map((l, i) => (i === index ? { ...l, [field]: value } : l)) }));
+  };
+
+  const addOrderLine = (sku, quantity = 1) => {
+    const product = products.find(p => p.sku === sku);
+    if (!product) return;
+    setOrderForm(prev => prev.lines.some(l => l.sku === sku)
+      ? { ...prev, addSku: '' }
+      : { ...prev, addSku: '', lines: [...prev.lines, { sku, name: product.name || sku, quantity: String(quantity), unit_cost: String(lastCost(sku)) }] });
+  };
+
+  // Precarga los productos por reponer del proveedor elegido (o sin proveedor)
+  const loadReorderLines = () => {
+    buildReorderList(products, batches)
+      .filter(item => {
+        const preferred = (products.find(p => p.sku === item.sku) || {}).supplier_id;
+        return preferred == null || preferred === Number(orderForm.supplier_id);
+      })
+      .forEach(item => addOrderLine(item.sku, item.suggested));
+  };
+
+  const submitOrder = async () => {
+    const lines = orderForm.lines.map(l => ({ ...l, quantity: Number(l.quantity), unit_cost: Number(l.unit_cost) }));
+    if (orderForm.supplier_id === '' || lines.length === 0) {
+      alert('Selecciona un proveedor y agrega al menos un producto');
+      return;
+    }
+    if (lines.some(l => !(l.quantity > 0) || !(l.unit_cost >= 0))) {
+      alert('Cantidades y costos deben ser números válidos');
+      return;
+    }
+    const ok = await onSaveOrder({
+      id: orderForm.id,
+      supplier_id: Number(orderForm.supplier_id),
+      notes: orderForm.notes,
+      lines: lines.map(l => ({ sku: l.sku, name: l.name, quantity: l.quantity, unit_cost: l.unit_cost, received_quantity: 0 }))
+    });
+    if (ok) setOrderForm(null);
+  };
+
+  const startReceiving = (order) => {
+    setReceiving({
+      orderId: order.id,
+      lines: order.lines.map(l => ({ quantity: String(purchaseOrderPending(l)), lot: '', expiry: '' }))
+    });
+  };
+
+  const submitReceiving = async (order) => {
+    const receipts = receiving.lines
+      .map((r, index) => ({ line_index: index, quantity: Number(r.quantity) || 0, lot: r.lot.trim(), expiry: r.expiry || null }))
+      .filter(r => r.quantity > 0);
+    const over = receipts.find(r => r.quantity > purchaseOrderPending(order.lines[r.line_index]));
+    if (receipts.length === 0) {
+      alert('Indica al menos una cantidad a recibir');
+      return;
+    }
+    if (over) {
+      alert(`${order.lines[over.line_index].name}: solo quedan ${purchaseOrderPending(order.lines[over.line_index])} unidades pendientes`);
+      return;
+    }
+    const ok = await onReceiveOrder(order.id, receipts);
+    if (ok) setReceiving(null);
+  };
+
+  const sortedOrders = [...purchaseOrders].sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+
+  return (
+    <div>
+      <div className="tabs">
+        <button className={`tab ${tab === 'orders' ? 'tab--active' : ''}`} onClick={() => setTab('orders')}>
+          📝 Órdenes de compra
+        </button>
+        <button className={`tab ${tab === 'suppliers' ? 'tab--active' : ''}`} onClick={() => setTab('suppliers')}>
+          🏭 Proveedores
+        </button>
+      </div>
+
+      {tab === 'suppliers' && (
+        <div>
+          <div style={{ marginBottom: '16px', padding: '12px', background: 'var(--color-bg-1)', borderRadius: '8px' }}>
+            <h4 style={{ margin: '0 0 8px 0' }}>{supplierForm.id ? '✏️ Editar proveedor' : '➕ Nuevo proveedor'}</h4>
+            <form onSubmit={submitSupplier} style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap' }}>
+              <input className="form-control" placeholder="Razón social" value={supplierForm.name} onChange={(e) => setSupplierForm(prev => ({ ...prev, name: e.target.value }))} style={{ width: '200px' }} />
+              <input className="form-control" placeholder="RUC" value={supplierForm.ruc} onChange={(e) => setSupplierForm(prev => ({ ...prev, ruc: e.target.value }))} style={{ width: '130px' }} />
+              <input className="form-control" placeholder="Contacto" value={supplierForm.contact} onChange={(e) => setSupplierForm(prev => ({ ...prev, contact: e.target.value }))} style={{ width: '160px' }} />
+              <input className="form-control" placeholder="Teléfono" value={supplierForm.phone} onChange={(e) => setSupplierForm(prev => ({ ...prev, phone: e.target.value }))} style={{ width: '130px' }} />
+              <input className="form-control" placeholder="Email" value={supplierForm.email} onChange={(e) => setSupplierForm(prev => ({ ...prev, email: e.target.value }))} style={{ width: '180px' }} />
+              <button className="btn btn--primary btn--sm" type="submit">{supplierForm.id ? 'Guardar' : 'Agregar'}</button>
+              {supplierForm.id && <button className="btn btn--outline btn--sm" type="button" onClick={() => setSupplierForm(emptySupplier)}>Cancelar</button>}
+            </form>
           </div>
-          <div className="stat-card">
-            <div className="stat-value">{(settings?.currency || 'S/')}{totalValue.toFixed(2)}</div>
-            <div className="stat-label">Valor total</div>
+
+          <div className="table-container" style={{ border: '1px solid var(--color-border)', borderRadius: 8, overflow: 'auto', maxHeight: 480 }}>
+            <table className="inventory-table" style={{ width: '100%', borderCollapse: 'separate', borderSpacing: 0 }}>
+              <thead style={{ position: 'sticky', top: 0, background: 'var(--color-surface)' }}>
+                <tr>
+                  <th style={{ textAlign: 'left', padding: '8px 12px' }}>Proveedor</th>
+                  <th style={{ textAlign: 'left', padding: '8px 12px' }}>RUC</th>
+                  <th style={{ textAlign: 'left', padding: '8px 12px' }}>Contacto</th>
+                  <th style={{ textAlign: 'right', padding: '8px 12px' }}>Órdenes</th>
+                  <th style={{ textAlign: 'right', padding: '8px 12px' }}>Lotes recibidos</th>
+                  <th style={{ padding: '8px 12px' }}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {suppliers.length === 0 ? (
+                  <tr><td colSpan="6" style={{ padding: 24, textAlign: 'center', color: 'var(--color-text-secondary)' }}>No hay proveedores registrados</td></tr>
+                ) : suppliers.map(sp => (
+                  <tr key={sp.id}>
+                    <td style={{ padding: '8px 12px' }}><strong>{sp.name}</strong></td>
+                    <td style={{ padding: '8px 12px' }}>{sp.ruc || '-'}</td>
+                    <td style={{ padding: '8px 12px' }}>{[sp.contact, sp.phone, sp.email].filter(Boolean).join(' · ') || '-'}</td>
+                    <td style={{ padding: '8px 12px', textAlign: 'right' }}>{purchaseOrders.filter(o => o.supplier_id === sp.id).length}</td>
+                    <td style={{ padding: '8px 12px', textAlign: 'right' }}>{batches.filter(b => b.supplier_id === sp.id).length}</td>
+                    <td style={{ padding: '8px 12px' }}>
+                      <button className="btn btn--outline btn--sm" onClick={() => setSupplierForm({ ...emptySupplier, ...sp })}>✏️ Editar</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
           </div>
         </div>
+      )}
 
-        {productSummary.length === 0 ? (
-          <div style={{ color: 'var(--color-text-secondary)' }}>No hay stock cargado todavía</div>
-        ) : (
-          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))', gap: '8px' }}>
-            {productSummary.map(card => (
-              <button key={card.sku} className={`btn ${selectedSKU === card.sku ? 'btn--primary' : 'btn--outline'}`} onClick={() => setSelectedSKU(card.sku)} style={{ justifyContent: 'space-between' }}>
-                <span style={{ textAlign: 'left' }}>
-                  <div style={{ fontWeight: 600 }}>{card.name}</div>
-                  <div style={{ fontSize: 12, opacity: 0.8 }}>{card.sku} · {card.category}</div>
-                </span>
-                <span style={{ fontWeight: 700 }}>{card.totalQty}</span>
+      {tab === 'orders' && (
+        <div>
+          {orderForm ? (
+            <div style={{ marginBottom: '16px', padding: '12px', background: 'var(--color-bg-1)', borderRadius: '8px' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+                <h4 style={{ margin: 0 }}>{orderForm.id ? `✏️ Editar ${orderForm.id}` : '📝 Nueva orden de compra'}</h4>
+                <button className="btn btn--outline btn--sm" onClick={() => setOrderForm(null)}>✕ Cerrar</button>
+              </div>
+              <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', marginBottom: 8 }}>
+                <select className="form-control" value={orderForm.supplier_id} onChange={(e) => setOrderForm(prev => ({ ...prev, supplier_id: e.target.value }))} style={{ maxWidth: 240 }}>
+                  <option value="">Proveedor...</option>
+                  {suppliers.map(sp => <option key={sp.id} value={sp.id}>{sp.name}</option>)}
+                </select>
+                <select className="form-control" value={orderForm.addSku} onChange={(e) => setOrderForm(prev => ({ ...prev, addSku: e.target.value }))} style={{ maxWidth: 280 }}>
+                  <option value="">Producto...</option>
+                  {products.map(p => <option key={p.sku} value={p.sku}>{p.name} ({p.sku})</option>)}
+                </select>
+                <button className="btn btn--secondary btn--sm" disabled={!orderForm.addSku} onClick={() => addOrderLine(orderForm.addSku)}>➕ Agregar</button>
+                <button className="btn btn--outline btn--sm" disabled={orderForm.supplier_id === ''} onClick={loadReorderLines}>🔔 Cargar productos por reponer</button>
+              </div>
+              {orderForm.lines.map((line, index) => (
+                <div key={line.sku} style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 4 }}>
+                  <span style={{ minWidth: 220 }}>{line.name} ({line.sku})</span>
+                  <input className="form-control" type="number" min="0" step="any" placeholder="Cantidad" value={line.quantity} onChange={(e) => setOrderLine(index, 'quantity', e.target.value)} style={{ width: 100 }} />
+                  <input className="form-control" type="number" min="0" step="0.01" placeholder="Costo unit." value={line.unit_cost} onChange={(e) => setOrderLine(index, 'unit_cost', e.target.value)} style={{ width: 110 }} />
+                  <span style={{ minWidth: 90, textAlign: 'right' }}>{money((Number(line.quantity) || 0) * (Number(line.unit_cost) || 0))}</span>
+                  <button className="btn btn--outline btn--sm" onClick={() => setOrderForm(prev => ({ ...prev, lines: prev.lines.filter((_, i) => i !== index) }))}>✕</button>
+                </div>
+              ))}
+              <input className="form-control" placeholder="Notas" value={orderForm.notes} onChange={(e) => setOrderForm(prev => ({ ...prev, notes: e.target.value }))} style={{ maxWidth: 480, marginTop: 8 }} />
+              <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginTop: 8 }}>
+                <strong>Total: {money(orderForm.lines.reduce((sum, l) => sum + (Number(l.quantity) || 0) * (Number(l.unit_cost) || 0), 0))}</strong>
+                <button className="btn btn--primary btn--sm" onClick={submitOrder}>💾 Guardar borrador</button>
+              </div>
+            </div>
+          ) : (
+            <div className="toolbar">
+              <button className="btn btn--primary btn--sm" onClick={newOrder} disabled={suppliers.length === 0}>
+                ➕ Nueva orden de compra
               </button>
-            ))}
-          </div>
-        )}
+              {suppliers.length === 0 && <span style={{ color: 'var(--color-text-secondary)' }}>Registra un proveedor primero</span>}
+            </div>
+          )}
 
-        {selectedSKU && (
-          <div style={{ marginTop: '12px', paddingTop: '12px', borderTop: '1px solid var(--color-border)' }}>
-            {(() => {
-              const p = products.find(pp => pp.sku === selectedSKU) || { name: selectedSKU };
-              const selBatches = batches.filter(b => b.product_sku === selectedSKU && b.quantity > 0 && !String(b.lot || '').startsWith('DEV-') && !String(b.lot || '').startsWith('UNDO-'));
-              const totalSel = selBatches.reduce((s, b) => s + (b.quantity || 0), 0);
-              const valueSel = selBatches.reduce((s, b) => s + (b.quantity || 0) * (b.purchase_price || 0), 0);
-              return (
-                <div>
-                  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline' }}>
-                    <h5 style={{ margin: 0 }}>{p.name} ({selectedSKU})</h5>
-                    <div style={{ fontSize: 12, color: 'var(--color-text-secondary)' }}>Categoría: {p.category || '-'}</div>
-                  </div>
-                  <div style={{ display: 'flex', gap: '12px', margin: '8px 0' }}>
-                    <div className="stat-card"><div className="stat-value">{totalSel}</div><div className="stat-label">Unidades</div></div>
-                    <div className="stat-card"><div className="stat-value">{(settings?.currency || 'S/')}{valueSel.toFixed(2)}</div><div className="stat-label">Valor</div></div>
-                  </div>
-                  <div className="table-container" style={{ border: '1px solid var(--color-border)', borderRadius: 8, overflow: 'auto', maxHeight: 320 }}>
-                    <table className="inventory-table" style={{ width: '100%', borderCollapse: 'separate', borderSpacing: 0 }}>
-                      <thead style={{ position: 'sticky', top: 0, background: 'var(--color-surface)' }}>
-                        <tr>
-                          <th style={{ textAlign: 'left', padding: '8px 12px' }}>Lote</th>
-                          <th style={{ textAlign: 'left', padding: '8px 12px' }}>Caducidad</th>
-                          <th style={{ textAlign: 'left', padding: '8px 12px' }}>Estado</th>
-                          <th style={{ textAlign: 'right', padding: '8px 12px' }}>Cantidad</th>
-                          <th style={{ textAlign: 'right', padding: '8px 12px' }}>Precio Compra</th>
-                          <th style={{ textAlign: 'right', padding: '8px 12px' }}>Valor</th>
-                        </tr>
-                      </thead>
-                      <tbody>
-                        {selBatches.map(b => {
-                          const status = checkExpiry(b.expiry);
-                          const color = status === 'expired' ? 'red' : status === 'expiring-soon' ? '#b58900' : 'inherit';
-                          return (
-                            <tr key={b.id}>
-                              <td style={{ padding: '8px 12px' }}>{b.lot || '-'}</td>
-                              <td style={{ padding: '8px 12px' }}>{b.expiry ? formatDate(b.expiry) : '-'}</td>
-                              <td style={{ padding: '8px 12px', color }}>{status === 'expired' ? 'Vencido' : status === 'expiring-soon' ? 'Por vencer' : 'Normal'}</td>
-                              <td style={{ padding: '8px 12px', textAlign: 'right' }}>{b.quantity || 0}</td>
-                              <td style={{ padding: '8px 12px', textAlign: 'right' }}>{(settings?.currency || 'S/')}{(b.purchase_price || 0).toFixed(2)}</td>
-                              <td style={{ padding: '8px 12px', textAlign: 'right' }}>{(settings?.currency || 'S/')}{(((b.quantity || 0) * (b.purchase_price || 0))).toFixed(2)}</td>
-                            </tr>
-                          );
-                        })}
-                        {selBatches.length === 0 && (
-                          <tr><td colSpan="6" style={{ padding: 16, textAlign: 'center', color: 'var(--color-text-secondary)' }}>Sin lotes activos</td></tr>
+          <div className="table-container" style={{ border: '1px solid var(--color-border)', borderRadius: 8, overflow: 'auto', maxHeight: 600 }}>
+            <table className="inventory-table" style={{ width: '100%', borderCollapse: 'separate', borderSpacing: 0 }}>
+              <thead style={{ position: 'sticky', top: 0, background: 'var(--color-surface)' }}>
+                <tr>
+                  <th style={{ textAlign: 'left', padding: '8px 12px' }}>Orden</th>
+                  <th style={{ textAlign: 'left', padding: '8px 12px' }}>Fecha</th>
+                  <th style={{ textAlign: 'left', padding: '8px 12px' }}>Proveedor</th>
+                  <th style={{ textAlign: 'left', padding: '8px 12px' }}>Productos</th>
+                  <th style={{ textAlign: 'right', padding: '8px 12px' }}>Total</th>
+                  <th style={{ textAlign: 'left', padding: '8px 12px' }}>Estado</th>
+                  <th style={{ padding: '8px 12px' }}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {sortedOrders.length === 0 ? (
+                  <tr><td colSpan="7" style={{ padding: 24, textAlign: 'center', color: 'var(--color-text-secondary)' }}>No hay órdenes de compra</td></tr>
+                ) : sortedOrders.map(order => (
+                  <React.Fragment key={order.id}>
+                    <tr>
+                      <td style={{ padding: '8px 12px' }}>{order.id}</td>
+                      <td style={{ padding: '8px 12px' }}>{formatDate(order.created_at)}</td>
+                      <td style={{ padding: '8px 12px' }}>{order.supplier_name || supplierName(order.supplier_id)}</td>
+                      <td style={{ padding: '8px 12px', fontSize: 13 }}>
+                        {order.lines.map(l => (
+                          <div key={l.sku}>{l.name} · {l.received_quantity || 0}/{l.quantity}</div>
+                        ))}
+                      </td>
+                      <td style={{ padding: '8px 12px', textAlign: 'right' }}>{money(order.lines.reduce((sum, l) => sum + l.quantity * l.unit_cost, 0))}</td>
+                      <td style={{ padding: '8px 12px' }}>
+                        <span className={`status ${(PO_STATUS[order.status] || PO_STATUS.draft).className}`}>{(PO_STATUS[order.status] || PO_STATUS.draft).label}</span>
+                      </td>
+                      <td style={{ padding: '8px 12px', whiteSpace: 'nowrap' }}>
+                        {order.status === 'draft' && (
+                          <>
+                            <button className="btn btn--outline btn--sm" onClick={() => setOrderForm({ id: order.id, supplier_id: order.supplier_id, notes: order.notes || '', addSku: '', lines: order.lines.map(l => ({ ...l, quantity: String(l.quantity), unit_cost: String(l.unit_cost) })) })}>✏️ Editar</button>
+                            <button className="btn btn--secondary btn--sm" onClick={() => onSendOrder(order.id)} style={{ marginLeft: 4 }}>📤 Enviar</button>
+                          </>
+                        )}
+                        {(order.status === 'sent' || order.status === 'partial') && (
+                          <button className="btn btn--primary btn--sm" onClick={() => (receiving?.orderId === order.id ? setReceiving(null) : startReceiving(order))}>📦 Recibir</button>
                         )}
-                      </tbody>
-                    </table>
-                  </div>
-                </div>
-              );
-            })()}
+                      </td>
+                    </tr>
+                    {receiving?.orderId === order.id && (
+                      <tr>
+                        <td colSpan="7" style={{ padding: '8px 12px', background: 'var(--color-bg-1)' }}>
+                          {order.lines.map((line, index) => (
+                            <div key={line.sku} style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 4 }}>
+                              <span style={{ minWidth: 220 }}>{line.name} (pendiente {purchaseOrderPending(line)})</span>
+                              <input className="form-control" type="number" min="0" step="any" value={receiving.lines[index].quantity} disabled={purchaseOrderPending(line) === 0}
+                                onChange={(e) => setReceiving(prev => ({ ...prev, lines: prev.lines.map((r, i) => (i === index ? { ...r, quantity: e.target.value } : r)) }))} style={{ width: 100 }} />
+                              <input className="form-control" placeholder="Lote" value={receiving.lines[index].lot} disabled={purchaseOrderPending(line) === 0}
+                                onChange={(e) => setReceiving(prev => ({ ...prev, lines: prev.lines.map((r, i) => (i === index ? { ...r, lot: e.target.value } : r)) }))} style={{ width: 140 }} />
+                              <input className="form-control" type="date" value={receiving.lines[index].expiry} disabled={purchaseOrderPending(line) === 0}
+                                onChange={(e) => setReceiving(prev => ({ ...prev, lines: prev.lines.map((r, i) => (i === index ? { ...r, expiry: e.target.value } : r)) }))} />
+                            </div>
+                          ))}
+                          <button className="btn btn--primary btn--sm" onClick={() => submitReceiving(order)} style={{ marginTop: 4 }}>✅ Confirmar recepción</button>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
           </div>
-        )}
-      </div>
+        </div>
+      )}
+    </div>
+  );
+}
 
-      {/* La tabla de inventario solo muestra inventario; ventas tiene su propia vista */}
+// Clientes: registro, fiado con límite de crédito, abonos y antigüedad de la deuda
+function CustomersView({ customers, sales, movements, customerPayments, settings, currentOperator, onSave, onPayment, onExport }) {
+  const [tab, setTab] = useState('customers');
+  const emptyCustomer = { doc_number: '', name: '', phone: '', credit_limit: '' };
+  const [form, setForm] = useState(emptyCustomer);
+  const [expanded, setExpanded] = useState(null);
+  const [payment, setPayment] = useState({ amount: '', method: 'efectivo', note: '' });
+  const [search, setSearch] = useState('');
+  const currency = settings?.currency || 'S/';
+  const money = (v) => `${currency}${Number(v || 0).toFixed(2)}`;
+  const canEditLimit = hasPermission(currentOperator, 'gestionar_credito');
+
+  const accounts = customers.map(c => ({ customer: c, account: customerAccount(c.id, sales, movements, customerPayments) }));
+  const visible = accounts
+    .filter(({ customer }) => !search || `${customer.name} ${customer.doc_number || ''}`.toLowerCase().includes(search.toLowerCase()))
+    .sort((a, b) => b.account.balance - a.account.balance || a.customer.name.localeCompare(b.customer.name));
+  const debtors = accounts.filter(a => a.account.balance > 0);
+  const agingTotals = Object.fromEntries(AGING_BUCKETS.map(b => [b.key, debtors.reduce((sum, a) => sum + a.account.aging[b.key], 0)]));
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) return alert('El nombre del cliente es requerido');
+    if (form.doc_number.trim() && !customerIdType(form.doc_number)) return alert('El documento debe ser DNI (8 dígitos) o RUC (11 dígitos)');
+    if (form.credit_limit !== '' && !(Number(form.credit_limit) >= 0)) return alert('El límite de crédito debe ser un monto válido');
+    const ok = await onSave({ ...form, name: form.name.trim(), doc_number: form.doc_number.trim(), credit_limit: Number(form.credit_limit) || 0 });
+    if (ok) setForm(emptyCustomer);
+  };
 
-      {/* Table */}
-      <div className="table-container" style={{ 
-        border: '1px solid var(--color-border)', 
-        borderRadius: '8px',
-        overflow: 'auto',
-        maxHeight: '600px',
-        boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
-      }}>
-        <table className="inventory-table" style={{
-          borderCollapse: 'separate',
-          borderSpacing: 0,
-          width: '100%',
-          background: 'var(--color-surface)',
-          '& td, & th': {
-            border: '1px solid var(--color-border)',
-            padding: '8px 12px',
-            whiteSpace: 'nowrap',
-            overflow: 'hidden',
-            textOverflow: 'ellipsis',
-            maxWidth: '200px'
-          },
-          '& th': {
-            fontWeight: 'bold',
-            textAlign: 'left',
-            borderBottom: '2px solid var(--color-border)'
-          }
-        }}>
-          <thead style={{ 
-            position: 'sticky', 
-            top: 0, 
-            background: 'var(--color-bg-1)', 
-            zIndex: 1,
-            boxShadow: '0 1px 2px rgba(0,0,0,0.1)'
-          }}>
-            <tr>
-              {visibleColumns.map(column => (
-                <th 
-                  key={column.key}
-                  onClick={() => handleSort(column.key)}
-                  style={{ cursor: 'pointer', userSelect: 'none' }}
-                >
-                  {column.label}
-                  {sortField === column.key && (
-                    <span style={{ marginLeft: '4px' }}>
-                      {sortDir === 'asc' ? '↑' : '↓'}
-                    </span>
-                  )}
-                </th>
-              ))}
-              <th>Valor Total</th>
-              <th>Acciones</th>
-            </tr>
-          </thead>
-          <tbody>
-            {sortedBatches.length === 0 ? (
-              <tr>
-                <td colSpan={visibleColumns.length + 2} style={{ textAlign: 'center', padding: '32px' }}>
-                  <div className="empty-state">
-                    <div style={{ fontSize: '48px', marginBottom: '16px' }}>📦</div>
-                    <p>No hay inventario disponible</p>
-                    <p style={{ fontSize: '14px', color: 'var(--color-text-secondary)' }}>
-                      {searchTerm ? 'Intenta con otros términos de búsqueda' : 'Agrega productos usando el panel de simulación'}
-                    </p>
-                  </div>
-                </td>
-              </tr>
-            ) : (
-              sortedBatches.map(batch => {
-                const product = products.find(p => p.sku === batch.product_sku) || {};
-                const isZeroStock = (Number(batch.quantity) || 0) === 0;
-                const expiryStatus = checkExpiry(batch.expiry);
-                const isReturned = batch.lot?.startsWith('DEV-') || batch.lot?.startsWith('UNDO-');
-                const rowStyle = {
-                  color: expiryStatus === 'expired' ? 'red' : 
-                         expiryStatus === 'expiring-soon' ? '#ffd700' : 'inherit',
-                  opacity: isReturned ? 0.5 : 1
-                };
+  const toggle = (id, mode) => {
+    setExpanded(prev => (prev?.id === id && prev.mode === mode ? null : { id, mode }));
+    setPayment({ amount: '', method: 'efectivo', note: '' });
+  };
 
-                // Filtrar por sección únicamente
-                // if sectionMode === 'inventario' -> ocultar lotes que son devoluciones (DEV-, UNDO-)
-                // if sectionMode === 'ventas' -> mostrar sólo lotes relacionados a ventas/devoluciones (DEV-SALE-, UNDO-)
-                if (sectionMode === 'inventario') {
-                  if (batch.lot?.startsWith('DEV-') || batch.lot?.startsWith('UNDO-')) {
-                    return null;
-                  }
-                } else { // ventas
-                  if (!batch.lot?.startsWith('DEV-SALE-') && !batch.lot?.startsWith('UNDO-')) {
-                    return null;
-                  }
-                }
+  const submitPayment = async (customer, balance) => {
+    const amount = Number(payment.amount);
+    if (!(amount > 0)) return alert('Ingresa el monto del abono');
+    if (amount > balance + 0.005) return alert(`El abono supera la deuda de ${money(balance)}`);
+    const ok = await onPayment(customer.id, amount, payment.method, payment.note);
+    if (ok) setExpanded(null);
+  };
 
-                // Build cells in the same order as visibleColumns to keep headers aligned
-                const cells = visibleColumns.map(col => {
-                  switch (col.key) {
-                    case 'sku':
-                      return (
-                        <td key={`sku-${batch.id}`} style={rowStyle}><strong>{batch.product_sku || '-'}</strong></td>
-                      );
-                    case 'name':
-                      return (
-                        <td key={`name-${batch.id}`} style={rowStyle}>{product.name || '-'}</td>
-                      );
-                    case 'category':
-                      return (
-                        <td key={`category-${batch.id}`} style={rowStyle}>{product.category || '-'}</td>
-                      );
-                    case 'lot':
-                      return (
-                        <td key={`lot-${batch.id}`} style={rowStyle}>{batch.lot || '-'}</td>
-                      );
-                    case 'expiry':
-                      return (
-                        <td key={`expiry-${batch.id}`} style={rowStyle}>
-                          {formatDate(batch.expiry)}
-                          {expiryStatus === 'expiring-soon' && ' ⚠️'}
-                          {expiryStatus === 'expired' && ' ❌'}
-                        </td>
-                      );
-                    case 'quantity':
-                      return (
-                        <td key={`quantity-${batch.id}`} style={rowStyle}>
-                          <strong>{Number(batch.quantity || 0).toLocaleString()}</strong>
-                        </td>
-                      );
-                    case 'purchase_price':
-                      return (
-                        <td key={`purchase_price-${batch.id}`} style={rowStyle}>
-                          {settings?.currency || 'S/'}{Number(batch.purchase_price || 0).toFixed(2)}
-                        </td>
-                      );
-                    case 'sale_price':
-                      return (
-                        <td key={`sale_price-${batch.id}`} style={rowStyle}>
-                          {settings?.currency || 'S/'}{Number(product.default_sale_price || 0).toFixed(2)}
-                        </td>
-                      );
-                    default:
-                      return (<td key={`${col.key}-${batch.id}`} style={rowStyle}>-</td>);
-                  }
-                });
+  return (
+    <div>
+      <div className="tabs">
+        <button className={`tab ${tab === 'customers' ? 'tab--active' : ''}`} onClick={() => setTab('customers')}>
+          👤 Clientes
+        </button>
+        <button className={`tab ${tab === 'aging' ? 'tab--active' : ''}`} onClick={() => setTab('aging')}>
+          ⏳ Antigüedad de deuda
+        </button>
+      </div>
 
-                const rowTotal = (Number(batch.quantity || 0) * Number(batch.purchase_price || 0));
+      {tab === 'customers' && (
+        <div>
+          <div style={{ marginBottom: '16px', padding: '12px', background: 'var(--color-bg-1)', borderRadius: '8px' }}>
+            <h4 style={{ margin: '0 0 8px 0' }}>{form.id ? '✏️ Editar cliente' : '➕ Nuevo cliente'}</h4>
+            <form onSubmit={submit} style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap' }}>
+              <input className="form-control" placeholder="DNI/RUC" value={form.doc_number} onChange={(e) => setForm(prev => ({ ...prev, doc_number: e.target.value }))} style={{ width: '130px' }} />
+              <input className="form-control" placeholder="Nombre o razón social" value={form.name} onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))} style={{ width: '220px' }} />
+              <input className="form-control" placeholder="Teléfono" value={form.phone} onChange={(e) => setForm(prev => ({ ...prev, phone: e.target.value }))} style={{ width: '130px' }} />
+              <input
+                className="form-control"
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder="Límite de crédito"
+                value={form.credit_limit}
+                disabled={!canEditLimit}
+                title={canEditLimit ? '' : 'Solo un administrador asigna límites de crédito'}
+                onChange={(e) => setForm(prev => ({ ...prev, credit_limit: e.target.value }))}
+                style={{ width: '150px' }}
+              />
+              <button className="btn btn--primary btn--sm" type="submit">{form.id ? 'Guardar' : 'Agregar'}</button>
+              {form.id && <button className="btn btn--outline btn--sm" type="button" onClick={() => setForm(emptyCustomer)}>Cancelar</button>}
+            </form>
+          </div>
 
-                return (
-                  <tr key={batch.id} className={isZeroStock ? 'inventory-table--zero-stock' : ''}>
-                    {cells}
-                    <td style={rowStyle}>
-                      <strong>
-                        {settings?.currency || 'S/'}{rowTotal.toFixed(2)}
-                      </strong>
-                    </td>
-                    <td>
-                      {!isReturned && !batch.lot?.startsWith('INIT-') && (
-                        <button 
-                          className="btn btn--outline btn--sm"
-                          onClick={() => onReturn(batch, sectionMode)}
-                          title="Devolver producto"
-                          style={{ width: '100%' }}
-                        >
-                          {viewMode === 'ventas' ? '🔄 Devolver venta' : '↩️ Devolver compra'}
+          <div className="toolbar">
+            <input className="form-control" placeholder="Buscar por nombre o documento" value={search} onChange={(e) => setSearch(e.target.value)} style={{ maxWidth: 320 }} />
+            <span className="status status--info">{customers.length} clientes</span>
+            <span className="status status--warning">Por cobrar {money(debtors.reduce((sum, a) => sum + a.account.balance, 0))}</span>
+          </div>
+
+          <div className="table-container" style={{ border: '1px solid var(--color-border)', borderRadius: 8, overflow: 'auto', maxHeight: 600 }}>
+            <table className="inventory-table" style={{ width: '100%', borderCollapse: 'separate', borderSpacing: 0 }}>
+              <thead style={{ position: 'sticky', top: 0, background: 'var(--color-surface)' }}>
+                <tr>
+                  <th style={{ textAlign: 'left', padding: '8px 12px' }}>Cliente</th>
+                  <th style={{ textAlign: 'left', padding: '8px 12px' }}>Documento</th>
+                  <th style={{ textAlign: 'left', padding: '8px 12px' }}>Teléfono</th>
+                  <th style={{ textAlign: 'right', padding: '8px 12px' }}>Límite</th>
+                  <th style={{ textAlign: 'right', padding: '8px 12px' }}>Saldo</th>
+                  <th style={{ textAlign: 'right', padding: '8px 12px' }}>Disponible</th>
+                  <th style={{ padding: '8px 12px' }}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {visible.length === 0 ? (
+                  <tr><td colSpan="7" style={{ padding: 24, textAlign: 'center', color: 'var(--color-text-secondary)' }}>No hay clientes registrados</td></tr>
+                ) : visible.map(({ customer, account }) => (
+                  <React.Fragment key={customer.id}>
+                    <tr style={{ opacity: customer.active === false ? 0.5 : 1 }}>
+                      <td style={{ padding: '8px 12px' }}><strong>{customer.name}</strong>{customer.active === false && ' (inactivo)'}</td>
+                      <td style={{ padding: '8px 12px' }}>{customer.doc_number ? `${customerIdType(customer.doc_number)?.label || ''} ${customer.doc_number}` : '-'}</td>
+                      <td style={{ padding: '8px 12px' }}>{customer.phone || '-'}</td>
+                      <td style={{ padding: '8px 12px', textAlign: 'right' }}>{money(customer.credit_limit)}</td>
+                      <td style={{ padding: '8px 12px', textAlign: 'right', fontWeight: 'bold', color: account.balance > 0 ? 'red' : 'inherit' }}>{money(account.balance)}</td>
+                      <td style={{ padding: '8px 12px', textAlign: 'right' }}>{money(availableCredit(customer, account.balance))}</td>
+                      <td style={{ padding: '8px 12px', whiteSpace: 'nowrap' }}>
+                        <button className="btn btn--outline btn--sm" onClick={() => setForm({ ...emptyCustomer, ...customer, credit_limit: String(customer.credit_limit ?? '') })}>✏️ Editar</button>
+                        <button className="btn btn--primary btn--sm" onClick={() => toggle(customer.id, 'payment')} disabled={account.balance <= 0} style={{ marginLeft: 4 }}>💵 Abonar</button>
+                        <button className="btn btn--outline btn--sm" onClick={() => toggle(customer.id, 'statement')} style={{ marginLeft: 4 }}>📄 Cuenta</button>
+                        <button className="btn btn--outline btn--sm" onClick={() => onSave({ ...customer, active: customer.active === false })} style={{ marginLeft: 4 }}>
+                          {customer.active === false ? '♻️ Reactivar' : '🗄️ Desactivar'}
                         </button>
-                      )}
-                      {isReturned && (
-                        <span style={{ 
-                          fontSize: '12px', 
-                          color: 'var(--color-text-secondary)',
-                          fontStyle: 'italic' 
-                        }}>
-                          Devuelto
-                        </span>
-                      )}
-                    </td>
+                      </td>
+                    </tr>
+                    {expanded?.id === customer.id && expanded.mode === 'payment' && (
+                      <tr>
+                        <td colSpan="7" style={{ padding: '8px 12px', background: 'var(--color-bg-1)' }}>
+                          <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+                            <span>Deuda {money(account.balance)}</span>
+                            <input className="form-control" type="number" min="0" step="0.01" placeholder="Monto" value={payment.amount} onChange={(e) => setPayment(prev => ({ ...prev, amount: e.target.value }))} style={{ width: 120 }} />
+                            <select className="form-control" value={payment.method} onChange={(e) => setPayment(prev => ({ ...prev, method: e.target.value }))} style={{ width: 150 }}>
+                              {COLLECTION_METHODS.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+                            </select>
+                            <input className="form-control" placeholder="Nota (opcional)" value={payment.note} onChange={(e) => setPayment(prev => ({ ...prev, note: e.target.value }))} style={{ width: 200 }} />
+                            <button className="btn btn--primary btn--sm" onClick={() => submitPayment(customer, account.balance)}>Registrar abono</button>
+                          </div>
+                        </td>
+                      </tr>
+                    )}
+                    {expanded?.id === customer.id && expanded.mode === 'statement' && (
+                      <tr>
+                        <td colSpan="7" style={{ padding: '8px 12px', background: 'var(--color-bg-1)' }}>
+                          {account.entries.length === 0 ? (
+                            <span style={{ color: 'var(--color-text-secondary)' }}>Sin movimientos de crédito</span>
+                          ) : (
+                            <table style={{ width: '100%', fontSize: 13 }}>
+                              <thead>
+                                <tr>
+                                  <th style={{ textAlign: 'left' }}>Fecha</th>
+                                  <th style={{ textAlign: 'left' }}>Concepto</th>
+                                  <th style={{ textAlign: 'left' }}>Referencia</th>
+                                  <th style={{ textAlign: 'right' }}>Importe</th>
+                                  <th style={{ textAlign: 'right' }}>Saldo</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {account.entries.map((entry, i) => (
+                                  <tr key={i}>
+                                    <td>{formatDateTime(entry.timestamp)}</td>
+                                    <td>{entry.type === 'cargo' ? 'Venta al crédito' : entry.type === 'abono' ? 'Abono' : 'Devolución/anulación'}</td>
+                                    <td>{entry.reference}</td>
+                                    <td style={{ textAlign: 'right' }}>{money(entry.amount)}</td>
+                                    <td style={{ textAlign: 'right' }}>{money(entry.balance)}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {tab === 'aging' && (
+        <div>
+          <div className="toolbar">
+            <span className="status status--info">{debtors.length} clientes con deuda</span>
+            <button className="btn btn--outline btn--sm" onClick={onExport} disabled={debtors.length === 0}>📊 Exportar XLSX</button>
+          </div>
+          <div className="table-container" style={{ border: '1px solid var(--color-border)', borderRadius: 8, overflow: 'auto' }}>
+            <table className="inventory-table" style={{ width: '100%', borderCollapse: 'separate', borderSpacing: 0 }}>
+              <thead style={{ background: 'var(--color-surface)' }}>
+                <tr>
+                  <th style={{ textAlign: 'left', padding: '8px 12px' }}>Cliente</th>
+                  {AGING_BUCKETS.map(b => <th key={b.key} style={{ textAlign: 'right', padding: '8px 12px' }}>{b.label}</th>)}
+                  <th style={{ textAlign: 'right', padding: '8px 12px' }}>Total</th>
+                  <th style={{ textAlign: 'left', padding: '8px 12px' }}>Venta más antigua</th>
+                </tr>
+              </thead>
+              <tbody>
+                {debtors.length === 0 ? (
+                  <tr><td colSpan={AGING_BUCKETS.length + 3} style={{ padding: 24, textAlign: 'center', color: 'var(--color-text-secondary)' }}>No hay deudas pendientes</td></tr>
+                ) : [...debtors].sort((a, b) => b.account.balance - a.account.balance).map(({ customer, account }) => (
+                  <tr key={customer.id}>
+                    <td style={{ padding: '8px 12px' }}>{customer.name}</td>
+                    {AGING_BUCKETS.map(b => (
+                      <td key={b.key} style={{ padding: '8px 12px', textAlign: 'right', color: account.aging[b.key] > 0 && b.max > 30 ? 'red' : 'inherit' }}>{money(account.aging[b.key])}</td>
+                    ))}
+                    <td style={{ padding: '8px 12px', textAlign: 'right', fontWeight: 'bold' }}>{money(account.balance)}</td>
+                    <td style={{ padding: '8px 12px' }}>{formatDate(account.charges.find(c => c.pending > 0)?.timestamp)}</td>
                   </tr>
-                );
-              })
-            )}
-          </tbody>
-        </table>
+                ))}
+                {debtors.length > 0 && (
+                  <tr style={{ fontWeight: 'bold' }}>
+                    <td style={{ padding: '8px 12px' }}>Total</td>
+                    {AGING_BUCKETS.map(b => <td key={b.key} style={{ padding: '8px 12px', textAlign: 'right' }}>{money(agingTotals[b.key])}</td>)}
+                    <td style={{ padding: '8px 12px', textAlign: 'right' }}>{money(debtors.reduce((sum, a) => sum + a.account.balance, 0))}</td>
+                    <td></td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Backup & restore panel ("Respaldo")
+function BackupPanel({ currentData, settings, onDownload, onRestore }) {
+  const [backup, setBackup] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [validation, setValidation] = useState(null);
+  const [mode, setMode] = useState('merge');
+  const [restoring, setRestoring] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setFileName(file.name);
+    setBackup(null);
+    setValidation(null);
+    try {
+      const parsed = JSON.parse(await file.text());
+      const result = await validateBackup(parsed);
+      setBackup(parsed);
+      setValidation(result);
+    } catch (error) {
+      setValidation({ errors: ['No se pudo leer el archivo: ' + error.message], warnings: [] });
+    }
+  };
+
+  const clearSelection = () => {
+    setBackup(null);
+    setValidation(null);
+    setFileName('');
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  };
+
+  const keyOf = (storeName, record) => storeName === 'products' ? record.sku : record.id;
+
+  const summary = backup && validation?.errors.length === 0
+    ? BACKUP_SUMMARY_STORES.map(({ name, label, renumber }) => {
+        const current = currentData[name] || [];
+        const incoming = backup.stores[name] || [];
+        const currentByKey = new Map(current.map(r => [keyOf(name, r), r]));
+        const newRecords = incoming.filter(r => {
+          const local = currentByKey.get(keyOf(name, r));
+          return !local || (renumber && !sameBackupRecord(local, r));
+        }).length;
+        return {
+          name,
+          label,
+          current: current.length,
+          incoming: incoming.length,
+          newRecords,
+          result: mode === 'replace' ? incoming.length : current.length + newRecords
+        };
+      })
+    : [];
+
+  const submitRestore = async () => {
+    const message = mode === 'replace'
+      ? 'Se reemplazarán TODOS los datos locales por los del respaldo. ¿Continuar?'
+      : 'Se agregarán los registros del respaldo que no existen localmente (los que chocan con un id local reciben uno nuevo). ¿Continuar?';
+    if (!confirm(message)) return;
+    setRestoring(true);
+    const ok = await onRestore(backup, mode);
+    setRestoring(false);
+    if (ok) clearSelection();
+  };
+
+  return (
+    <div>
+      <div className="panel" style={{ marginBottom: '16px' }}>
+        <h3 style={{ marginBottom: '8px' }}>💾 Respaldo completo</h3>
+        <p style={{ fontSize: '14px', color: 'var(--color-text-secondary)', marginBottom: '12px' }}>
+          Descarga un archivo JSON con todos los datos de {settings?.bodega || 'la bodega'} (productos, lotes, ventas, devoluciones, movimientos y configuración), con versión de esquema y suma de verificación.
+        </p>
+        <button className="btn btn--primary" onClick={onDownload}>
+          ⬇️ Descargar respaldo
+        </button>
       </div>
-      
-      {/* Summary */}
-      {sortedBatches.length > 0 && (
-        <div style={{ marginTop: '16px', padding: '12px', background: 'var(--color-bg-1)', borderRadius: '8px' }}>
-          <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '14px' }}>
-            <span>
-              <strong>Total mostrado:</strong> {sortedBatches.length} lotes
-            </span>
-            <span>
-              <strong>Valor total:</strong> {settings?.currency || 'S/'}
-              {sortedBatches.reduce((sum, batch) => 
-                sum + ((batch.quantity || 0) * (batch.purchase_price || 0)), 0
-              ).toFixed(2)}
-            </span>
+
+      <div className="panel">
+        <h3 style={{ marginBottom: '8px' }}>♻️ Restaurar respaldo</h3>
+        <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleFile} className="form-control" style={{ maxWidth: 420 }} />
+
+        {validation && (
+          <div style={{ marginTop: '12px' }}>
+            <div style={{ fontSize: '13px', marginBottom: '8px' }}>
+              <strong>{fileName}</strong>
+              {backup?.created_at && ` · creado ${formatDateTime(backup.created_at)}`}
+              {backup?.schema_version && ` · esquema v${backup.schema_version}`}
+            </div>
+            {validation.errors.map((err, i) => (
+              <div key={`err-${i}`} className="status status--error" style={{ display: 'block', marginBottom: '4px' }}>❌ {err}</div>
+            ))}
+            {validation.warnings.map((warn, i) => (
+              <div key={`warn-${i}`} className="status status--warning" style={{ display: 'block', marginBottom: '4px' }}>⚠️ {warn}</div>
+            ))}
+          </div>
+        )}
+
+        {summary.length > 0 && (
+          <div style={{ marginTop: '12px' }}>
+            <div className="table-container" style={{ border: '1px solid var(--color-border)', borderRadius: 8, overflow: 'auto' }}>
+              <table className="inventory-table" style={{ width: '100%', borderCollapse: 'separate', borderSpacing: 0 }}>
+                <thead style={{ background: 'var(--color-surface)' }}>
+                  <tr>
+                    <th style={{ textAlign: 'left', padding: '8px 12px' }}>Datos</th>
+                    <th style={{ textAlign: 'right', padding: '8px 12px' }}>Actual</th>
+                    <th style={{ textAlign: 'right', padding: '8px 12px' }}>En respaldo</th>
+                    <th style={{ textAlign: 'right', padding: '8px 12px' }}>Nuevos</th>
+                    <th style={{ textAlign: 'right', padding: '8px 12px' }}>Resultado</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {summary.map(row => (
+                    <tr key={row.name}>
+                      <td style={{ padding: '8px 12px' }}>{row.label}</td>
+                      <td style={{ padding: '8px 12px', textAlign: 'right' }}>{row.current}</td>
+                      <td style={{ padding: '8px 12px', textAlign: 'right' }}>{row.incoming}</td>
+                      <td style={{ padding: '8px 12px', textAlign: 'right' }}>{row.newRecords}</td>
+                      <td style={{ padding: '8px 12px', textAlign: 'right' }}><strong>{row.result}</strong></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div style={{ display: 'flex', gap: '16px', margin: '12px 0', fontSize: '14px' }}>
+              <label style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                <input type="radio" name="restore-mode" checked={mode === 'merge'} onChange={() => setMode('merge')} />
+                Fusionar (solo agrega registros que no existen; los de otro equipo se renumeran)
+              </label>
+              <label style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                <input type="radio" name="restore-mode" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+                Reemplazar todo
+              </label>
+            </div>
+
+            <div style={{ display: 'flex', gap: 8 }}>
+              <button className="btn btn--primary" onClick={submitRestore} disabled={restoring}>
+                {restoring ? '⏳ Restaurando...' : '♻️ Restaurar'}
+              </button>
+              <button className="btn btn--outline" onClick={clearSelection} disabled={restoring}>
+                Cancelar
+              </button>
+            </div>
           </div>
-        </div>
-      )}
+        )}
+      </div>
     </div>
   );
 }
 
-// Sales Table component
-function SalesTable({ sales, products, settings, onUndoSale }) {
-  const [search, setSearch] = useState('');
+// Pantalla de recuperación cuando la BD no abre: exportar antes de reiniciar
+function DatabaseRecovery({ errorMessage }) {
+  const [exported, setExported] = useState(false);
+  const [exportError, setExportError] = useState(null);
 
-  const filtered = (sales || [])
-    .filter(s => s && s.status !== 'cancelled')
-    .filter(s => {
-      if (!search) return true;
-      const prod = products.find(p => p.sku === s.sku) || {};
-      const haystack = [s.sku, prod.name, s.product_name]
-        .filter(Boolean)
-        .join(' ')
-        .toLowerCase();
-      return haystack.includes(search.toLowerCase());
-    })
-    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  const handleExport = async () => {
+    try {
+      const snapshot = await readDatabaseSnapshot();
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      saveAs(new Blob([JSON.stringify(snapshot, null, 2)], { type: 'application/json' }), `respaldo_emergencia_${timestamp}.json`);
+      setExported(true);
+      setExportError(null);
+    } catch (e) {
+      console.error('Error exportando respaldo de emergencia:', e);
+      setExportError(e.message || String(e));
+    }
+  };
 
-  return (
-    <div>
-      <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 12 }}>
-        <input
-          className="form-control"
-          placeholder="Buscar por SKU o nombre"
-          value={search}
-          onChange={(e) => setSearch(e.target.value)}
-          style={{ maxWidth: 360 }}
-        />
-        <span className="status status--info">{filtered.length} ventas</span>
-      </div>
+  const handleReset = async () => {
+    const message = exported
+      ? '¿Eliminar la base de datos local? Ya descargaste un respaldo.'
+      : 'No has exportado un respaldo. Se perderán todos los datos locales. ¿Continuar de todos modos?';
+    if (!confirm(message)) return;
+    try {
+      const delReq = window.indexedDB.deleteDatabase(DB_NAME);
+      await new Promise((res, rej) => {
+        delReq.onsuccess = () => res(true);
+        delReq.onerror = () => rej(new Error('No se pudo borrar la base de datos'));
+        delReq.onblocked = () => res(false);
+      });
+    } catch (e) {
+      console.error('Error al borrar BD desde UI:', e);
+    }
+    window.location.reload();
+  };
 
-      <div className="table-container" style={{
-        border: '1px solid var(--color-border)',
-        borderRadius: 8,
-        overflow: 'auto',
-        maxHeight: 600,
-        boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
-      }}>
-        <table className="inventory-table" style={{ width: '100%', borderCollapse: 'separate', borderSpacing: 0 }}>
-          <thead style={{ position: 'sticky', top: 0, background: 'var(--color-surface)', zIndex: 1 }}>
-            <tr>
-              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Fecha</th>
-              <th style={{ textAlign: 'left', padding: '8px 12px' }}>SKU</th>
-              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Producto</th>
-              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Cantidad</th>
-              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Precio</th>
-              <th style={{ textAlign: 'right', padding: '8px 12px' }}>Total</th>
-              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Operador</th>
-              <th style={{ textAlign: 'left', padding: '8px 12px' }}>Acciones</th>
-            </tr>
-          </thead>
-          <tbody>
-            {filtered.length === 0 ? (
-              <tr>
-                <td colSpan="8" style={{ padding: 24, textAlign: 'center', color: 'var(--color-text-secondary)' }}>
-                  No hay ventas para mostrar
-                </td>
-              </tr>
-            ) : (
-              filtered.map(sale => {
-                const prod = products.find(p => p.sku === sale.sku) || {};
-                return (
-                  <tr key={sale.id}>
-                    <td style={{ padding: '8px 12px' }}>{formatDateTime(sale.timestamp)}</td>
-                    <td style={{ padding: '8px 12px' }}>{sale.sku}</td>
-                    <td style={{ padding: '8px 12px' }}>{sale.product_name || prod.name || '-'}</td>
-                    <td style={{ padding: '8px 12px', textAlign: 'right' }}>{sale.quantity}</td>
-                    <td style={{ padding: '8px 12px', textAlign: 'right' }}>{(settings?.currency || 'S/') + (Number(sale.sale_price || 0).toFixed(2))}</td>
-                    <td style={{ padding: '8px 12px', textAlign: 'right' }}>{(settings?.currency || 'S/') + (Number(sale.total || (sale.quantity * sale.sale_price || 0)).toFixed(2))}</td>
-                    <td style={{ padding: '8px 12px' }}>{sale.operator || '-'}</td>
-                    <td style={{ padding: '8px 12px' }}>
-                      <button
-                        className="btn btn--outline btn--sm"
-                        onClick={() => onUndoSale({ id: sale.id, sku: sale.sku, name: sale.product_name || prod.name || sale.sku, quantity: sale.quantity, device_id: sale.device_id, sale_id: sale.id })}
-                      >
-                        ↩️ Deshacer venta
-                      </button>
-                    </td>
-                  </tr>
-                );
-              })
-            )}
-          </tbody>
-        </table>
+  return (
+    <div style={{ 
+      display: 'flex', 
+      flexDirection: 'column', 
+      alignItems: 'center', 
+      justifyContent: 'center', 
+      height: '100vh',
+      padding: '20px',
+      textAlign: 'center'
+    }}>
+      <div style={{ fontSize: '48px', marginBottom: '16px' }}>⚠️</div>
+      <h2>Error de Inicialización</h2>
+      <p>No se pudo abrir la base de datos. Tus datos no fueron eliminados.</p>
+      {errorMessage && (
+        <div style={{ marginTop: 12, padding: 12, background: 'rgba(0,0,0,0.03)', borderRadius: 6, maxWidth: 680 }}>
+          <strong>Detalles:</strong>
+          <div style={{ marginTop: 6, fontSize: 13, color: 'var(--color-text-secondary)' }}>{errorMessage}</div>
+        </div>
+      )}
+      <ol style={{ textAlign: 'left' }}>
+        <li>Recarga la página (cierra otras pestañas de la aplicación)</li>
+        <li>Exporta un respaldo de los datos actuales</li>
+        <li>Solo si el problema persiste, reinicia la BD</li>
+      </ol>
+      {exportError && (
+        <p style={{ color: 'var(--color-error)', fontSize: 13 }}>No se pudo exportar: {exportError}</p>
+      )}
+      <div style={{ display: 'flex', gap: 12, marginTop: 16 }}>
+        <button className="btn btn--primary" onClick={() => window.location.reload()}>
+          🔄 Recargar Aplicación
+        </button>
+        <button className="btn btn--secondary" onClick={handleExport}>
+          💾 {exported ? 'Respaldo descargado' : 'Exportar respaldo'}
+        </button>
+        <button className="btn btn--outline" onClick={handleReset}>
+          🧹 Reset BD
+        </button>
       </div>
     </div>
   );
@@ -1591,13 +7459,22 @@ function App() {
   const [activeView, setActiveView] = useState('dashboard');
   const [dbStatus, setDbStatus] = useState('initializing'); // 'initializing', 'ready', 'error'
   const [dbErrorMessage, setDbErrorMessage] = useState(null);
+  const [migrationProgress, setMigrationProgress] = useState(null);
   
   // Device state
-  const [devices, setDevices] = useState(SIMULATED_DEVICES);
-  const [selectedDevice, setSelectedDevice] = useState(SIMULATED_DEVICES[0]); // will be updated after onboarding if operators provided
+  const [deviceRegistry, setDeviceRegistry] = useState([]);
+  const [deviceAssignments, setDeviceAssignments] = useState([]);
+  const [selectedDeviceId, setSelectedDeviceId] = useState(null);
   const [activeDeviceIds, setActiveDeviceIds] = useState([]);
+  const [activeSensorId, setActiveSensorId] = useState(null);
+  // Pulseras vigentes con el operador que las tiene asignadas ahora
+  const devices = deviceRegistry
+    .filter(d => d.type === 'pulsera' && d.status !== 'retired')
+    .map(d => ({ ...d, operator: deviceOperatorAt(deviceAssignments, d.id) }));
+  const salesSensors = deviceRegistry.filter(d => d.type === 'sensor' && d.status !== 'retired');
+  const selectedDevice = devices.find(d => d.id === selectedDeviceId) || devices[0] || null;
   const connected = activeDeviceIds.length > 0;
-  const [salesSensorConnected, setSalesSensorConnected] = useState(false);
+  const salesSensorConnected = salesSensors.some(s => s.id === activeSensorId);
   const [simSinceReset, setSimSinceReset] = useState(0);
   
   // Data state
@@ -1606,168 +7483,861 @@ function App() {
   const [movements, setMovements] = useState([]);
   const [sales, setSales] = useState([]);
   const [returns, setReturns] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [purchaseOrders, setPurchaseOrders] = useState([]);
+  const [priceHistory, setPriceHistory] = useState([]);
+  const [stockCounts, setStockCounts] = useState([]);
+  const [shifts, setShifts] = useState([]);
+  const [documents, setDocuments] = useState([]);
+  const [documentSeries, setDocumentSeries] = useState([]);
+  const [receiptSaleId, setReceiptSaleId] = useState(null);
+  const [customers, setCustomers] = useState([]);
+  const [customerPayments, setCustomerPayments] = useState([]);
+  const [promotions, setPromotions] = useState([]);
+  const [operators, setOperators] = useState([]);
+  const [currentOperator, setCurrentOperator] = useState(null);
+  const [showOperators, setShowOperators] = useState(false);
+  const [pickingSettings, setPickingSettings] = useState(DEFAULT_PICKING_SETTINGS);
+  const [expirySettings, setExpirySettings] = useState(DEFAULT_EXPIRY_SETTINGS);
   const [events, setEvents] = useState([]);
   
   // UI state
   const [toasts, setToasts] = useState([]);
   const [isExporting, setIsExporting] = useState(false);
 
-  const getActiveDevices = () => devices.filter(d => activeDeviceIds.includes(d.id));
-  const resolveOperatorDevice = () => {
-    const active = getActiveDevices();
-    if (active.length > 0) {
-      if (selectedDevice && activeDeviceIds.includes(selectedDevice.id)) return selectedDevice;
-      return active[0];
+  const getActiveDevices = () => devices.filter(d => activeDeviceIds.includes(d.id));
+  const resolveOperatorDevice = () => {
+    const active = getActiveDevices();
+    if (active.length > 0) {
+      if (selectedDevice && activeDeviceIds.includes(selectedDevice.id)) return selectedDevice;
+      return active[0];
+    }
+    return selectedDevice;
+  };
+
+  // Sin operador registrado se usa quien tenía el dispositivo en ese momento
+  const resolveOperatorName = (rawOperator, deviceId, timestamp) => {
+    const trimmed = String(rawOperator || '').trim();
+    if (trimmed) return trimmed;
+    const holder = deviceOperatorAt(deviceAssignments, deviceId, timestamp || nowISO());
+    if (holder) return holder;
+    return settings?.user || 'Sin operador';
+  };
+
+  // Operador que firma los movimientos: la sesión iniciada con PIN
+  const currentOperatorName = (device = resolveOperatorDevice()) =>
+    currentOperator?.name || device?.operator || settings?.user || 'Usuario';
+
+  // Turno de caja abierto por el operador de la sesión: recibe las ventas, anulaciones y devoluciones
+  const activeShift = shifts.find(s => s.status === 'open' && s.operator_id === currentOperator?.id) || null;
+
+  // Verifica el permiso de la sesión actual y avisa cuando se deniega
+  const requirePermission = (permission) => {
+    if (hasPermission(currentOperator, permission)) return true;
+    const who = currentOperator ? `${currentOperator.name} (${operatorRoleLabel(currentOperator.role)})` : 'Sin sesión iniciada,';
+    addToast('error', 'Permiso denegado', `${who} no puede ${PERMISSIONS[permission]?.label || permission}`);
+    return false;
+  };
+  
+  useEffect(() => {
+    const initializeApp = async () => {
+      setDbStatus('initializing');
+      setDbErrorMessage(null);
+      setMigrationProgress(null);
+
+      try {
+        if (!window.indexedDB) {
+          throw new Error('IndexedDB no está disponible en este navegador/entorno');
+        }
+
+        // Inicializar la base de datos (aplica migraciones pendientes)
+        const database = await initDB(setMigrationProgress);
+        setDb(database);
+
+        // Cargar configuración
+        try {
+          const savedSettings = await database.get('settings', 'onboarding');
+          if (savedSettings) {
+            setSettings(savedSettings.value);
+
+            // Conectar la primera pulsera vigente del registro
+            const registry = await database.getAll('devices');
+            const first = registry.find(d => d.type === 'pulsera' && d.status !== 'retired');
+
+            if (first) {
+              setSelectedDeviceId(first.id);
+              setActiveDeviceIds([first.id]);
+              addToast('info', 'Conexión automática', 'Sensor de ventas activado automáticamente');
+              setEvents(prev => [{
+                id: Date.now(),
+                type: 'system',
+                sku: 'SYSTEM',
+                name: 'Sistema inicializado y conectado',
+                quantity: 0,
+                timestamp: nowISO(),
+                device_id: first.id,
+                operator: 'system'
+              }, ...prev.slice(0, 19)]);
+            }
+          }
+        } catch (errSettings) {
+          console.warn('No se pudieron cargar settings (no crítico):', errSettings);
+        }
+
+        // Cargar datos iniciales
+        await loadPreferences(database);
+        await refreshData(database);
+
+        setDbStatus('ready');
+        console.log('Aplicación inicializada correctamente');
+      } catch (error) {
+        // No borrar nada automáticamente: la pantalla de recuperación ofrece
+        // exportar un respaldo antes de reiniciar la BD.
+        console.error('Error al inicializar la aplicación:', error);
+        setDbErrorMessage(error.message || String(error));
+        setDbStatus('error');
+        addToast('error', 'Error de inicialización', 'No se pudo inicializar la base de datos. ' + (error.message || ''));
+      }
+    };
+
+    initializeApp();
+  }, []);
+
+  // Garantiza que la BD esté lista cuando se necesita (fallback perezoso)
+  const ensureDbReady = async () => {
+    if (db) return db;
+    try {
+      const database = await initDB();
+      setDb(database);
+      // cargar datos básicos para no romper KPIs/visuales
+      await refreshData(database);
+      return database;
+    } catch (e) {
+      console.error('No se pudo inicializar BD on-demand:', e);
+      addToast('error', 'BD no lista', 'No se pudo inicializar la base de datos');
+      throw e;
+    }
+  };
+  
+  const refreshData = async (database = db) => {
+    if (!database) return;
+    
+    try {
+      const [productsData, batchesData, movementsData, salesData, returnsData, suppliersData, ordersData, priceHistoryData, countsData, operatorsData, registryData, assignmentsData, shiftsData, documentsData, seriesData, customersData, customerPaymentsData, promotionsData] = await Promise.all([
+        database.getAll('products'),
+        database.getAll('batches'),
+        database.getAll('movements'),
+        database.getAll('sales').catch(() => []),
+        database.getAll('returns').catch(() => []),
+        database.getAll('suppliers').catch(() => []),
+        database.getAll('purchase_orders').catch(() => []),
+        database.getAll('price_history').catch(() => []),
+        database.getAll('stock_counts').catch(() => []),
+        database.getAll('operators').catch(() => []),
+        database.getAll('devices').catch(() => []),
+        database.getAll('device_assignments').catch(() => []),
+        database.getAll('shifts').catch(() => []),
+        database.getAll('documents').catch(() => []),
+        database.getAll('document_series').catch(() => []),
+        database.getAll('customers').catch(() => []),
+        database.getAll('customer_payments').catch(() => []),
+        database.getAll('promotions').catch(() => [])
+      ]);
+      
+      setProducts(productsData);
+      setBatches(batchesData);
+      setMovements(movementsData);
+      setSales(salesData || []);
+      setReturns(returnsData || []);
+      setSuppliers(suppliersData || []);
+      setPurchaseOrders(ordersData || []);
+      setPriceHistory(priceHistoryData || []);
+      setStockCounts(countsData || []);
+      setOperators(operatorsData || []);
+      setDeviceRegistry(registryData || []);
+      setDeviceAssignments(assignmentsData || []);
+      setShifts(shiftsData || []);
+      setDocuments(documentsData || []);
+      setDocumentSeries(seriesData || []);
+      setCustomers(customersData || []);
+      setCustomerPayments(customerPaymentsData || []);
+      setPromotions(promotionsData || []);
+    } catch (error) {
+      console.error('Error loading data:', error);
+      addToast('error', 'Error', 'No se pudieron cargar los datos');
+    }
+  };
+
+  // Preferencias guardadas en settings aparte del onboarding
+  const loadPreferences = async (database = db) => {
+    if (!database) return;
+    try {
+      const picking = await database.get('settings', 'picking');
+      setPickingSettings({ ...DEFAULT_PICKING_SETTINGS, ...(picking?.value || {}) });
+      const expiry = await database.get('settings', 'expiry');
+      setExpirySettings({ ...DEFAULT_EXPIRY_SETTINGS, ...(expiry?.value || {}) });
+    } catch (error) {
+      console.warn('No se pudieron cargar preferencias (no crítico):', error);
+    }
+  };
+
+  const handleSavePickingSettings = async (value) => {
+    setPickingSettings(value);
+    try {
+      const database = await ensureDbReady();
+      await database.put('settings', { key: 'picking', value });
+      addToast('success', 'Estrategia guardada', 'La estrategia de salida se aplicará a las próximas ventas');
+    } catch (error) {
+      console.error('Picking settings error:', error);
+      addToast('error', 'Error', 'No se pudo guardar la estrategia de salida');
+    }
+  };
+
+  const handleSaveExpirySettings = async (value) => {
+    setExpirySettings(value);
+    try {
+      const database = await ensureDbReady();
+      await database.put('settings', { key: 'expiry', value });
+      addToast('success', 'Umbrales guardados', 'Las alertas de vencimiento usarán los nuevos días');
+    } catch (error) {
+      console.error('Expiry settings error:', error);
+      addToast('error', 'Error', 'No se pudieron guardar los umbrales de vencimiento');
+    }
+  };
+
+  const handleSaveReorderPoints = async (updates) => {
+    const database = await ensureDbReady().catch(() => null);
+    if (!database) return;
+
+    try {
+      const tx = database.transaction('products', 'readwrite');
+      for (const update of updates) {
+        const product = await tx.store.get(update.sku);
+        if (!product) continue;
+        await tx.store.put({ ...product, reorder_point: update.reorder_point, reorder_quantity: update.reorder_quantity });
+      }
+      await tx.done;
+      await refreshData();
+      addToast('success', 'Mínimos guardados', `${updates.length} producto(s) actualizados`);
+    } catch (error) {
+      console.error('Reorder points error:', error);
+      addToast('error', 'Error', 'No se pudieron guardar los puntos de reposición');
+    }
+  };
+
+  // Edición desde el catálogo; los cambios de precio quedan en price_history
+  const handleUpdateProduct = async (sku, changes) => {
+    const database = await ensureDbReady().catch(() => null);
+    if (!database) return false;
+
+    const purchase = Number(changes.default_purchase_price) || 0;
+    const sale = Number(changes.default_sale_price) || 0;
+    if (sale > 0 && sale <= purchase) {
+      addToast('error', 'Precio inválido', 'El precio de venta debe ser mayor que el precio de compra');
+      return false;
+    }
+    const wholesale = Number(changes.wholesale_price) || 0;
+    if (wholesale > 0 && (wholesale <= purchase || (sale > 0 && wholesale > sale))) {
+      addToast('error', 'Precio inválido', 'El precio mayorista debe estar entre el precio de compra y el de venta');
+      return false;
+    }
+
+    try {
+      const tx = database.transaction(['products', 'price_history'], 'readwrite');
+      const existing = await tx.objectStore('products').get(sku);
+      if (!existing) {
+        addToast('error', 'Error', `Producto ${sku} no encontrado`);
+        await tx.done;
+        return false;
+      }
+      const updated = { ...existing, ...changes, sku, updated_at: nowISO() };
+      // Un kit no tiene stock propio ni puede contener otros kits
+      if (isKit(updated)) {
+        if (!isKit(existing) && sellableStock(batches, sku) > 0) {
+          addToast('error', 'Kit inválido', 'El producto tiene stock propio: véndelo o dalo de baja antes de convertirlo en kit');
+          await tx.done;
+          return false;
+        }
+        const nested = updated.kit_components.find(c => isKit(products.find(p => p.sku === c.sku)));
+        const parent = products.find(p => p.sku !== sku && isKit(p) && p.kit_components.some(c => c.sku === sku));
+        if (nested || parent) {
+          addToast('error', 'Kit inválido', nested ? `${nested.sku} también es un kit` : `${sku} es componente del kit ${parent.name || parent.sku}`);
+          await tx.done;
+          return false;
+        }
+      }
+      // El stock está guardado en la unidad base: cambiarla con stock lo desvirtuaría
+      if (baseUnitOf(existing).key !== baseUnitOf(updated).key && sellableStock(batches, sku) > 0) {
+        addToast('error', 'Unidad base', 'No se puede cambiar la unidad base de un producto con stock');
+        await tx.done;
+        return false;
+      }
+      if (pricesChanged(existing, updated) && !requirePermission('editar_precios')) {
+        await tx.done;
+        return false;
+      }
+      await tx.objectStore('products').put(updated);
+      await recordPriceChanges(tx, existing, updated, {
+        operator: currentOperatorName(),
+        source: 'catalogo'
+      });
+      await tx.done;
+      await refreshData();
+      addToast('success', 'Producto actualizado', `${updated.name} (${sku})`);
+      return true;
+    } catch (error) {
+      console.error('Update product error:', error);
+      addToast('error', 'Error', 'No se pudo actualizar el producto: ' + error.message);
+      return false;
+    }
+  };
+
+  // Archivar oculta el producto de simulación y ventas sin tocar su historial
+  const handleArchiveProduct = async (sku, archived) => {
+    const database = await ensureDbReady().catch(() => null);
+    if (!database) return;
+
+    try {
+      const product = await database.get('products', sku);
+      if (!product) return;
+      await database.put('products', { ...product, archived, archived_at: archived ? nowISO() : null, updated_at: nowISO() });
+      await refreshData();
+      addToast('success', archived ? 'Producto archivado' : 'Producto reactivado', `${product.name} (${sku})`);
+    } catch (error) {
+      console.error('Archive product error:', error);
+      addToast('error', 'Error', 'No se pudo archivar el producto');
+    }
+  };
+
+  // Fusiona un SKU duplicado en otro: lotes, movimientos, ventas, devoluciones,
+  // órdenes de compra e historial pasan al SKU destino; el origen queda como alias.
+  const handleMergeProducts = async (sourceSku, targetSku) => {
+    if (!requirePermission('fusionar_productos')) return false;
+    const database = await ensureDbReady().catch(() => null);
+    if (!database) return false;
+    if (!sourceSku || !targetSku || sourceSku === targetSku) {
+      addToast('error', 'Fusión denegada', 'Selecciona dos productos distintos');
+      return false;
+    }
+
+    try {
+      const storeNames = ['products', 'batches', 'movements', 'sales', 'returns', 'purchase_orders', 'price_history', 'promotions'];
+      const tx = database.transaction(storeNames, 'readwrite');
+      const productStore = tx.objectStore('products');
+      const source = await productStore.get(sourceSku);
+      const target = await productStore.get(targetSku);
+      if (!source || !target) {
+        addToast('error', 'Fusión denegada', 'No se encontró uno de los productos');
+        await tx.done;
+        return false;
+      }
+      if (isKit(source) !== isKit(target)) {
+        addToast('error', 'Fusión denegada', 'No se puede fusionar un kit con un producto simple');
+        await tx.done;
+        return false;
+      }
+      // Los lotes se suman tal cual: ambos deben llevar el stock en la misma unidad base
+      if (baseUnitOf(source).key !== baseUnitOf(target).key) {
+        addToast('error', 'Fusión denegada',
+          `${source.sku} se maneja en ${baseUnitOf(source).label.toLowerCase()} y ${target.sku} en ${baseUnitOf(target).label.toLowerCase()}`);
+        await tx.done;
+        return false;
+      }
+
+      const repoint = async (storeName, field) => {
+        const store = tx.objectStore(storeName);
+        const records = await store.index('by_sku').getAll(sourceSku);
+        for (const record of records) {
+          await store.put({ ...record, [field]: targetSku, merged_from: sourceSku });
+        }
+        return records.length;
+      };
+      const batchesMoved = await repoint('batches', 'product_sku');
+      const movementsMoved = await repoint('movements', 'sku');
+      await repoint('returns', 'sku');
+      await repoint('price_history', 'sku');
+
+      const salesStore = tx.objectStore('sales');
+      for (const sale of await salesStore.index('by_skus').getAll(sourceSku)) {
+        const lines = getSaleLines(sale).map(l => (l.sku === sourceSku ? { ...l, sku: targetSku, merged_from: sourceSku } : l));
+        await salesStore.put({ ...sale, lines, skus: lines.map(l => l.sku), ...(sale.sku === sourceSku ? { sku: targetSku } : {}) });
+      }
+
+      // Las promociones de un solo producto siguen aplicando sobre el SKU conservado
+      const promotionStore = tx.objectStore('promotions');
+      for (const promotion of await promotionStore.getAll()) {
+        if (promotion.scope !== 'sku' || promotion.sku !== sourceSku) continue;
+        await promotionStore.put({ ...promotion, sku: targetSku, merged_from: sourceSku });
+      }
+
+      const poStore = tx.objectStore('purchase_orders');
+      for (const order of await poStore.getAll()) {
+        if (!order.lines.some(l => l.sku === sourceSku)) continue;
+        await poStore.put({ ...order, lines: order.lines.map(l => (l.sku === sourceSku ? { ...l, sku: targetSku, merged_from: sourceSku } : l)) });
+      }
+
+      // Las listas de materiales que usaban el duplicado pasan a apuntar al SKU conservado
+      for (const kit of (await productStore.getAll()).filter(p => isKit(p) && p.kit_components.some(c => c.sku === sourceSku))) {
+        const kitComponents = sanitizeKitComponents(kit.kit_components.map(c => (c.sku === sourceSku ? { ...c, sku: targetSku } : c)), kit.sku);
+        await productStore.put({ ...kit, kit_components: kitComponents });
+      }
+
+      await productStore.put({
+        ...target,
+        merged_skus: [...new Set([...(target.merged_skus || []), sourceSku, ...(source.merged_skus || [])])],
+        updated_at: nowISO()
+      });
+      await productStore.delete(sourceSku);
+      await tx.done;
+
+      await refreshData();
+      addToast('success', 'Productos fusionados',
+        `${source.name} (${sourceSku}) → ${target.name} (${targetSku}): ${batchesMoved} lotes y ${movementsMoved} movimientos`);
+      return true;
+    } catch (error) {
+      console.error('Merge products error:', error);
+      addToast('error', 'Error', 'No se pudo fusionar: ' + error.message);
+      return false;
     }
-    return selectedDevice;
   };
 
-  const resolveOperatorName = (rawOperator, deviceId) => {
-    const trimmed = String(rawOperator || '').trim();
-    if (trimmed) return trimmed;
-    const device = devices.find(d => d.id === deviceId);
-    if (device?.operator) return device.operator;
-    return settings?.user || 'Sin operador';
+  // Conteo físico: congela los lotes del alcance elegido como documento abierto
+  const handleCreateCount = async (scope) => {
+    const database = await ensureDbReady().catch(() => null);
+    if (!database) return null;
+
+    try {
+      const tx = database.transaction(['stock_counts', 'products', 'batches'], 'readwrite');
+      const allProducts = await tx.objectStore('products').getAll();
+      const inScope = allProducts.filter(p => (scope.type === 'category'
+        ? (p.category || 'Sin categoría') === scope.category
+        : scope.skus.includes(p.sku)));
+      const allBatches = await tx.objectStore('batches').getAll();
+      const lines = allBatches
+        .filter(b => inScope.some(p => p.sku === b.product_sku) && b.quantity > 0 && !b.lot?.startsWith('DEV-') && b.status !== 'returned')
+        .sort((a, b) => a.product_sku.localeCompare(b.product_sku) || String(a.expiry || '').localeCompare(String(b.expiry || '')))
+        .map(b => {
+          const product = inScope.find(p => p.sku === b.product_sku);
+          return {
+            batch_id: b.id,
+            sku: b.product_sku,
+            name: product.name || b.product_sku,
+            category: product.category || 'Sin categoría',
+            lot: b.lot,
+            expiry: b.expiry || null,
+            purchase_price: b.purchase_price || 0,
+            system_quantity: b.quantity,
+            counted_quantity: null,
+            reason: 'conteo'
+          };
+        });
+
+      if (lines.length === 0) {
+        addToast('warning', 'Conteo vacío', 'No hay lotes con stock en el alcance elegido');
+        await tx.done;
+        return null;
+      }
+
+      const device = resolveOperatorDevice();
+      const count = {
+        id: `CONT-${Date.now()}`,
+        created_at: nowISO(),
+        operator: currentOperatorName(device),
+        device_id: device?.id,
+        scope,
+        status: 'open',
+        lines
+      };
+      await tx.objectStore('stock_counts').add(count);
+      await tx.done;
+      await refreshData();
+      addToast('success', 'Conteo iniciado', `${count.id}: ${lines.length} lotes por contar`);
+      return count.id;
+    } catch (error) {
+      console.error('Create count error:', error);
+      addToast('error', 'Error', 'No se pudo iniciar el conteo: ' + error.message);
+      return null;
+    }
   };
-  
-  useEffect(() => {
-    const initializeApp = async () => {
-      setDbStatus('initializing');
-      setDbErrorMessage(null);
-      let attempts = 0;
-      const maxAttempts = 2;
 
-      while (attempts < maxAttempts) {
-        try {
-          attempts++;
+  const handleSaveCount = async (countId, lines) => {
+    const database = await ensureDbReady().catch(() => null);
+    if (!database) return;
+    if (!Array.isArray(lines)) {
+      addToast('error', 'Error', 'No hay cantidades contadas para guardar');
+      return;
+    }
 
-          if (!window.indexedDB) {
-            throw new Error('IndexedDB no está disponible en este navegador/entorno');
-          }
+    try {
+      const count = await database.get('stock_counts', countId);
+      if (!count || count.status !== 'open') {
+        addToast('error', 'Error', 'El conteo ya no está abierto');
+        return;
+      }
+      await database.put('stock_counts', { ...count, lines, updated_at: nowISO() });
+      await refreshData();
+      addToast('success', 'Avance guardado', `${lines.filter(l => l.counted_quantity != null).length}/${lines.length} lotes contados`);
+    } catch (error) {
+      console.error('Save count error:', error);
+      addToast('error', 'Error', 'No se pudo guardar el conteo');
+    }
+  };
 
-          // Inicializar la base de datos
-          const database = await initDB();
-          setDb(database);
+  const handleDiscardCount = async (countId) => {
+    const database = await ensureDbReady().catch(() => null);
+    if (!database) return;
 
-          // Cargar configuración
-          try {
-            const savedSettings = await database.get('settings', 'onboarding');
-            if (savedSettings) {
-              setSettings(savedSettings.value);
-
-              // Mapear operadores a dispositivos
-              const ops = savedSettings.value?.operators || [];
-              const mapped = SIMULATED_DEVICES.map((d, i) => ({ ...d, operator: ops[i] || d.operator }));
-              setDevices(mapped);
-              const first = mapped[0];
-
-              if (first) {
-                setSelectedDevice(first);
-                setActiveDeviceIds([first.id]);
-                addToast('info', 'Conexión automática', 'Sensor de ventas activado automáticamente');
-                setEvents(prev => [{
-                  id: Date.now(),
-                  type: 'system',
-                  sku: 'SYSTEM',
-                  name: 'Sistema inicializado y conectado',
-                  quantity: 0,
-                  timestamp: nowISO(),
-                  device_id: first.id,
-                  operator: 'system'
-                }, ...prev.slice(0, 19)]);
-              }
-            }
-          } catch (errSettings) {
-            console.warn('No se pudieron cargar settings (no crítico):', errSettings);
-          }
+    try {
+      const count = await database.get('stock_counts', countId);
+      if (!count || count.status !== 'open') return;
+      await database.put('stock_counts', { ...count, status: 'discarded', discarded_at: nowISO() });
+      await refreshData();
+      addToast('info', 'Conteo descartado', countId);
+    } catch (error) {
+      console.error('Discard count error:', error);
+      addToast('error', 'Error', 'No se pudo descartar el conteo');
+    }
+  };
 
-          // Cargar datos iniciales
-          await refreshData(database);
+  // Aprobar: cada diferencia contra el stock actual del lote genera un movimiento
+  // ajuste_positivo/ajuste_negativo con su motivo y el lote queda con lo contado
+  const handleApproveCount = async (countId, lines) => {
+    if (!requirePermission('aprobar_conteo')) return false;
+    const database = await ensureDbReady().catch(() => null);
+    if (!database) return false;
 
-          setDbStatus('ready');
-          console.log('Aplicación inicializada correctamente');
-          return;
-        } catch (error) {
-          console.error('Error al inicializar la aplicación (intento ' + attempts + '):', error);
-          // Guardar mensaje para mostrar en UI
-          setDbErrorMessage(error.message || String(error));
-
-          // Si no hemos llegado al máximo de intentos, intentar borrar DB y reintentar
-          if (attempts < maxAttempts) {
-            try {
-              console.warn('Intentando borrar la base de datos y reintentar...');
-              const delReq = window.indexedDB.deleteDatabase(DB_NAME);
-              await new Promise((res, rej) => {
-                delReq.onsuccess = () => res(true);
-                delReq.onerror = () => rej(new Error('No se pudo borrar la base de datos'));
-                delReq.onblocked = () => {
-                  console.warn('El borrado de la DB está bloqueado por otra pestaña');
-                  // permitir que el loop continúe y falle si está bloqueado
-                  res(false);
-                };
-              });
-              // pequeña espera antes del siguiente intento
-              await new Promise(r => setTimeout(r, 500));
-              continue;
-            } catch (delErr) {
-              console.error('Error al borrar la DB durante el reintento:', delErr);
-              break;
-            }
-          }
+    const device = resolveOperatorDevice();
+    const operator = currentOperatorName(device);
+    try {
+      const tx = database.transaction(['stock_counts', 'products', 'batches', 'movements'], 'readwrite');
+      const count = await tx.objectStore('stock_counts').get(countId);
+      if (!count || count.status !== 'open') {
+        addToast('error', 'Error', 'El conteo ya no está abierto');
+        await tx.done;
+        return false;
+      }
+      if (lines.some(l => l.counted_quantity == null || l.counted_quantity < 0)) {
+        addToast('error', 'Aprobación denegada', 'Todos los lotes deben tener una cantidad contada válida');
+        await tx.done;
+        return false;
+      }
+      // Contar 0 es válido; lo demás respeta la unidad base (enteros salvo kg/litro)
+      for (const line of lines) {
+        const product = await tx.objectStore('products').get(line.sku);
+        const invalidQuantity = line.counted_quantity > 0 ? quantityError(product || { sku: line.sku, name: line.name }, line.counted_quantity) : null;
+        if (invalidQuantity) {
+          addToast('error', 'Aprobación denegada', `Lote ${line.lot}: ${invalidQuantity}`);
+          await tx.done;
+          return false;
+        }
+      }
 
-          // Si llegamos aquí, marcar error y mostrar mensaje
-          setDbStatus('error');
-          addToast('error', 'Error de inicialización', 'No se pudo inicializar la base de datos. ' + (error.message || ''));
-          return;
+      const batchStore = tx.objectStore('batches');
+      const timestamp = nowISO();
+      // La diferencia se mide contra la foto del inicio del conteo y se suma al
+      // stock actual: las ventas o ingresos hechos mientras se contaba se respetan.
+      // Se calcula todo antes de escribir para rechazar sin dejar ajustes a medias.
+      const planned = [];
+      for (const line of lines) {
+        const batch = await batchStore.get(line.batch_id);
+        const current = batch ? batch.quantity || 0 : 0;
+        const counted = roundQuantity(line.counted_quantity);
+        const variance = roundQuantity(counted - (line.system_quantity || 0));
+        const adjusted = roundQuantity(current + variance);
+        if (batch && adjusted < 0) {
+          addToast('error', 'Aprobación denegada',
+            `Lote ${line.lot}: salieron ${roundQuantity((line.system_quantity || 0) - current)} desde que empezó el conteo y el ajuste lo dejaría negativo; vuelve a contarlo`);
+          await tx.done;
+          return false;
         }
+        planned.push({ line, batch, current, counted, variance, adjusted });
       }
-    };
 
-    initializeApp();
-  }, []);
+      const approvedLines = [];
+      let adjustments = 0;
+      for (const { line, batch, current, counted, variance, adjusted } of planned) {
+        approvedLines.push({ ...line, counted_quantity: counted, adjusted_from: current, adjusted_to: batch ? adjusted : null, variance });
+        if (!batch || variance === 0) continue;
+
+        batch.quantity = adjusted;
+        await batchStore.put(batch);
+        await tx.objectStore('movements').add({
+          type: variance > 0 ? 'ajuste_positivo' : 'ajuste_negativo',
+          sku: line.sku,
+          name: line.name,
+          quantity: Math.abs(variance),
+          price: batch.purchase_price || 0,
+          lot: batch.lot,
+          expiry: batch.expiry || null,
+          timestamp,
+          device_id: device?.id,
+          operator,
+          bodega: settings?.bodega || 'Bodega Principal',
+          count_id: countId,
+          reason: line.reason || 'conteo',
+          batches_used: [{ batchId: batch.id, lot: batch.lot, expiry: batch.expiry || null, quantity: Math.abs(variance), purchase_price: batch.purchase_price || 0 }]
+        });
+        adjustments++;
+      }
+
+      await tx.objectStore('stock_counts').put({
+        ...count,
+        lines: approvedLines,
+        status: 'approved',
+        approved_at: timestamp,
+        approved_by: operator
+      });
+      await tx.done;
+      await refreshData();
+      addToast('success', 'Conteo aprobado', adjustments > 0 ? `${adjustments} ajuste(s) registrados` : 'Sin diferencias: no se registraron ajustes');
+      return true;
+    } catch (error) {
+      console.error('Approve count error:', error);
+      addToast('error', 'Error', 'No se pudo aprobar el conteo: ' + error.message);
+      return false;
+    }
+  };
+
+  const handleExportCount = async (countId) => {
+    const count = stockCounts.find(c => c.id === countId);
+    if (!count) return;
+    setIsExporting(true);
 
-  // Garantiza que la BD esté lista cuando se necesita (fallback perezoso)
-  const ensureDbReady = async () => {
-    if (db) return db;
     try {
-      const database = await initDB();
-      setDb(database);
-      // cargar datos básicos para no romper KPIs/visuales
-      await refreshData(database);
-      return database;
-    } catch (e) {
-      console.error('No se pudo inicializar BD on-demand:', e);
-      addToast('error', 'BD no lista', 'No se pudo inicializar la base de datos');
-      throw e;
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet('Conteo Físico');
+      sheet.addRow(['Conteo', count.id]);
+      sheet.addRow(['Alcance', count.scope.type === 'category' ? `Categoría: ${count.scope.category}` : `SKUs: ${count.scope.skus.join(', ')}`]);
+      sheet.addRow(['Iniciado', formatDateTime(count.created_at), count.operator]);
+      sheet.addRow(['Estado', count.status === 'approved' ? `Aprobado ${formatDateTime(count.approved_at)} por ${count.approved_by}` : count.status === 'open' ? 'En curso' : 'Descartado']);
+      sheet.addRow([]);
+      const header = sheet.addRow(['SKU', 'Producto', 'Lote', 'Caducidad', 'Sistema', 'Contado', 'Diferencia', 'Costo Unitario', 'Valor Diferencia', 'Motivo', 'Contado por']);
+      header.font = { bold: true };
+      header.fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: 'FFE0E0E0' }
+      };
+      (count.lines || []).forEach(line => {
+        const systemQty = count.status === 'approved' && line.adjusted_to == null ? line.adjusted_from : line.system_quantity;
+        const variance = count.status === 'approved' ? line.variance : countLineVariance(line);
+        sheet.addRow([
+          line.sku,
+          line.name,
+          line.lot,
+          line.expiry ? formatDate(line.expiry) : '',
+          systemQty,
+          line.counted_quantity ?? '',
+          variance ?? '',
+          line.purchase_price || 0,
+          variance == null ? '' : variance * (line.purchase_price || 0),
+          variance ? (ADJUSTMENT_REASONS.find(r => r.key === line.reason) || ADJUSTMENT_REASONS[0]).label : '',
+          line.counted_by || ''
+        ]);
+      });
+
+      const buffer = await workbook.xlsx.writeBuffer();
+      saveAs(new Blob([buffer]), `conteo_${count.id}.xlsx`);
+      addToast('success', 'Exportación completa', `Conteo ${count.id} exportado`);
+    } catch (error) {
+      console.error('Count export error:', error);
+      addToast('error', 'Error de exportación', 'No se pudo exportar el conteo');
+    }
+
+    setIsExporting(false);
+  };
+
+  const handleSaveSupplier = async (supplier) => {
+    const database = await ensureDbReady().catch(() => null);
+    if (!database) return;
+
+    try {
+      const record = { ...supplier, updated_at: nowISO() };
+      if (record.id == null) {
+        delete record.id;
+        record.created_at = nowISO();
+      }
+      await database.put('suppliers', record);
+      await refreshData();
+      addToast('success', 'Proveedor guardado', record.name);
+    } catch (error) {
+      console.error('Supplier error:', error);
+      addToast('error', 'Error', 'No se pudo guardar el proveedor');
     }
   };
-  
-  const refreshData = async (database = db) => {
+
+  // Crea o actualiza una orden de compra en borrador
+  const handleSavePurchaseOrder = async (order) => {
+    const database = await ensureDbReady().catch(() => null);
+    if (!database) return false;
+
+    try {
+      const tx = database.transaction(['purchase_orders', 'suppliers'], 'readwrite');
+      const store = tx.objectStore('purchase_orders');
+      const existing = order.id ? await store.get(order.id) : null;
+      if (existing && existing.status !== 'draft') {
+        addToast('error', 'Error', `La orden ${order.id} ya fue enviada y no se puede editar`);
+        await tx.done;
+        return false;
+      }
+      const supplier = await tx.objectStore('suppliers').get(order.supplier_id);
+      const record = {
+        ...(existing || { id: `PO-${Date.now()}`, created_at: nowISO(), status: 'draft', receipts: [] }),
+        supplier_id: order.supplier_id,
+        supplier_name: supplier?.name || '',
+        notes: order.notes || '',
+        lines: order.lines,
+        operator: currentOperatorName(),
+        updated_at: nowISO()
+      };
+      await store.put(record);
+      await tx.done;
+      await refreshData();
+      addToast('success', 'Orden guardada', `${record.id} en borrador`);
+      return true;
+    } catch (error) {
+      console.error('Purchase order error:', error);
+      addToast('error', 'Error', 'No se pudo guardar la orden de compra');
+      return false;
+    }
+  };
+
+  const handleSendPurchaseOrder = async (orderId) => {
+    const database = await ensureDbReady().catch(() => null);
     if (!database) return;
-    
+
     try {
-      const [productsData, batchesData, movementsData, salesData, returnsData] = await Promise.all([
-        database.getAll('products'),
-        database.getAll('batches'),
-        database.getAll('movements'),
-        database.getAll('sales').catch(() => []),
-        database.getAll('returns').catch(() => [])
-      ]);
-      
-      setProducts(productsData);
-      setBatches(batchesData);
-      setMovements(movementsData);
-      setSales(salesData || []);
-      setReturns(returnsData || []);
+      const order = await database.get('purchase_orders', orderId);
+      if (!order || order.status !== 'draft') {
+        addToast('error', 'Error', 'Solo se pueden enviar órdenes en borrador');
+        return;
+      }
+      await database.put('purchase_orders', { ...order, status: 'sent', sent_at: nowISO() });
+      await refreshData();
+      addToast('success', 'Orden enviada', `${orderId} enviada a ${order.supplier_name}`);
     } catch (error) {
-      console.error('Error loading data:', error);
-      addToast('error', 'Error', 'No se pudieron cargar los datos');
+      console.error('Send purchase order error:', error);
+      addToast('error', 'Error', 'No se pudo enviar la orden de compra');
+    }
+  };
+
+  // Recepción (total o parcial) de una orden: receipts = [{ line_index, quantity, lot, expiry }].
+  // Cada línea recibida crea su lote y su movimiento de ingreso con la referencia de la orden.
+  const handleReceivePurchaseOrder = async (orderId, receipts) => {
+    const database = await ensureDbReady().catch(() => null);
+    if (!database) return false;
+
+    const device = resolveOperatorDevice();
+    const operator = currentOperatorName(device);
+    try {
+      const tx = database.transaction(['purchase_orders', 'products', 'batches', 'movements'], 'readwrite');
+      const order = await tx.objectStore('purchase_orders').get(orderId);
+      if (!order || (order.status !== 'sent' && order.status !== 'partial')) {
+        addToast('error', 'Recepción denegada', 'La orden no existe o no está pendiente de recepción');
+        await tx.done;
+        return false;
+      }
+      const over = receipts.find(r => !order.lines[r.line_index] || r.quantity > purchaseOrderPending(order.lines[r.line_index]) + 1e-9);
+      if (over) {
+        addToast('error', 'Recepción denegada', 'La cantidad recibida supera lo pendiente de la orden');
+        await tx.done;
+        return false;
+      }
+      for (const receipt of receipts) {
+        const line = order.lines[receipt.line_index];
+        const product = await tx.objectStore('products').get(line.sku);
+        const invalidQuantity = isKit(product)
+          ? `${line.name || line.sku} es un kit: recibe sus componentes por separado`
+          : quantityError(product || { sku: line.sku, name: line.name }, receipt.quantity);
+        if (invalidQuantity) {
+          addToast('error', 'Recepción denegada', invalidQuantity);
+          await tx.done;
+          return false;
+        }
+      }
+
+      const lines = order.lines.map(l => ({ ...l }));
+      const newReceipts = [];
+      for (const receipt of receipts) {
+        const line = lines[receipt.line_index];
+        const quantity = roundQuantity(receipt.quantity);
+        const timestamp = nowISO();
+        const lot = receipt.lot || `${order.id}-${receipt.line_index + 1}`;
+
+        // Proveedor preferido del producto: el primero que lo abastece
+        const product = await tx.objectStore('products').get(line.sku);
+        if (product && product.supplier_id == null) {
+          await tx.objectStore('products').put({ ...product, supplier_id: order.supplier_id });
+        }
+
+        const batchId = await tx.objectStore('batches').add({
+          product_sku: line.sku,
+          lot,
+          expiry: receipt.expiry || null,
+          quantity,
+          purchase_price: line.unit_cost,
+          created_at: timestamp,
+          supplier_id: order.supplier_id,
+          po_id: order.id
+        });
+
+        await tx.objectStore('movements').add({
+          type: 'ingreso_inventario',
+          sku: line.sku,
+          name: line.name,
+          quantity,
+          price: line.unit_cost,
+          lot,
+          expiry: receipt.expiry || null,
+          timestamp,
+          device_id: device?.id,
+          operator,
+          bodega: settings?.bodega || 'Bodega Principal',
+          po_id: order.id,
+          supplier_id: order.supplier_id,
+          supplier_name: order.supplier_name,
+          batch_id: batchId
+        });
+
+        line.received_quantity = roundQuantity((line.received_quantity || 0) + quantity);
+        newReceipts.push({ ...receipt, quantity, lot, batch_id: batchId, timestamp, operator });
+      }
+
+      const updated = { ...order, lines, receipts: [...(order.receipts || []), ...newReceipts] };
+      updated.status = purchaseOrderStatus(updated);
+      if (updated.status === 'received') updated.received_at = nowISO();
+      await tx.objectStore('purchase_orders').put(updated);
+      await tx.done;
+
+      const units = roundQuantity(newReceipts.reduce((sum, r) => sum + r.quantity, 0));
+      addToast('success', 'Recepción registrada',
+        `${units} unidades ingresadas desde ${order.id} (${PO_STATUS[updated.status].label.toLowerCase()})`);
+      setEvents(prev => [{
+        id: Date.now(),
+        type: 'ingreso',
+        sku: newReceipts.length === 1 ? lines[newReceipts[0].line_index].sku : `${newReceipts.length} productos`,
+        name: `${order.id} · ${order.supplier_name}`,
+        quantity: units,
+        timestamp: nowISO(),
+        device_id: device?.id,
+        operator
+      }, ...prev.slice(0, 19)]);
+      await refreshData();
+      return true;
+    } catch (error) {
+      console.error('Receive purchase order error:', error);
+      addToast('error', 'Error', 'No se pudo registrar la recepción: ' + error.message);
+      return false;
     }
   };
 
   // Reset database (delete IndexedDB) with confirmation
   const resetDatabase = async () => {
+    if (!requirePermission('reset_bd')) return;
     if (!confirm('¿Estás seguro? Esto eliminará toda la base de datos local y no se podrá deshacer.')) return;
+    if (db && confirm('¿Deseas descargar un respaldo antes de eliminar la base de datos?')) {
+      await handleDownloadBackup();
+    }
 
     try {
       if (db) {
@@ -1782,6 +8352,29 @@ function App() {
         setMovements([]);
         setEvents([]);
         setSettings(null);
+        setPickingSettings(DEFAULT_PICKING_SETTINGS);
+        setExpirySettings(DEFAULT_EXPIRY_SETTINGS);
+        setSales([]);
+        setReturns([]);
+        setSuppliers([]);
+        setPurchaseOrders([]);
+        setPriceHistory([]);
+        setStockCounts([]);
+        setOperators([]);
+        setCurrentOperator(null);
+        setDeviceRegistry([]);
+        setDeviceAssignments([]);
+        setSelectedDeviceId(null);
+        setActiveDeviceIds([]);
+        setActiveSensorId(null);
+        setShifts([]);
+        setDocuments([]);
+        setDocumentSeries([]);
+        setReceiptSaleId(null);
+        setCustomers([]);
+        setCustomerPayments([]);
+        setPromotions([]);
+        setShowOperators(false);
         setSimSinceReset(0);
         addToast('success', 'BD reiniciada', 'La base de datos local fue eliminada. Ahora las primeras 10 simulaciones serán ingresos.');
       };
@@ -1797,13 +8390,146 @@ function App() {
     }
   };
 
+  // Descargar respaldo completo de todos los stores
+  const handleDownloadBackup = async () => {
+    const database = await ensureDbReady().catch(() => null);
+    if (!database) return;
+
+    try {
+      const backup = await buildBackup(database);
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
+      saveAs(new Blob([JSON.stringify(backup)], { type: 'application/json' }), `respaldo_bodega_${timestamp}.json`);
+      await database.put('settings', {
+        key: 'lastBackup',
+        value: { timestamp: nowISO() }
+      });
+      addToast('success', 'Respaldo generado', 'Archivo de respaldo descargado exitosamente');
+    } catch (error) {
+      console.error('Backup error:', error);
+      addToast('error', 'Error de respaldo', 'No se pudo generar el respaldo: ' + error.message);
+    }
+  };
+
+  // Restaurar un respaldo ya validado. mode: 'merge' agrega solo claves nuevas, 'replace' vacía antes.
+  const handleRestoreBackup = async (backup, mode = 'merge') => {
+    const database = await ensureDbReady().catch(() => null);
+    if (!database) return false;
+    // Restaurar puede vaciar la base o traer otras cuentas: mismo nivel que Reset BD
+    if (!requirePermission('restaurar_respaldo')) return false;
+
+    const storeNames = Object.keys(backup.stores).filter(name => database.objectStoreNames.contains(name));
+    if (storeNames.length === 0) {
+      addToast('error', 'Respaldo vacío', 'El respaldo no contiene datos compatibles');
+      return false;
+    }
+
+    try {
+      // Una sola transacción: si algo falla no queda una restauración a medias
+      const tx = database.transaction(storeNames, 'readwrite');
+      let written = 0;
+      let skipped = 0;
+      let renumbered = 0;
+
+      // Fusión: en los stores con ids generados por equipo (ver BACKUP_SUMMARY_STORES)
+      // un id ocupado por otro registro recibe uno nuevo que no usa nadie, y luego se
+      // reescriben las referencias (batches_used, sale_id, customer_id, ...) de todo el respaldo
+      const renumberOf = Object.fromEntries(BACKUP_SUMMARY_STORES.filter(st => st.renumber).map(st => [st.name, st.renumber]));
+      const idMaps = {};
+      const existingRecords = {};
+      if (mode === 'merge') {
+        for (const name of storeNames) {
+          if (!renumberOf[name]) continue;
+          const store = tx.objectStore(name);
+          const local = new Map((await store.getAll()).map(r => [r[store.keyPath], r]));
+          const incoming = backup.stores[name];
+          const taken = new Set([...local.keys(), ...incoming.map(r => r[store.keyPath])]);
+          let nextId = [...taken].reduce((max, id) => Math.max(max, Number(id) || 0), 0) + 1;
+          const freshKey = (key) => {
+            if (renumberOf[name] === 'number') return nextId++;
+            let n = 1;
+            while (taken.has(`${key}-R${n}`)) n++;
+            taken.add(`${key}-R${n}`);
+            return `${key}-R${n}`;
+          };
+          idMaps[name] = new Map();
+          existingRecords[name] = new Set();
+          for (const record of incoming) {
+            const key = record[store.keyPath];
+            const current = local.get(key);
+            if (!current) continue;
+            if (sameBackupRecord(current, record)) existingRecords[name].add(key);
+            else idMaps[name].set(key, freshKey(key));
+          }
+        }
+      }
+
+      for (const name of storeNames) {
+        const store = tx.objectStore(name);
+
+        if (mode === 'replace') {
+          if (name === 'settings') {
+            const keys = await store.getAllKeys();
+            for (const key of keys) {
+              if (!BACKUP_SKIPPED_SETTINGS.includes(key)) await store.delete(key);
+            }
+          } else {
+            await store.clear();
+          }
+        }
+
+        for (const original of backup.stores[name]) {
+          if (name === 'settings' && BACKUP_SKIPPED_SETTINGS.includes(original.key)) continue;
+          const key = original[store.keyPath];
+          if (mode === 'replace') {
+            await store.put(original);
+            written++;
+            continue;
+          }
+          const alreadyThere = renumberOf[name]
+            ? existingRecords[name].has(key)
+            : key != null && (await store.count(key)) > 0;
+          if (alreadyThere) {
+            skipped++;
+            continue;
+          }
+          const record = remapBackupIds(original, idMaps);
+          if (idMaps[name]?.has(key)) {
+            record[store.keyPath] = idMaps[name].get(key);
+            // La venta usa su id también como lote del documento
+            if (name === 'sales' && record.lot === key) record.lot = record[store.keyPath];
+            renumbered++;
+          }
+          await store.put(record);
+          written++;
+        }
+      }
+
+      await tx.done;
+
+      const savedSettings = await database.get('settings', 'onboarding');
+      if (savedSettings) setSettings(savedSettings.value);
+      await loadPreferences(database);
+      await refreshData(database);
+      // Las cuentas restauradas reemplazan a las actuales: volver a iniciar sesión
+      if (mode === 'replace') setCurrentOperator(null);
+
+      addToast('success', 'Respaldo restaurado',
+        `${written} registros restaurados${renumbered ? ` (${renumbered} con id nuevo)` : ''}${skipped ? `, ${skipped} ya existían y se conservaron` : ''}`);
+      return true;
+    } catch (error) {
+      console.error('Restore error:', error);
+      addToast('error', 'Error al restaurar', 'No se pudo restaurar el respaldo: ' + error.message);
+      return false;
+    }
+  };
+
   // Add product + initial batch (used by InventoryTable)
   const handleAddProduct = async (productPayload) => {
     const database = await ensureDbReady().catch(() => null);
     if (!database) return;
 
     try {
-      const tx = database.transaction(['products', 'batches'], 'readwrite');
+      const tx = database.transaction(['products', 'batches', 'movements', 'price_history'], 'readwrite');
 
       // Enforce sale_price > purchase_price with minimal margen (1%)
       const purchase = Number(productPayload.purchase_price) || 0;
@@ -1813,24 +8539,69 @@ function App() {
         return;
       }
 
-      await tx.objectStore('products').put({
+      // Si el SKU ya existe se actualiza sin perder sus demás campos
+      const existingProduct = await tx.objectStore('products').get(productPayload.sku);
+      const product = {
+        ...(existingProduct || { created_at: nowISO() }),
         sku: productPayload.sku,
         name: productPayload.name,
-        category: productPayload.category || 'Sin categoría',
+        category: productPayload.category || existingProduct?.category || 'Sin categoría',
         default_purchase_price: Number(productPayload.purchase_price) || 0,
         default_sale_price: Number(productPayload.sale_price) || 0,
-        created_at: nowISO()
+        tax_affectation: productPayload.tax_affectation || existingProduct?.tax_affectation || 'gravado',
+        // La unidad base solo se elige al crear: el stock existente está en esa unidad
+        base_unit: existingProduct?.base_unit || productPayload.base_unit || 'unidad'
+      };
+      const quantity = roundQuantity(productPayload.quantity);
+      if (quantity > 0 && isKit(product)) {
+        addToast('error', 'Ingreso denegado', `${product.name} es un kit: ingresa el stock de sus componentes`);
+        await tx.done;
+        return;
+      }
+      if (quantity > 0 && quantityError(product, quantity)) {
+        addToast('error', 'Cantidad inválida', quantityError(product, quantity));
+        await tx.done;
+        return;
+      }
+      if (existingProduct && pricesChanged(existingProduct, product) && !requirePermission('editar_precios')) {
+        await tx.done;
+        return;
+      }
+      if (existingProduct) product.updated_at = nowISO();
+      await tx.objectStore('products').put(product);
+      await recordPriceChanges(tx, existingProduct || null, product, {
+        operator: currentOperatorName(),
+        source: 'alta_rapida'
       });
 
+      const lot = productPayload.lot || `INIT-${Date.now()}`;
       await tx.objectStore('batches').add({
         product_sku: productPayload.sku,
-        lot: productPayload.lot || `INIT-${Date.now()}`,
+        lot,
         expiry: productPayload.expiry || null,
-        quantity: Number(productPayload.quantity) || 0,
+        quantity,
         purchase_price: Number(productPayload.purchase_price) || 0,
         created_at: nowISO()
       });
 
+      // El stock inicial también es un ingreso (necesario para el Kardex)
+      if (quantity > 0) {
+        const device = resolveOperatorDevice();
+        await tx.objectStore('movements').add({
+          type: 'ingreso_inventario',
+          sku: productPayload.sku,
+          name: productPayload.name,
+          quantity,
+          price: Number(productPayload.purchase_price) || 0,
+          lot,
+          expiry: productPayload.expiry || null,
+          timestamp: nowISO(),
+          device_id: device?.id,
+          operator: currentOperatorName(device),
+          bodega: settings?.bodega || 'Bodega Principal'
+        });
+      }
+
       await tx.done;
       addToast('success', 'Producto agregado', `Producto ${productPayload.name} creado correctamente`);
       await refreshData();
@@ -1840,6 +8611,92 @@ function App() {
     }
   };
   
+  // Importación masiva: productos nuevos + lotes + movimientos en una sola transacción
+  const handleImportRows = async (rows, fileName) => {
+    const database = await ensureDbReady().catch(() => null);
+    if (!database) return false;
+
+    const device = resolveOperatorDevice();
+    const operator = currentOperatorName(device);
+
+    try {
+      const tx = database.transaction(['products', 'batches', 'movements', 'price_history'], 'readwrite');
+      const productStore = tx.objectStore('products');
+      let createdProducts = 0;
+      let units = 0;
+
+      // Revalidar contra el catálogo de la transacción antes de escribir nada
+      for (const row of rows) {
+        const product = await productStore.get(row.sku);
+        const invalidQuantity = isKit(product)
+          ? `${row.sku} es un kit: su stock sale de sus componentes`
+          : quantityError(product || { sku: row.sku, name: row.name }, row.quantity);
+        if (invalidQuantity) {
+          addToast('error', 'Importación denegada', `Fila ${row.rowNumber}: ${invalidQuantity}`);
+          await tx.done;
+          return false;
+        }
+      }
+
+      for (const row of rows) {
+        const timestamp = nowISO();
+        const quantity = roundQuantity(row.quantity);
+        const existingProduct = await productStore.get(row.sku);
+        if (!existingProduct) {
+          const newProduct = {
+            sku: row.sku,
+            name: row.name,
+            category: row.category || 'Sin categoría',
+            base_unit: baseUnitOf(null).key,
+            default_purchase_price: row.purchase_price,
+            default_sale_price: row.sale_price,
+            created_at: timestamp
+          };
+          await productStore.put(newProduct);
+          await recordPriceChanges(tx, null, newProduct, { operator, source: 'importacion' });
+          createdProducts++;
+        }
+
+        const lot = row.lot || `IMP-${Date.now()}-${row.rowNumber}`;
+        await tx.objectStore('batches').add({
+          product_sku: row.sku,
+          lot,
+          expiry: row.expiry,
+          quantity,
+          purchase_price: row.purchase_price,
+          created_at: timestamp
+        });
+
+        await tx.objectStore('movements').add({
+          type: 'ingreso_inventario',
+          sku: row.sku,
+          name: row.name,
+          quantity,
+          price: row.purchase_price,
+          lot,
+          expiry: row.expiry,
+          timestamp,
+          device_id: device?.id,
+          operator,
+          bodega: settings?.bodega || 'Bodega Principal',
+          source: 'importacion',
+          import_file: fileName
+        });
+        units = roundQuantity(units + quantity);
+      }
+
+      await tx.done;
+      addToast('success', 'Importación completa',
+        `${rows.length} lotes (${units} unidades) importados, ${createdProducts} productos nuevos`);
+      await refreshData();
+      return true;
+    } catch (error) {
+      console.error('Import error:', error);
+      addToast('error', 'Error de importación', 'No se importó nada: ' + error.message);
+      return false;
+    }
+  };
+
   const addToast = (type, title, message) => {
     const id = Date.now();
     setToasts(prev => [...prev, { id, type, title, message }]);
@@ -1849,17 +8706,52 @@ function App() {
     setToasts(prev => prev.filter(toast => toast.id !== id));
   };
   
+  // Cada operador del onboarding queda en una pulsera; se registran las que falten.
+  // Solo se agrega una asignación cuando cambia el operador de la pulsera.
+  const syncOnboardingOperators = async (database, names) => {
+    const tx = database.transaction(['devices', 'device_assignments'], 'readwrite');
+    const registry = await tx.objectStore('devices').getAll();
+    const assignments = await tx.objectStore('device_assignments').getAll();
+    const bands = registry.filter(d => d.type === 'pulsera' && d.status !== 'retired');
+    const timestamp = nowISO();
+
+    for (let i = 0; i < names.length; i++) {
+      const operator = String(names[i] || '').trim();
+      let band = bands[i];
+      if (!band) {
+        if (!operator) continue;
+        const id = nextDeviceId(registry, 'pulsera');
+        band = { id, name: `Pulsera-${id.split('-')[1]}`, type: 'pulsera', rssi: -50 - Math.floor(Math.random() * 30), status: 'active', created_at: timestamp };
+        await tx.objectStore('devices').add(band);
+        registry.push(band);
+        bands.push(band);
+      }
+      if (deviceOperatorAt(assignments, band.id, timestamp) === operator) continue;
+      await tx.objectStore('device_assignments').add({
+        device_id: band.id,
+        operator,
+        operator_id: operators.find(o => o.name === operator)?.id ?? null,
+        effective_from: timestamp,
+        created_at: timestamp,
+        assigned_by: currentOperatorName()
+      });
+    }
+
+    await tx.done;
+    return bands[0] || null;
+  };
+
   const handleOnboardingComplete = async (formData) => {
     setSettings(formData);
     addToast('success', '¡Bienvenido!', 'Configuración aplicada (se persistirá automáticamente).');
 
-    // Mapear operadores a la única pulsera y auto-conectar
+    // Asignar operadores a pulseras del registro y auto-conectar la primera
     try {
-      const mapped = SIMULATED_DEVICES.map((d, i) => ({ ...d, operator: (formData.operators && formData.operators[i]) ? formData.operators[i] : d.operator }));
-      setDevices(mapped);
-      const updatedSelected = mapped[0];
+      const database = await ensureDbReady();
+      const updatedSelected = await syncOnboardingOperators(database, formData.operators || []);
+      await refreshData(database);
       if (updatedSelected) {
-        setSelectedDevice(updatedSelected);
+        setSelectedDeviceId(updatedSelected.id);
         setActiveDeviceIds([updatedSelected.id]);
         addToast('info', 'Hacemos conexión con sensor de ventas', 'Sensor activado automáticamente');
         setEvents(prev => [{
@@ -1890,9 +8782,185 @@ function App() {
     }
   };
 
+  const handleLogin = async (operatorId, pin) => {
+    const database = await ensureDbReady().catch(() => null);
+    if (!database) return false;
+
+    const operator = await database.get('operators', operatorId);
+    if (!operator || operator.active === false || operator.pin_hash !== await hashPin(pin, operator.pin_salt)) {
+      addToast('error', 'Acceso denegado', 'Operador o PIN incorrecto');
+      return false;
+    }
+    const updated = { ...operator, last_login: nowISO() };
+    await database.put('operators', updated);
+    setCurrentOperator(updated);
+    await refreshData(database);
+    addToast('success', 'Sesión iniciada', `${updated.name} (${operatorRoleLabel(updated.role)})`);
+    return true;
+  };
+
+  const handleLogout = () => {
+    setCurrentOperator(null);
+    setShowOperators(false);
+  };
+
+  // Alta o edición de un operador. La primera cuenta (sin operadores activos) no requiere sesión.
+  const handleSaveOperator = async ({ id = null, name, role, pin = '', active = true }) => {
+    const database = await ensureDbReady().catch(() => null);
+    if (!database) return false;
+
+    try {
+      // El hash se calcula antes de abrir la transacción: esperar a crypto.subtle la cerraría
+      const pinSalt = pin ? newPinSalt() : null;
+      const pinHash = pin ? await hashPin(pin, pinSalt) : null;
+
+      const tx = database.transaction('operators', 'readwrite');
+      const store = tx.objectStore('operators');
+      const all = await store.getAll();
+      const bootstrap = !all.some(o => o.active !== false);
+      if (!bootstrap && !requirePermission('gestionar_operadores')) {
+        await tx.done;
+        return false;
+      }
+      if (all.some(o => o.id !== id && o.name.toLowerCase() === name.toLowerCase())) {
+        addToast('error', 'Nombre duplicado', `Ya existe un operador llamado ${name}`);
+        await tx.done;
+        return false;
+      }
+
+      const existing = id != null ? all.find(o => o.id === id) : null;
+      const record = existing
+        ? { ...existing, name, role, active, updated_at: nowISO() }
+        : { name, role, active: true, created_at: nowISO() };
+      if (pin) {
+        record.pin_salt = pinSalt;
+        record.pin_hash = pinHash;
+      }
+
+      // Siempre debe quedar al menos un administrador activo
+      const remaining = all.filter(o => o.id !== id).concat(record);
+      if (!remaining.some(o => o.role === 'administrador' && o.active !== false)) {
+        addToast('error', 'Operación denegada', 'Debe quedar al menos un administrador activo');
+        await tx.done;
+        return false;
+      }
+
+      const savedId = await store.put(record);
+      await tx.done;
+      const saved = { ...record, id: savedId };
+      if (bootstrap) setCurrentOperator(saved);
+      else if (currentOperator?.id === savedId) setCurrentOperator(saved.active === false ? null : saved);
+      await refreshData(database);
+      addToast('success', existing ? 'Operador actualizado' : 'Operador creado', `${name} (${operatorRoleLabel(role)})`);
+      return true;
+    } catch (error) {
+      console.error('Save operator error:', error);
+      addToast('error', 'Error', 'No se pudo guardar el operador: ' + error.message);
+      return false;
+    }
+  };
+
+  // Alta (sin id) o renombre de una pulsera o sensor
+  const handleSaveDevice = async ({ id = null, name, type }) => {
+    if (!requirePermission('gestionar_dispositivos')) return false;
+    const database = await ensureDbReady().catch(() => null);
+    if (!database) return false;
+
+    try {
+      const tx = database.transaction('devices', 'readwrite');
+      const store = tx.objectStore('devices');
+      let record;
+      if (id) {
+        const existing = await store.get(id);
+        if (!existing) {
+          addToast('error', 'Error', `Dispositivo ${id} no encontrado`);
+          await tx.done;
+          return false;
+        }
+        record = { ...existing, name, updated_at: nowISO() };
+      } else {
+        record = {
+          id: nextDeviceId(await store.getAll(), type),
+          name,
+          type,
+          rssi: -50 - Math.floor(Math.random() * 30),
+          status: 'active',
+          created_at: nowISO()
+        };
+      }
+      await store.put(record);
+      await tx.done;
+      await refreshData();
+      addToast('success', id ? 'Dispositivo renombrado' : 'Dispositivo registrado', `${record.name} (${record.id})`);
+      return true;
+    } catch (error) {
+      console.error('Save device error:', error);
+      addToast('error', 'Error', 'No se pudo guardar el dispositivo: ' + error.message);
+      return false;
+    }
+  };
+
+  // Retirar conserva el dispositivo y sus asignaciones para el historial
+  const handleRetireDevice = async (deviceId, retired) => {
+    if (!requirePermission('gestionar_dispositivos')) return false;
+    const database = await ensureDbReady().catch(() => null);
+    if (!database) return false;
+
+    try {
+      const device = await database.get('devices', deviceId);
+      if (!device) return false;
+      if (retired && !confirm(`¿Retirar ${device.name} (${device.id})? Dejará de poder conectarse.`)) return false;
+      await database.put('devices', {
+        ...device,
+        status: retired ? 'retired' : 'active',
+        retired_at: retired ? nowISO() : null
+      });
+      if (retired) {
+        setActiveDeviceIds(prev => prev.filter(id => id !== deviceId));
+        if (activeSensorId === deviceId) setActiveSensorId(null);
+      }
+      await refreshData(database);
+      addToast(retired ? 'warning' : 'success', retired ? 'Dispositivo retirado' : 'Dispositivo reactivado', `${device.name} (${device.id})`);
+      return true;
+    } catch (error) {
+      console.error('Retire device error:', error);
+      addToast('error', 'Error', 'No se pudo actualizar el dispositivo');
+      return false;
+    }
+  };
+
+  // Asigna (o desasigna con operador vacío) una pulsera desde una fecha de vigencia
+  const handleAssignDevice = async (deviceId, operator, effectiveFrom = nowISO()) => {
+    if (!requirePermission('gestionar_dispositivos')) return false;
+    const database = await ensureDbReady().catch(() => null);
+    if (!database) return false;
+
+    try {
+      await database.add('device_assignments', {
+        device_id: deviceId,
+        operator,
+        operator_id: operators.find(o => o.name === operator)?.id ?? null,
+        effective_from: effectiveFrom,
+        created_at: nowISO(),
+        assigned_by: currentOperatorName()
+      });
+      // Una pulsera conectada que queda sin operador se desconecta
+      if (!operator && effectiveFrom <= nowISO()) setActiveDeviceIds(prev => prev.filter(id => id !== deviceId));
+      await refreshData(database);
+      addToast('success', 'Asignación registrada',
+        `${deviceId}: ${operator || 'sin operador'} desde ${new Date(effectiveFrom).toLocaleString()}`);
+      return true;
+    } catch (error) {
+      console.error('Assign device error:', error);
+      addToast('error', 'Error', 'No se pudo registrar la asignación');
+      return false;
+    }
+  };
+
   // Nuevo: reconfigurar sin borrar BD — carga onboarding con valores actuales
   const handleReconfigurar = () => {
-    setPrevOnboarding(settings || null);
+    if (!requirePermission('reconfigurar')) return;
+    setPrevOnboarding(settings ? { ...settings, operators: devices.map(d => d.operator) } : null);
     setSettings(null); // mostrar onboarding para editar
     addToast('info', 'Reconfigurar', 'La configuración actual se cargará para edición (no se eliminarán datos).');
   };
@@ -1905,7 +8973,7 @@ function App() {
   }, [connected]);
   
   const handleDeviceChange = (device) => {
-    setSelectedDevice(device);
+    setSelectedDeviceId(device.id);
     addToast('info', 'Dispositivo seleccionado', `${device.name} seleccionado`);
   };
 
@@ -1944,6 +9012,363 @@ function App() {
     }
   };
   
+  // Saldo de fiado de un cliente con los datos cargados
+  const customerBalance = (customerId) => customerAccount(customerId, sales, movements, customerPayments).balance;
+
+  // Registra una venta de una o más líneas en una sola transacción; cada línea
+  // descuenta stock según su estrategia de salida (FIFO, FEFO, LIFO o lote manual).
+  // Si alguna línea no tiene stock suficiente se rechaza la venta completa y devuelve null.
+  // meta aporta timestamp, device_id, operator y bodega del documento, y opcionalmente
+  // payments = [{ method, amount }] tal como los entregó el cliente y
+  // document = { type: 'boleta' | 'factura', customer: { doc_number, name } } y
+  // customer_id del cliente registrado (obligatorio si se paga con crédito),
+  // price_list ('minorista' | 'mayorista') y ticket_discount = { type, value, reason }.
+  // quantity de cada línea va en unidad base; unit indica la presentación en que se
+  // vendió. Cada línea puede traer discount = { type, value, reason }; las promociones
+  // vigentes se aplican solas. Toda venta emite su comprobante (boleta sin cliente por defecto).
+  const commitSale = async (database, requestedLines, meta) => {
+    // Unificar líneas repetidas del mismo SKU
+    const merged = [];
+    requestedLines.forEach(line => {
+      const existing = merged.find(l => l.sku === line.sku);
+      if (existing) {
+        existing.quantity = roundQuantity(existing.quantity + (Number(line.quantity) || 0));
+        // Presentaciones distintas del mismo SKU se registran en unidad base
+        if (existing.unit !== line.unit) existing.unit = null;
+      } else {
+        merged.push({ ...line, quantity: roundQuantity(line.quantity) });
+      }
+    });
+    if (merged.length === 0 || merged.some(l => l.quantity <= 0)) {
+      addToast('error', 'Venta denegada', 'La venta no tiene líneas válidas');
+      return null;
+    }
+
+    const documentError = validateDocumentRequest(meta.document);
+    if (documentError) {
+      addToast('error', 'Comprobante inválido', documentError);
+      return null;
+    }
+
+    // Descuentos manuales: requieren permiso y motivo
+    const manualDiscounts = [...merged.map(l => l.discount), meta.ticket_discount].filter(hasManualDiscount);
+    if (manualDiscounts.length > 0) {
+      if (!requirePermission('aplicar_descuento')) return null;
+      if (manualDiscounts.some(d => !String(d.reason || '').trim())) {
+        addToast('error', 'Descuento sin motivo', 'Indica el motivo de cada descuento');
+        return null;
+      }
+    }
+
+    const tx = database.transaction(['products', 'sales', 'batches', 'movements', 'document_series', 'documents', 'customers'], 'readwrite');
+    const batchStore = tx.objectStore('batches');
+    const allBatches = await batchStore.getAll();
+    const expiredPolicy = pickingSettings.expired || 'block';
+
+    // Validar todas las líneas antes de tocar el stock. Cada plan aparta en memoria
+    // lo que toma, así un kit y sus componentes vendidos sueltos no usan el mismo stock
+    // (si la venta se rechaza no se escribe nada)
+    const shortages = [];
+    const lineProducts = [];
+    const plans = [];
+    const reserve = (plan) => plan.picks.forEach(({ batch, take }) => {
+      batch.quantity = roundQuantity(batch.quantity - take);
+    });
+    for (const line of merged) {
+      const product = await tx.objectStore('products').get(line.sku);
+      if (!product) {
+        shortages.push(`${line.sku}: producto no encontrado`);
+        continue;
+      }
+      if (product.archived) {
+        shortages.push(`${product.name || line.sku}: producto archivado`);
+        continue;
+      }
+      const invalidQuantity = quantityError(product, line.quantity);
+      if (invalidQuantity) {
+        shortages.push(invalidQuantity);
+        continue;
+      }
+      lineProducts.push(product);
+
+      // Un kit descuenta de cada componente según su lista de materiales, con la
+      // estrategia del componente (un lote manual no aplica: sale por FIFO)
+      if (isKit(product)) {
+        const components = [];
+        for (const component of product.kit_components) {
+          const componentProduct = await tx.objectStore('products').get(component.sku);
+          if (!componentProduct || componentProduct.archived) {
+            shortages.push(`${product.name || line.sku}: el componente ${component.sku} no está disponible`);
+            continue;
+          }
+          const configured = resolvePickingStrategy(componentProduct, pickingSettings);
+          const strategy = configured === 'manual' ? 'fifo' : configured;
+          const needed = roundQuantity(line.quantity * component.quantity);
+          const plan = planPicking(allBatches, component.sku, needed, strategy, { expiredPolicy });
+          reserve(plan);
+          components.push({ component, product: componentProduct, strategy, quantity: needed, plan });
+          if (plan.missing > 0) {
+            shortages.push(`${product.name || line.sku}: ${componentProduct.name || component.sku} pide ${needed}, hay ${plan.available}${expiredPolicy === 'block' ? ' sin vencer' : ''}`);
+          }
+        }
+        plans.push({
+          strategy: 'kit',
+          components,
+          picks: components.flatMap(c => c.plan.picks),
+          usedExpired: components.flatMap(c => c.plan.usedExpired)
+        });
+        continue;
+      }
+
+      const strategy = line.strategy || resolvePickingStrategy(product, pickingSettings);
+      const plan = planPicking(allBatches, line.sku, line.quantity, strategy, { expiredPolicy, manualBatchIds: line.batch_ids || [] });
+      reserve(plan);
+      plans.push({ ...plan, strategy });
+      if (plan.missing > 0) {
+        shortages.push(strategy === 'manual' && !(line.batch_ids || []).length
+          ? `${product.name || line.sku}: selecciona el lote`
+          : `${product.name || line.sku}: pide ${line.quantity}, hay ${plan.available}${expiredPolicy === 'block' ? ' sin vencer' : ''} (${pickingLabel(strategy)})`);
+      }
+    }
+
+    if (shortages.length > 0) {
+      addToast('error', 'Venta denegada', `Stock insuficiente: ${shortages.join('; ')}`);
+      await tx.done;
+      return null;
+    }
+
+    // Precio por línea: lista elegida, promociones vigentes y descuentos; el IGV
+    // se calcula sobre el importe final según la afectación del producto
+    const tax = taxSettingsOf(settings);
+    const priceList = meta.price_list || 'minorista';
+    const pricing = priceSaleLines(merged, lineProducts, {
+      tax, priceList, promotions, ticketDiscount: meta.ticket_discount, timestamp: meta.timestamp
+    });
+    if (pricing.errors.length > 0) {
+      addToast('error', 'Descuento inválido', pricing.errors.join('; '));
+      await tx.done;
+      return null;
+    }
+    const lineTaxes = pricing.lines;
+
+    // Cobro: sin pagos indicados se asume el total exacto en efectivo
+    const saleTotal = pricing.total;
+    const settlement = settlePayments(saleTotal, meta.payments || [{ method: 'efectivo', amount: '' }]);
+    if (settlement.error) {
+      addToast('error', 'Pago incompleto', settlement.error);
+      await tx.done;
+      return null;
+    }
+
+    // Fiado: cliente activo y deuda dentro de su límite de crédito
+    const customer = meta.customer_id != null ? await tx.objectStore('customers').get(meta.customer_id) : null;
+    const credit = settlement.payments.filter(p => p.method === 'credito').reduce((sum, p) => sum + p.amount, 0);
+    if (credit > 0) {
+      if (!customer || customer.active === false) {
+        addToast('error', 'Crédito denegado', 'La venta al crédito requiere un cliente registrado y activo');
+        await tx.done;
+        return null;
+      }
+      const available = availableCredit(customer, customerBalance(customer.id));
+      if (credit > available + 0.005) {
+        addToast('error', 'Crédito denegado', `${customer.name} tiene ${available.toFixed(2)} de crédito disponible`);
+        await tx.done;
+        return null;
+      }
+    }
+
+    const saleId = `SALE-${Date.now()}`;
+    const lines = [];
+
+    for (let i = 0; i < merged.length; i++) {
+      const line = merged[i];
+      const product = lineProducts[i];
+      const plan = plans[i];
+      const lineTaxInfo = lineTaxes[i];
+      // Precio efectivamente cobrado por unidad (con IGV, después de descuentos)
+      const salePrice = lineTaxInfo.sale_price;
+
+      // Guardar los lotes elegidos por la estrategia (ya apartados al validar);
+      // en un kit cada lote indica de qué componente salió
+      const batchesUsed = [];
+      for (const { batch, take } of plan.picks) {
+        batchesUsed.push({
+          batchId: batch.id,
+          ...(plan.strategy === 'kit' ? { sku: batch.product_sku } : {}),
+          lot: batch.lot,
+          expiry: batch.expiry || null,
+          quantity: take,
+          purchase_price: batch.purchase_price
+        });
+        await batchStore.put(batch);
+      }
+
+      lines.push({
+        sku: line.sku,
+        product_name: product.name || line.name || line.sku,
+        quantity: line.quantity,
+        base_unit: baseUnitOf(product).key,
+        unit: unitOf(product, line.unit).key,
+        unit_factor: unitOf(product, line.unit).factor,
+        list_price: lineTaxInfo.list_price,
+        unit_price: lineTaxInfo.unit_price,
+        gross_total: lineTaxInfo.gross_total,
+        discounts: lineTaxInfo.discounts,
+        discount_amount: lineTaxInfo.discount_amount,
+        sale_price: salePrice,
+        total: lineTaxInfo.total,
+        base: lineTaxInfo.base,
+        igv: lineTaxInfo.igv,
+        tax_affectation: product.tax_affectation || 'gravado',
+        tax_rate: lineTaxInfo.rate,
+        picking: plan.strategy,
+        ...(plan.strategy === 'kit' ? {
+          kit_components: plan.components.map(c => ({ sku: c.component.sku, name: c.product.name || c.component.sku, quantity: c.component.quantity, picking: c.strategy }))
+        } : {}),
+        batches_used: batchesUsed
+      });
+
+      // Un movimiento por línea para que los reportes por SKU sigan funcionando;
+      // el kit figura como un solo artículo y sus componentes salen por consumo_kit
+      await tx.objectStore('movements').add({
+        type: 'venta',
+        sku: line.sku,
+        name: product.name || line.name || line.sku,
+        quantity: line.quantity,
+        price: salePrice,
+        lot: saleId,
+        expiry: null,
+        timestamp: meta.timestamp,
+        device_id: meta.device_id,
+        operator: meta.operator,
+        bodega: meta.bodega,
+        sale_id: saleId,
+        line_index: i,
+        shift_id: activeShift?.id || null,
+        ...(plan.strategy === 'kit' ? { kit: true } : {}),
+        batches_used: batchesUsed
+      });
+      await addKitComponentMovements(tx, lines[i], batchesUsed, 'consumo_kit', {
+        timestamp: meta.timestamp,
+        device_id: meta.device_id,
+        operator: meta.operator,
+        bodega: meta.bodega,
+        sale_id: saleId,
+        line_index: i
+      });
+    }
+
+    // Registrar venta con más detalles
+    const saleData = {
+      id: saleId,
+      timestamp: meta.timestamp,
+      lines,
+      skus: lines.map(l => l.sku),
+      total: roundMoney(saleTotal),
+      base: roundMoney(lines.reduce((sum, l) => sum + l.base, 0)),
+      igv: roundMoney(lines.reduce((sum, l) => sum + l.igv, 0)),
+      tax_rate: Number(tax.rate) || 0,
+      tax_mode: tax.mode,
+      price_list: priceList,
+      gross_total: pricing.gross,
+      discount_total: pricing.discount,
+      ticket_discount: pricing.ticketDiscount > 0 ? { ...meta.ticket_discount, amount: pricing.ticketDiscount } : null,
+      payments: settlement.payments,
+      change: settlement.change,
+      customer_id: customer?.id ?? null,
+      customer_name: customer?.name || null,
+      operator: meta.operator,
+      device_id: meta.device_id,
+      status: 'completed',
+      bodega: meta.bodega,
+      lot: saleId,
+      shift_id: activeShift?.id || null,
+      type: 'venta'
+    };
+    const issued = await issueDocument(tx, saleData, meta.document, settings);
+    saleData.document_id = issued.id;
+    saleData.document_type = issued.type;
+    await tx.objectStore('sales').add(saleData);
+
+    await tx.done;
+
+    const expiredUsed = plans.flatMap(p => p.usedExpired);
+    if (expiredUsed.length > 0) {
+      addToast('warning', 'Lotes vencidos vendidos', `Se usaron lotes vencidos: ${expiredUsed.map(b => b.lot).join(', ')}`);
+    }
+
+    // Alerta de stock bajo cuando la venta cruza el punto de reposición (en un kit,
+    // la de cada componente)
+    const consumed = {};
+    plans.flatMap((plan, i) => (plan.strategy === 'kit'
+      ? plan.components.map(c => ({ product: c.product, quantity: c.quantity }))
+      : [{ product: lineProducts[i], quantity: lines[i].quantity }]))
+      .forEach(({ product, quantity }) => {
+        consumed[product.sku] = { product, quantity: (consumed[product.sku]?.quantity || 0) + quantity };
+      });
+    Object.values(consumed).forEach(({ product, quantity }) => {
+      if (!hasReorderPoint(product)) return;
+      const after = sellableStock(allBatches, product.sku);
+      if (after <= product.reorder_point && after + quantity > product.reorder_point) {
+        addToast('warning', 'Stock bajo', `${product.name || product.sku}: quedan ${after} (mínimo ${product.reorder_point})`);
+      }
+    });
+    return saleData;
+  };
+
+  // Checkout del carrito: una venta con varias líneas
+  const handleCheckout = async (cartLines, payments, docRequest, customerId = null, pricing = {}) => {
+    const database = await ensureDbReady().catch(() => null);
+    if (!database) return false;
+    if (!connected || !salesSensorConnected) {
+      addToast('error', 'Error', 'Se requiere que tanto la pulsera como el sensor de ventas estén conectados');
+      return false;
+    }
+
+    const device = resolveOperatorDevice();
+    try {
+      const sale = await commitSale(database, cartLines, {
+        timestamp: nowISO(),
+        device_id: device?.id,
+        operator: currentOperatorName(device),
+        bodega: settings?.bodega || 'Bodega Principal',
+        payments,
+        document: docRequest,
+        customer_id: customerId,
+        price_list: pricing.price_list,
+        ticket_discount: pricing.ticket_discount
+      });
+      if (!sale) return false;
+
+      const units = sale.lines.reduce((sum, l) => sum + l.quantity, 0);
+      const currency = settings?.currency || 'S/';
+      addToast('success', `Venta registrada · ${sale.document_id}`,
+        `${sale.lines.length} productos (${units} unidades) · Total ${currency}${sale.total.toFixed(2)} · ` +
+        `${sale.discount_total > 0 ? `Descuentos ${currency}${sale.discount_total.toFixed(2)} · ` : ''}` +
+        `${sale.payments.map(p => `${paymentMethodLabel(p.method)} ${currency}${p.amount.toFixed(2)}`).join(' + ')}` +
+        `${sale.change > 0 ? ` · Vuelto ${currency}${sale.change.toFixed(2)}` : ''} · ` +
+        sale.lines.map(l => `${l.product_name}: ${describeBatchesUsed(l.batches_used)}`).join('; '));
+      setEvents(prev => [{
+        id: Date.now(),
+        type: 'venta',
+        sku: sale.lines.length === 1 ? sale.lines[0].sku : `${sale.lines.length} productos`,
+        name: sale.lines.map(l => `${l.product_name} ×${l.quantity}`).join(', '),
+        quantity: units,
+        timestamp: nowISO(),
+        device_id: sale.device_id,
+        operator: sale.operator,
+        sale_id: sale.id
+      }, ...prev.slice(0, 19)]);
+      await refreshData();
+      setReceiptSaleId(sale.id);
+      return true;
+    } catch (error) {
+      console.error('Checkout error:', error);
+      addToast('error', 'Error', 'No se pudo registrar la venta: ' + error.message);
+      return false;
+    }
+  };
+
   const handleProcessEvent = async (payload) => {
     // Asegurar BD lista, y validar conexión de dispositivo
     const database = await ensureDbReady().catch(() => null);
@@ -1973,15 +9398,34 @@ function App() {
         ? fallbackPool[Math.floor(Math.random() * fallbackPool.length)]
         : (requestedDevice || (fallbackPool.find(d => d.id === selectedDevice?.id) || fallbackPool[0] || selectedDevice));
       const resolvedDeviceId = assignedDevice?.id || payload.device_id || selectedDevice?.id;
-      const resolvedOperator = payload.operator || assignedDevice?.operator || selectedDevice?.operator || settings?.user || 'Operador';
+      const resolvedOperator = currentOperator?.name || payload.operator || assignedDevice?.operator || selectedDevice?.operator || settings?.user || 'Operador';
+
+      // Un SKU fusionado en otro sigue llegando desde lectores antiguos
+      const rawSku = payload.sku || payload.barcode;
+      const aliasTarget = products.find(p => (p.merged_skus || []).includes(rawSku));
+      const sku = aliasTarget ? aliasTarget.sku : rawSku;
+
+      // La cantidad y el precio llegan en la unidad del evento (p. ej. cajas) y se
+      // guardan en la unidad base; un producto nuevo puede traer base_unit y units
+      const unitProduct = products.find(p => p.sku === sku) || { sku, name: payload.name, base_unit: payload.base_unit, units: payload.units };
+      const eventUnit = unitOf(unitProduct, payload.unit);
+      const unitQuantity = Number(payload.quantity) > 0 ? Number(payload.quantity) : 1;
+      const baseQuantity = toBaseQuantity(unitProduct, unitQuantity, eventUnit.key);
+      const invalidQuantity = quantityError(unitProduct, baseQuantity);
+      if (invalidQuantity) {
+        addToast('error', 'Cantidad inválida', invalidQuantity);
+        return;
+      }
 
       // Base movement record con valores por defecto
       const movement = {
         type: payload.event,
-        sku: payload.sku || payload.barcode,
+        sku,
         name: payload.name,
-        quantity: Math.max(1, payload.quantity || 0),
-        price: Math.max(0, payload.purchase_price || payload.sale_price || 0),
+        quantity: baseQuantity,
+        unit: eventUnit.key,
+        unit_quantity: unitQuantity,
+        price: Math.max(0, payload.purchase_price || payload.sale_price || 0) / eventUnit.factor,
         lot: payload.lot || `LOT-${Date.now()}`,
         expiry: payload.expiry || null,
         timestamp: payload.timestamp || nowISO(),
@@ -1990,194 +9434,114 @@ function App() {
         bodega: payload.bodega || settings?.bodega || 'Bodega Principal'
       };
 
-      if (payload.event === 'ingreso') {
-        // Transacción de ingreso a inventario
-        const tx = database.transaction(['products', 'batches', 'movements'], 'readwrite');
-        
-        // Create or update product
-        const productStore = tx.objectStore('products');
-        const existingProduct = await productStore.get(movement.sku);
-        
-        if (!existingProduct) {
-          await productStore.put({
-            sku: movement.sku,
-            name: movement.name,
-            category: payload.category || 'Sin categoría',
-            default_purchase_price: movement.price,
-            default_sale_price: payload.sale_price || movement.price * 1.5,
-            created_at: nowISO()
-          });
-        }
-        
-        // Create batch con INIT- para identificar stock inicial
-        await tx.objectStore('batches').add({
-          product_sku: movement.sku,
-          lot: movement.lot || `INIT-${Date.now()}`,
-          expiry: movement.expiry,
-          quantity: movement.quantity,
-          purchase_price: movement.price,
-          created_at: nowISO()
-        });
-        
-        // Registrar movimiento
-        await tx.objectStore('movements').add({
-          ...movement,
-          type: 'ingreso_inventario'
-        });
-        
-        await tx.done;
-        addToast('success', 'Ingreso procesado', 
-          `${movement.quantity} unidades de ${movement.name} agregadas al inventario`);
-        
-      } else if (payload.event === 'venta') {
-        // Verificar que ambos dispositivos estén conectados
-        if (!connected || !salesSensorConnected) {
-          addToast('error', 'Error', 'Se requiere que tanto la pulsera como el sensor de ventas estén conectados');
-          return;
-        }
-
-        // Buscar el producto para obtener el precio de venta correcto
-        const product = await database.get('products', movement.sku);
-        if (!product) {
-          addToast('error', 'Error', 'Producto no encontrado en la base de datos');
-          return;
-        }
-
-        // Usar el precio de venta del producto
-        movement.price = product.default_sale_price || movement.price;
-
-        // Transacción de venta incluyendo la tabla de ventas
-        const tx = database.transaction(['sales', 'batches', 'movements'], 'readwrite');
-        
-        // Verificar stock
-        const batchStore = tx.objectStore('batches');
-        const allBatches = await batchStore.getAll();
-        const totalStock = allBatches
-          .filter(b => b.product_sku === movement.sku && !b.lot?.startsWith('DEV-'))
-          .reduce((s, b) => s + (b.quantity || 0), 0);
-          
-        if (movement.quantity > totalStock) {
-          addToast('error', 'Venta denegada', 
-            `Stock insuficiente: intento vender ${movement.quantity} pero solo hay ${totalStock}`);
-          await tx.done;
-          return;
-        }
-        
-        // Implementar FIFO (PEPS) para descontar stock
-        const productBatches = allBatches
-          .filter(batch => 
-            batch.product_sku === movement.sku && 
-            batch.quantity > 0 &&
-            !batch.lot?.startsWith('DEV-')
-          )
-          .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
-        
-        let remaining = movement.quantity;
-        const batchesUsed = [];
-        
-        for (const batch of productBatches) {
-          if (remaining <= 0) break;
-          
-          const take = Math.min(batch.quantity, remaining);
-          batch.quantity -= take;
-          remaining -= take;
-          
-          batchesUsed.push({
-            batchId: batch.id,
-            quantity: take,
-            purchase_price: batch.purchase_price
-          });
-          
-          await batchStore.put(batch);
-        }
-        
-        // Registrar venta con más detalles
-        const saleData = {
-          id: `SALE-${Date.now()}`,
-          timestamp: movement.timestamp,
-          sku: movement.sku,
-          product_name: movement.name,
-          quantity: movement.quantity,
-          sale_price: movement.price,
-          total: movement.quantity * movement.price,
-          operator: movement.operator,
-          device_id: movement.device_id,
-          status: 'completed',
-          batches_used: batchesUsed,
-          bodega: movement.bodega,
-          lot: `SALE-${Date.now()}`,
-          type: 'venta'
-        };
-
-        const sale = await tx.objectStore('sales').add(saleData);
-        
-        // Registrar movimiento
-        await tx.objectStore('movements').add({
-          ...movement,
-          sale_id: sale,
-          batches_used: batchesUsed,
-          type: 'venta'
-        });
-        
-        await tx.done;
-        // Guardar el id de la venta en el objeto de movimiento para que el Feed pueda deshacerla
-        movement.sale_id = sale;
-        addToast('success', 'Venta registrada',
-          `${movement.quantity} unidades de ${movement.name} vendidas`);
-        
-      } else if (payload.event === 'devolucion') {
-        // Verificar ventas previas
-        const tx = database.transaction(['sales', 'returns', 'batches', 'movements'], 'readwrite');
-        
-        const salesStore = tx.objectStore('sales');
-        const sales = await salesStore.getAll();
-        const returnsStore = tx.objectStore('returns');
-        const returns = await returnsStore.getAll();
-        
-        // Calcular ventas y devoluciones totales
-        const soldTotal = sales
-          .filter(s => s.sku === movement.sku && s.status === 'completed')
-          .reduce((sum, s) => sum + s.quantity, 0);
-          
-        const returnedTotal = returns  
-          .filter(r => r.sku === movement.sku)
-          .reduce((sum, r) => sum + r.quantity, 0);
-          
-        if (movement.quantity > (soldTotal - returnedTotal)) {
-          addToast('error', 'Devolución denegada',
-            `No hay suficientes ventas sin devolver para ${movement.quantity} unidades`);
-          await tx.done;
+      if (payload.event === 'ingreso') {
+        if (isKit(unitProduct)) {
+          addToast('error', 'Ingreso denegado', `${unitProduct.name || sku} es un kit: ingresa el stock de sus componentes`);
           return;
         }
+        // Transacción de ingreso a inventario
+        const tx = database.transaction(['products', 'batches', 'movements', 'price_history'], 'readwrite');
         
-        // Registrar devolución
-        const returnId = await returnsStore.add({
-          ...movement,
-          original_sale_id: null, // No rastreamos la venta específica
-          status: 'completed'
-        });
+        // Create or update product
+        const productStore = tx.objectStore('products');
+        const existingProduct = await productStore.get(movement.sku);
+        
+        if (!existingProduct) {
+          const newProduct = {
+            sku: movement.sku,
+            name: movement.name,
+            category: payload.category || 'Sin categoría',
+            default_purchase_price: movement.price,
+            default_sale_price: payload.sale_price ? payload.sale_price / eventUnit.factor : movement.price * 1.5,
+            base_unit: baseUnitOf(unitProduct).key,
+            units: sanitizeUnits(payload.units),
+            created_at: nowISO()
+          };
+          await productStore.put(newProduct);
+          await recordPriceChanges(tx, null, newProduct, { operator: movement.operator, source: 'ingreso' });
+        }
         
-        // Crear nuevo lote para producto devuelto
+        // Create batch con INIT- para identificar stock inicial
         await tx.objectStore('batches').add({
           product_sku: movement.sku,
-          lot: `DEV-${returnId}`,
+          lot: movement.lot || `INIT-${Date.now()}`,
           expiry: movement.expiry,
           quantity: movement.quantity,
           purchase_price: movement.price,
           created_at: nowISO(),
-          return_id: returnId
+          supplier_id: payload.supplier_id ?? null
         });
         
         // Registrar movimiento
         await tx.objectStore('movements').add({
           ...movement,
-          type: 'devolucion_venta',
-          return_id: returnId
+          type: 'ingreso_inventario',
+          supplier_id: payload.supplier_id ?? null
         });
         
+        await tx.done;
+        addToast('success', 'Ingreso procesado',
+          `${eventUnit.factor !== 1 ? `${unitQuantity} ${eventUnit.short} (${formatQuantity(unitProduct, movement.quantity)})` : formatQuantity(unitProduct, movement.quantity)} de ${movement.name} agregadas al inventario`);
+        
+      } else if (payload.event === 'venta') {
+        // Verificar que ambos dispositivos estén conectados
+        if (!connected || !salesSensorConnected) {
+          addToast('error', 'Error', 'Se requiere que tanto la pulsera como el sensor de ventas estén conectados');
+          return;
+        }
+
+        // El sensor puede indicar el lote (batch_id); si no lo hace, un producto con
+        // lote manual sale por FIFO, igual que los componentes de un kit
+        const manualWithoutLot = payload.batch_id == null
+          && resolvePickingStrategy(products.find(p => p.sku === movement.sku), pickingSettings) === 'manual';
+        const sale = await commitSale(database, [{
+          sku: movement.sku,
+          name: movement.name,
+          quantity: movement.quantity,
+          unit: movement.unit,
+          price: movement.price,
+          discount: payload.discount || null,
+          ...(payload.batch_id != null ? { strategy: 'manual', batch_ids: [payload.batch_id] } : {}),
+          ...(manualWithoutLot ? { strategy: 'fifo' } : {})
+        }], { ...movement, price_list: payload.price_list });
+        if (!sale) return;
+
+        // Guardar el id de la venta en el objeto de movimiento para que el Feed pueda deshacerla
+        movement.sale_id = sale.id;
+        movement.price = sale.lines[0].sale_price;
+        addToast('success', `Venta registrada · ${sale.document_id}`,
+          `${formatQuantity(unitProduct, movement.quantity, movement.unit)} de ${movement.name} vendidas` +
+          `${sale.discount_total > 0 ? ` · Descuento ${settings?.currency || 'S/'}${sale.discount_total.toFixed(2)}` : ''} · ` +
+          `Lotes: ${describeBatchesUsed(sale.lines[0].batches_used)}`);
+        
+      } else if (payload.event === 'devolucion') {
+        // Toda devolución se liga a una venta: la indicada en payload.sale_id o,
+        // si no viene, la venta más reciente del SKU con unidades por devolver.
+        const tx = database.transaction(['sales', 'returns', 'batches', 'movements'], 'readwrite');
+        const salesStore = tx.objectStore('sales');
+        const requestedSaleId = payload.sale_id || payload.original_sale_id;
+        const candidates = requestedSaleId
+          ? [await salesStore.get(requestedSaleId)].filter(Boolean)
+          : (await salesStore.getAll()).sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+        const sale = candidates.find(s =>
+          s.status === 'completed' &&
+          getSaleLines(s).some(l => l.sku === movement.sku && saleLineReturnable(l) >= movement.quantity)
+        );
+
+        if (!sale) {
+          addToast('error', 'Devolución denegada',
+            requestedSaleId
+              ? `La venta ${requestedSaleId} no tiene ${movement.quantity} unidades de ${movement.name} por devolver`
+              : `No hay una venta con ${movement.quantity} unidades de ${movement.name} sin devolver`);
+          await tx.done;
+          return;
+        }
+
+        await registerSaleReturn(tx, sale, [{ sku: movement.sku, quantity: movement.quantity }], { ...movement, shift_id: activeShift?.id });
         await tx.done;
         addToast('success', 'Devolución procesada',
-          `${movement.quantity} unidades de ${movement.name} devueltas al inventario`);
+          `${movement.quantity} unidades de ${movement.name} devueltas al inventario (venta ${sale.id})`);
       }
       
       // Update events feed: usar tipos simples para la UI ('ingreso', 'venta', 'devolucion')
@@ -2202,16 +9566,27 @@ function App() {
     }
   };
   
+  // Anula una venta completa (todas sus líneas) como una sola unidad
   const handleUndoSale = async (saleEvent) => {
+    if (!requirePermission('anular_venta')) return;
     const database = await ensureDbReady().catch(() => null);
     if (!database) return;
+
+    // El comprobante electrónico se anula con la venta: SUNAT pide el motivo de la baja
+    const lookupId = saleEvent?.sale_id || saleEvent?.id;
+    const issuedDoc = documents.find(d => d.sale_id === lookupId && d.status !== 'anulado');
+    let voidReason = null;
+    if (issuedDoc) {
+      voidReason = prompt(`Motivo de anulación de ${issuedDoc.id}`, 'Anulación de la operación');
+      if (voidReason == null) return;
+      voidReason = voidReason.trim() || 'Anulación de la operación';
+    }
     
     try {
-      const tx = database.transaction(['sales', 'returns', 'batches', 'movements'], 'readwrite');
+      const tx = database.transaction(['sales', 'returns', 'batches', 'movements', 'documents'], 'readwrite');
       
       // Verificar que la venta existe y no está anulada
       const salesStore = tx.objectStore('sales');
-      const lookupId = saleEvent?.sale_id || saleEvent?.id;
       const sale = await salesStore.get(lookupId);
       
       if (!sale || sale.status === 'cancelled') {
@@ -2219,55 +9594,88 @@ function App() {
         await tx.done;
         return;
       }
+
+      const operator = `${currentOperatorName()} (anulación)`;
+      const lines = getSaleLines(sale).map(l => ({ ...l, batches_used: (l.batches_used || []).map(b => ({ ...b })) }));
+      const pendingLines = lines.filter(l => saleLineReturnable(l) > 0);
+
+      if (pendingLines.length === 0) {
+        addToast('error', 'Error', 'La venta ya fue devuelta por completo');
+        await tx.done;
+        return;
+      }
+
+      let units = 0;
+      for (const line of pendingLines) {
+        const quantity = saleLineReturnable(line);
+        units += quantity;
+        // Registrar devolución
+        const returnRecord = {
+          sku: line.sku,
+          name: line.product_name || line.sku,
+          quantity,
+          price: line.sale_price || 0,
+          timestamp: nowISO(),
+          device_id: sale.device_id,
+          operator,
+          original_sale_id: sale.id,
+          shift_id: activeShift?.id || null,
+          status: 'completed'
+        };
+        const returnId = await tx.objectStore('returns').add(returnRecord);
+
+        // Devolver a los lotes originales (lote UNDO- con el costo original si ya no existen)
+        const restocked = await restockSaleLine(tx, line, quantity, { lot: `UNDO-${returnId}`, return_id: returnId });
+        await tx.objectStore('returns').put({ ...returnRecord, id: returnId, batches_returned: restocked });
+
+        // Registrar movimiento
+        await tx.objectStore('movements').add({
+          type: 'anulacion_venta',
+          sku: line.sku,
+          name: line.product_name || line.sku,
+          quantity,
+          price: line.sale_price || 0,
+          timestamp: nowISO(),
+          device_id: sale.device_id,
+          operator,
+          sale_id: sale.id,
+          return_id: returnId,
+          shift_id: activeShift?.id || null,
+          ...(saleLineIsKit(line) ? { kit: true } : {}),
+          batches_used: restocked
+        });
+        await addKitComponentMovements(tx, line, restocked, 'reingreso_kit', {
+          timestamp: nowISO(),
+          device_id: sale.device_id,
+          operator,
+          sale_id: sale.id,
+          return_id: returnId
+        });
+      }
       
-      // Registrar devolución
-      const returnsStore = tx.objectStore('returns');
-      const returnId = await returnsStore.add({
-        sku: saleEvent.sku,
-        name: saleEvent.name,
-        quantity: saleEvent.quantity,
-        price: sale.price || 0,
-        timestamp: nowISO(),
-        device_id: saleEvent.device_id,
-        operator: `${settings?.user || 'Usuario'} (anulación)`,
-        original_sale_id: saleEvent.id,
-        status: 'completed'
-      });
-      
-      // Crear lote especial para devolución
-      const batchesStore = tx.objectStore('batches');
-      await batchesStore.add({
-        product_sku: saleEvent.sku,
-        lot: `UNDO-${returnId}`,
-        quantity: saleEvent.quantity,
-        purchase_price: sale.batches_used?.[0]?.purchase_price || 0, // Usar precio original si está disponible
-        expiry: null,
-        created_at: nowISO(),
-        return_id: returnId
-      });
-      
+      sale.lines = lines;
       // Marcar venta como anulada
       sale.status = 'cancelled';
       await salesStore.put(sale);
-      
-      // Registrar movimiento
-      await tx.objectStore('movements').add({
-        type: 'anulacion_venta',
-        sku: saleEvent.sku,
-        name: saleEvent.name,
-        quantity: saleEvent.quantity,
-        price: sale.price || 0,
-        timestamp: nowISO(),
-        device_id: saleEvent.device_id,
-        operator: `${settings?.user || 'Usuario'} (anulación)`,
-        sale_id: saleEvent.id,
-        return_id: returnId
-      });
+
+      const documentStore = tx.objectStore('documents');
+      for (const doc of await documentStore.index('by_sale').getAll(sale.id)) {
+        if (doc.status === 'anulado') continue;
+        await documentStore.put({
+          ...doc,
+          status: 'anulado',
+          voided_at: nowISO(),
+          void_reason: voidReason || 'Anulación de la operación',
+          voided_by: currentOperatorName()
+        });
+      }
       
       await tx.done;
       
       addToast('success', 'Venta anulada', 
-        `Se anuló la venta de ${saleEvent.quantity} unidades de ${saleEvent.name}`);
+        pendingLines.length === 1
+          ? `Se anuló la venta de ${units} unidades de ${pendingLines[0].product_name || pendingLines[0].sku}`
+          : `Se anuló la venta de ${pendingLines.length} productos (${units} unidades)`);
       
       // Refrescar datos
       await refreshData();
@@ -2278,8 +9686,55 @@ function App() {
     }
   };
 
+  // Devolución parcial de una venta concreta: items = [{ sku, quantity }]
+  const handleSaleReturn = async (saleId, items, reason = '') => {
+    if (!requirePermission('devolver_venta')) return false;
+    const database = await ensureDbReady().catch(() => null);
+    if (!database) return false;
+
+    const device = resolveOperatorDevice();
+    try {
+      const tx = database.transaction(['sales', 'returns', 'batches', 'movements'], 'readwrite');
+      const sale = await tx.objectStore('sales').get(saleId);
+      if (!sale || sale.status !== 'completed') {
+        addToast('error', 'Devolución denegada', 'No se encontró la venta o fue anulada');
+        await tx.done;
+        return false;
+      }
+
+      const records = await registerSaleReturn(tx, sale, items, {
+        device_id: device?.id,
+        operator: currentOperatorName(device),
+        bodega: settings?.bodega || 'Bodega Principal',
+        shift_id: activeShift?.id,
+        reason
+      });
+      await tx.done;
+
+      const units = records.reduce((sum, r) => sum + r.quantity, 0);
+      addToast('success', 'Devolución procesada', `${units} unidades de la venta ${saleId} devueltas a sus lotes`);
+      setEvents(prev => [{
+        id: Date.now(),
+        type: 'devolucion',
+        sku: records.length === 1 ? records[0].sku : `${records.length} productos`,
+        name: records.map(r => `${r.name} ×${r.quantity}`).join(', '),
+        quantity: units,
+        timestamp: nowISO(),
+        device_id: device?.id,
+        operator: currentOperatorName(device)
+      }, ...prev.slice(0, 19)]);
+      await refreshData();
+      return true;
+    } catch (error) {
+      console.error('Sale return error:', error);
+      addToast('error', 'Devolución denegada', error.message);
+      return false;
+    }
+  };
+
   // Generic return handler used from UI (ventas o inventario)
   const handleReturn = async (batch, mode = 'ventas') => {
+    if (!requirePermission(mode === 'ventas' ? 'devolver_venta' : 'devolver_compra')) return;
     const database = await ensureDbReady().catch(() => null);
     if (!database) return;
 
@@ -2297,8 +9752,9 @@ function App() {
           price: batch.purchase_price,
           timestamp: nowISO(),
           device_id: selectedDevice?.id,
-          operator: selectedDevice?.operator || settings?.user || 'Usuario',
+          operator: currentOperatorName(selectedDevice),
           original_batch_id: batch.id,
+          shift_id: activeShift?.id || null,
           status: 'completed'
         });
 
@@ -2324,8 +9780,9 @@ function App() {
           lot: `DEV-SALE-${returnId}`,
           timestamp: nowISO(),
           device_id: selectedDevice?.id,
-          operator: selectedDevice?.operator || settings?.user || 'Usuario',
-          return_id: returnId
+          operator: currentOperatorName(selectedDevice),
+          return_id: returnId,
+          shift_id: activeShift?.id || null
         });
 
         await tx.done;
@@ -2334,7 +9791,7 @@ function App() {
 
       } else {
         // Devolver compra: marcar lote como devuelto y registrar movimiento
-        const tx = database.transaction(['batches', 'returns', 'movements'], 'readwrite');
+        const tx = database.transaction(['batches', 'returns', 'movements', 'suppliers'], 'readwrite');
         
         // Verificar que el lote existe y no está ya devuelto
         const batchStore = tx.objectStore('batches');
@@ -2352,6 +9809,10 @@ function App() {
           return;
         }
 
+        // El lote vuelve a quien lo entregó; si no se registró, al proveedor preferido del producto
+        const supplierId = existing.supplier_id ?? (products.find(p => p.sku === existing.product_sku) || {}).supplier_id ?? null;
+        const supplier = supplierId != null ? await tx.objectStore('suppliers').get(supplierId) : null;
+
         // Registrar devolución
         const returnId = await tx.objectStore('returns').add({
           sku: existing.product_sku,
@@ -2360,13 +9821,17 @@ function App() {
           price: existing.purchase_price,
           timestamp: nowISO(),
           device_id: selectedDevice?.id,
-          operator: selectedDevice?.operator || settings?.user || 'Usuario',
+          operator: currentOperatorName(selectedDevice),
           original_batch_id: batch.id,
           status: 'completed',
-          type: 'inventory_return'
+          type: 'inventory_return',
+          supplier_id: supplier?.id ?? null,
+          supplier_name: supplier?.name || null,
+          po_id: existing.po_id || null
         });
 
-        // Marcar lote como devuelto
+        // Marcar lote como devuelto (guardar la cantidad antes de vaciarlo)
+        const returnedQty = existing.quantity;
         existing.lot = `DEV-INV-${returnId}`;
         existing.status = 'returned';
         existing.return_id = returnId;
@@ -2378,18 +9843,21 @@ function App() {
           type: 'devolucion_inventario',
           sku: existing.product_sku,
           name: (products.find(p => p.sku === existing.product_sku) || {}).name || existing.product_sku,
-          quantity: existing.quantity,
+          quantity: returnedQty,
           price: existing.purchase_price,
           lot: existing.lot,
           timestamp: nowISO(),
           device_id: selectedDevice?.id,
-          operator: selectedDevice?.operator || settings?.user || 'Usuario',
-          return_id: returnId
+          operator: currentOperatorName(selectedDevice),
+          return_id: returnId,
+          supplier_id: supplier?.id ?? null,
+          supplier_name: supplier?.name || null,
+          po_id: existing.po_id || null
         });
 
         await tx.done;
         addToast('success', 'Compra devuelta', 
-          `El lote ${batch.lot} fue marcado como devuelto y removido del inventario`);
+          `El lote ${batch.lot} fue marcado como devuelto y removido del inventario${supplier ? ` (proveedor: ${supplier.name})` : ''}`);
       }
 
       // Refrescar datos
@@ -2450,25 +9918,545 @@ function App() {
           productSummary[batch.product_sku].totalValue += (batch.quantity || 0) * (batch.purchase_price || 0);
         }
       });
-      
-      Object.entries(productSummary).forEach(([sku, summary]) => {
-        productsSheet.addRow([sku, summary.name, summary.totalStock, summary.totalValue]);
+      
+      Object.entries(productSummary).forEach(([sku, summary]) => {
+        productsSheet.addRow([sku, summary.name, summary.totalStock, summary.totalValue]);
+      });
+
+      // Historial de precios (vigencia de cada precio por fecha)
+      const pricesSheet = workbook.addWorksheet('Historial de Precios');
+      pricesSheet.addRow(['Fecha', 'SKU', 'Nombre', 'Campo', 'Precio Anterior', 'Precio Nuevo', 'Operador', 'Origen']);
+      [...priceHistory]
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+        .forEach(h => {
+          pricesSheet.addRow([
+            formatDateTime(h.timestamp),
+            h.sku,
+            (products.find(p => p.sku === h.sku) || {}).name || '',
+            (PRICE_FIELDS.find(f => f.key === h.field) || {}).label || h.field,
+            h.old_value ?? '',
+            h.new_value,
+            h.operator || '',
+            h.source || ''
+          ]);
+        });
+      
+      const buffer = await workbook.xlsx.writeBuffer();
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
+      saveAs(new Blob([buffer]), `inventario_actual_${timestamp}.xlsx`);
+      
+      addToast('success', 'Exportación completa', 'Archivo XLSX descargado exitosamente');
+      
+    } catch (error) {
+      console.error('Export error:', error);
+      addToast('error', 'Error de exportación', 'No se pudo generar el archivo XLSX');
+    }
+    
+    setIsExporting(false);
+  };
+  
+  const resolveMovementOperator = (mov) => resolveOperatorName(mov.operator, mov.device_id, mov.timestamp);
+
+  // Reporte de movimientos por rango de fechas y filtros (ReportBuilder)
+  const handleRangeReport = async (filters) => {
+    setIsExporting(true);
+
+    try {
+      const selected = filterMovements(movements, filters, products, resolveMovementOperator);
+      const workbook = new ExcelJS.Workbook();
+      addMovementSheets(workbook, selected, resolveMovementOperator,
+        `Movimientos ${filters.from || 'inicio'} a ${filters.to || 'hoy'}`);
+
+      const buffer = await workbook.xlsx.writeBuffer();
+      const range = `${(filters.from || 'inicio').replace(/-/g, '')}_${(filters.to || localDateKey(new Date())).replace(/-/g, '')}`;
+      saveAs(new Blob([buffer]), `historial_movimientos_${range}.xlsx`);
+
+      addToast('success', 'Reporte generado', `${selected.length} movimientos exportados`);
+    } catch (error) {
+      console.error('Range report error:', error);
+      addToast('error', 'Error en reporte', 'No se pudo generar el reporte');
+    }
+
+    setIsExporting(false);
+  };
+
+  // Borrador de orden de compra con los productos por reponer
+  const handleExportReorder = async () => {
+    setIsExporting(true);
+
+    try {
+      const items = buildReorderList(products, batches);
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet('Orden de Compra (Borrador)');
+      sheet.addRow(['Orden de compra (borrador)', settings?.bodega || 'Bodega Principal']);
+      sheet.addRow(['Fecha', formatDate(nowISO())]);
+      sheet.addRow([]);
+      const header = sheet.addRow(['SKU', 'Producto', 'Categoría', 'Proveedor', 'Stock Actual', 'Punto de Reposición', 'Cantidad a Pedir', 'Costo Unitario Ref.', 'Subtotal']);
+      header.font = { bold: true };
+      header.fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: 'FFE0E0E0' }
+      };
+      items.forEach(item => {
+        const supplier = suppliers.find(sp => sp.id === item.supplier_id);
+        sheet.addRow([item.sku, item.name, item.category, supplier?.name || '', item.stock, item.reorder_point, item.suggested, item.unit_cost, item.suggested * item.unit_cost]);
+      });
+      sheet.addRow(['', '', '', '', '', '', '', 'Total', items.reduce((sum, item) => sum + item.suggested * item.unit_cost, 0)]);
+
+      const buffer = await workbook.xlsx.writeBuffer();
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
+      saveAs(new Blob([buffer]), `orden_compra_borrador_${timestamp}.xlsx`);
+
+      addToast('success', 'Exportación completa', `${items.length} producto(s) por reponer`);
+    } catch (error) {
+      console.error('Reorder export error:', error);
+      addToast('error', 'Error de exportación', 'No se pudo generar la orden de compra');
+    }
+
+    setIsExporting(false);
+  };
+
+  const handleExportShrinkage = async (range) => {
+    setIsExporting(true);
+
+    try {
+      const summary = summarizeShrinkage(movements, range);
+      const workbook = new ExcelJS.Workbook();
+      const styleHeader = (row) => {
+        row.font = { bold: true };
+        row.fill = {
+          type: 'pattern',
+          pattern: 'solid',
+          fgColor: { argb: 'FFE0E0E0' }
+        };
+      };
+
+      const detail = workbook.addWorksheet('Mermas');
+      styleHeader(detail.addRow(['Fecha', 'SKU', 'Producto', 'Lote', 'Caducidad', 'Motivo', 'Cantidad', 'Costo Unitario', 'Costo Total', 'Operador', 'Observación']));
+      [...summary.movements]
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+        .forEach(m => {
+          detail.addRow([
+            formatDateTime(m.timestamp),
+            m.sku,
+            m.name || '',
+            m.lot || '',
+            m.expiry ? formatDate(m.expiry) : '',
+            mermaReasonLabel(m.reason),
+            m.quantity,
+            m.price || 0,
+            m.cost ?? (m.quantity || 0) * (m.price || 0),
+            resolveMovementOperator(m),
+            m.note || ''
+          ]);
+        });
+
+      [['Por Motivo', summary.byReason, 'Motivo'], ['Por Producto', summary.byProduct, 'Producto']].forEach(([title, rows, label]) => {
+        const sheet = workbook.addWorksheet(title);
+        styleHeader(sheet.addRow([label, 'Registros', 'Unidades', 'Costo']));
+        rows.forEach(r => sheet.addRow([r.label, r.count, r.quantity, r.cost]));
+        sheet.addRow(['Total', summary.movements.length, summary.totalQuantity, summary.totalCost]);
+      });
+
+      const buffer = await workbook.xlsx.writeBuffer();
+      const suffix = `${(range.from || 'inicio').replace(/-/g, '')}_${(range.to || localDateKey(new Date())).replace(/-/g, '')}`;
+      saveAs(new Blob([buffer]), `mermas_${suffix}.xlsx`);
+
+      addToast('success', 'Reporte generado', 'Reporte de mermas exportado exitosamente');
+    } catch (error) {
+      console.error('Shrinkage export error:', error);
+      addToast('error', 'Error en reporte', 'No se pudo generar el reporte de mermas');
+    }
+
+    setIsExporting(false);
+  };
+
+  const handleExportProfitability = async (range) => {
+    setIsExporting(true);
+
+    try {
+      const facts = buildProfitFacts(sales, products, range);
+      const workbook = new ExcelJS.Workbook();
+      const round = (v) => Number(Number(v || 0).toFixed(2));
+
+      PROFIT_DIMENSIONS.forEach(dim => {
+        const sheet = workbook.addWorksheet(`Por ${dim.label}`);
+        const header = sheet.addRow([dim.label, 'Unidades', 'Devueltas', 'Ventas (con IGV)', 'Descuentos', 'IGV', 'Base Imponible', 'Costo de Ventas', 'Margen Bruto', 'Margen %']);
+        header.font = { bold: true };
+        header.fill = {
+          type: 'pattern',
+          pattern: 'solid',
+          fgColor: { argb: 'FFE0E0E0' }
+        };
+        aggregateProfit(facts, dim.key).forEach(r => {
+          sheet.addRow([r.label, r.quantity, r.returned, round(r.revenue), round(r.discount), round(r.igv), round(r.base), round(r.cogs), round(r.margin), round(r.marginPct)]);
+        });
+      });
+
+      const buffer = await workbook.xlsx.writeBuffer();
+      const suffix = `${(range.from || 'inicio').replace(/-/g, '')}_${(range.to || localDateKey(new Date())).replace(/-/g, '')}`;
+      saveAs(new Blob([buffer]), `rentabilidad_${suffix}.xlsx`);
+
+      addToast('success', 'Reporte generado', 'Rentabilidad exportada exitosamente');
+    } catch (error) {
+      console.error('Profitability export error:', error);
+      addToast('error', 'Error en reporte', 'No se pudo generar el reporte de rentabilidad');
+    }
+
+    setIsExporting(false);
+  };
+
+  // Merma: baja de unidades de lotes con motivo; el costo sale del lote
+  const handleWriteOff = async (items, reason, note = '') => {
+    if (!requirePermission('registrar_merma')) return false;
+    const database = await ensureDbReady().catch(() => null);
+    if (!database) return false;
+
+    const device = resolveOperatorDevice();
+    const operator = currentOperatorName(device);
+    try {
+      const tx = database.transaction(['batches', 'products', 'movements'], 'readwrite');
+      const batchStore = tx.objectStore('batches');
+      const rows = [];
+      for (const item of items) {
+        const batch = await batchStore.get(item.batch_id);
+        if (!batch || item.quantity <= 0 || item.quantity > (batch.quantity || 0) + 1e-9) {
+          addToast('error', 'Merma denegada', `El lote ${batch?.lot || item.batch_id} no tiene ${item.quantity} unidades`);
+          await tx.done;
+          return false;
+        }
+        rows.push({ batch, quantity: roundQuantity(item.quantity) });
+      }
+
+      const timestamp = nowISO();
+      let totalCost = 0;
+      for (const { batch, quantity } of rows) {
+        const product = await tx.objectStore('products').get(batch.product_sku) || {};
+        const cost = quantity * (batch.purchase_price || 0);
+        totalCost += cost;
+        batch.quantity = roundQuantity(batch.quantity - quantity);
+        await batchStore.put(batch);
+        await tx.objectStore('movements').add({
+          type: 'merma',
+          sku: batch.product_sku,
+          name: product.name || batch.product_sku,
+          quantity,
+          price: batch.purchase_price || 0,
+          cost,
+          lot: batch.lot,
+          expiry: batch.expiry || null,
+          timestamp,
+          device_id: device?.id,
+          operator,
+          bodega: settings?.bodega || 'Bodega Principal',
+          reason,
+          note,
+          batches_used: [{ batchId: batch.id, lot: batch.lot, expiry: batch.expiry || null, quantity, purchase_price: batch.purchase_price || 0 }]
+        });
+      }
+      await tx.done;
+
+      const units = roundQuantity(rows.reduce((sum, r) => sum + r.quantity, 0));
+      addToast('success', 'Merma registrada',
+        `${units} unidades dadas de baja (${mermaReasonLabel(reason)}) · costo ${settings?.currency || 'S/'}${totalCost.toFixed(2)}`);
+      await refreshData();
+      return true;
+    } catch (error) {
+      console.error('Write-off error:', error);
+      addToast('error', 'Error', 'No se pudo registrar la merma: ' + error.message);
+      return false;
+    }
+  };
+
+  // Alta, edición y desactivación de promociones programadas
+  const handleSavePromotion = async (promotion) => {
+    if (!requirePermission('editar_precios')) return false;
+    const database = await ensureDbReady().catch(() => null);
+    if (!database) return false;
+
+    const name = String(promotion.name || '').trim();
+    if (!name) {
+      addToast('error', 'Promoción inválida', 'Indica un nombre');
+      return false;
+    }
+    if (promotion.scope === 'category' ? !promotion.category : !promotion.sku) {
+      addToast('error', 'Promoción inválida', promotion.scope === 'category' ? 'Elige la categoría' : 'Elige el producto');
+      return false;
+    }
+    if (promotion.type === 'nxm' && !(Number(promotion.buy) > Number(promotion.pay) && Number(promotion.pay) >= 1)) {
+      addToast('error', 'Promoción inválida', 'En "lleva N paga M" N debe ser mayor que M (p. ej. 3x2)');
+      return false;
+    }
+    if (promotion.type === 'percent' && !(Number(promotion.percent) > 0 && Number(promotion.percent) <= 100)) {
+      addToast('error', 'Promoción inválida', 'El porcentaje debe estar entre 1 y 100');
+      return false;
+    }
+    if (promotion.starts_on && promotion.ends_on && promotion.ends_on < promotion.starts_on) {
+      addToast('error', 'Promoción inválida', 'La fecha de fin es anterior a la de inicio');
+      return false;
+    }
+
+    try {
+      const existing = promotion.id != null ? await database.get('promotions', promotion.id) : null;
+      const record = {
+        ...(existing || { created_at: nowISO(), created_by: currentOperator?.name || settings?.user || 'Usuario' }),
+        name,
+        type: promotion.type,
+        buy: promotion.type === 'nxm' ? Number(promotion.buy) : null,
+        pay: promotion.type === 'nxm' ? Number(promotion.pay) : null,
+        percent: promotion.type === 'percent' ? Number(promotion.percent) : null,
+        scope: promotion.scope,
+        sku: promotion.scope === 'sku' ? promotion.sku : null,
+        category: promotion.scope === 'category' ? promotion.category : null,
+        starts_on: promotion.starts_on || null,
+        ends_on: promotion.ends_on || null,
+        active: promotion.active !== false,
+        updated_at: nowISO()
+      };
+      await database.put('promotions', record);
+      await refreshData();
+      addToast('success', 'Promoción guardada', `${record.name} (${promotionLabel(record)})`);
+      return true;
+    } catch (error) {
+      console.error('Promotion error:', error);
+      addToast('error', 'Error', 'No se pudo guardar la promoción');
+      return false;
+    }
+  };
+
+  // Alta o edición de un cliente; cambiar el límite de crédito requiere permiso
+  const handleSaveCustomer = async (customer) => {
+    const database = await ensureDbReady().catch(() => null);
+    if (!database) return false;
+
+    try {
+      const tx = database.transaction('customers', 'readwrite');
+      const store = tx.objectStore('customers');
+      const existing = customer.id != null ? await store.get(customer.id) : null;
+      const docNumber = String(customer.doc_number || '').trim();
+      if (docNumber) {
+        const sameDoc = (await store.index('by_doc').getAll(docNumber)).find(c => c.id !== customer.id);
+        if (sameDoc) {
+          addToast('error', 'Cliente duplicado', `${docNumber} ya está registrado como ${sameDoc.name}`);
+          await tx.done;
+          return false;
+        }
+      }
+      const creditLimit = Number(customer.credit_limit) || 0;
+      if (creditLimit !== (Number(existing?.credit_limit) || 0) && !requirePermission('gestionar_credito')) {
+        await tx.done;
+        return false;
+      }
+      const record = {
+        ...(existing || { created_at: nowISO(), active: true }),
+        doc_number: docNumber,
+        name: customer.name,
+        phone: customer.phone || '',
+        credit_limit: creditLimit,
+        active: customer.active !== false,
+        updated_at: nowISO()
+      };
+      await store.put(record);
+      await tx.done;
+      await refreshData();
+      addToast('success', 'Cliente guardado', record.name);
+      return true;
+    } catch (error) {
+      console.error('Customer error:', error);
+      addToast('error', 'Error', 'No se pudo guardar el cliente');
+      return false;
+    }
+  };
+
+  // Abono a la cuenta de un cliente; entra a la caja del turno abierto
+  const handleCustomerPayment = async (customerId, amount, method, note = '') => {
+    const database = await ensureDbReady().catch(() => null);
+    if (!database) return false;
+
+    try {
+      const customer = await database.get('customers', customerId);
+      const balance = customerBalance(customerId);
+      if (!customer) {
+        addToast('error', 'Error', 'Cliente no encontrado');
+        return false;
+      }
+      if (amount > balance + 0.005) {
+        addToast('error', 'Abono inválido', `La deuda de ${customer.name} es ${balance.toFixed(2)}`);
+        return false;
+      }
+      const device = resolveOperatorDevice();
+      await database.add('customer_payments', {
+        customer_id: customerId,
+        customer_name: customer.name,
+        amount: roundMoney(amount),
+        method,
+        note,
+        timestamp: nowISO(),
+        operator: currentOperatorName(device),
+        device_id: device?.id || null,
+        shift_id: activeShift?.id || null
+      });
+      await refreshData();
+      const currency = settings?.currency || 'S/';
+      addToast('success', 'Abono registrado', `${customer.name}: ${currency}${amount.toFixed(2)} (${paymentMethodLabel(method)}) · saldo ${currency}${roundMoney(balance - amount).toFixed(2)}`);
+      return true;
+    } catch (error) {
+      console.error('Customer payment error:', error);
+      addToast('error', 'Error', 'No se pudo registrar el abono');
+      return false;
+    }
+  };
+
+  const handleOpenShift = async (openingCash) => {
+    const database = await ensureDbReady().catch(() => null);
+    if (!database) return false;
+
+    const device = resolveOperatorDevice();
+    try {
+      const tx = database.transaction('shifts', 'readwrite');
+      const openShifts = await tx.objectStore('shifts').index('by_status').getAll('open');
+      const busy = openShifts.find(s => s.operator_id === currentOperator.id || (device && s.device_id === device.id));
+      if (busy) {
+        addToast('error', 'Turno ya abierto', busy.operator_id === currentOperator.id
+          ? `${currentOperator.name} ya tiene el turno ${busy.id} abierto`
+          : `${device.name} está en el turno abierto de ${busy.operator}`);
+        await tx.done;
+        return false;
+      }
+      const shift = {
+        id: `TURNO-${Date.now()}`,
+        operator: currentOperator.name,
+        operator_id: currentOperator.id,
+        device_id: device?.id || null,
+        opened_at: nowISO(),
+        opening_cash: openingCash,
+        status: 'open'
+      };
+      await tx.objectStore('shifts').add(shift);
+      await tx.done;
+      await refreshData(database);
+      addToast('success', 'Turno abierto', `${shift.id} con fondo de ${settings?.currency || 'S/'}${openingCash.toFixed(2)}`);
+      return true;
+    } catch (error) {
+      console.error('Open shift error:', error);
+      addToast('error', 'Error', 'No se pudo abrir el turno: ' + error.message);
+      return false;
+    }
+  };
+
+  // Cierre de caja: congela los totales del turno, el arqueo y descarga su reporte
+  const handleCloseShift = async (shiftId, countedCash, note = '') => {
+    const database = await ensureDbReady().catch(() => null);
+    if (!database) return false;
+
+    try {
+      const shift = await database.get('shifts', shiftId);
+      if (!shift || shift.status !== 'open') {
+        addToast('error', 'Error', 'El turno no existe o ya fue cerrado');
+        return false;
+      }
+      if (shift.operator_id !== currentOperator?.id && !requirePermission('cerrar_turno_ajeno')) return false;
+
+      const summary = summarizeShift(shift, await database.getAll('movements'), await database.getAll('sales'), await database.getAll('customer_payments'));
+      const closed = {
+        ...shift,
+        status: 'closed',
+        closed_at: nowISO(),
+        closed_by: currentOperatorName(),
+        counted_cash: countedCash,
+        expected_cash: summary.expectedCash,
+        difference: countedCash - summary.expectedCash,
+        totals: {
+          sales_count: summary.salesCount,
+          sales_total: summary.salesTotal,
+          cancellations_count: summary.cancellationsCount,
+          cancellations_total: summary.cancellationsTotal,
+          returns_count: summary.returnsCount,
+          returns_total: summary.returnsTotal,
+          collections_count: summary.collectionsCount,
+          collections_total: summary.collectionsTotal,
+          by_method: Object.fromEntries(summary.byMethod.map(m => [m.method, roundMoney(m.net)]))
+        },
+        note
+      };
+      await database.put('shifts', closed);
+      await refreshData(database);
+
+      const currency = settings?.currency || 'S/';
+      addToast(Math.abs(closed.difference) < 0.005 ? 'success' : 'warning', 'Turno cerrado',
+        `${closed.operator}: esperado ${currency}${closed.expected_cash.toFixed(2)}, contado ${currency}${countedCash.toFixed(2)}, diferencia ${currency}${closed.difference.toFixed(2)}`);
+      await handleExportShift(closed);
+      return true;
+    } catch (error) {
+      console.error('Close shift error:', error);
+      addToast('error', 'Error', 'No se pudo cerrar el turno: ' + error.message);
+      return false;
+    }
+  };
+
+  // Reporte de cierre de caja de un turno
+  const handleExportShift = async (shift) => {
+    setIsExporting(true);
+
+    try {
+      const database = await ensureDbReady();
+      const summary = summarizeShift(shift, await database.getAll('movements'), await database.getAll('sales'), await database.getAll('customer_payments'));
+      const expected = shift.expected_cash ?? summary.expectedCash;
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet('Cierre de Caja');
+
+      sheet.addRow(['Cierre de caja']);
+      sheet.addRow(['Bodega', settings?.bodega || '']);
+      sheet.addRow(['Turno', shift.id]);
+      sheet.addRow(['Operador', shift.operator]);
+      sheet.addRow(['Dispositivo', shift.device_id || '-']);
+      sheet.addRow(['Apertura', formatDateTime(shift.opened_at)]);
+      sheet.addRow(['Cierre', shift.closed_at ? formatDateTime(shift.closed_at) : 'Turno abierto']);
+      if (shift.closed_by) sheet.addRow(['Cerrado por', shift.closed_by]);
+      sheet.addRow(['Moneda', settings?.currency || 'S/']);
+      sheet.getRow(1).font = { bold: true, size: 14 };
+      sheet.addRow([]);
+
+      const header = sheet.addRow(['Concepto', 'Documentos', 'Importe']);
+      header.font = { bold: true };
+      header.fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: 'FFE0E0E0' }
+      };
+      const round = (v) => Number(Number(v || 0).toFixed(2));
+      sheet.addRow(['Fondo inicial', null, round(shift.opening_cash)]);
+      sheet.addRow(['Ventas', summary.salesCount, round(summary.salesTotal)]);
+      sheet.addRow(['Anulaciones', summary.cancellationsCount, -round(summary.cancellationsTotal)]);
+      sheet.addRow(['Devoluciones', summary.returnsCount, -round(summary.returnsTotal)]);
+      sheet.addRow(['Abonos de clientes', summary.collectionsCount, round(summary.collectionsTotal)]);
+      summary.byMethod.forEach(m => {
+        sheet.addRow([`Neto ${m.label}`, null, round(m.net)]);
       });
-      
+      sheet.addRow(['Efectivo esperado', null, round(expected)]).font = { bold: true };
+      if (shift.status === 'closed') {
+        sheet.addRow(['Efectivo contado', null, round(shift.counted_cash)]);
+        const differenceRow = sheet.addRow(['Diferencia', null, round(shift.difference)]);
+        differenceRow.font = { bold: true, color: { argb: Math.abs(shift.difference) < 0.005 ? 'FF008000' : 'FFFF0000' } };
+        if (shift.note) sheet.addRow(['Observación', shift.note]);
+      }
+      sheet.getColumn(1).width = 22;
+      sheet.getColumn(3).width = 14;
+
+      addMovementSheets(workbook, summary.movements, resolveMovementOperator, 'Movimientos del Turno');
+
       const buffer = await workbook.xlsx.writeBuffer();
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
-      saveAs(new Blob([buffer]), `inventario_actual_${timestamp}.xlsx`);
-      
-      addToast('success', 'Exportación completa', 'Archivo XLSX descargado exitosamente');
-      
+      saveAs(new Blob([buffer]), `cierre_caja_${shift.id}.xlsx`);
+      addToast('success', 'Reporte de turno generado', `Cierre de caja ${shift.id} descargado`);
     } catch (error) {
-      console.error('Export error:', error);
-      addToast('error', 'Error de exportación', 'No se pudo generar el archivo XLSX');
+      console.error('Shift report error:', error);
+      addToast('error', 'Error en reporte', 'No se pudo generar el reporte del turno');
     }
-    
+
     setIsExporting(false);
   };
-  
+
   const handleDailyReport = async () => {
     setIsExporting(true);
     
@@ -2476,84 +10464,29 @@ function App() {
       // Generate inventory report
       await handleExportInventory();
       
-      // Generate movements report
+      // Generate movements report (día local, no UTC)
       const workbook = new ExcelJS.Workbook();
-      const movementsSheet = workbook.addWorksheet('Movimientos del Día');
-      
-      // Estilo para el encabezado
-      movementsSheet.addRow(['Timestamp', 'Tipo', 'SKU', 'Nombre', 'Cantidad', 'Precio', 'Lote', 'Operador', 'Pulsera', 'Estado']);
-      movementsSheet.getRow(1).font = { bold: true };
-      movementsSheet.getRow(1).fill = {
+      const today = localDateKey(new Date());
+      const todayMovements = filterMovements(movements, { from: today, to: today }, products, resolveMovementOperator);
+      addMovementSheets(workbook, todayMovements, resolveMovementOperator, 'Movimientos del Día');
+
+      // Ventas del día (no anuladas) totalizadas por medio de pago
+      const todaySales = sales.filter(s => s.status !== 'cancelled' && localDateKey(s.timestamp) === today);
+      const paymentSheet = workbook.addWorksheet('Ventas por Medio de Pago');
+      const paymentHeader = paymentSheet.addRow(['Medio de pago', 'Ventas', 'Total']);
+      paymentHeader.font = { bold: true };
+      paymentHeader.fill = {
         type: 'pattern',
         pattern: 'solid',
         fgColor: { argb: 'FFE0E0E0' }
       };
-      
-      // Añadir resumen por operador
-      const operatorSummary = workbook.addWorksheet('Resumen por Operador');
-      operatorSummary.addRow(['Operador', 'Pulsera', 'Unidades Vendidas', 'Unidades Ingresadas', 'Unidades Devueltas']);
-      
-      // Filter today's movements
-      const today = new Date().toISOString().split('T')[0];
-      const todayMovements = movements.filter(mov => mov.timestamp.startsWith(today));
-      
-      // Procesar movimientos y crear resumen
-      const operatorStats = {};
-      
-      todayMovements
-        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-        .forEach(mov => {
-          // Añadir movimiento a la hoja principal
-          const operatorName = resolveOperatorName(mov.operator, mov.device_id);
-          movementsSheet.addRow([
-            formatDateTime(mov.timestamp),
-            mov.type,
-            mov.sku,
-            mov.name,
-            mov.quantity,
-            mov.price,
-            mov.lot || '',
-            operatorName,
-            mov.device_id,
-            mov.lot?.startsWith('DEV-') || mov.lot?.startsWith('UNDO-') ? 'Devuelto' : 'Activo'
-          ]);
-
-          // Actualizar estadísticas del operador
-          if (!operatorStats[operatorName]) {
-            operatorStats[operatorName] = {
-              device: mov.device_id,
-              ventas: 0,        // total unidades vendidas
-              compras: 0,       // total unidades ingresadas
-              devoluciones: 0   // total unidades devueltas
-            };
-          }
-
-          // Normalizar tipo lógico: algunos movimientos almacenan 'ingreso_inventario', 'devolucion_venta', etc.
-          const mt = String(mov.type || '').toLowerCase();
-          if (mt.includes('venta')) {
-            operatorStats[operatorName].ventas += (mov.quantity || 0);
-          }
-
-          if (mt.includes('ingreso')) {
-            operatorStats[operatorName].compras += (mov.quantity || 0);
-          }
-
-          if (mt.includes('devolucion')) {
-            operatorStats[operatorName].devoluciones += (mov.quantity || 0);
-          }
-
-        });
-
-      // Añadir resumen por operador
-      Object.entries(operatorStats).forEach(([operator, stats]) => {
-        operatorSummary.addRow([
-          operator,
-          stats.device,
-          stats.ventas,
-          stats.compras,
-          stats.devoluciones
-        ]);
+      PAYMENT_METHODS.forEach(m => {
+        const paid = todaySales.flatMap(s => salePayments(s)).filter(p => p.method === m.key);
+        paymentSheet.addRow([m.label, paid.length, roundMoney(paid.reduce((sum, p) => sum + (Number(p.amount) || 0), 0))]);
       });
+      const paymentTotal = paymentSheet.addRow(['Total', todaySales.length, roundMoney(todaySales.reduce((sum, s) => sum + (Number(s.total) || 0), 0))]);
+      paymentTotal.font = { bold: true };
+      addSalesSheets(workbook, todaySales, 'Ventas del Día');
       
       const buffer = await workbook.xlsx.writeBuffer();
       const timestamp = today.replace(/-/g, '');
@@ -2577,63 +10510,191 @@ function App() {
     setIsExporting(false);
   };
   
+  const handleExportSales = async (selectedSales) => {
+    setIsExporting(true);
+
+    try {
+      const workbook = new ExcelJS.Workbook();
+      addSalesSheets(workbook, selectedSales);
+
+      const tax = taxSettingsOf(settings);
+      const lines = selectedSales.flatMap(getSaleLines);
+      const totals = summarizeNetTax(lines);
+      const summarySheet = workbook.addWorksheet('Resumen IGV');
+      summarySheet.addRow(['Bodega', settings?.bodega || '']);
+      summarySheet.addRow(['Moneda', settings?.currency || 'S/']);
+      summarySheet.addRow(['Tasa IGV %', Number(tax.rate) || 0]);
+      summarySheet.addRow(['Precios', tax.mode === 'exclusive' ? 'Sin IGV (se agrega al vender)' : 'Con IGV incluido']);
+      summarySheet.addRow(['Importes', 'Netos de devoluciones y anulaciones']);
+      summarySheet.addRow(['Total vendido (bruto)', summarizeTax(lines).total]);
+      summarySheet.addRow([]);
+      summarySheet.addRow(['Op. Gravada', totals.gravada]);
+      summarySheet.addRow(['Op. Exonerada', totals.exonerada]);
+      summarySheet.addRow(['Op. Inafecta', totals.inafecta]);
+      summarySheet.addRow(['IGV', totals.igv]);
+      summarySheet.addRow(['Total', totals.total]).font = { bold: true };
+
+      const buffer = await workbook.xlsx.writeBuffer();
+      const timestamp = localDateKey(new Date()).replace(/-/g, '');
+      saveAs(new Blob([buffer]), `ventas_${timestamp}.xlsx`);
+
+      addToast('success', 'Ventas exportadas', `${selectedSales.length} ventas con desglose de IGV`);
+    } catch (error) {
+      console.error('Sales export error:', error);
+      addToast('error', 'Error en reporte', 'No se pudo exportar las ventas');
+    }
+
+    setIsExporting(false);
+  };
+
+  // Antigüedad de saldos: resumen por cliente y detalle de ventas pendientes
+  const handleExportAging = async () => {
+    setIsExporting(true);
+
+    try {
+      const workbook = new ExcelJS.Workbook();
+      const headerStyle = (row) => {
+        row.font = { bold: true };
+        row.fill = {
+          type: 'pattern',
+          pattern: 'solid',
+          fgColor: { argb: 'FFE0E0E0' }
+        };
+      };
+      const accounts = customers
+        .map(c => ({ customer: c, account: customerAccount(c.id, sales, movements, customerPayments) }))
+        .filter(a => a.account.balance > 0)
+        .sort((a, b) => b.account.balance - a.account.balance);
+
+      const summarySheet = workbook.addWorksheet('Antigüedad de Deuda');
+      headerStyle(summarySheet.addRow(['Cliente', 'Documento', 'Teléfono', 'Límite', ...AGING_BUCKETS.map(b => b.label), 'Total']));
+      accounts.forEach(({ customer, account }) => {
+        summarySheet.addRow([
+          customer.name,
+          customer.doc_number || '',
+          customer.phone || '',
+          Number(customer.credit_limit) || 0,
+          ...AGING_BUCKETS.map(b => account.aging[b.key]),
+          account.balance
+        ]);
+      });
+      summarySheet.addRow([
+        'Total', '', '', null,
+        ...AGING_BUCKETS.map(b => roundMoney(accounts.reduce((sum, a) => sum + a.account.aging[b.key], 0))),
+        roundMoney(accounts.reduce((sum, a) => sum + a.account.balance, 0))
+      ]).font = { bold: true };
+
+      const detailSheet = workbook.addWorksheet('Ventas Pendientes');
+      headerStyle(detailSheet.addRow(['Cliente', 'Fecha', 'Venta', 'Comprobante', 'Días', 'Crédito', 'Devuelto', 'Pendiente']));
+      accounts.forEach(({ customer, account }) => {
+        account.charges.filter(c => c.pending > 0).forEach(c => {
+          detailSheet.addRow([
+            customer.name,
+            formatDateTime(c.timestamp),
+            c.sale_id,
+            c.document_id || '-',
+            Math.floor((new Date() - new Date(c.timestamp)) / 86400000),
+            c.amount,
+            c.refunded,
+            c.pending
+          ]);
+        });
+      });
+
+      const buffer = await workbook.xlsx.writeBuffer();
+      saveAs(new Blob([buffer]), `antiguedad_deuda_${localDateKey(new Date()).replace(/-/g, '')}.xlsx`);
+      addToast('success', 'Reporte generado', `${accounts.length} clientes con deuda`);
+    } catch (error) {
+      console.error('Aging export error:', error);
+      addToast('error', 'Error en reporte', 'No se pudo generar la antigüedad de deuda');
+    }
+
+    setIsExporting(false);
+  };
+
+  // XML UBL con el nombre que espera SUNAT: RUC-TIPO-SERIE-NÚMERO.xml
+  const handleDownloadDocumentXml = (doc) => {
+    if (doc.status === 'anulado') {
+      addToast('error', 'Comprobante anulado', `${doc.id} fue anulado el ${formatDateTime(doc.voided_at)}: no debe enviarse a SUNAT`);
+      return;
+    }
+    const code = documentTypeOf(doc.type).code;
+    const ruc = doc.issuer_ruc || invoicingSettingsOf(settings).ruc || 'SINRUC';
+    saveAs(new Blob([doc.xml], { type: 'application/xml;charset=utf-8' }), `${ruc}-${code}-${doc.series}-${doc.number}.xml`);
+  };
+
+  const handleExportKardex = async (sku, method = 'average') => {
+    setIsExporting(true);
+
+    try {
+      const product = products.find(p => p.sku === sku) || { sku, name: sku };
+      const { rows, totals } = buildKardex(movements, sku, method);
+      const methodLabel = (KARDEX_METHODS.find(m => m.key === method) || KARDEX_METHODS[0]).label;
+
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet(`Kardex ${sku}`.slice(0, 31));
+
+      sheet.addRow(['Kardex valorizado']);
+      sheet.addRow(['Bodega', settings?.bodega || '']);
+      sheet.addRow(['Producto', `${product.name} (${sku})`]);
+      sheet.addRow(['Método', methodLabel]);
+      sheet.addRow(['Moneda', settings?.currency || 'S/']);
+      sheet.getRow(1).font = { bold: true, size: 14 };
+      sheet.addRow([]);
+
+      const header = sheet.addRow(['Fecha', 'Tipo', 'Documento', 'Lote', 'Operador', 'Entrada Cant.', 'Entrada C.Unit.', 'Entrada Total', 'Salida Cant.', 'Salida C.Unit.', 'Salida Total', 'Saldo Cant.', 'Saldo C.Unit.', 'Saldo Valor']);
+      header.font = { bold: true };
+      header.fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: 'FFE0E0E0' }
+      };
+
+      const round = (v) => Number(Number(v || 0).toFixed(4));
+      rows.forEach(r => {
+        sheet.addRow([
+          formatDateTime(r.timestamp),
+          r.type,
+          r.document,
+          r.lot,
+          r.operator,
+          r.inQty || null,
+          r.inQty ? round(r.inCost) : null,
+          r.inQty ? round(r.inValue) : null,
+          r.outQty || null,
+          r.outQty ? round(r.outCost) : null,
+          r.outQty ? round(r.outValue) : null,
+          r.balanceQty,
+          round(r.balanceCost),
+          round(r.balanceValue)
+        ]);
+      });
+
+      const totalRow = sheet.addRow(['Totales', '', '', '', '', totals.inQty, null, round(totals.inValue), totals.outQty, null, round(totals.outValue), totals.balanceQty, null, round(totals.balanceValue)]);
+      totalRow.font = { bold: true };
+
+      const buffer = await workbook.xlsx.writeBuffer();
+      const timestamp = new Date().toISOString().split('T')[0].replace(/-/g, '');
+      saveAs(new Blob([buffer]), `kardex_${sku}_${method}_${timestamp}.xlsx`);
+
+      addToast('success', 'Kardex exportado', `Kardex de ${product.name} descargado`);
+    } catch (error) {
+      console.error('Kardex export error:', error);
+      addToast('error', 'Error en reporte', 'No se pudo generar el Kardex');
+    }
+
+    setIsExporting(false);
+  };
+  
   // Mostrar estados de inicialización
   if (dbStatus === 'error') {
-    return (
-      <div style={{ 
-        display: 'flex', 
-        flexDirection: 'column', 
-        alignItems: 'center', 
-        justifyContent: 'center', 
-        height: '100vh',
-        padding: '20px',
-        textAlign: 'center'
-      }}>
-        <div style={{ fontSize: '48px', marginBottom: '16px' }}>⚠️</div>
-        <h2>Error de Inicialización</h2>
-        <p>No se pudo inicializar la base de datos. Por favor, intenta lo siguiente:</p>
-        {dbErrorMessage && (
-          <div style={{ marginTop: 12, padding: 12, background: 'rgba(0,0,0,0.03)', borderRadius: 6, maxWidth: 680 }}>
-            <strong>Detalles:</strong>
-            <div style={{ marginTop: 6, fontSize: 13, color: 'var(--color-text-secondary)' }}>{dbErrorMessage}</div>
-          </div>
-        )}
-        <ol style={{ textAlign: 'left' }}>
-          <li>Recarga la página</li>
-          <li>Limpia el caché del navegador</li>
-          <li>Si el problema persiste, haz clic en "Reset BD" cuando la aplicación se inicie</li>
-        </ol>
-        <button 
-          className="btn btn--primary" 
-          onClick={() => window.location.reload()}
-          style={{ marginTop: '16px' }}
-        >
-          🔄 Recargar Aplicación
-        </button>
-        <button
-          className="btn btn--outline"
-          onClick={async () => {
-            try {
-              const delReq = window.indexedDB.deleteDatabase(DB_NAME);
-              await new Promise((res, rej) => {
-                delReq.onsuccess = () => res(true);
-                delReq.onerror = () => rej(new Error('No se pudo borrar la base de datos'));
-                delReq.onblocked = () => res(false);
-              });
-            } catch (e) {
-              console.error('Error al borrar BD desde UI:', e);
-            }
-            window.location.reload();
-          }}
-          style={{ marginLeft: 12, marginTop: 16 }}
-        >
-          🧹 Reset BD
-        </button>
-      </div>
-    );
+    return <DatabaseRecovery errorMessage={dbErrorMessage} />;
   }
 
   if (dbStatus === 'initializing') {
+    const migrationPercent = migrationProgress?.total
+      ? Math.round((migrationProgress.step / migrationProgress.total) * 100)
+      : 100;
     return (
       <div style={{ 
         display: 'flex', 
@@ -2647,8 +10708,16 @@ function App() {
         <div style={{ fontSize: '48px', marginBottom: '16px' }}>⚙️</div>
         <h2>Inicializando</h2>
         <p>Preparando la base de datos...</p>
+        {migrationProgress?.blocked && (
+          <p style={{ color: 'var(--color-warning)' }}>Cierra otras pestañas de la aplicación para continuar con la actualización.</p>
+        )}
+        {migrationProgress?.version && (
+          <p style={{ fontSize: '13px', color: 'var(--color-text-secondary)' }}>
+            Migración {migrationProgress.step}/{migrationProgress.total} (v{migrationProgress.version}): {migrationProgress.description}
+          </p>
+        )}
         <div className="progress-bar" style={{ width: '200px', marginTop: '16px' }}>
-          <div className="progress-fill" style={{ width: '100%' }}></div>
+          <div className="progress-fill" style={{ width: `${migrationPercent}%` }}></div>
         </div>
       </div>
     );
@@ -2657,6 +10726,15 @@ function App() {
   if (!settings) {
     return <Onboarding onComplete={handleOnboardingComplete} initialData={prevOnboarding} />;
   }
+
+  if (!currentOperator) {
+    return (
+      <>
+        <Toast toasts={toasts} removeToast={removeToast} />
+        <OperatorLogin operators={operators} settings={settings} onLogin={handleLogin} onCreateAdmin={handleSaveOperator} />
+      </>
+    );
+  }
   
   return (
     <div className="app-container">
@@ -2717,9 +10795,34 @@ function App() {
             >
               🧹 Reset BD
             </button>
+            <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end', gap: '8px', marginTop: '8px', fontSize: '14px' }}>
+              <span>👤 {currentOperator.name} · {operatorRoleLabel(currentOperator.role)}</span>
+              <span className={`status ${activeShift ? 'status--success' : 'status--warning'}`}>
+                {activeShift ? `💵 Turno ${activeShift.id}` : 'Sin turno abierto'}
+              </span>
+              {hasPermission(currentOperator, 'gestionar_operadores') && (
+                <button className="btn btn--outline btn--sm" onClick={() => setShowOperators(prev => !prev)}>
+                  👥 Operadores
+                </button>
+              )}
+              <button className="btn btn--outline btn--sm" onClick={handleLogout}>
+                🔒 Salir
+              </button>
+            </div>
           </div>
         </div>
       </div>
+
+      {showOperators && (
+        <div style={{ padding: '16px 16px 0' }}>
+          <OperatorsPanel
+            operators={operators}
+            currentOperator={currentOperator}
+            onSave={handleSaveOperator}
+            onClose={() => setShowOperators(false)}
+          />
+        </div>
+      )}
       
       {/* Main Navigation */}
       <div className="main-tabs">
@@ -2735,12 +10838,74 @@ function App() {
         >
           📦 Inventario
         </button>
+        <button 
+          className={`main-tab ${activeView === 'catalog' ? 'main-tab--active' : ''}`}
+          onClick={() => setActiveView('catalog')}
+        >
+          🗂️ Catálogo
+        </button>
+        <button 
+          className={`main-tab ${activeView === 'expiry' ? 'main-tab--active' : ''}`}
+          onClick={() => setActiveView('expiry')}
+        >
+          ⏳ Vencimientos
+        </button>
+        <button 
+          className={`main-tab ${activeView === 'counts' ? 'main-tab--active' : ''}`}
+          onClick={() => setActiveView('counts')}
+        >
+          🧮 Conteo
+        </button>
+        <button 
+          className={`main-tab ${activeView === 'kardex' ? 'main-tab--active' : ''}`}
+          onClick={() => setActiveView('kardex')}
+        >
+          📒 Kardex
+        </button>
         <button 
           className={`main-tab ${activeView === 'sales' ? 'main-tab--active' : ''}`}
           onClick={() => setActiveView('sales')}
         >
           💰 Ventas
         </button>
+        <button 
+          className={`main-tab ${activeView === 'shifts' ? 'main-tab--active' : ''}`}
+          onClick={() => setActiveView('shifts')}
+        >
+          💵 Caja
+        </button>
+        <button 
+          className={`main-tab ${activeView === 'reports' ? 'main-tab--active' : ''}`}
+          onClick={() => setActiveView('reports')}
+        >
+          📈 Reportes
+        </button>
+        <button 
+          className={`main-tab ${activeView === 'purchases' ? 'main-tab--active' : ''}`}
+          onClick={() => setActiveView('purchases')}
+        >
+          🚚 Compras
+        </button>
+        <button 
+          className={`main-tab ${activeView === 'customers' ? 'main-tab--active' : ''}`}
+          onClick={() => setActiveView('customers')}
+        >
+          👤 Clientes
+        </button>
+        <button 
+          className={`main-tab ${activeView === 'devices' ? 'main-tab--active' : ''}`}
+          onClick={() => setActiveView('devices')}
+        >
+          📟 Dispositivos
+        </button>
+        {hasPermission(currentOperator, 'restaurar_respaldo') && (
+          <button 
+            className={`main-tab ${activeView === 'backup' ? 'main-tab--active' : ''}`}
+            onClick={() => setActiveView('backup')}
+          >
+            💾 Respaldo
+          </button>
+        )}
       </div>
       
       {/* Main Content */}
@@ -2754,9 +10919,10 @@ function App() {
               selectedDevice={selectedDevice}
               onToggleDevice={toggleDeviceConnection}
               onDeviceChange={handleDeviceChange}
-              salesSensorConnected={salesSensorConnected}
-              onSensorConnect={() => {
-                setSalesSensorConnected(true);
+              salesSensors={salesSensors}
+              activeSensorId={activeSensorId}
+              onSensorConnect={(sensor) => {
+                setActiveSensorId(sensor.id);
                 addToast('success', 'Sensor conectado', 'Sensor de ventas conectado exitosamente');
                 setEvents(prev => [{
                   id: Date.now(),
@@ -2765,12 +10931,13 @@ function App() {
                   name: 'Sensor de ventas conectado',
                   quantity: 0,
                   timestamp: nowISO(),
-                  device_id: 'SALES-001',
+                  device_id: sensor.id,
                   operator: 'system'
                 }, ...prev.slice(0, 19)]);
               }}
               onSensorDisconnect={() => {
-                setSalesSensorConnected(false);
+                const sensorId = activeSensorId;
+                setActiveSensorId(null);
                 addToast('warning', 'Sensor desconectado', 'Sensor de ventas desconectado');
                 setEvents(prev => [{
                   id: Date.now(),
@@ -2779,7 +10946,7 @@ function App() {
                   name: 'Sensor de ventas desconectado',
                   quantity: 0,
                   timestamp: nowISO(),
-                  device_id: 'SALES-001',
+                  device_id: sensorId,
                   operator: 'system'
                 }, ...prev.slice(0, 19)]);
               }}
@@ -2791,12 +10958,18 @@ function App() {
               connectedDevices={getActiveDevices()}
               salesSensorConnected={salesSensorConnected}
               onProcessEvent={handleProcessEvent}
+              onCheckout={handleCheckout}
+              pickingSettings={pickingSettings}
               settings={settings}
               device={selectedDevice}
               simSinceReset={simSinceReset}
               setSimSinceReset={setSimSinceReset}
               batches={batches}
               products={products}
+              customers={customers}
+              customerBalance={customerBalance}
+              promotions={promotions}
+              canDiscount={hasPermission(currentOperator, 'aplicar_descuento')}
             />
             
             {/* Right Panel - Event Feed */}
@@ -2819,6 +10992,69 @@ function App() {
             onDailyReport={handleDailyReport}
             onAddProduct={handleAddProduct}
             onReturn={handleReturn}
+            onImport={handleImportRows}
+            pickingSettings={pickingSettings}
+            onSavePicking={handleSavePickingSettings}
+            onSaveReorder={handleSaveReorderPoints}
+            onExportReorder={handleExportReorder}
+            onWriteOff={handleWriteOff}
+            expirySettings={expirySettings}
+          />
+        )}
+        {activeView === 'catalog' && (
+          <CatalogView
+            products={products}
+            batches={batches}
+            suppliers={suppliers}
+            priceHistory={priceHistory}
+            settings={settings}
+            onUpdate={handleUpdateProduct}
+            onArchive={handleArchiveProduct}
+            onMerge={handleMergeProducts}
+          />
+        )}
+        {activeView === 'catalog' && (
+          <PromotionsPanel
+            promotions={promotions}
+            products={products}
+            onSave={handleSavePromotion}
+          />
+        )}
+        {activeView === 'expiry' && (
+          <ExpiryDashboard
+            batches={batches}
+            products={products}
+            settings={settings}
+            expirySettings={expirySettings}
+            onSaveSettings={handleSaveExpirySettings}
+            onApplyPrice={(sku, price) => {
+              const product = products.find(p => p.sku === sku);
+              if (product) handleUpdateProduct(sku, { default_purchase_price: product.default_purchase_price, default_sale_price: price });
+            }}
+            onWriteOff={handleWriteOff}
+          />
+        )}
+        {activeView === 'counts' && (
+          <StockCountView
+            counts={stockCounts}
+            products={products}
+            batches={batches}
+            settings={settings}
+            connected={connected}
+            operatorName={currentOperatorName()}
+            onCreate={handleCreateCount}
+            onSave={handleSaveCount}
+            onApprove={handleApproveCount}
+            onDiscard={handleDiscardCount}
+            onExport={handleExportCount}
+          />
+        )}
+        {activeView === 'kardex' && (
+          <KardexView
+            products={products}
+            movements={movements}
+            settings={settings}
+            onExport={handleExportKardex}
           />
         )}
         {activeView === 'sales' && (
@@ -2827,10 +11063,93 @@ function App() {
             products={products}
             settings={settings}
             onUndoSale={handleUndoSale}
+            onReturnSale={handleSaleReturn}
+            onExport={handleExportSales}
+            onShowReceipt={setReceiptSaleId}
+            isExporting={isExporting}
+          />
+        )}
+        {activeView === 'shifts' && (
+          <ShiftView
+            shifts={shifts}
+            activeShift={activeShift}
+            movements={movements}
+            sales={sales}
+            customerPayments={customerPayments}
+            settings={settings}
+            currentOperator={currentOperator}
+            device={resolveOperatorDevice()}
+            onOpen={handleOpenShift}
+            onClose={handleCloseShift}
+            onExport={handleExportShift}
+          />
+        )}
+        {activeView === 'reports' && (
+          <ReportsView
+            movements={movements}
+            products={products}
+            sales={sales}
+            settings={settings}
+            resolveOperator={resolveMovementOperator}
+            onExportMovements={handleRangeReport}
+            onExportProfit={handleExportProfitability}
+            onExportShrinkage={handleExportShrinkage}
+          />
+        )}
+        {activeView === 'purchases' && (
+          <PurchasingView
+            suppliers={suppliers}
+            purchaseOrders={purchaseOrders}
+            products={products}
+            batches={batches}
+            settings={settings}
+            onSaveSupplier={handleSaveSupplier}
+            onSaveOrder={handleSavePurchaseOrder}
+            onSendOrder={handleSendPurchaseOrder}
+            onReceiveOrder={handleReceivePurchaseOrder}
+          />
+        )}
+        {activeView === 'customers' && (
+          <CustomersView
+            customers={customers}
+            sales={sales}
+            movements={movements}
+            customerPayments={customerPayments}
+            settings={settings}
+            currentOperator={currentOperator}
+            onSave={handleSaveCustomer}
+            onPayment={handleCustomerPayment}
+            onExport={handleExportAging}
+          />
+        )}
+        {activeView === 'devices' && (
+          <DeviceManager
+            registry={deviceRegistry}
+            assignments={deviceAssignments}
+            operators={operators}
+            onSave={handleSaveDevice}
+            onRetire={handleRetireDevice}
+            onAssign={handleAssignDevice}
+          />
+        )}
+        {activeView === 'backup' && hasPermission(currentOperator, 'restaurar_respaldo') && (
+          <BackupPanel
+            currentData={{ products, batches, sales, returns, movements, suppliers, purchase_orders: purchaseOrders, price_history: priceHistory, stock_counts: stockCounts, operators, devices: deviceRegistry, device_assignments: deviceAssignments, shifts, document_series: documentSeries, documents, customers, customer_payments: customerPayments, promotions }}
+            settings={settings}
+            onDownload={handleDownloadBackup}
+            onRestore={handleRestoreBackup}
           />
         )}
       </div>
       
+      <ReceiptModal
+        sale={sales.find(s => s.id === receiptSaleId)}
+        doc={documents.find(d => d.sale_id === receiptSaleId)}
+        settings={settings}
+        onDownloadXml={handleDownloadDocumentXml}
+        onClose={() => setReceiptSaleId(null)}
+      />
+
       {/* Export Progress */}
       {isExporting && (
         <div style={{